@@ -0,0 +1,180 @@
+/**
+ * sw.js – offline support for AI Services Hub docs.
+ *
+ * GENERATED by generate-service-worker.js from _partials/sw.js; edit the
+ * template, not docs/sw.js. The build fills the placeholders below with a
+ * manifest of every precached file (path → content hash), a hash of that
+ * manifest and the external scripts the pages load, so any content change
+ * produces a byte-different worker and browsers pick it up as an update.
+ *
+ * • install: precache every manifest file plus the FlexSearch CDN bundle;
+ *   files whose hash is unchanged are copied from the previous build's
+ *   precache, so an update only downloads what actually changed
+ * • activate: drop caches from older builds
+ * • fetch: precached files cache-first (query strings ignored, so search
+ *   result links like faq.html?from=…#id work offline); other same-origin
+ *   GETs network-first with a runtime cache fallback
+ * • the new worker waits until the page asks it to take over (the update
+ *   banner in assets/offline.js), so a page never mixes two builds
+ */
+
+"use strict";
+
+var BUILD_HASH = "{{BUILD_HASH}}";
+var PRECACHE_MANIFEST = {{PRECACHE_MANIFEST}};
+var EXTERNAL_ASSETS = {{EXTERNAL_ASSETS}};
+
+var PRECACHE = "docs-precache-" + BUILD_HASH;
+var RUNTIME = "docs-runtime";
+// Each precache stores the manifest it was filled from, written last so a
+// half-filled cache from an interrupted install has none.
+var MANIFEST_KEY = "__precache-manifest";
+
+/**
+ * The newest older precache that was filled completely, with its manifest,
+ * or null on a first install.
+ */
+function previousPrecache() {
+  return caches.keys().then(function (keys) {
+    var older = keys.filter(function (key) {
+      return key.indexOf("docs-precache-") === 0 && key !== PRECACHE;
+    });
+    return older.reverse().reduce(function (found, key) {
+      return found.then(function (hit) {
+        if (hit) return hit;
+        return caches.open(key).then(function (cache) {
+          return cache.match(MANIFEST_KEY).then(function (res) {
+            if (!res) return null;
+            return res.json().then(function (manifest) {
+              return { cache: cache, manifest: manifest };
+            });
+          });
+        });
+      });
+    }, Promise.resolve(null));
+  });
+}
+
+/** The previous build's copy of `key` when `unchanged`, else null. */
+function reusable(previous, key, unchanged) {
+  if (!previous || !unchanged) return Promise.resolve(null);
+  return previous.cache.match(key).then(function (res) {
+    return res || null;
+  });
+}
+
+self.addEventListener("install", function (event) {
+  event.waitUntil(
+    Promise.all([caches.open(PRECACHE), previousPrecache()]).then(function (opened) {
+      var cache = opened[0];
+      var previous = opened[1];
+      var local = Object.keys(PRECACHE_MANIFEST).map(function (path) {
+        var unchanged = previous && previous.manifest[path] === PRECACHE_MANIFEST[path];
+        return reusable(previous, path, unchanged).then(function (res) {
+          if (res) return cache.put(path, res);
+          // Bypass the HTTP cache so the precache matches the manifest hash.
+          return cache.add(new Request(path, { cache: "reload" }));
+        });
+      });
+      var external = EXTERNAL_ASSETS.map(function (url) {
+        // External URLs are version-pinned, so a cached copy is still current.
+        return reusable(previous, url, true)
+          .then(function (res) {
+            // Cross-origin script tags are no-cors; store the opaque response.
+            return res || fetch(url, { mode: "no-cors" });
+          })
+          .then(function (res) {
+            return cache.put(url, res);
+          });
+      });
+      return Promise.all(local.concat(external)).then(function () {
+        return cache.put(MANIFEST_KEY, new Response(JSON.stringify(PRECACHE_MANIFEST)));
+      });
+    }),
+  );
+});
+
+self.addEventListener("activate", function (event) {
+  event.waitUntil(
+    caches
+      .keys()
+      .then(function (keys) {
+        return Promise.all(
+          keys
+            .filter(function (key) {
+              return key.indexOf("docs-precache-") === 0 && key !== PRECACHE;
+            })
+            .map(function (key) {
+              return caches.delete(key);
+            }),
+        );
+      })
+      .then(function () {
+        return self.clients.claim();
+      }),
+  );
+});
+
+self.addEventListener("message", function (event) {
+  if (event.data && event.data.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+/** Manifest key ("faq.html", "assets/search.js") for a same-origin URL. */
+function manifestPath(url) {
+  var scope = new URL(self.registration.scope);
+  if (url.origin !== scope.origin || url.pathname.indexOf(scope.pathname) !== 0) {
+    return null;
+  }
+  var path = url.pathname.slice(scope.pathname.length) || "index.html";
+  return PRECACHE_MANIFEST.hasOwnProperty(path) ? path : null;
+}
+
+self.addEventListener("fetch", function (event) {
+  var request = event.request;
+  if (request.method !== "GET") return;
+
+  var url = new URL(request.url);
+  var path = manifestPath(url);
+
+  if (path || EXTERNAL_ASSETS.indexOf(request.url) !== -1) {
+    event.respondWith(
+      caches
+        .open(PRECACHE)
+        .then(function (cache) {
+          return cache.match(path || request.url);
+        })
+        .then(function (cached) {
+          return cached || fetch(request);
+        }),
+    );
+    return;
+  }
+
+  if (url.origin !== self.location.origin) return;
+
+  // Anything else on this site (PNG screenshots, new files): network first,
+  // remembered for the next offline visit.
+  event.respondWith(
+    fetch(request)
+      .then(function (res) {
+        if (res.ok) {
+          var copy = res.clone();
+          caches.open(RUNTIME).then(function (cache) {
+            cache.put(request, copy);
+          });
+        }
+        return res;
+      })
+      .catch(function () {
+        return caches.match(request, { ignoreSearch: true }).then(function (hit) {
+          if (hit) return hit;
+          if (request.mode === "navigate") {
+            return caches.open(PRECACHE).then(function (cache) {
+              return cache.match("index.html");
+            });
+          }
+          return Response.error();
+        });
+      }),
+  );
+});
@@ -0,0 +1,90 @@
+/**
+ * offline.js – registers the docs service worker (sw.js, generated by
+ * generate-service-worker.js) and shows an update banner.
+ *
+ * • Registers only over http(s); opening the HTML from disk skips it
+ * • When a newer build has been precached, a banner offers to reload
+ * • "Reload" tells the waiting worker to take over, then reloads once it
+ *   controls the page, so every page and search file comes from one build
+ * • Other controller changes (the first install claiming the page, another
+ *   tab's Reload) leave the page alone
+ */
+
+(function () {
+  "use strict";
+
+  if (!("serviceWorker" in navigator)) return;
+  if (!/^https?:$/.test(window.location.protocol)) return;
+
+  // Set by the banner's Reload button; only then does a controller change reload.
+  var reloadRequested = false;
+  var reloading = false;
+
+  // -------------------------------------------------------------------------
+  // Update banner
+  // -------------------------------------------------------------------------
+
+  function showUpdateBanner(worker) {
+    if (document.getElementById("sw-update-banner")) return;
+
+    var banner = document.createElement("div");
+    banner.id = "sw-update-banner";
+    banner.className = "sw-update-banner";
+    banner.setAttribute("role", "status");
+    banner.innerHTML =
+      "<span>A newer version of these docs is available.</span>" +
+      '<button type="button" class="sw-update-reload">Reload</button>' +
+      '<button type="button" class="sw-update-dismiss" aria-label="Dismiss">✕</button>';
+
+    banner
+      .querySelector(".sw-update-reload")
+      .addEventListener("click", function () {
+        reloadRequested = true;
+        worker.postMessage({ type: "SKIP_WAITING" });
+      });
+    banner
+      .querySelector(".sw-update-dismiss")
+      .addEventListener("click", function () {
+        banner.remove();
+      });
+
+    document.body.appendChild(banner);
+  }
+
+  /** Banner once `worker` has installed, if an older build controls the page. */
+  function watchInstalling(worker) {
+    worker.addEventListener("statechange", function () {
+      if (worker.state === "installed" && navigator.serviceWorker.controller) {
+        showUpdateBanner(worker);
+      }
+    });
+  }
+
+  // -------------------------------------------------------------------------
+  // Boot
+  // -------------------------------------------------------------------------
+
+  navigator.serviceWorker.addEventListener("controllerchange", function () {
+    if (!reloadRequested || reloading) return;
+    reloading = true;
+    window.location.reload();
+  });
+
+  window.addEventListener("load", function () {
+    navigator.serviceWorker
+      .register("sw.js")
+      .then(function (registration) {
+        // An update may already be waiting from an earlier visit.
+        if (registration.waiting && navigator.serviceWorker.controller) {
+          showUpdateBanner(registration.waiting);
+        }
+        if (registration.installing) watchInstalling(registration.installing);
+        registration.addEventListener("updatefound", function () {
+          watchInstalling(registration.installing);
+        });
+      })
+      .catch(function (err) {
+        console.warn("[offline] Service worker registration failed:", err);
+      });
+  });
+})();
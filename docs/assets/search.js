@@ -3,14 +3,31 @@
  *
  * Features
  * --------
- * • Loads assets/search-index.json (built at deploy time by generate-search-index.js)
- * • Uses FlexSearch (assets/flexsearch.bundle.js) for fast full-text querying
+ * • Imports the FlexSearch title index prebuilt by generate-search-index.js
+ *   (assets/search-flex.json + slim metadata in assets/search-index.json)
+ *   on first modal open, then fetches the section text and indexes it
  * • Opens a full-screen modal from the header search button (or Ctrl/Cmd+K)
  * • Shows matching sections: page title + section heading + contextual excerpt
+ * • Query operators: page:<name>, -page:<name>, "exact phrase", -exclude, in:title
+ * • Page facet chips with per-page result counts above the result list
+ * • Synonym/acronym expansion from docs/search-synonyms.json ("apim" also
+ *   matches "api management"), listed in the results header
+ * • Local, anonymised search analytics (localStorage) with a JSON export
+ *   for search-stats-report.js
+ * • Empty search box shows pinned sections, recent searches and recently
+ *   visited sections (per browser, localStorage)
+ * • Keys on a focused result: Enter open, Ctrl/Cmd+Enter new tab, c copy
+ *   deep link, p pin/unpin
+ * • Typo tolerance: when nothing matches, "Did you mean …" with the closest
+ *   spelling from the indexer's vocabulary (assets/search-vocab.json)
+ * • Deep-links to sub-entries (h4–h6, table rows, code blocks) with their
+ *   parent section chain shown in the result and in the breadcrumb
  * • Cross-page: navigates to target page with URL params for breadcrumb injection
  * • Same-page: smooth-scrolls to section without reload
  * • Breadcrumb bar injected at top of <main> after arriving from a search result
  * • Target section briefly highlighted (gold flash animation)
+ * • Scroll-spy for the "On this page" TOC that generate-search-index.js
+ *   injects beside long pages: highlights the section being read
  */
 
 (function () {
@@ -19,11 +36,22 @@
   // -------------------------------------------------------------------------
   // State
   // -------------------------------------------------------------------------
-  var searchIndex = null; // raw array from search-index.json (for data lookup)
-  var flexIndex = null; // FlexSearch Document index (for querying)
+  var searchIndex = null; // entry metadata from search-index.json (for data lookup)
+  var flexIndex = null; // FlexSearch Document index over titles (for querying)
+  var textIndex = null; // FlexSearch Index over section text, filled by loadText()
+  var indexPromise = null; // pending/complete loadIndex()
+  var textPromise = null; // pending/complete loadText()
+  var textLoaded = false; // entries carry their full `text`, textIndex is filled
+  var vocab = null; // [term, count] pairs from search-vocab.json
+  var synonymsOf = {}; // lowercase term → other terms in its synonym group
+  var pendingSearch = null; // last rendered query, not yet logged
+  var vocabPromise = null; // pending/complete loadVocab()
   var modal, searchInput, resultsContainer, searchBtn, breadcrumbEl;
   var debounceTimer = null;
   var MAX_RESULTS = 25;
+  // Raw FlexSearch hits fetched before operator filtering, so narrowing to a
+  // page or excluding a term still leaves MAX_RESULTS worth of matches.
+  var CANDIDATE_LIMIT = 400;
 
   // -------------------------------------------------------------------------
   // Utilities
@@ -42,12 +70,25 @@
     return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
   }
 
-  /** Wrap occurrences of `query` in <mark> within `text` (HTML-escaped). */
+  /**
+   * Wrap occurrences of `query` in <mark> within `text` (HTML-escaped).
+   * `query` may be a single string or an array of terms/phrases.
+   */
   function highlightMatches(text, query) {
     var safe = escapeHtml(text);
-    if (!query) return safe;
+    var needles = (Array.isArray(query) ? query : [query]).filter(Boolean);
+    if (needles.length === 0) return safe;
     try {
-      var re = new RegExp("(" + escapeRegex(query) + ")", "gi");
+      var re = new RegExp(
+        "(" +
+          needles
+            .map(function (n) {
+              return escapeRegex(escapeHtml(n));
+            })
+            .join("|") +
+          ")",
+        "gi",
+      );
       return safe.replace(re, "<mark>$1</mark>");
     } catch (e) {
       return safe;
@@ -80,6 +121,27 @@
     return prefix + fullText.slice(start, end) + suffix;
   }
 
+  /**
+   * Parent headings worth showing for an entry: drops the page's own h1,
+   * which already appears as the page title.
+   */
+  function visibleTrail(parents, pageTitle) {
+    return (parents || []).filter(function (p) {
+      return p && p.title && p.title !== pageTitle;
+    });
+  }
+
+  /** Parse a JSON-encoded trail (data attribute or URL param) safely. */
+  function parseTrail(raw) {
+    if (!raw) return [];
+    try {
+      var parsed = JSON.parse(raw);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
   /** Best-effort current page filename, e.g. "playbooks.html". */
   function currentPageFilename() {
     var parts = window.location.pathname.split("/");
@@ -91,48 +153,444 @@
   // Index loading
   // -------------------------------------------------------------------------
 
-  function loadIndex() {
+  /** Directory holding search.js and the generated index files. */
+  function assetBase() {
     // Resolve path relative to this script so it works regardless of sub-path.
     var scriptEl = document.getElementById("search-script");
-    var base = scriptEl
+    return scriptEl
       ? scriptEl.src.replace(/search\.js(\?.*)?$/, "")
       : "assets/";
+  }
 
-    fetch(base + "search-index.json")
-      .then(function (r) {
-        if (!r.ok) throw new Error("HTTP " + r.status);
-        return r.json();
-      })
-      .then(function (data) {
-        searchIndex = data;
-
-        // Build a FlexSearch Document index over the three indexed fields.
-        // Fields: sectionTitle (weight 3), pageTitle (weight 1), text (weight 2).
-        flexIndex = new FlexSearch.Document({
-          tokenize: "forward",
-          cache: 100,
-          document: {
-            id: "idx",
-            index: [
-              { field: "sectionTitle", tokenize: "full" },
-              { field: "pageTitle" },
-              { field: "text", tokenize: "full" },
-            ],
-          },
-        });
+  function fetchJson(name) {
+    return fetch(assetBase() + name).then(function (r) {
+      if (!r.ok) throw new Error("HTTP " + r.status);
+      return r.json();
+    });
+  }
+
+  /** Re-run the current query once lazily loaded data arrives. */
+  function refreshResults() {
+    if (searchInput && searchInput.value.trim()) doSearch(searchInput.value);
+  }
 
-        for (var i = 0; i < data.length; i++) {
-          flexIndex.add({
-            idx: i,
-            sectionTitle: data[i].sectionTitle,
-            pageTitle: data[i].pageTitle,
-            text: data[i].text,
+  /**
+   * Expand search-index.json into one object per entry: the page table gives
+   * `page`/`pageTitle`, and parent entry ids become `{ id, title }` trails.
+   */
+  function hydrateEntries(slim) {
+    var entries = slim.entries.map(function (e) {
+      var page = slim.pages[e.page];
+      return {
+        page: page.file,
+        pageTitle: page.title,
+        kind: e.kind,
+        sectionId: e.sectionId,
+        sectionTitle: e.sectionTitle,
+        parents: e.parents || [],
+      };
+    });
+    entries.forEach(function (entry) {
+      entry.parents = entry.parents.map(function (id) {
+        return { id: entries[id].sectionId, title: entries[id].sectionTitle };
+      });
+    });
+    return entries;
+  }
+
+  /**
+   * Load the slim entry metadata and the prebuilt FlexSearch title export
+   * (generate-search-index.js) and import it, then start fetching the section
+   * text. Runs once, on first modal open.
+   */
+  function loadIndex() {
+    if (indexPromise) return indexPromise;
+
+    indexPromise = Promise.all([
+      fetchJson("search-index.json"),
+      fetchJson("search-flex.json"),
+    ])
+      .then(function (loaded) {
+        var flex = loaded[1];
+        var doc = new FlexSearch.Document(flex.config);
+        indexSynonyms(flex.synonyms || []);
+        searchIndex = hydrateEntries(loaded[0]);
+        textIndex = new FlexSearch.Index(flex.textConfig);
+
+        if (flex.chunks) {
+          Object.keys(flex.chunks).forEach(function (key) {
+            doc.import(key, flex.chunks[key]);
           });
+        } else {
+          // Build ran without FlexSearch available – index the titles here.
+          for (var i = 0; i < searchIndex.length; i++) {
+            doc.add({
+              idx: i,
+              sectionTitle: searchIndex[i].sectionTitle,
+              pageTitle: searchIndex[i].pageTitle,
+            });
+          }
         }
+        flexIndex = doc;
+        loadText();
       })
+      .then(refreshResults)
       .catch(function (err) {
+        indexPromise = null; // allow a retry on the next open
         console.warn("[search] Could not load search index:", err);
       });
+    return indexPromise;
+  }
+
+  /**
+   * Section text is too large to ship as a prebuilt index, so it is fetched
+   * after the title index and indexed here. Title-only queries can run
+   * before it arrives; everything else waits for it.
+   */
+  function loadText() {
+    if (textPromise) return textPromise;
+
+    textPromise = fetchJson("search-text.json")
+      .then(function (texts) {
+        for (var i = 0; i < searchIndex.length; i++) {
+          searchIndex[i].text = texts[i] || "";
+          if (texts[i]) textIndex.add(i, texts[i]);
+        }
+        textLoaded = true;
+        if (flexIndex) refreshResults();
+      })
+      .catch(function (err) {
+        textPromise = null;
+        console.warn("[search] Could not load section text:", err);
+      });
+    return textPromise;
+  }
+
+  /** Spelling vocabulary, fetched the first time a query matches nothing. */
+  function loadVocab() {
+    if (vocabPromise) return vocabPromise;
+
+    vocabPromise = fetchJson("search-vocab.json")
+      .then(function (pairs) {
+        vocab = pairs;
+        refreshResults();
+      })
+      .catch(function (err) {
+        vocabPromise = null;
+        console.warn("[search] Could not load search vocabulary:", err);
+      });
+    return vocabPromise;
+  }
+
+  // -------------------------------------------------------------------------
+  // Per-browser storage
+  // -------------------------------------------------------------------------
+
+  function readList(key) {
+    try {
+      var list = JSON.parse(localStorage.getItem(key) || "[]");
+      return Array.isArray(list) ? list : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function writeList(key, list) {
+    try {
+      localStorage.setItem(key, JSON.stringify(list));
+    } catch (e) {
+      // Storage full or disabled (private mode) – these features are best-effort.
+    }
+  }
+
+  // -------------------------------------------------------------------------
+  // Search analytics (local only)
+  // -------------------------------------------------------------------------
+  //
+  // Events never leave the browser: they sit in localStorage until someone
+  // clicks "Download search stats" and hands the file over. Each event is
+  // { id, day, query, results, page, section, msToClick } – no user id, no
+  // URL, and the timestamp is cut to the day. Honours Do Not Track.
+
+  var STATS_KEY = "aiHubDocs.searchStats.v1";
+  var MAX_STATS_EVENTS = 500;
+  // A query must stay on screen this long before being replaced to count as
+  // a search rather than a keystroke on the way to one.
+  var SEARCH_SETTLE_MS = 1000;
+
+  function statsEnabled() {
+    return navigator.doNotTrack !== "1" && window.doNotTrack !== "1";
+  }
+
+  function readStats() {
+    return readList(STATS_KEY);
+  }
+
+  /** Strip what could identify someone: emails, tokens/keys, long numbers. */
+  function anonymiseQuery(query) {
+    return query
+      .toLowerCase()
+      .replace(/\S+@\S+/g, "<email>")
+      .replace(/[a-z0-9+/=_-]{24,}/g, "<redacted>")
+      .replace(/\d{5,}/g, "<number>")
+      .replace(/\s+/g, " ")
+      .trim()
+      .slice(0, 100);
+  }
+
+  function logSearch(search, click) {
+    if (!search || !statsEnabled()) return;
+    var events = readStats();
+    events.push({
+      id: Math.random().toString(36).slice(2, 12),
+      day: new Date().toISOString().slice(0, 10),
+      query: anonymiseQuery(search.query),
+      results: search.results,
+      page: click ? click.page : null,
+      section: click ? click.section : null,
+      msToClick: click ? Date.now() - search.shownAt : null,
+    });
+    writeList(STATS_KEY, events.slice(-MAX_STATS_EVENTS));
+  }
+
+  /**
+   * Called after every render. The previous query is logged only if it was
+   * on screen long enough; closing the modal or clicking logs the current one.
+   */
+  function trackSearch(query, results) {
+    var now = Date.now();
+    if (
+      pendingSearch &&
+      pendingSearch.query !== query &&
+      now - pendingSearch.shownAt >= SEARCH_SETTLE_MS
+    ) {
+      commitSearch(pendingSearch, null);
+    }
+    pendingSearch = query
+      ? { query: query, results: results, shownAt: now }
+      : null;
+  }
+
+  function flushSearch(click) {
+    commitSearch(pendingSearch, click);
+    pendingSearch = null;
+  }
+
+  /** A settled search: log it for analytics and keep it as a recent query. */
+  function commitSearch(search, click) {
+    if (!search) return;
+    logSearch(search, click);
+    rememberQuery(search.query);
+  }
+
+  function downloadStats(e) {
+    e.preventDefault();
+    var payload = {
+      format: "ai-hub-docs-search-stats",
+      version: 1,
+      exportedOn: new Date().toISOString().slice(0, 10),
+      events: readStats(),
+    };
+    var blob = new Blob([JSON.stringify(payload, null, 2)], {
+      type: "application/json",
+    });
+    var link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = "search-stats-" + payload.exportedOn + ".json";
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(function () {
+      URL.revokeObjectURL(link.href);
+    }, 0);
+  }
+
+  // -------------------------------------------------------------------------
+  // Recent searches, recently visited and pinned sections
+  // -------------------------------------------------------------------------
+
+  var RECENT_QUERIES_KEY = "aiHubDocs.recentQueries.v1";
+  var RECENT_SECTIONS_KEY = "aiHubDocs.recentSections.v1";
+  var PINNED_KEY = "aiHubDocs.pinnedSections.v1";
+  var MAX_RECENT = 8;
+  var MAX_PINNED = 20;
+
+  function sectionKey(item) {
+    return item.page + "#" + item.sectionId;
+  }
+
+  /** The fields needed to render a section row again later. */
+  function sectionFromLink(link) {
+    return {
+      page: link.dataset.page,
+      pageTitle: link.dataset.pageTitle,
+      sectionId: link.dataset.sectionId,
+      sectionTitle: link.dataset.sectionTitle,
+      parents: parseTrail(link.dataset.trail),
+    };
+  }
+
+  /** Move `value` to the front of a stored list, dropping older duplicates. */
+  function pushRecent(key, value, sameAs) {
+    var list = readList(key).filter(function (x) {
+      return !sameAs(x);
+    });
+    list.unshift(value);
+    writeList(key, list.slice(0, MAX_RECENT));
+  }
+
+  function rememberQuery(query) {
+    if (!query) return;
+    pushRecent(RECENT_QUERIES_KEY, query, function (q) {
+      return q.toLowerCase() === query.toLowerCase();
+    });
+  }
+
+  function rememberSection(section) {
+    pushRecent(RECENT_SECTIONS_KEY, section, function (x) {
+      return sectionKey(x) === sectionKey(section);
+    });
+  }
+
+  function isPinned(item) {
+    var key = sectionKey(item);
+    return readList(PINNED_KEY).some(function (x) {
+      return sectionKey(x) === key;
+    });
+  }
+
+  /** Pin or unpin the section behind a result link; returns the new state. */
+  function togglePin(link) {
+    var section = sectionFromLink(link);
+    var key = sectionKey(section);
+    var pinned = readList(PINNED_KEY);
+    var rest = pinned.filter(function (x) {
+      return sectionKey(x) !== key;
+    });
+    var nowPinned = rest.length === pinned.length;
+    if (nowPinned) rest.unshift(section);
+    writeList(PINNED_KEY, rest.slice(0, MAX_PINNED));
+    return nowPinned;
+  }
+
+  /** Reflect a pin change on the row without re-rendering the list. */
+  function updatePinButton(button, pinned, title) {
+    button.classList.toggle("search-pin--active", pinned);
+    button.setAttribute("aria-pressed", String(pinned));
+    button.setAttribute("aria-label", (pinned ? "Unpin " : "Pin ") + title);
+    button.title = pinned ? "Unpin (p)" : "Pin (p)";
+    button.textContent = pinned ? "★" : "☆";
+  }
+
+  /** What an empty search box shows: pinned, recent queries, recent visits. */
+  function renderEmptyState() {
+    var pinned = readList(PINNED_KEY);
+    var queries = readList(RECENT_QUERIES_KEY);
+    var visited = readList(RECENT_SECTIONS_KEY);
+    if (!pinned.length && !queries.length && !visited.length) {
+      resultsContainer.innerHTML = "";
+      return;
+    }
+
+    function heading(text) {
+      return '<div class="search-group-title">' + escapeHtml(text) + "</div>";
+    }
+    function rows(items) {
+      return items
+        .map(function (item) {
+          return renderResultItem(item, []);
+        })
+        .join("");
+    }
+
+    var html = "";
+    if (pinned.length) html += heading("Pinned") + rows(pinned);
+    if (queries.length) {
+      html +=
+        heading("Recent searches") +
+        '<div class="search-recent-queries">' +
+        queries
+          .map(function (q) {
+            return (
+              '<button type="button" class="search-recent-query" data-query="' +
+              escapeHtml(q) +
+              '">' +
+              escapeHtml(q) +
+              "</button>"
+            );
+          })
+          .join("") +
+        "</div>";
+    }
+    if (visited.length) html += heading("Recently visited") + rows(visited);
+    resultsContainer.innerHTML = html;
+  }
+
+  // -------------------------------------------------------------------------
+  // Result actions (keyboard)
+  // -------------------------------------------------------------------------
+
+  /** Absolute page#section URL – shareable, without the breadcrumb params. */
+  function deepLink(link) {
+    return new URL(
+      link.dataset.page + "#" + encodeURIComponent(link.dataset.sectionId),
+      window.location.href,
+    ).href;
+  }
+
+  function copyText(text) {
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      return navigator.clipboard.writeText(text);
+    }
+    return new Promise(function (resolve, reject) {
+      var area = document.createElement("textarea");
+      area.value = text;
+      area.setAttribute("readonly", "");
+      area.style.position = "fixed";
+      area.style.opacity = "0";
+      document.body.appendChild(area);
+      area.select();
+      var ok = document.execCommand("copy");
+      area.remove();
+      if (ok) resolve();
+      else reject(new Error("copy command failed"));
+    });
+  }
+
+  /** Brief confirmation shown at the bottom of the modal. */
+  function showToast(message) {
+    var toast = document.getElementById("search-toast");
+    if (!toast) return;
+    toast.textContent = message;
+    toast.classList.add("search-toast--visible");
+    clearTimeout(showToast.timer);
+    showToast.timer = setTimeout(function () {
+      toast.classList.remove("search-toast--visible");
+    }, 1800);
+  }
+
+  function openInNewTab(link) {
+    rememberSection(sectionFromLink(link));
+    flushSearch({ page: link.dataset.page, section: link.dataset.sectionId });
+    window.open(link.href, "_blank", "noopener");
+  }
+
+  function copyDeepLink(link) {
+    copyText(deepLink(link)).then(
+      function () {
+        showToast("Link copied");
+      },
+      function () {
+        showToast("Could not copy link");
+      },
+    );
+  }
+
+  function pinFromKeyboard(link) {
+    var button = link.parentNode.querySelector(".search-pin");
+    var pinned = togglePin(link);
+    if (button) updatePinButton(button, pinned, link.dataset.sectionTitle);
+    showToast(pinned ? "Pinned" : "Unpinned");
   }
 
   // -------------------------------------------------------------------------
@@ -142,6 +600,8 @@
   function openModal() {
     if (!modal) return;
     modal.classList.add("search-modal--active");
+    loadIndex();
+    if (!searchInput.value.trim()) renderEmptyState();
     searchInput.focus();
     searchInput.select();
     document.body.style.overflow = "hidden";
@@ -149,6 +609,7 @@
 
   function closeModal() {
     if (!modal) return;
+    flushSearch(null);
     modal.classList.remove("search-modal--active");
     resultsContainer.innerHTML = "";
     searchInput.value = "";
@@ -156,28 +617,301 @@
   }
 
   // -------------------------------------------------------------------------
-  // Search logic
+  // Query parsing
   // -------------------------------------------------------------------------
 
-  function doSearch(rawQuery) {
-    var query = rawQuery.trim();
+  // Optional leading "-", optional "op:" prefix, then a quoted phrase or word.
+  var TOKEN_RE = /(-)?(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
 
-    if (!query) {
-      resultsContainer.innerHTML = "";
-      return;
+  /**
+   * Split a raw query into free text and operators:
+   *   page:playbooks   limit to pages whose filename or title contains it
+   *   -page:faq        drop pages whose filename or title contains it
+   *   "exact phrase"   entry must contain the phrase verbatim
+   *   -word / -"a b"   entry must not contain it
+   *   in:title         match against section titles only
+   * Unknown "foo:bar" tokens are treated as plain text.
+   */
+  function parseQuery(raw) {
+    var parsed = {
+      terms: [],
+      phrases: [],
+      excludes: [],
+      pages: [],
+      excludedPages: [],
+      inTitle: false,
+    };
+    var m;
+    TOKEN_RE.lastIndex = 0;
+    while ((m = TOKEN_RE.exec(raw)) !== null) {
+      if (m[0] === "") {
+        TOKEN_RE.lastIndex++;
+        continue;
+      }
+      var negate = Boolean(m[1]);
+      var op = (m[2] || "").toLowerCase();
+      var quoted = m[3] !== undefined;
+      var value = (quoted ? m[3] : m[4] || "").trim();
+
+      if (op === "page" && value) {
+        (negate ? parsed.excludedPages : parsed.pages).push(
+          value.toLowerCase().replace(/\.html$/, ""),
+        );
+      } else if (op === "in" && value.toLowerCase() === "title") {
+        parsed.inTitle = true;
+      } else {
+        if (op) value = m[2] + ":" + value;
+        if (!value) continue;
+        if (negate) parsed.excludes.push(value);
+        else if (quoted) parsed.phrases.push(value);
+        else parsed.terms.push(value);
+      }
     }
+    return parsed;
+  }
 
-    if (!flexIndex || !searchIndex) {
-      resultsContainer.innerHTML =
-        '<div class="search-loading">Loading index…</div>';
-      return;
+  /** Positive words/phrases – what FlexSearch queries and <mark> highlights. */
+  function positiveNeedles(parsed) {
+    return parsed.phrases.concat(parsed.terms);
+  }
+
+  function pageSlug(page) {
+    return page.replace(/\.html$/, "").toLowerCase();
+  }
+
+  function matchesPage(entry, pages) {
+    if (pages.length === 0) return true;
+    var slug = pageSlug(entry.page);
+    var title = entry.pageTitle.toLowerCase();
+    return pages.some(function (p) {
+      return slug.indexOf(p) !== -1 || title.indexOf(p) !== -1;
+    });
+  }
+
+  function entryHaystack(entry, titleOnly) {
+    var hay = entry.sectionTitle || "";
+    if (!titleOnly) hay += " " + (entry.text || "");
+    return hay.toLowerCase();
+  }
+
+  /** Apply phrase, exclude, and -page: operators to a single entry. */
+  function matchesOperators(entry, parsed) {
+    if (
+      parsed.excludedPages.length &&
+      matchesPage(entry, parsed.excludedPages)
+    ) {
+      return false;
+    }
+    var titleHay = entryHaystack(entry, parsed.inTitle);
+    for (var i = 0; i < parsed.phrases.length; i++) {
+      if (titleHay.indexOf(parsed.phrases[i].toLowerCase()) === -1) {
+        return false;
+      }
+    }
+    var fullHay = entryHaystack(entry, false);
+    for (var j = 0; j < parsed.excludes.length; j++) {
+      if (fullHay.indexOf(parsed.excludes[j].toLowerCase()) !== -1) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // -------------------------------------------------------------------------
+  // Typo tolerance
+  // -------------------------------------------------------------------------
+
+  /** Edits allowed when correcting a term: none for very short words. */
+  function maxTypos(term) {
+    if (term.length < 4) return 0;
+    return term.length <= 6 ? 1 : 2;
+  }
+
+  /**
+   * Optimal-string-alignment distance (Levenshtein plus adjacent swaps, so
+   * "terrafrom" is one edit from "terraform"). Bails out with max + 1 once
+   * every cell in a row exceeds `max`.
+   */
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    var prev2 = null;
+    var prev = [];
+    for (var j = 0; j <= b.length; j++) prev[j] = j;
+
+    for (var i = 1; i <= a.length; i++) {
+      var row = [i];
+      var rowMin = i;
+      for (var k = 1; k <= b.length; k++) {
+        var cost = a[i - 1] === b[k - 1] ? 0 : 1;
+        var d = Math.min(prev[k] + 1, row[k - 1] + 1, prev[k - 1] + cost);
+        if (prev2 && k > 1 && a[i - 1] === b[k - 2] && a[i - 2] === b[k - 1]) {
+          d = Math.min(d, prev2[k - 2] + 1);
+        }
+        row[k] = d;
+        if (d < rowMin) rowMin = d;
+      }
+      if (rowMin > max) return max + 1;
+      prev2 = prev;
+      prev = row;
+    }
+    return prev[b.length];
+  }
+
+  /**
+   * Closest vocabulary term for a word the index does not know, or null.
+   * Known words and prefixes of known words (the index matches forward) are
+   * left alone. Ties go to the more frequent term – vocab is sorted by count.
+   */
+  function correctTerm(term) {
+    var word = term.toLowerCase();
+    var max = maxTypos(word);
+    if (max === 0) return null;
+
+    var best = null;
+    var bestDist = max + 1;
+    for (var i = 0; i < vocab.length; i++) {
+      var candidate = vocab[i][0];
+      if (candidate.indexOf(word) === 0) return null;
+      if (bestDist === 1) continue; // keep scanning only for a prefix hit
+      var dist = editDistance(word, candidate.replace(/ /g, ""), max);
+      if (dist < bestDist) {
+        best = candidate;
+        bestDist = dist;
+      }
     }
+    return best;
+  }
+
+  /** The raw query with each misspelled free-text term corrected, or null. */
+  function suggestQuery(raw, parsed) {
+    var suggestion = raw;
+    parsed.terms.forEach(function (term) {
+      var fix = correctTerm(term);
+      if (!fix) return;
+      suggestion = suggestion.replace(
+        new RegExp("(^|\\s)" + escapeRegex(term) + "(?=\\s|$)"),
+        "$1" + fix,
+      );
+    });
+    return suggestion !== raw ? suggestion : null;
+  }
+
+  // -------------------------------------------------------------------------
+  // Synonyms
+  // -------------------------------------------------------------------------
+
+  // Longest synonym (in words) tried when scanning query terms.
+  var MAX_SYNONYM_WORDS = 4;
+
+  function indexSynonyms(groups) {
+    synonymsOf = {};
+    groups.forEach(function (group) {
+      group.forEach(function (term) {
+        synonymsOf[term] = group.filter(function (other) {
+          return other !== term;
+        });
+      });
+    });
+  }
+
+  function alternativesFor(term) {
+    return synonymsOf.hasOwnProperty(term.toLowerCase())
+      ? synonymsOf[term.toLowerCase()]
+      : [];
+  }
 
+  function cloneParsed(parsed) {
+    return {
+      terms: parsed.terms.slice(),
+      phrases: parsed.phrases.slice(),
+      excludes: parsed.excludes.slice(),
+      pages: parsed.pages,
+      excludedPages: parsed.excludedPages,
+      inTitle: parsed.inTitle,
+    };
+  }
+
+  /**
+   * Query variants produced by synonym groups: the original first, then one
+   * variant per alternative of each phrase or run of free-text terms ("api
+   * management" → "apim"). Excluding a term also excludes its synonyms.
+   * Returns { variants, expanded: [{ from, to }] }.
+   */
+  function expandSynonyms(parsed) {
+    var base = cloneParsed(parsed);
+    parsed.excludes.forEach(function (x) {
+      alternativesFor(x).forEach(function (alt) {
+        if (base.excludes.indexOf(alt) === -1) base.excludes.push(alt);
+      });
+    });
+
+    var variants = [base];
+    var expanded = [];
+    function addVariant(from, to, build) {
+      var v = cloneParsed(base);
+      build(v);
+      variants.push(v);
+      expanded.push({ from: from, to: to });
+    }
+
+    base.phrases.forEach(function (phrase, i) {
+      alternativesFor(phrase).forEach(function (alt) {
+        addVariant(phrase, alt, function (v) {
+          // A one-word synonym ("pe") goes through the index as a word;
+          // as a substring phrase it would match inside "open", "type", …
+          if (alt.indexOf(" ") === -1) {
+            v.phrases.splice(i, 1);
+            v.terms.push(alt);
+          } else {
+            v.phrases[i] = alt;
+          }
+        });
+      });
+    });
+
+    var terms = base.terms;
+    for (var start = 0; start < terms.length; start++) {
+      for (
+        var n = Math.min(MAX_SYNONYM_WORDS, terms.length - start);
+        n > 0;
+        n--
+      ) {
+        var from = terms.slice(start, start + n).join(" ");
+        var alts = alternativesFor(from);
+        if (alts.length === 0) continue;
+        alts.forEach(function (alt) {
+          addVariant(from, alt, function (v) {
+            v.terms = terms
+              .slice(0, start)
+              .concat(alt.split(" "), terms.slice(start + n));
+          });
+        });
+        start += n - 1;
+        break;
+      }
+    }
+    return { variants: variants, expanded: expanded };
+  }
+
+  // -------------------------------------------------------------------------
+  // Search logic
+  // -------------------------------------------------------------------------
+
+  /** FlexSearch ids ranked by weighted field hits. */
+  function rankedIds(text, parsed) {
     // Query all three fields; assign field weights for deduped scoring.
     var fieldWeight = { sectionTitle: 3, text: 2, pageTitle: 1 };
     var scores = {}; // idx → cumulative score
+    var options = { limit: CANDIDATE_LIMIT };
+    if (parsed.inTitle) options.index = ["sectionTitle"];
 
-    var fieldResults = flexIndex.search(query, MAX_RESULTS);
+    var fieldResults = flexIndex.search(text, options);
+    if (!parsed.inTitle) {
+      fieldResults = fieldResults.concat({
+        field: "text",
+        result: textIndex.search(text, CANDIDATE_LIMIT),
+      });
+    }
     for (var f = 0; f < fieldResults.length; f++) {
       var field = fieldResults[f].field;
       var weight = fieldWeight[field] || 1;
@@ -188,29 +922,237 @@
       }
     }
 
-    // Sort by score descending, look up raw entries.
-    var ranked = Object.keys(scores)
+    // Sort by score descending; keep index order for ties.
+    return Object.keys(scores)
       .map(function (id) {
         return { id: Number(id), score: scores[id] };
       })
       .sort(function (a, b) {
-        return b.score - a.score;
+        return b.score - a.score || a.id - b.id;
       })
-      .slice(0, MAX_RESULTS)
       .map(function (x) {
-        return searchIndex[x.id];
+        return x.id;
       });
+  }
 
-    renderResults(ranked, query);
+  /**
+   * Entries matching the query or any of its synonym variants: hits for the
+   * query as typed come first, then hits only a synonym found.
+   */
+  function matchEntries(parsed) {
+    var seen = {};
+    var matched = [];
+    expandSynonyms(parsed).variants.forEach(function (variant) {
+      matchVariant(variant).forEach(function (entry) {
+        var key = entry.page + "#" + entry.sectionId;
+        if (seen[key]) return;
+        seen[key] = true;
+        matched.push(entry);
+      });
+    });
+    return matched;
+  }
+
+  /** Entries matching one query variant's free text and operators. */
+  function matchVariant(parsed) {
+    var text = positiveNeedles(parsed).join(" ").trim();
+    var ids;
+    if (text) {
+      ids = rankedIds(text, parsed);
+    } else if (parsed.pages.length || parsed.excludedPages.length) {
+      // "page:foo" (or "-page:foo") on its own lists the sections of the pages
+      // in scope in document order.
+      ids = [];
+      for (var i = 0; i < searchIndex.length; i++) {
+        if (searchIndex[i].kind === "section" || !searchIndex[i].kind) {
+          ids.push(i);
+        }
+      }
+    } else {
+      ids = [];
+    }
+
+    return ids
+      .map(function (id) {
+        return searchIndex[id];
+      })
+      .filter(function (entry) {
+        return matchesOperators(entry, parsed);
+      });
+  }
+
+  function inPages(parsed) {
+    return function (entry) {
+      return matchesPage(entry, parsed.pages);
+    };
+  }
+
+  function doSearch(rawQuery) {
+    var query = rawQuery.trim();
+
+    if (!query) {
+      renderEmptyState();
+      trackSearch("", 0);
+      return;
+    }
+
+    if (!flexIndex || !searchIndex) {
+      resultsContainer.innerHTML =
+        '<div class="search-loading">Loading index…</div>';
+      return;
+    }
+
+    var parsed = parseQuery(query);
+    // Body matches come from textIndex; in:title queries and a bare page:
+    // filter can run on the titles alone.
+    var needsText =
+      parsed.excludes.length > 0 ||
+      (positiveNeedles(parsed).length > 0 && !parsed.inTitle);
+    if (needsText && !textLoaded) {
+      resultsContainer.innerHTML =
+        '<div class="search-loading">Loading section text…</div>';
+      loadText();
+      return;
+    }
+
+    var matched = matchEntries(parsed);
+    var suggestion = null;
+
+    // Nothing matched: offer the closest vocabulary spelling and show its
+    // hits in place of an empty state.
+    if (!matched.some(inPages(parsed)) && parsed.terms.length) {
+      if (vocab) {
+        suggestion = suggestQuery(query, parsed);
+        var fuzzyParsed = suggestion && parseQuery(suggestion);
+        var fuzzy = suggestion ? matchEntries(fuzzyParsed) : [];
+        if (fuzzy.some(inPages(fuzzyParsed))) {
+          parsed = fuzzyParsed;
+          matched = fuzzy;
+        } else {
+          suggestion = null;
+        }
+      } else {
+        loadVocab();
+      }
+    }
+
+    // Facet counts are taken before the page filter so every chip stays useful.
+    var facets = {};
+    matched.forEach(function (entry) {
+      var f = facets[entry.page];
+      if (!f) {
+        f = facets[entry.page] = {
+          page: entry.page,
+          pageTitle: entry.pageTitle,
+          count: 0,
+        };
+      }
+      f.count++;
+    });
+
+    var inScope = matched.filter(inPages(parsed));
+    var results = inScope.slice(0, MAX_RESULTS);
+    // A query only answered through "Did you mean" still counts as zero-result.
+    trackSearch(query, suggestion ? 0 : inScope.length);
+
+    renderResults(results, parsed, {
+      query: query,
+      facets: Object.keys(facets)
+        .map(function (k) {
+          return facets[k];
+        })
+        .sort(function (a, b) {
+          return b.count - a.count || a.pageTitle.localeCompare(b.pageTitle);
+        }),
+      total: matched.length,
+      suggestion: suggestion,
+      expanded: expandSynonyms(parsed).expanded,
+    });
+  }
+
+  // -------------------------------------------------------------------------
+  // Facets
+  // -------------------------------------------------------------------------
+
+  function renderFacets(facets, parsed, total) {
+    if (facets.length < 2 && parsed.pages.length === 0) return "";
+
+    var chips = [
+      '<button type="button" class="search-facet' +
+        (parsed.pages.length === 0 ? " search-facet--active" : "") +
+        '" data-facet="" aria-pressed="' +
+        (parsed.pages.length === 0) +
+        '">All <span class="search-facet-count">' +
+        total +
+        "</span></button>",
+    ];
+    facets.forEach(function (f) {
+      var active = matchesPage(f, parsed.pages) && parsed.pages.length > 0;
+      chips.push(
+        '<button type="button" class="search-facet' +
+          (active ? " search-facet--active" : "") +
+          '" data-facet="' +
+          escapeHtml(pageSlug(f.page)) +
+          '" aria-pressed="' +
+          active +
+          '">' +
+          escapeHtml(f.pageTitle) +
+          ' <span class="search-facet-count">' +
+          f.count +
+          "</span></button>",
+      );
+    });
+    return (
+      '<div class="search-facets" role="group" aria-label="Filter by page">' +
+      chips.join("") +
+      "</div>"
+    );
+  }
+
+  /**
+   * Chip click: rewrite the page: operator in the input so the query box
+   * always reflects the active filter, then re-run the search.
+   */
+  function applyFacet(slug) {
+    var stripped = searchInput.value
+      .replace(/(^|\s)page:(?:"[^"]*"|\S+)/gi, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+    var current = parseQuery(searchInput.value).pages;
+    var toggleOff = slug && current.length === 1 && current[0] === slug;
+    searchInput.value =
+      slug && !toggleOff ? (stripped + " page:" + slug).trim() : stripped;
+    doSearch(searchInput.value);
+    searchInput.focus();
   }
 
   // -------------------------------------------------------------------------
   // Render
   // -------------------------------------------------------------------------
 
-  function renderResults(results, query) {
+  function renderResults(results, parsed, info) {
+    var query = info.query;
+    var expanded = info.expanded || [];
+    var needles = positiveNeedles(parsed).concat(
+      expanded.map(function (x) {
+        return x.to;
+      }),
+    );
+    var facetsHtml = renderFacets(info.facets, parsed, info.total);
+    var suggestionHtml = info.suggestion
+      ? '<div class="search-suggestion-line">Did you mean ' +
+        '<button type="button" class="search-suggestion" data-query="' +
+        escapeHtml(info.suggestion) +
+        '">' +
+        escapeHtml(info.suggestion) +
+        "</button>? No results for <strong>" +
+        escapeHtml(query) +
+        "</strong>; showing the closest matches.</div>"
+      : "";
+
     if (results.length === 0) {
       resultsContainer.innerHTML =
+        facetsHtml +
         '<div class="search-no-results">' +
         '<svg width="32" height="32" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><circle cx="11" cy="11" r="8"/><line x1="21" y1="21" x2="16.65" y2="16.65"/></svg>' +
         "<p>No results for <strong>" +
@@ -222,61 +1164,159 @@
 
     var html = results
       .map(function (item) {
-        var excerptText = excerptAround(item.text, query, 200);
-        var href =
-          item.page +
-          "?from=" +
-          encodeURIComponent(item.pageTitle) +
-          "&section=" +
-          encodeURIComponent(item.sectionTitle) +
-          "#" +
-          encodeURIComponent(item.sectionId);
-
-        return (
-          '<a class="search-result-item"' +
-          ' href="' +
-          escapeHtml(href) +
-          '"' +
-          ' data-page="' +
-          escapeHtml(item.page) +
-          '"' +
-          ' data-section-id="' +
-          escapeHtml(item.sectionId) +
-          '"' +
-          ' data-page-title="' +
-          escapeHtml(item.pageTitle) +
-          '"' +
-          ' data-section-title="' +
-          escapeHtml(item.sectionTitle) +
-          '">' +
-          '<div class="search-result-meta">' +
-          escapeHtml(item.pageTitle) +
-          "</div>" +
-          '<div class="search-result-title">' +
-          highlightMatches(item.sectionTitle, query) +
-          "</div>" +
-          '<div class="search-result-excerpt">' +
-          highlightMatches(excerptText, query) +
-          "</div>" +
-          "</a>"
-        );
+        return renderResultItem(item, needles);
       })
       .join("");
 
     resultsContainer.innerHTML =
+      suggestionHtml +
+      facetsHtml +
       '<div class="search-count">' +
       results.length +
       " result" +
       (results.length !== 1 ? "s" : "") +
+      renderExpansion(expanded) +
       "</div>" +
       html;
   }
 
+  /**
+   * One result row: the link (navigated with the keyboard) plus its pin
+   * toggle. Also used for pinned and recently visited sections, which carry
+   * no text – their excerpt is simply empty.
+   */
+  function renderResultItem(item, needles) {
+    var excerptText = excerptAround(item.text || "", needles[0] || "", 200);
+    var trail = visibleTrail(item.parents, item.pageTitle);
+    var trailJson = JSON.stringify(trail);
+    var meta = [item.pageTitle]
+      .concat(
+        trail.map(function (p) {
+          return p.title;
+        }),
+      )
+      .join(" › ");
+    var pinned = isPinned(item);
+
+    return (
+      '<div class="search-result-row">' +
+      '<a class="search-result-item"' +
+      ' href="' +
+      escapeHtml(resultHref(item, trail)) +
+      '"' +
+      ' data-page="' +
+      escapeHtml(item.page) +
+      '"' +
+      ' data-section-id="' +
+      escapeHtml(item.sectionId) +
+      '"' +
+      ' data-page-title="' +
+      escapeHtml(item.pageTitle) +
+      '"' +
+      ' data-section-title="' +
+      escapeHtml(item.sectionTitle) +
+      '"' +
+      ' data-trail="' +
+      escapeHtml(trailJson) +
+      '">' +
+      '<div class="search-result-meta">' +
+      escapeHtml(meta) +
+      "</div>" +
+      '<div class="search-result-title">' +
+      highlightMatches(item.sectionTitle, needles) +
+      "</div>" +
+      (excerptText
+        ? '<div class="search-result-excerpt">' +
+          highlightMatches(excerptText, needles) +
+          "</div>"
+        : "") +
+      "</a>" +
+      '<button type="button" class="search-pin' +
+      (pinned ? " search-pin--active" : "") +
+      '" aria-pressed="' +
+      pinned +
+      '" aria-label="' +
+      (pinned ? "Unpin " : "Pin ") +
+      escapeHtml(item.sectionTitle) +
+      '" title="' +
+      (pinned ? "Unpin (p)" : "Pin (p)") +
+      '">' +
+      (pinned ? "★" : "☆") +
+      "</button>" +
+      "</div>"
+    );
+  }
+
+  /** Result link carrying the breadcrumb params read on arrival. */
+  function resultHref(item, trail) {
+    return (
+      item.page +
+      "?from=" +
+      encodeURIComponent(item.pageTitle) +
+      "&section=" +
+      encodeURIComponent(item.sectionTitle) +
+      (trail.length
+        ? "&trail=" + encodeURIComponent(JSON.stringify(trail))
+        : "") +
+      "#" +
+      encodeURIComponent(item.sectionId)
+    );
+  }
+
+  /** "· also matching api management (apim)" – why a synonym hit appeared. */
+  function renderExpansion(expanded) {
+    if (expanded.length === 0) return "";
+    return (
+      '<span class="search-expansion"> · also matching ' +
+      expanded
+        .map(function (x) {
+          return (
+            "<strong>" +
+            escapeHtml(x.to) +
+            "</strong> (" +
+            escapeHtml(x.from) +
+            ")"
+          );
+        })
+        .join(", ") +
+      "</span>"
+    );
+  }
+
   // -------------------------------------------------------------------------
   // Result click – handle same-page navigation without reload
   // -------------------------------------------------------------------------
 
   function handleResultClick(e) {
+    var rerun = e.target.closest(".search-suggestion, .search-recent-query");
+    if (rerun) {
+      e.preventDefault();
+      searchInput.value = rerun.dataset.query;
+      doSearch(searchInput.value);
+      searchInput.focus();
+      return;
+    }
+
+    var pin = e.target.closest(".search-pin");
+    if (pin) {
+      e.preventDefault();
+      var pinLink = pin.parentNode.querySelector(".search-result-item");
+      var pinned = togglePin(pinLink);
+      if (searchInput.value.trim()) {
+        updatePinButton(pin, pinned, pinLink.dataset.sectionTitle);
+      } else {
+        renderEmptyState(); // keep the Pinned group in sync
+      }
+      return;
+    }
+
+    var facet = e.target.closest(".search-facet");
+    if (facet) {
+      e.preventDefault();
+      applyFacet(facet.dataset.facet);
+      return;
+    }
+
     var item = e.target.closest(".search-result-item");
     if (!item) return;
 
@@ -284,6 +1324,10 @@
     var sectionId = item.dataset.sectionId;
     var sectionTitle = item.dataset.sectionTitle;
     var pageTitle = item.dataset.pageTitle;
+    var trail = parseTrail(item.dataset.trail);
+
+    rememberSection(sectionFromLink(item));
+    flushSearch({ page: targetPage, section: sectionId });
 
     if (targetPage !== currentPageFilename()) {
       // Cross-page: let default navigation happen; breadcrumb is set on arrival.
@@ -295,24 +1339,33 @@
     e.preventDefault();
     closeModal();
 
-    showBreadcrumb(pageTitle, sectionTitle);
+    showBreadcrumb(pageTitle, sectionTitle, trail);
 
     var target = document.getElementById(sectionId);
     if (target) {
-      var header = document.querySelector(".bc-header");
-      var headerH = header ? header.offsetHeight : 72;
-      var top =
-        target.getBoundingClientRect().top + window.pageYOffset - headerH - 16;
-      window.scrollTo({ top: top, behavior: "smooth" });
+      scrollToSection(target);
       flashHighlight(target);
     }
   }
 
+  /** Pixels hidden under the sticky header, plus a little breathing room. */
+  function headerOffset() {
+    var header = document.querySelector(".bc-header");
+    var headerH = header ? header.offsetHeight : 72;
+    return headerH + 16;
+  }
+
+  function scrollToSection(target) {
+    var top =
+      target.getBoundingClientRect().top + window.pageYOffset - headerOffset();
+    window.scrollTo({ top: top, behavior: "smooth" });
+  }
+
   // -------------------------------------------------------------------------
   // Breadcrumb
   // -------------------------------------------------------------------------
 
-  function showBreadcrumb(pageTitle, sectionTitle) {
+  function showBreadcrumb(pageTitle, sectionTitle, trail) {
     if (!breadcrumbEl) return;
     var currentPage = currentPageFilename();
 
@@ -326,6 +1379,16 @@
       escapeHtml(pageTitle) +
       "</a>";
 
+    visibleTrail(trail, pageTitle).forEach(function (p) {
+      inner +=
+        '<span class="breadcrumb-sep" aria-hidden="true">›</span>' +
+        '<a href="#' +
+        escapeHtml(p.id) +
+        '">' +
+        escapeHtml(p.title) +
+        "</a>";
+    });
+
     if (sectionTitle && sectionTitle !== pageTitle) {
       inner +=
         '<span class="breadcrumb-sep" aria-hidden="true">›</span>' +
@@ -343,9 +1406,10 @@
     var params = new URLSearchParams(window.location.search);
     var from = params.get("from");
     var section = params.get("section");
+    var trail = parseTrail(params.get("trail"));
 
     if (!from) return;
-    showBreadcrumb(from, section || "");
+    showBreadcrumb(from, section || "", trail);
 
     // Clean query params from the address bar (keep hash).
     if (history && history.replaceState) {
@@ -385,6 +1449,89 @@
     }, 350);
   }
 
+  // -------------------------------------------------------------------------
+  // "On this page" TOC – scroll-spy for the nav injected by the indexer
+  // -------------------------------------------------------------------------
+
+  function initToc() {
+    var toc = document.querySelector(".page-toc");
+    if (!toc) return;
+
+    var links = Array.from(toc.querySelectorAll("a[href^='#']"));
+    var sections = links
+      .map(function (link) {
+        return {
+          link: link,
+          target: document.getElementById(link.getAttribute("href").slice(1)),
+        };
+      })
+      .filter(function (s) {
+        return s.target;
+      });
+    if (sections.length === 0) return;
+
+    var current = null;
+    var ticking = false;
+
+    // The current section is the last heading scrolled up to (or past) the
+    // bottom edge of the sticky header.
+    function updateActive() {
+      ticking = false;
+      var line = headerOffset() + 1;
+      var active = sections[0];
+      for (var i = 0; i < sections.length; i++) {
+        if (sections[i].target.getBoundingClientRect().top > line) break;
+        active = sections[i];
+      }
+      // At the very bottom, short final sections can never reach the line.
+      if (
+        window.innerHeight + window.pageYOffset >=
+        document.documentElement.scrollHeight - 2
+      ) {
+        active = sections[sections.length - 1];
+      }
+      if (active === current) return;
+
+      if (current) {
+        current.link.classList.remove("page-toc-link--active");
+        current.link.removeAttribute("aria-current");
+      }
+      current = active;
+      current.link.classList.add("page-toc-link--active");
+      current.link.setAttribute("aria-current", "location");
+
+      // Keep the active entry visible when the TOC itself scrolls.
+      var linkTop = current.link.offsetTop;
+      if (
+        linkTop < toc.scrollTop ||
+        linkTop + current.link.offsetHeight > toc.scrollTop + toc.clientHeight
+      ) {
+        toc.scrollTop = linkTop - toc.clientHeight / 2;
+      }
+    }
+
+    function requestUpdate() {
+      if (ticking) return;
+      ticking = true;
+      window.requestAnimationFrame(updateActive);
+    }
+
+    toc.addEventListener("click", function (e) {
+      var link = e.target.closest("a[href^='#']");
+      if (!link) return;
+      var target = document.getElementById(link.getAttribute("href").slice(1));
+      if (!target) return;
+      e.preventDefault();
+      history.replaceState(null, "", link.getAttribute("href"));
+      scrollToSection(target);
+      flashHighlight(target);
+    });
+
+    window.addEventListener("scroll", requestUpdate, { passive: true });
+    window.addEventListener("resize", requestUpdate);
+    updateActive();
+  }
+
   // -------------------------------------------------------------------------
   // Boot
   // -------------------------------------------------------------------------
@@ -396,9 +1543,10 @@
     searchBtn = document.getElementById("search-btn");
     breadcrumbEl = document.getElementById("search-breadcrumb");
 
+    initToc();
+
     if (!modal) return; // safety – header partial not injected yet
 
-    loadIndex();
     initBreadcrumbFromUrl();
     initHighlightFromHash();
 
@@ -461,6 +1609,32 @@
         resultsContainer.querySelectorAll(".search-result-item"),
       );
       var idx = items.indexOf(document.activeElement);
+      var focused = idx === -1 ? null : items[idx];
+
+      // Actions on the focused result: Enter opens, Ctrl/Cmd+Enter opens in
+      // a new tab, "c" copies a deep link, "p" pins/unpins.
+      if (focused && e.key === "Enter") {
+        e.preventDefault();
+        if (e.ctrlKey || e.metaKey) {
+          openInNewTab(focused);
+        } else {
+          focused.click();
+        }
+        return;
+      }
+      if (focused && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        if (e.key === "c") {
+          e.preventDefault();
+          copyDeepLink(focused);
+          return;
+        }
+        if (e.key === "p") {
+          e.preventDefault();
+          pinFromKeyboard(focused);
+          return;
+        }
+      }
+
       if (e.key === "ArrowDown" && idx < items.length - 1) {
         e.preventDefault();
         items[idx + 1].focus();
@@ -476,5 +1650,9 @@
 
     // ---- result clicks ----
     resultsContainer.addEventListener("click", handleResultClick);
+
+    // ---- analytics export ----
+    var statsLink = document.getElementById("search-stats-download");
+    if (statsLink) statsLink.addEventListener("click", downloadStats);
   });
 })();
@@ -109,3 +109,31 @@ else
     echo "  WARNING: Node.js not found or not executable – search index was NOT generated."
     echo "           Heading id= attributes will be missing. Install Node.js to fix."
 fi
+
+# Check internal links, anchors, images and search breadcrumb targets
+# (writes link-report.json; a broken link fails the build via set -e)
+if [ -n "$NODE_BIN" ]; then
+    echo ""
+    echo "Checking internal links..."
+    if [ "$NODE_BIN" = "node.exe" ] && command -v wslpath &>/dev/null; then
+        $NODE_BIN "$(wslpath -w "$SCRIPT_DIR/check-links.js")" "$(wslpath -w "$SCRIPT_DIR")"
+    else
+        $NODE_BIN "$SCRIPT_DIR/check-links.js" "$SCRIPT_DIR"
+    fi
+else
+    echo "  WARNING: Node.js not found – internal links were NOT checked."
+fi
+
+# Generate the offline service worker (sw.js) with a content-hashed
+# precache manifest of the pages, assets and search index
+if [ -n "$NODE_BIN" ]; then
+    echo ""
+    echo "Generating service worker..."
+    if [ "$NODE_BIN" = "node.exe" ] && command -v wslpath &>/dev/null; then
+        $NODE_BIN "$(wslpath -w "$SCRIPT_DIR/generate-service-worker.js")" "$(wslpath -w "$SCRIPT_DIR")"
+    else
+        $NODE_BIN "$SCRIPT_DIR/generate-service-worker.js" "$SCRIPT_DIR"
+    fi
+else
+    echo "  WARNING: Node.js not found – sw.js was NOT generated; the site will not work offline."
+fi
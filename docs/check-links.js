@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+/**
+ * check-links.js
+ *
+ * Verifies internal references across the built docs site:
+ *   • every <a href> to a local page, file or #fragment
+ *   • every local <img src> (diagrams under assets/)
+ *   • every search breadcrumb target in assets/search-index.json – the
+ *     entry's own section id and the id of each entry in its `parents` chain
+ *
+ * Writes a machine-readable report to link-report.json (or --report <path>)
+ * and exits 1 when anything internal is broken, so build.sh fails instead of
+ * shipping dead cross-links after a page is renamed. External URLs are not
+ * fetched.
+ *
+ * Usage:  node check-links.js <docs_dir> [--report <path>]
+ * Called from build.sh after generate-search-index.js has patched heading ids.
+ *
+ * No external npm dependencies – only Node.js built-ins.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const A_HREF_RE = /<a\b[^>]*?\bhref="([^"]*)"/gi;
+const IMG_SRC_RE = /<img\b[^>]*?\bsrc="([^"]*)"/gi;
+// Fragment targets: ids, and data-anchor for fragments a page resolves in
+// script (e.g. diagrams.html#network-arch), on any element…
+const ANY_ID_RE = /\s(?:id|data-anchor)="([^"]+)"/gi;
+// …plus legacy <a name>. `name` on meta/input/button etc. is not an anchor.
+const A_NAME_RE = /<a\b[^>]*\sname="([^"]+)"/gi;
+// Anything with a scheme (https:, mailto:, data:) or protocol-relative.
+const EXTERNAL_RE = /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i;
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** Decode the entities that can appear inside an attribute value. */
+function decodeAttr(value) {
+  return value
+    .replace(/&amp;/g, "&")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'");
+}
+
+function safeDecode(str) {
+  try {
+    return decodeURIComponent(str);
+  } catch (e) {
+    return str;
+  }
+}
+
+/** 1-based line number of a string offset, for the report. */
+function lineAt(html, index) {
+  let line = 1;
+  for (let i = 0; i < index; i++) {
+    if (html.charCodeAt(i) === 10) line++;
+  }
+  return line;
+}
+
+function collectIds(html) {
+  const ids = new Set();
+  let m;
+  ANY_ID_RE.lastIndex = 0;
+  while ((m = ANY_ID_RE.exec(html)) !== null) ids.add(decodeAttr(m[1]));
+  A_NAME_RE.lastIndex = 0;
+  while ((m = A_NAME_RE.exec(html)) !== null) ids.add(decodeAttr(m[1]));
+  return ids;
+}
+
+// ---------------------------------------------------------------------------
+// Checks
+// ---------------------------------------------------------------------------
+
+/**
+ * Resolve a local reference from `fromPage` and return a failure reason, or
+ * null when it is fine. `pages` maps built page filename → Set of ids.
+ */
+function checkTarget(docsDir, pages, fromPage, raw) {
+  const hashAt = raw.indexOf("#");
+  const pathPart = (hashAt === -1 ? raw : raw.slice(0, hashAt)).split("?")[0];
+  const fragment = hashAt === -1 ? "" : safeDecode(raw.slice(hashAt + 1));
+
+  const targetPage = pathPart
+    ? path.posix.normalize(
+        path.posix.join(path.posix.dirname(fromPage), safeDecode(pathPart)),
+      )
+    : fromPage;
+
+  if (targetPage.startsWith("..")) {
+    return "points outside the docs site";
+  }
+  if (pathPart) {
+    const abs = path.join(docsDir, targetPage);
+    if (!fs.existsSync(abs)) return `file not found: ${targetPage}`;
+    if (fs.statSync(abs).isDirectory()) {
+      return pages.has(path.posix.join(targetPage, "index.html"))
+        ? null
+        : `directory without index.html: ${targetPage}`;
+    }
+  }
+  if (!fragment) return null;
+
+  const ids = pages.get(targetPage);
+  if (!ids) return null; // fragment into a non-HTML file (e.g. an SVG view)
+  return ids.has(fragment)
+    ? null
+    : `missing anchor #${fragment} in ${targetPage}`;
+}
+
+function checkPage(docsDir, pages, filename, html, broken) {
+  let checked = 0;
+  const scan = (re, kind) => {
+    let m;
+    re.lastIndex = 0;
+    while ((m = re.exec(html)) !== null) {
+      const target = decodeAttr(m[1]).trim();
+      if (!target || target === "#" || EXTERNAL_RE.test(target)) continue;
+      checked++;
+      const reason = checkTarget(docsDir, pages, filename, target);
+      if (reason) {
+        broken.push({
+          kind:
+            kind === "image"
+              ? "image"
+              : target.startsWith("#")
+                ? "anchor"
+                : "link",
+          source: filename,
+          line: lineAt(html, m.index),
+          target,
+          reason,
+        });
+      }
+    }
+  };
+  scan(A_HREF_RE, "link");
+  scan(IMG_SRC_RE, "image");
+  return checked;
+}
+
+/**
+ * Every id a search result or its breadcrumb trail will link to. Parents are
+ * entry ids, and must be entries on the same page.
+ */
+function checkSearchIndex(pages, index, broken) {
+  let checked = 0;
+  index.entries.forEach((entry, i) => {
+    const page = (index.pages[entry.page] || {}).file;
+    for (const id of [i].concat(entry.parents || [])) {
+      checked++;
+      const t = index.entries[id];
+      const ids = pages.get(page);
+      const reason = !ids
+        ? `page not found: ${page}`
+        : !t || t.page !== entry.page
+          ? `parent entry ${id} is not on ${page}`
+          : ids.has(t.sectionId)
+            ? null
+            : `missing anchor #${t.sectionId} in ${page}`;
+      if (reason) {
+        broken.push({
+          kind: "breadcrumb",
+          source: "assets/search-index.json",
+          line: null,
+          target: t ? `${page}#${t.sectionId}` : `${page} (entry ${id})`,
+          reason: t ? `${reason} (${t.sectionTitle})` : reason,
+        });
+      }
+    }
+  });
+  return checked;
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+const args = process.argv.slice(2);
+const reportFlag = args.indexOf("--report");
+const reportArg = reportFlag === -1 ? null : args.splice(reportFlag, 2)[1];
+const docsDir = path.resolve(args[0] || __dirname);
+const reportPath = path.resolve(
+  reportArg || path.join(docsDir, "link-report.json"),
+);
+
+const filenames = fs
+  .readdirSync(docsDir)
+  .filter((f) => f.endsWith(".html") && !f.startsWith("_"))
+  .sort();
+
+const html = new Map();
+const pages = new Map();
+for (const filename of filenames) {
+  const content = fs.readFileSync(path.join(docsDir, filename), "utf8");
+  html.set(filename, content);
+  pages.set(filename, collectIds(content));
+}
+
+const broken = [];
+let linksChecked = 0;
+for (const filename of filenames) {
+  linksChecked += checkPage(
+    docsDir,
+    pages,
+    filename,
+    html.get(filename),
+    broken,
+  );
+}
+
+let breadcrumbsChecked = 0;
+const indexPath = path.join(docsDir, "assets", "search-index.json");
+if (fs.existsSync(indexPath)) {
+  const index = JSON.parse(fs.readFileSync(indexPath, "utf8"));
+  breadcrumbsChecked = checkSearchIndex(pages, index, broken);
+} else {
+  process.stderr.write(
+    "  WARNING: assets/search-index.json not found – breadcrumb targets not checked.\n",
+  );
+}
+
+const summary = broken.reduce(
+  (acc, b) => {
+    acc[b.kind]++;
+    return acc;
+  },
+  { link: 0, anchor: 0, image: 0, breadcrumb: 0 },
+);
+
+fs.writeFileSync(
+  reportPath,
+  JSON.stringify(
+    {
+      generatedAt: new Date().toISOString(),
+      pagesChecked: filenames.length,
+      linksChecked,
+      breadcrumbsChecked,
+      brokenCount: broken.length,
+      summary,
+      broken,
+    },
+    null,
+    2,
+  ) + "\n",
+  "utf8",
+);
+
+console.log(
+  `  Link check: ${linksChecked} links/images across ${filenames.length} pages,` +
+    ` ${breadcrumbsChecked} breadcrumb targets – ${broken.length} broken` +
+    ` (report: ${path.relative(process.cwd(), reportPath) || reportPath})`,
+);
+
+if (broken.length > 0) {
+  for (const b of broken) {
+    const where = b.line ? `${b.source}:${b.line}` : b.source;
+    process.stderr.write(
+      `  BROKEN ${b.kind}: ${where} → ${b.target} (${b.reason})\n`,
+    );
+  }
+  process.exit(1);
+}
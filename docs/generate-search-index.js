@@ -6,16 +6,50 @@
  * to any h1/h2/h3 that is missing one, and writes assets/search-index.json so
  * the browser can feed it into FlexSearch without any server.
  *
+ * Inside <main>, h4–h6 headings, table body rows and <pre> blocks also get
+ * generated anchors and their own index entries. Every entry carries its
+ * parent heading chain (`parents`, as entry ids) so search.js can deep-link
+ * to a single Terraform variable or snippet and still show where it lives.
+ *
+ * The FlexSearch title index is built here rather than in every browser: it
+ * is exported to assets/search-flex.json and imported as-is on first search.
+ * Section text is not part of that export – it would be several MB – so the
+ * browser indexes assets/search-text.json itself once it arrives.
+ * assets/search-index.json keeps only the slim per-entry metadata needed to
+ * render results, with page titles held once in a page table.
+ *
+ * Every generated asset has a gzipped size budget; the build fails when one
+ * is exceeded, so index growth is a deliberate decision rather than drift.
+ *
+ * assets/search-vocab.json lists every indexed word (plus two-word heading
+ * phrases such as "key vault") with its frequency; search.js uses it for
+ * typo-tolerant "Did you mean …" suggestions when a query matches nothing.
+ *
+ * Pages with enough h2/h3 headings get a sticky "On this page" table of
+ * contents injected beside their <main> content, built from the same
+ * heading ids.
+ *
+ * Synonym groups from search-synonyms.json ("apim" ↔ "api management") are
+ * validated and shipped inside search-flex.json for query expansion.
+ *
  * Usage:  node generate-search-index.js <docs_dir>
  * Called from build.sh after all pages are assembled.
  *
- * No external npm dependencies – only Node.js built-ins.
+ * No npm dependencies – only Node.js built-ins, plus the FlexSearch browser
+ * bundle: the same pinned CDN file the pages load. It is downloaded into
+ * docs/.cache/ (or read from $FLEXSEARCH_BUNDLE for offline builds) and
+ * checked against a pinned sha384 hash before it is run. If it cannot be
+ * loaded the index is still written and the browser falls back to building
+ * the title index client-side.
  */
 
 "use strict";
 
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
+const vm = require("vm");
+const zlib = require("zlib");
 const BASIC_ENTITY_REPLACEMENTS = {
   "&lt;": "<",
   "&gt;": ">",
@@ -42,6 +76,15 @@ function norm(str) {
   return str.replace(/\s+/g, " ").trim();
 }
 
+/** Escape text for use inside HTML markup. */
+function escapeHtml(str) {
+  return str
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
 /** Convert heading text to a URL-safe slug. */
 function slugify(text) {
   return (
@@ -69,9 +112,20 @@ function excerpt(text, maxLen) {
 
 // Matches <h1>, <h2>, <h3> with optional attributes, capturing everything.
 const HEADING_RE = /<(h[123])([^>]*)>([\s\S]*?)<\/h[123]>/gi;
+// Deeper headings only become sub-entries when they sit inside <main>.
+const SUB_HEADING_RE = /<(h[456])([^>]*)>([\s\S]*?)<\/h[456]>/gi;
+const TABLE_RE = /<table\b[^>]*>([\s\S]*?)<\/table>/gi;
+const ROW_RE = /<tr\b([^>]*)>([\s\S]*?)<\/tr>/gi;
+const CELL_RE = /<(t[hd])\b[^>]*>([\s\S]*?)<\/t[hd]>/gi;
+const PRE_RE = /<pre\b([^>]*)>([\s\S]*?)<\/pre>/gi;
 const ID_ATTR_RE = /\bid="([^"]+)"/i;
+const ANY_ID_RE = /\bid="([^"]+)"/gi;
 const H1_RE = /<h1[^>]*>([\s\S]*?)<\/h1>/i;
 const TITLE_RE = /<title[^>]*>([\s\S]*?)<\/title>/i;
+const MAIN_OPEN_RE = /<main\b[^>]*>/i;
+const MAIN_CLOSE = "</main>";
+
+const MAX_CODE_TITLE = 60;
 
 function getPageTitle(html, filename) {
   const h1 = H1_RE.exec(html);
@@ -86,89 +140,541 @@ function getPageTitle(html, filename) {
   return filename;
 }
 
-function processPage(filepath, filename) {
-  let html = fs.readFileSync(filepath, "utf8");
-
-  const pageTitle = getPageTitle(html, filename);
+/** Return [start, end) of the <main> content, or the whole document. */
+function mainBounds(html) {
+  const open = MAIN_OPEN_RE.exec(html);
+  const close = html.lastIndexOf(MAIN_CLOSE);
+  if (!open || close === -1 || close < open.index) return [0, html.length];
+  return [open.index + open[0].length, close];
+}
 
-  // Collect all heading matches (positions + content)
-  const headingMatches = [];
+/** Run `re` over `html` and return every match as an array. */
+function allMatches(re, html) {
+  const out = [];
   let m;
-  HEADING_RE.lastIndex = 0;
-  while ((m = HEADING_RE.exec(html)) !== null) {
-    headingMatches.push({
+  re.lastIndex = 0;
+  while ((m = re.exec(html)) !== null) out.push(m);
+  return out;
+}
+
+/** Reserve a unique id derived from `base` in `usedIds`. */
+function uniqueId(base, usedIds) {
+  let candidate = base;
+  let counter = 1;
+  while (usedIds.has(candidate)) {
+    candidate = `${base}-${counter++}`;
+  }
+  usedIds.add(candidate);
+  return candidate;
+}
+
+/**
+ * Collect every addressable element on a page, in document order.
+ *
+ * Anchors are h1–h3 section headings (anywhere), plus h4–h6 headings,
+ * table body rows and <pre> blocks inside <main>. Each anchor records the
+ * position and length of its opening tag so an id can be patched in later.
+ */
+function collectAnchors(html) {
+  const [mainStart, mainEnd] = mainBounds(html);
+  const inMain = (index) => index >= mainStart && index < mainEnd;
+  const anchors = [];
+
+  for (const m of allMatches(HEADING_RE, html)) {
+    anchors.push({
+      kind: "section",
       index: m.index,
       fullLen: m[0].length,
+      openLen: m[0].indexOf(">") + 1,
       tag: m[1], // h1 / h2 / h3
+      level: Number(m[1][1]),
       attrs: m[2], // everything between <hN and >
       inner: m[3], // content between open/close tag
-      original: m[0],
     });
   }
 
-  // Pre-collect existing IDs to avoid collisions when generating new ones.
-  const usedIds = new Set();
-  for (const h of headingMatches) {
-    const idM = ID_ATTR_RE.exec(h.attrs);
-    if (idM) usedIds.add(idM[1]);
+  for (const m of allMatches(SUB_HEADING_RE, html)) {
+    if (!inMain(m.index)) continue;
+    anchors.push({
+      kind: "heading",
+      index: m.index,
+      fullLen: m[0].length,
+      openLen: m[0].indexOf(">") + 1,
+      tag: m[1],
+      level: Number(m[1][1]),
+      attrs: m[2],
+      inner: m[3],
+    });
   }
 
-  // Assign an ID to every heading (existing or generated).
-  for (const h of headingMatches) {
-    const idM = ID_ATTR_RE.exec(h.attrs);
-    if (idM) {
-      h.sectionId = idM[1];
-    } else {
-      const base = slugify(norm(stripHtml(h.inner)));
-      let candidate = base;
-      let counter = 1;
-      while (usedIds.has(candidate)) {
-        candidate = `${base}-${counter++}`;
+  for (const table of allMatches(TABLE_RE, html)) {
+    if (!inMain(table.index)) continue;
+    const bodyOffset = table.index + table[0].indexOf(">") + 1;
+    let columns = [];
+    for (const row of allMatches(ROW_RE, table[1])) {
+      const cells = allMatches(CELL_RE, row[2]).map((c) => ({
+        tag: c[1].toLowerCase(),
+        text: norm(stripHtml(c[2])),
+      }));
+      if (cells.length === 0) continue;
+      if (cells.every((c) => c.tag === "th")) {
+        columns = cells.map((c) => c.text);
+        continue;
       }
-      usedIds.add(candidate);
-      h.sectionId = candidate;
+      anchors.push({
+        kind: "row",
+        index: bodyOffset + row.index,
+        fullLen: row[0].length,
+        openLen: row[0].indexOf(">") + 1,
+        tag: "tr",
+        attrs: row[1],
+        cells: cells.map((c) => c.text),
+        columns,
+      });
     }
-    h.sectionTitle = norm(stripHtml(h.inner));
   }
 
-  // Build index entries: text is content between this heading and the next.
-  const entries = [];
-  for (let i = 0; i < headingMatches.length; i++) {
-    const h = headingMatches[i];
-    const start = h.index + h.fullLen;
-    const end =
-      i + 1 < headingMatches.length ? headingMatches[i + 1].index : html.length;
+  for (const m of allMatches(PRE_RE, html)) {
+    if (!inMain(m.index)) continue;
+    anchors.push({
+      kind: "code",
+      index: m.index,
+      fullLen: m[0].length,
+      openLen: m[0].indexOf(">") + 1,
+      tag: "pre",
+      attrs: m[1],
+      inner: m[2],
+    });
+  }
+
+  return anchors.sort((a, b) => a.index - b.index);
+}
+
+/** Human-readable title for an anchor, used in results and breadcrumbs. */
+function anchorTitle(anchor) {
+  if (anchor.kind === "row") return anchor.cells[0] || "Table row";
+  if (anchor.kind === "code") {
+    const firstLine = stripHtml(anchor.inner)
+      .split("\n")
+      .map((line) => norm(line))
+      .find(Boolean);
+    return firstLine ? excerpt(firstLine, MAX_CODE_TITLE) : "Code block";
+  }
+  return norm(stripHtml(anchor.inner));
+}
+
+/** Searchable text for a row: "Column: value" pairs when headers exist. */
+function rowText(anchor) {
+  return anchor.cells
+    .map((cell, i) =>
+      anchor.columns[i] && cell ? `${anchor.columns[i]}: ${cell}` : cell,
+    )
+    .filter(Boolean)
+    .join(" · ");
+}
+
+/** Base for a generated id – rows and code blocks hang off their parent. */
+function anchorSlugBase(anchor, parent) {
+  const prefix = parent ? `${parent.id}-` : "";
+  if (anchor.kind === "row") return prefix + slugify(anchor.title);
+  if (anchor.kind === "code") return `${prefix}code`;
+  return slugify(anchor.title);
+}
+
+/**
+ * Index one built page. Entry ids are global positions in the index, so the
+ * page's first entry gets `firstId` and `parents` can point at other entries.
+ */
+function processPage(filepath, filename, firstId) {
+  let html = fs.readFileSync(filepath, "utf8");
+
+  const pageTitle = getPageTitle(html, filename);
+  const anchors = collectAnchors(html);
+  const headings = anchors.filter(
+    (a) => a.kind === "section" || a.kind === "heading",
+  );
 
-    const sectionText = norm(stripHtml(html.slice(start, end)));
+  // Pre-collect every existing id on the page to avoid collisions.
+  const usedIds = new Set(allMatches(ANY_ID_RE, html).map((m) => m[1]));
+
+  // Walk in document order keeping a heading stack, so each anchor learns
+  // its parent chain and gets an id (existing or generated).
+  const stack = [];
+  anchors.forEach((a, i) => {
+    a.entryId = firstId + i;
+    a.title = anchorTitle(a);
+    if (a.level) {
+      while (stack.length && stack[stack.length - 1].level >= a.level) {
+        stack.pop();
+      }
+    }
+    a.parents = stack.map((h) => h.entryId);
+
+    const idM = ID_ATTR_RE.exec(a.attrs);
+    if (idM) {
+      a.id = idM[1];
+    } else {
+      a.id = uniqueId(anchorSlugBase(a, stack[stack.length - 1]), usedIds);
+      a.generated = true;
+    }
+
+    if (a.level) stack.push(a);
+  });
+
+  // Build index entries. Section text is the content between a heading and
+  // the next heading of the same kind; sub-entries carry their own text.
+  const entries = [];
+  for (const a of anchors) {
+    let text;
+    if (a.kind === "row") {
+      text = rowText(a);
+    } else if (a.kind === "code") {
+      text = norm(stripHtml(a.inner));
+    } else {
+      const peers =
+        a.kind === "section"
+          ? headings.filter((h) => h.kind === "section")
+          : headings;
+      const next = peers.find((h) => h.index > a.index);
+      const start = a.index + a.fullLen;
+      const end = next ? next.index : html.length;
+      text = norm(stripHtml(html.slice(start, end)));
+    }
 
     entries.push({
       page: filename,
       pageTitle,
-      sectionId: h.sectionId,
-      sectionTitle: h.sectionTitle,
-      text: sectionText,
-      excerpt: excerpt(sectionText),
+      kind: a.kind,
+      sectionId: a.id,
+      sectionTitle: a.title,
+      parents: a.parents,
+      text,
     });
   }
 
   // Patch missing id= attributes back into the HTML.
   let patched = html;
   // Process in reverse order so string positions stay valid.
-  for (let i = headingMatches.length - 1; i >= 0; i--) {
-    const h = headingMatches[i];
-    if (ID_ATTR_RE.test(h.attrs)) continue; // already had an id
+  for (let i = anchors.length - 1; i >= 0; i--) {
+    const a = anchors[i];
+    if (!a.generated) continue; // already had an id
 
-    const newOpen = `<${h.tag} id="${h.sectionId}"${h.attrs}>`;
-    const newFull = `${newOpen}${h.inner}</${h.tag}>`;
+    const newOpen = `<${a.tag} id="${a.id}"${a.attrs}>`;
     patched =
-      patched.slice(0, h.index) + newFull + patched.slice(h.index + h.fullLen);
+      patched.slice(0, a.index) + newOpen + patched.slice(a.index + a.openLen);
   }
 
+  const idsPatched = patched !== html;
+  const toc = tocHeadings(html, anchors);
+  const withToc = toc.length >= MIN_TOC_ENTRIES && !html.includes(TOC_MARKER);
+  if (withToc) patched = injectToc(patched, toc);
+
   if (patched !== html) {
     fs.writeFileSync(filepath, patched, "utf8");
   }
 
-  return { entries, patched: patched !== html };
+  return { entries, patched: idsPatched, toc: withToc };
+}
+
+// ---------------------------------------------------------------------------
+// "On this page" table of contents
+// ---------------------------------------------------------------------------
+
+// Shorter pages are left without a TOC. The marker keeps a re-run on
+// already-built pages from injecting a second one.
+const MIN_TOC_ENTRIES = 4;
+const TOC_MARKER = 'class="page-toc"';
+
+/** True when `index` sits inside an open <tag> that starts after `from`. */
+function enclosedBy(html, from, index, tag) {
+  const slice = html.slice(from, index);
+  const opens = slice.match(new RegExp(`<${tag}\\b`, "gi"));
+  const closes = slice.match(new RegExp(`</${tag}>`, "gi"));
+  return (opens ? opens.length : 0) > (closes ? closes.length : 0);
+}
+
+/**
+ * h2/h3 headings inside <main> that a reader can scroll to, in document
+ * order. Headings inside links (card grids that point elsewhere) and inside
+ * <details> (collapsed ADRs, FAQ answers) are left out.
+ */
+function tocHeadings(html, anchors) {
+  const [mainStart, mainEnd] = mainBounds(html);
+  return anchors.filter(
+    (a) =>
+      a.kind === "section" &&
+      (a.level === 2 || a.level === 3) &&
+      a.index >= mainStart &&
+      a.index < mainEnd &&
+      a.title &&
+      !enclosedBy(html, mainStart, a.index, "a") &&
+      !enclosedBy(html, mainStart, a.index, "details"),
+  );
+}
+
+/** Nested <ol> for the TOC: h3s sit under the h2 before them. */
+function tocList(headings) {
+  const link = (h) =>
+    `<a href="#${h.id}" data-toc-level="${h.level}">${escapeHtml(h.title)}</a>`;
+  let out = "";
+  let openH2 = false;
+  let openSub = false;
+  for (const h of headings) {
+    if (h.level === 3 && openH2) {
+      if (!openSub) out += "<ol>";
+      openSub = true;
+      out += `<li>${link(h)}</li>`;
+      continue;
+    }
+    if (openSub) out += "</ol>";
+    if (openH2) out += "</li>";
+    openSub = false;
+    openH2 = h.level === 2;
+    out += `<li>${link(h)}${openH2 ? "" : "</li>"}`;
+  }
+  if (openSub) out += "</ol>";
+  if (openH2) out += "</li>";
+  return `<ol>${out}</ol>`;
+}
+
+/**
+ * Wrap the <main> content in a two-column layout with a sticky TOC beside
+ * it. search.js highlights the current section while scrolling.
+ */
+function injectToc(html, headings) {
+  const open = MAIN_OPEN_RE.exec(html);
+  const close = html.lastIndexOf(MAIN_CLOSE);
+  if (!open || close === -1 || close < open.index) return html;
+
+  const start = open.index + open[0].length;
+  const nav =
+    `<nav ${TOC_MARKER} aria-label="On this page">` +
+    `<p class="page-toc-title">On this page</p>${tocList(headings)}</nav>`;
+  return (
+    html.slice(0, open.index) +
+    open[0].replace(/^<main\b/i, '<main data-toc=""') +
+    `\n<div class="page-layout">\n${nav}\n<div class="page-body">` +
+    html.slice(start, close) +
+    "</div>\n</div>\n" +
+    html.slice(close)
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Prebuilt FlexSearch index
+// ---------------------------------------------------------------------------
+
+// Keep in step with the <script> tag in _partials/header.html: an export is
+// only importable by the FlexSearch version that produced it. Bump the hash
+// with the version (`openssl dgst -sha384 -binary flexsearch.bundle.js |
+// openssl base64 -A`).
+const FLEXSEARCH_VERSION = "0.7.31";
+const FLEXSEARCH_SHA384 =
+  "9HtlBELpSnMw/XAgA0cQwtyBAsTlljrRXu5dRUm+H2G7F8tIkTpQGDq3+QG6g5Ex";
+const FLEXSEARCH_URL = `https://cdn.jsdelivr.net/npm/flexsearch@${FLEXSEARCH_VERSION}/dist/flexsearch.bundle.js`;
+// Inside the docs tree (and .gitignore'd) rather than the shared temp dir,
+// where any local user could plant a file for the build to run.
+const FLEXSEARCH_CACHE_DIR = path.join(__dirname, ".cache");
+
+// Shipped inside search-flex.json so search.js creates an identical Document
+// before importing. Fields: sectionTitle (weight 3), pageTitle (weight 1) –
+// weights are applied at query time in search.js. Page titles repeat on every
+// entry of the page, so they match whole words only; each page's h1 is also
+// a section title and still matches as you type.
+const FLEX_CONFIG = {
+  tokenize: "forward",
+  cache: 100,
+  document: {
+    id: "idx",
+    index: [
+      { field: "sectionTitle", tokenize: "full" },
+      { field: "pageTitle", tokenize: "strict" },
+    ],
+  },
+};
+
+// Section text (weight 2) is indexed in the browser from search-text.json
+// with this config: exported, its "full" token map alone is over 5 MB.
+const TEXT_CONFIG = { tokenize: "full", cache: 100 };
+
+/** Throw unless `source` is the pinned FlexSearch bundle. */
+function verifyBundle(source, origin) {
+  const actual = crypto.createHash("sha384").update(source).digest("base64");
+  if (actual !== FLEXSEARCH_SHA384) {
+    throw new Error(
+      `${origin} does not match the pinned sha384 for flexsearch@${FLEXSEARCH_VERSION}`,
+    );
+  }
+}
+
+/** Load the FlexSearch bundle: $FLEXSEARCH_BUNDLE, the cache, or the CDN. */
+async function loadFlexSearch() {
+  const cacheFile = path.join(
+    FLEXSEARCH_CACHE_DIR,
+    `flexsearch-${FLEXSEARCH_VERSION}.bundle.js`,
+  );
+  let source;
+  if (process.env.FLEXSEARCH_BUNDLE) {
+    source = fs.readFileSync(process.env.FLEXSEARCH_BUNDLE);
+    verifyBundle(source, process.env.FLEXSEARCH_BUNDLE);
+  } else if (fs.existsSync(cacheFile)) {
+    source = fs.readFileSync(cacheFile);
+    verifyBundle(source, cacheFile);
+  } else {
+    const res = await fetch(FLEXSEARCH_URL);
+    if (!res.ok)
+      throw new Error(`HTTP ${res.status} fetching ${FLEXSEARCH_URL}`);
+    source = Buffer.from(await res.arrayBuffer());
+    verifyBundle(source, FLEXSEARCH_URL);
+    fs.mkdirSync(FLEXSEARCH_CACHE_DIR, { recursive: true });
+    fs.writeFileSync(cacheFile, source);
+  }
+
+  // The bundle is a browser UMD build; run it in a sandbox that looks like
+  // a window so it attaches itself as `FlexSearch`.
+  const sandbox = { setTimeout, clearTimeout, console };
+  vm.runInNewContext(source.toString("utf8"), sandbox, {
+    filename: "flexsearch.bundle.js",
+  });
+  if (!sandbox.FlexSearch) throw new Error("bundle did not define FlexSearch");
+  return sandbox.FlexSearch;
+}
+
+/**
+ * Build the title Document index and collect its export chunks. FlexSearch
+ * 0.7 exports asynchronously with no completion callback; the "store" chunk
+ * is always emitted last. Empty chunks are left out.
+ */
+function exportFlexIndex(FlexSearch, entries) {
+  const index = new FlexSearch.Document(FLEX_CONFIG);
+  entries.forEach((e, i) => {
+    index.add({
+      idx: i,
+      sectionTitle: e.sectionTitle,
+      pageTitle: e.pageTitle,
+    });
+  });
+
+  return new Promise((resolve) => {
+    const chunks = {};
+    index.export((key, data) => {
+      // Chunks arrive as JSON strings; store them parsed so search-flex.json
+      // is not double-encoded. Document.import() accepts either form.
+      if (data !== undefined) chunks[key] = JSON.parse(data);
+      if (key === "store" || key.endsWith(".store")) resolve(chunks);
+    });
+  });
+}
+
+/**
+ * The slim metadata search.js renders results from: page file names and
+ * titles once in `pages`, and per entry the page's position in that table.
+ */
+function slimIndex(entries) {
+  const pages = [];
+  const pageIds = new Map();
+  return {
+    pages,
+    entries: entries.map((e) => {
+      if (!pageIds.has(e.page)) {
+        pageIds.set(e.page, pages.length);
+        pages.push({ file: e.page, title: e.pageTitle });
+      }
+      const slim = {
+        page: pageIds.get(e.page),
+        kind: e.kind,
+        sectionId: e.sectionId,
+        sectionTitle: e.sectionTitle,
+      };
+      if (e.parents.length) slim.parents = e.parents;
+      return slim;
+    }),
+  };
+}
+
+// Gzipped size budgets in KB, about a third above the current sizes. A file
+// over budget fails the build: split or trim the page that grew, or raise the
+// budget knowingly in the same change.
+const SIZE_BUDGETS_KB = {
+  "search-index.json": 45,
+  "search-text.json": 175,
+  "search-vocab.json": 25,
+  "search-flex.json": 225,
+};
+
+const kb = (n) => `${(n / 1024).toFixed(0)} KB`;
+
+// ---------------------------------------------------------------------------
+// Vocabulary
+// ---------------------------------------------------------------------------
+
+// Words worth suggesting: start with a letter, 3–30 chars. Shorter tokens
+// are too ambiguous to correct towards.
+const VOCAB_WORD_RE = /^[a-z][a-z0-9]{2,29}$/;
+// Heading phrases must recur to be suggested, which keeps one-off titles out.
+const MIN_PHRASE_COUNT = 2;
+
+function vocabWords(str) {
+  return str.toLowerCase().split(/[^a-z0-9]+/);
+}
+
+/**
+ * Count words across headings and body text, plus adjacent word pairs in
+ * section titles ("key vault", "private endpoint") so a run-together typo
+ * like "kevault" can still be corrected. Returns [term, count] pairs, most
+ * frequent first.
+ */
+function buildVocabulary(entries) {
+  const words = new Map();
+  const phrases = new Map();
+  const bump = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+
+  for (const e of entries) {
+    for (const w of vocabWords(`${e.sectionTitle} ${e.text}`)) {
+      if (VOCAB_WORD_RE.test(w)) bump(words, w);
+    }
+    const titleWords = vocabWords(e.sectionTitle);
+    for (let i = 0; i + 1 < titleWords.length; i++) {
+      const [a, b] = [titleWords[i], titleWords[i + 1]];
+      if (/^[a-z]{2,}$/.test(a) && /^[a-z]{2,}$/.test(b)) {
+        bump(phrases, `${a} ${b}`);
+      }
+    }
+  }
+
+  const recurring = [...phrases].filter(([, n]) => n >= MIN_PHRASE_COUNT);
+  return [...words, ...recurring].sort(
+    (a, b) => b[1] - a[1] || a[0].localeCompare(b[0]),
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Synonyms
+// ---------------------------------------------------------------------------
+
+/**
+ * Read and normalise search-synonyms.json: each group becomes a list of
+ * distinct lowercase, whitespace-collapsed terms. A malformed file throws so
+ * the build fails rather than silently shipping without expansion.
+ */
+function loadSynonyms(docsDir) {
+  const file = path.join(docsDir, "search-synonyms.json");
+  if (!fs.existsSync(file)) return [];
+
+  const { groups } = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(groups)) {
+    throw new Error(`${file}: "groups" must be an array`);
+  }
+  return groups.map((group, i) => {
+    if (!Array.isArray(group) || group.some((t) => typeof t !== "string")) {
+      throw new Error(`${file}: group ${i} must be an array of strings`);
+    }
+    const terms = [...new Set(group.map((t) => norm(t.toLowerCase())))];
+    if (terms.filter(Boolean).length < 2) {
+      throw new Error(`${file}: group ${i} needs at least two distinct terms`);
+    }
+    return terms;
+  });
 }
 
 // ---------------------------------------------------------------------------
@@ -177,6 +683,7 @@ function processPage(filepath, filename) {
 
 const docsDir = path.resolve(process.argv[2] || __dirname);
 const assetsDir = path.join(docsDir, "assets");
+const startedAt = Date.now();
 
 const candidates = fs
   .readdirSync(docsDir)
@@ -185,26 +692,106 @@ const candidates = fs
 
 let allEntries = [];
 let patchCount = 0;
+let tocCount = 0;
 
 for (const filename of candidates) {
   const filepath = path.join(docsDir, filename);
   try {
-    const { entries, patched } = processPage(filepath, filename);
+    const { entries, patched, toc } = processPage(
+      filepath,
+      filename,
+      allEntries.length,
+    );
     allEntries = allEntries.concat(entries);
     if (patched) patchCount++;
+    if (toc) tocCount++;
   } catch (err) {
     process.stderr.write(`  WARNING: skipping ${filename}: ${err.message}\n`);
   }
 }
 
-if (!fs.existsSync(assetsDir)) fs.mkdirSync(assetsDir, { recursive: true });
-fs.writeFileSync(
-  path.join(assetsDir, "search-index.json"),
-  JSON.stringify(allEntries),
-  "utf8",
-);
+const overBudget = [];
+
+/**
+ * Write one generated asset and log its raw size and the gzip size GitHub
+ * Pages will actually serve, noting any budget it exceeds.
+ */
+function writeAsset(filename, value) {
+  const json = JSON.stringify(value);
+  fs.writeFileSync(path.join(assetsDir, filename), json, "utf8");
+  const gzipped = zlib.gzipSync(json).length;
+  const budget = SIZE_BUDGETS_KB[filename] * 1024;
+  const over = gzipped > budget ? ` – over its ${kb(budget)} budget` : "";
+  if (over) overBudget.push(`${filename} ${kb(gzipped)} > ${kb(budget)}`);
+  console.log(
+    `    ${filename.padEnd(18)} ${kb(Buffer.byteLength(json))} (${kb(gzipped)} gzipped)${over}`,
+  );
+}
+
+async function main() {
+  const synonyms = loadSynonyms(docsDir);
+  if (!fs.existsSync(assetsDir)) fs.mkdirSync(assetsDir, { recursive: true });
+
+  let chunks = null;
+  try {
+    const FlexSearch = await loadFlexSearch();
+    chunks = await exportFlexIndex(FlexSearch, allEntries);
+  } catch (err) {
+    process.stderr.write(
+      `  WARNING: prebuilt FlexSearch index skipped (${err.message});` +
+        ` browsers will build it on first search.\n`,
+    );
+  }
+
+  const kindCounts = allEntries.reduce((acc, e) => {
+    acc[e.kind] = (acc[e.kind] || 0) + 1;
+    return acc;
+  }, {});
+
+  console.log(
+    `  Search index: ${allEntries.length} entries across ${candidates.length} pages` +
+      ` (${kindCounts.section || 0} sections, ${kindCounts.heading || 0} sub-headings,` +
+      ` ${kindCounts.row || 0} table rows, ${kindCounts.code || 0} code blocks;` +
+      ` ${patchCount} files patched with anchor IDs)`,
+  );
+
+  writeAsset("search-index.json", slimIndex(allEntries));
+  writeAsset(
+    "search-text.json",
+    allEntries.map((e) => e.text),
+  );
+  writeAsset("search-vocab.json", buildVocabulary(allEntries));
+  writeAsset("search-flex.json", {
+    version: FLEXSEARCH_VERSION,
+    config: FLEX_CONFIG,
+    textConfig: TEXT_CONFIG,
+    synonyms,
+    chunks,
+  });
+
+  // Largest pages by indexed text – the ones to split when the index grows.
+  const pageBytes = {};
+  for (const e of allEntries) {
+    pageBytes[e.page] = (pageBytes[e.page] || 0) + Buffer.byteLength(e.text);
+  }
+  const largest = Object.keys(pageBytes)
+    .sort((a, b) => pageBytes[b] - pageBytes[a])
+    .slice(0, 3)
+    .map((p) => `${p} ${(pageBytes[p] / 1024).toFixed(0)} KB`);
+  console.log(`    Synonym groups: ${synonyms.length}`);
+  console.log(`    "On this page" TOCs: ${tocCount} pages`);
+  console.log(`    Largest pages: ${largest.join(", ")}`);
+  console.log(`    Index built in ${Date.now() - startedAt} ms`);
+
+  if (overBudget.length) {
+    throw new Error(
+      `search assets over their gzipped size budget: ${overBudget.join(", ")}` +
+        " (see SIZE_BUDGETS_KB in generate-search-index.js)",
+    );
+  }
+}
 
-console.log(
-  `  Search index: ${allEntries.length} sections across ${candidates.length} pages` +
-    ` (${patchCount} files patched with heading IDs)`,
-);
+main().catch((err) => {
+  process.stderr.write(`  ERROR: ${err.stack || err.message}\n`);
+  process.exit(1);
+});
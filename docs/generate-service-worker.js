@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * generate-service-worker.js
+ *
+ * Writes sw.js (the offline service worker) from _partials/sw.js. The
+ * precache manifest lists every built page, every diagram and script under
+ * assets/, and the generated search files, each with a short content hash.
+ * External scripts the pages load (FlexSearch from the CDN) are read from
+ * the built index.html so search keeps working offline.
+ *
+ * Usage:  node generate-service-worker.js <docs_dir>
+ * Called from build.sh after generate-search-index.js, so the manifest
+ * hashes the final HTML (with patched heading ids) and search files.
+ *
+ * No external npm dependencies – only Node.js built-ins.
+ */
+
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Large PNG screenshots are left to the worker's runtime cache instead.
+const PRECACHE_ASSET_RE = /\.(svg|js|json|jpg)$/;
+const EXTERNAL_SCRIPT_RE = /<script\b[^>]*\bsrc="(https:\/\/[^"]+)"/gi;
+
+function contentHash(buf) {
+  return crypto.createHash("sha256").update(buf).digest("hex").slice(0, 12);
+}
+
+/** Manifest paths, relative to the docs root with forward slashes. */
+function precachePaths(docsDir) {
+  const pages = fs
+    .readdirSync(docsDir)
+    .filter((f) => f.endsWith(".html") && !f.startsWith("_"));
+  const assets = fs
+    .readdirSync(path.join(docsDir, "assets"))
+    .filter((f) => PRECACHE_ASSET_RE.test(f))
+    .map((f) => `assets/${f}`);
+  return pages.concat(assets).sort();
+}
+
+function externalScripts(docsDir) {
+  const index = path.join(docsDir, "index.html");
+  if (!fs.existsSync(index)) return [];
+  const html = fs.readFileSync(index, "utf8");
+  return [...html.matchAll(EXTERNAL_SCRIPT_RE)].map((m) => m[1]);
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+const docsDir = path.resolve(process.argv[2] || __dirname);
+const template = fs.readFileSync(
+  path.join(docsDir, "_partials", "sw.js"),
+  "utf8",
+);
+
+const manifest = {};
+let totalBytes = 0;
+for (const rel of precachePaths(docsDir)) {
+  const buf = fs.readFileSync(path.join(docsDir, rel));
+  manifest[rel] = contentHash(buf);
+  totalBytes += buf.length;
+}
+const external = externalScripts(docsDir);
+const buildHash = contentHash(JSON.stringify({ manifest, external }));
+
+// Function replacements so "$" in a value is never read as a pattern.
+const sw = template
+  .replace("{{BUILD_HASH}}", () => buildHash)
+  .replace("{{PRECACHE_MANIFEST}}", () => JSON.stringify(manifest, null, 2))
+  .replace("{{EXTERNAL_ASSETS}}", () => JSON.stringify(external));
+fs.writeFileSync(path.join(docsDir, "sw.js"), sw, "utf8");
+
+console.log(
+  `  Service worker: ${Object.keys(manifest).length} files precached` +
+    ` (${(totalBytes / 1024).toFixed(0)} KB) + ${external.length} external,` +
+    ` build ${buildHash}`,
+);
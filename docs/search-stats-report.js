@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+/**
+ * search-stats-report.js
+ *
+ * Merges "Download search stats" exports from the docs search modal
+ * (search.js) into one report: the most frequent queries, the queries that
+ * returned nothing (candidates for missing docs) and the most-clicked
+ * sections. Files can overlap – the same browser exported twice – so events
+ * are de-duplicated by their random id.
+ *
+ * Usage:  node search-stats-report.js <export.json>... [--top N] [--json <path>]
+ *   --top N        rows per table (default 20)
+ *   --json <path>  also write the report as JSON
+ *
+ * Not part of build.sh; run it by hand on collected exports.
+ *
+ * No external npm dependencies – only Node.js built-ins.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const EXPORT_FORMAT = "ai-hub-docs-search-stats";
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function parseArgs(argv) {
+  const opts = { files: [], top: 20, json: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--top") opts.top = Number(argv[++i]) || opts.top;
+    else if (argv[i] === "--json") opts.json = argv[++i];
+    else opts.files.push(argv[i]);
+  }
+  return opts;
+}
+
+/** Events from one export file; throws on anything that is not an export. */
+function readExport(file) {
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (data.format !== EXPORT_FORMAT || !Array.isArray(data.events)) {
+    throw new Error(`${file}: not a search stats export`);
+  }
+  return data.events.filter((e) => e && typeof e.query === "string");
+}
+
+function mergeEvents(files) {
+  const byId = new Map();
+  for (const file of files) {
+    for (const e of readExport(file)) {
+      byId.set(e.id || `${file}:${byId.size}`, e);
+    }
+  }
+  return [...byId.values()];
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[mid]
+    : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+// ---------------------------------------------------------------------------
+// Report
+// ---------------------------------------------------------------------------
+
+function buildReport(events, top) {
+  const queries = new Map();
+  const sections = new Map();
+
+  for (const e of events) {
+    let q = queries.get(e.query);
+    if (!q) {
+      q = { query: e.query, count: 0, zeroResults: 0, clicks: 0, ms: [] };
+      q.lastSeen = e.day;
+      queries.set(e.query, q);
+    }
+    q.count++;
+    if (!e.results) q.zeroResults++;
+    if (e.day && e.day > q.lastSeen) q.lastSeen = e.day;
+    if (e.page) {
+      q.clicks++;
+      if (typeof e.msToClick === "number") q.ms.push(e.msToClick);
+      const key = `${e.page}#${e.section || ""}`;
+      sections.set(key, (sections.get(key) || 0) + 1);
+    }
+  }
+
+  const all = [...queries.values()].map((q) => ({
+    query: q.query,
+    count: q.count,
+    zeroResults: q.zeroResults,
+    clickRate: Math.round((q.clicks / q.count) * 100),
+    medianMsToClick: median(q.ms),
+    lastSeen: q.lastSeen,
+  }));
+  const byCount = (a, b) => b.count - a.count || a.query.localeCompare(b.query);
+
+  const days = events
+    .map((e) => e.day)
+    .filter(Boolean)
+    .sort();
+  return {
+    events: events.length,
+    distinctQueries: all.length,
+    from: days[0] || null,
+    to: days[days.length - 1] || null,
+    zeroResultRate: events.length
+      ? Math.round(
+          (events.filter((e) => !e.results).length / events.length) * 100,
+        )
+      : 0,
+    topQueries: all.slice().sort(byCount).slice(0, top),
+    zeroResultQueries: all
+      .filter((q) => q.zeroResults > 0)
+      .map((q) => ({
+        query: q.query,
+        count: q.zeroResults,
+        lastSeen: q.lastSeen,
+      }))
+      .sort(byCount)
+      .slice(0, top),
+    topSections: [...sections]
+      .map(([target, clicks]) => ({ target, clicks }))
+      .sort((a, b) => b.clicks - a.clicks || a.target.localeCompare(b.target))
+      .slice(0, top),
+  };
+}
+
+function printTable(title, rows, columns) {
+  console.log(`\n${title}`);
+  if (rows.length === 0) {
+    console.log("  (none)");
+    return;
+  }
+  const widths = columns.map(([label, key]) =>
+    Math.max(label.length, ...rows.map((r) => String(r[key] ?? "–").length)),
+  );
+  const line = (cells) =>
+    (
+      "  " + cells.map((c, i) => String(c).padEnd(widths[i])).join("  ")
+    ).trimEnd();
+  console.log(line(columns.map(([label]) => label)));
+  for (const r of rows)
+    console.log(line(columns.map(([, key]) => r[key] ?? "–")));
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+const opts = parseArgs(process.argv.slice(2));
+if (opts.files.length === 0) {
+  process.stderr.write(
+    "Usage: node search-stats-report.js <export.json>... [--top N] [--json <path>]\n",
+  );
+  process.exit(2);
+}
+
+let report;
+try {
+  report = buildReport(mergeEvents(opts.files), opts.top);
+} catch (err) {
+  process.stderr.write(`  ERROR: ${err.message}\n`);
+  process.exit(1);
+}
+
+console.log(
+  `Search stats: ${report.events} searches, ${report.distinctQueries} distinct queries` +
+    ` from ${opts.files.length} export(s)` +
+    (report.from ? ` (${report.from} – ${report.to})` : "") +
+    `; ${report.zeroResultRate}% returned nothing`,
+);
+printTable("Top queries", report.topQueries, [
+  ["Query", "query"],
+  ["Searches", "count"],
+  ["Zero-result", "zeroResults"],
+  ["Click %", "clickRate"],
+  ["Median ms to click", "medianMsToClick"],
+]);
+printTable("Zero-result queries (missing docs?)", report.zeroResultQueries, [
+  ["Query", "query"],
+  ["Searches", "count"],
+  ["Last seen", "lastSeen"],
+]);
+printTable("Most-clicked sections", report.topSections, [
+  ["Page#section", "target"],
+  ["Clicks", "clicks"],
+]);
+
+if (opts.json) {
+  fs.writeFileSync(
+    path.resolve(opts.json),
+    JSON.stringify(report, null, 2) + "\n",
+    "utf8",
+  );
+  console.log(`\nJSON report written to ${opts.json}`);
+}
@@ -11,10 +11,14 @@ const sharedEnv = {
   PORTAL_MOCK_USER_EMAIL: process.env.PORTAL_MOCK_USER_EMAIL || 'playwright.admin@gov.bc.ca',
   PORTAL_MOCK_USER_NAME: process.env.PORTAL_MOCK_USER_NAME || 'Playwright Admin',
   PORTAL_MOCK_USER_USERNAME: process.env.PORTAL_MOCK_USER_USERNAME || 'playwright.admin',
-  PORTAL_MOCK_USER_ROLES: process.env.PORTAL_MOCK_USER_ROLES || 'portal-admin',
+  PORTAL_MOCK_USER_ROLES:
+    process.env.PORTAL_MOCK_USER_ROLES || 'portal-admin,portal-security-reviewer,portal-finance',
   PORTAL_OIDC_ADMIN_ROLE: process.env.PORTAL_OIDC_ADMIN_ROLE || 'portal-admin',
   PORTAL_TABLE_STORAGE_CONNECTION_STRING: '',
   PORTAL_TABLE_STORAGE_ACCOUNT_URL: '',
+  PORTAL_STORAGE_BACKEND: process.env.PORTAL_STORAGE_BACKEND || 'sqlite',
+  PORTAL_SQLITE_PATH: process.env.PORTAL_SQLITE_PATH || ':memory:',
+  PORTAL_NOTIFY_TRANSPORTS: process.env.PORTAL_NOTIFY_TRANSPORTS || 'file',
   PORTAL_OIDC_DISCOVERY_URL: '',
 };
 
@@ -4,9 +4,12 @@ process.env.PORTAL_MOCK_ACCESS_TOKEN = process.env.PORTAL_MOCK_ACCESS_TOKEN || '
 process.env.PORTAL_MOCK_USER_EMAIL = process.env.PORTAL_MOCK_USER_EMAIL || 'playwright.admin@gov.bc.ca'
 process.env.PORTAL_MOCK_USER_NAME = process.env.PORTAL_MOCK_USER_NAME || 'Playwright Admin'
 process.env.PORTAL_MOCK_USER_USERNAME = process.env.PORTAL_MOCK_USER_USERNAME || 'playwright.admin'
-process.env.PORTAL_MOCK_USER_ROLES = process.env.PORTAL_MOCK_USER_ROLES || 'portal-admin'
+process.env.PORTAL_MOCK_USER_ROLES = process.env.PORTAL_MOCK_USER_ROLES || 'portal-admin,portal-security-reviewer,portal-finance'
 process.env.PORTAL_TABLE_STORAGE_CONNECTION_STRING = ''
 process.env.PORTAL_TABLE_STORAGE_ACCOUNT_URL = ''
+process.env.PORTAL_STORAGE_BACKEND = process.env.PORTAL_STORAGE_BACKEND || 'sqlite'
+process.env.PORTAL_SQLITE_PATH = process.env.PORTAL_SQLITE_PATH || ':memory:'
+process.env.PORTAL_NOTIFY_TRANSPORTS = process.env.PORTAL_NOTIFY_TRANSPORTS || 'file'
 process.env.PORTAL_OIDC_DISCOVERY_URL = ''
 
 require('../dist/main.js')
\ No newline at end of file
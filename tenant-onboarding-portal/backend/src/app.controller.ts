@@ -1,10 +1,15 @@
 import {
+  BadGatewayException,
   BadRequestException,
   Body,
   ConflictException,
   Controller,
+  Delete,
   ForbiddenException,
   Get,
+  HttpCode,
+  HttpException,
+  HttpStatus,
   Inject,
   NotFoundException,
   Param,
@@ -19,23 +24,104 @@ import type { Request, Response } from 'express';
 
 import { AuthSessionService } from './auth/session.service';
 import { TokenValidatorService } from './auth/token-validator.service';
-import { FORM_SCHEMA } from './models/form-schema';
-import { parseTenantForm } from './models/tenant-form';
-import { HubKeyVaultService } from './services/hub-keyvault.service';
+import { migrateFormData, planFormMigrations } from './models/form-migrations';
+import { FORM_SCHEMA, FORM_VERSION } from './models/form-schema';
+import {
+  parseCostEstimateInput,
+  parseTenantDraft,
+  parseTenantForm,
+  parseTenantSubmission,
+} from './models/tenant-form';
+import {
+  approveStage,
+  buildStageQueues,
+  closeStage,
+  currentStage,
+  startApproval,
+} from './services/approval-workflow';
+import { estimateTenantCost } from './services/cost-estimator';
+import { GitHubPrService } from './services/github-pr.service';
+import { ApimKeyError } from './services/apim-key-client';
+import {
+  PLAYGROUND_TIMEOUT_MS,
+  buildPlaygroundCall,
+  extractPlaygroundUsage,
+  parsePlaygroundRequest,
+  visiblePlaygroundHeaders,
+} from './services/api-playground';
+import {
+  HubKeyVaultService,
+  KeyRegenerationCooldownError,
+  KeyRegenerationUnavailableError,
+} from './services/hub-keyvault.service';
+import { NotificationService } from './services/notification.service';
+import { TfvarsDirError, exportTenants, importTenantTfvars } from './services/tenant-bulk';
+import type { TenantImportSource } from './services/tenant-bulk';
+import {
+  disabledEnvironments,
+  newestApproved,
+  parseDecommissionRequest,
+  registryStatus,
+} from './services/tenant-lifecycle';
+import { detectDrift } from './services/tfvars-drift';
 import { generateAllEnvTfvars } from './services/tfvars-generator';
-import { TenantStoreService } from './storage/tenant-store.service';
+import { USAGE_CLIENTS, UsageApiError } from './services/usage-client';
+import type { UsageClient } from './services/usage-client';
+import { USAGE_RANGES, buildUsageReport, usageWindow } from './services/usage-report';
+import {
+  diffFormData,
+  diffVersions,
+  lastApprovedBefore,
+  versionNumber,
+} from './services/version-diff';
+import { AuditStoreService } from './storage/audit-store.service';
+import { SessionStoreService } from './storage/session-store.service';
+import { TENANT_STORE } from './storage/tenant-store';
+import type { TenantStore } from './storage/tenant-store';
 import { getSettings } from './config/settings';
 import type {
+  ApimKeyRegeneration,
   ApimTenantInfoModel,
+  ApprovalStage,
+  ApprovalWorkflow,
+  AuditAction,
   ApimTenantInfoResponse,
+  DriftReport,
+  FormMigrationPlanItem,
   HubEnv,
+  PlaygroundEvent,
   PortalUser,
   RawApimTenantInfoModel,
   RawApimTenantInfoResponse,
+  TenantDraft,
+  TenantExportFormat,
   TenantFormData,
   TenantRecord,
+  TenantUsageReport,
+  UsageRange,
+  UsageSample,
+  VersionDiff,
 } from './types';
 
+const AUDIT_ACTIONS: AuditAction[] = [
+  'create',
+  'edit',
+  'approve',
+  'reject',
+  'request_changes',
+  'credentials_view',
+  'tenant_info_view',
+  'credentials_regenerate',
+  'playground_request',
+  'import',
+  'decommission',
+];
+
+const HUB_ENVS: HubEnv[] = ['dev', 'test', 'prod'];
+
+/** Most tenants one import request may carry; larger batches go through the CLI. */
+const MAX_IMPORT_TENANTS = 50;
+
 @Controller()
 export class AppController {
   /**
@@ -45,16 +131,31 @@ export class AppController {
    * @param tokenValidator - Validates and decodes bearer tokens.
    * @param tenantStore - Provides read and write access to tenant records.
    * @param hubKeyVault - Retrieves APIM credentials from Azure Key Vault per hub environment.
+   * @param gitHubPr - Opens the `infra-ai-hub` pull request for approved requests.
+   * @param auditStore - Appends and lists audit events.
+   * @param notifications - Sends request lifecycle notifications.
+   * @param sessionStore - Reads and saves user profiles.
+   * @param usageClients - Reads tenant token usage per hub environment.
    */
   constructor(
     @Inject(AuthSessionService)
     private readonly authSession: AuthSessionService,
     @Inject(TokenValidatorService)
     private readonly tokenValidator: TokenValidatorService,
-    @Inject(TenantStoreService)
-    private readonly tenantStore: TenantStoreService,
+    @Inject(TENANT_STORE)
+    private readonly tenantStore: TenantStore,
     @Inject(HubKeyVaultService)
     private readonly hubKeyVault: HubKeyVaultService,
+    @Inject(GitHubPrService)
+    private readonly gitHubPr: GitHubPrService,
+    @Inject(AuditStoreService)
+    private readonly auditStore: AuditStoreService,
+    @Inject(NotificationService)
+    private readonly notifications: NotificationService,
+    @Inject(SessionStoreService)
+    private readonly sessionStore: SessionStoreService,
+    @Inject(USAGE_CLIENTS)
+    private readonly usageClients: Record<HubEnv, UsageClient | null>,
   ) {}
 
   /**
@@ -72,22 +173,61 @@ export class AppController {
    *
    * @param request - The incoming HTTP request containing the session cookie.
    * @param response - The outgoing HTTP response used to refresh the session cookie.
-   * @returns An object with `authenticated`, `user`, and `isAdmin` fields.
+   * @returns An object with `authenticated`, `user`, `isAdmin`, `isReviewer` (admin or
+   *   approval stage reviewer), and `notificationsOptOut` fields.
    */
   @Get('api/session')
   async session(@Req() request: Request, @Res({ passthrough: true }) response: Response) {
     const user = await this.getOptionalUser(request, response);
     if (!user) {
-      return { authenticated: false, user: null, isAdmin: false };
+      return {
+        authenticated: false,
+        user: null,
+        isAdmin: false,
+        isReviewer: false,
+        notificationsOptOut: false,
+      };
     }
 
+    const profile = await this.sessionStore.getProfile(user.email);
     return {
       authenticated: true,
       user,
       isAdmin: this.tokenValidator.userHasAdminAccess(user),
+      isReviewer: this.userIsReviewer(user),
+      notificationsOptOut: profile.notificationsOptOut,
     };
   }
 
+  /**
+   * Updates the signed-in user's profile preferences. `notificationsOptOut` stops
+   * request lifecycle emails to the user; shared channels such as Teams still post.
+   *
+   * @param payload - The request body with a boolean `notificationsOptOut`.
+   * @param request - The incoming HTTP request containing the session cookie.
+   * @param response - The outgoing HTTP response used to refresh the session cookie.
+   * @returns The saved `notificationsOptOut` value.
+   * @throws BadRequestException when `notificationsOptOut` is not a boolean.
+   */
+  @Put('api/session/preferences')
+  async updatePreferences(
+    @Body() payload: { notificationsOptOut?: unknown } | undefined,
+    @Req() request: Request,
+    @Res({ passthrough: true }) response: Response,
+  ) {
+    const user = await this.requireLogin(request, response);
+    if (typeof payload?.notificationsOptOut !== 'boolean') {
+      throw new BadRequestException('notificationsOptOut must be a boolean');
+    }
+
+    await this.sessionStore.saveProfile({
+      email: user.email,
+      notificationsOptOut: payload.notificationsOptOut,
+      updatedAt: new Date().toISOString(),
+    });
+    return { notificationsOptOut: payload.notificationsOptOut };
+  }
+
   /**
    * Returns the public OIDC configuration required by the frontend to build login and logout URLs.
    *
@@ -182,6 +322,28 @@ export class AppController {
     return FORM_SCHEMA;
   }
 
+  /**
+   * Estimates the OpenAI throughput and monthly cost of a tenant request from its
+   * cost-relevant form fields. The form may be incomplete, so the page can preview
+   * the estimate while the user edits.
+   *
+   * @param payload - The tenant form, complete or partial.
+   * @param request - The incoming HTTP request containing the session cookie.
+   * @param response - The outgoing HTTP response used to refresh the session cookie.
+   * @returns The cost estimate: per-deployment TPM and per-service monthly cost ranges.
+   * @throws UnprocessableEntityException when a model family or capacity tier is unknown.
+   */
+  @Post('api/cost-estimate')
+  @HttpCode(200)
+  async costEstimate(
+    @Body() payload: unknown,
+    @Req() request: Request,
+    @Res({ passthrough: true }) response: Response,
+  ) {
+    await this.requireLogin(request, response);
+    return estimateTenantCost(parseCostEstimateInput(payload));
+  }
+
   /**
    * Lists all current tenant versions submitted by the authenticated user.
    *
@@ -198,13 +360,15 @@ export class AppController {
   /**
    * Creates a new tenant onboarding request at version 1. Parses and validates the
    * request body, generates Terraform variable files for all environments, and persists
-   * the record to the store.
+   * the record to the store. Existing tenants, archived ones included, change only
+   * through `updateTenant`.
    *
    * @param payload - The raw request body containing tenant form fields.
    * @param request - The incoming HTTP request containing the session cookie.
    * @param response - The outgoing HTTP response used to refresh the session cookie.
    * @returns An object with the created `tenant` record and the initial `version` entry.
    * @throws If the payload fails validation or the user is not authenticated.
+   * @throws ConflictException when a tenant with that project name already exists.
    */
   @Post('api/tenants')
   async createTenant(
@@ -213,7 +377,10 @@ export class AppController {
     @Res({ passthrough: true }) response: Response,
   ) {
     const user = await this.requireLogin(request, response);
-    const tenantForm = parseTenantForm(payload);
+    const tenantForm = parseTenantSubmission(payload, undefined);
+    if (await this.tenantStore.getCurrent(tenantForm.project_name)) {
+      throw new ConflictException(`Tenant ${tenantForm.project_name} already exists`);
+    }
     const tfvars = generateAllEnvTfvars(tenantForm);
     const version = await this.tenantStore.createRequest(
       tenantForm.project_name,
@@ -222,18 +389,32 @@ export class AppController {
       tfvars,
       user.email,
     );
+    await this.tenantStore.deleteDraft(tenantForm.project_name, user.email);
+    await this.startApprovalWorkflow(tenantForm.project_name, version, tenantForm);
+    await this.auditStore.record({
+      tenantName: tenantForm.project_name,
+      version,
+      action: 'create',
+      actor: user.email,
+      summary: `Submitted ${version}`,
+      toStatus: 'submitted',
+    });
+    await this.notifications.notify('submitted', tenantForm.project_name, version);
     const tenant = await this.tenantStore.getCurrent(tenantForm.project_name);
     return { tenant, version };
   }
 
   /**
    * Returns the current version and full version history for the given tenant.
-   * Only the submitting user or an admin may access the record.
+   * Only the submitting user or an admin may access the record. When the current
+   * version was stored on an older form version, `form_migration` carries its form
+   * data upgraded to the current form and what the upgrade changed, for editing.
    *
    * @param tenantName - The partition key / project name of the tenant.
    * @param request - The incoming HTTP request containing the session cookie.
    * @param response - The outgoing HTTP response used to refresh the session cookie.
-   * @returns An object with the `tenant` record and a `versions` array.
+   * @returns An object with the `tenant` record, a `versions` array, and
+   *   `form_migration` (`null` when the form is current).
    * @throws NotFoundException when the tenant does not exist.
    * @throws ForbiddenException when the user is neither the submitter nor an admin.
    */
@@ -259,13 +440,15 @@ export class AppController {
     return {
       tenant,
       versions: await this.tenantStore.listVersions(tenantName),
+      form_migration: migrateFormData(tenant.FormData ?? {}),
     };
   }
 
   /**
    * Creates a new version of an existing tenant request with updated form data.
    * Regenerates Terraform variable files and appends the new version to the store.
-   * Only the original submitter or an admin may update a tenant.
+   * Environments decommissioned by the last approved version stay decommissioned, and
+   * its custom model deployments are kept. Only the original submitter or an admin may update a tenant.
    *
    * @param tenantName - The partition key / project name of the tenant to update.
    * @param payload - The raw request body containing the updated tenant form fields.
@@ -273,6 +456,7 @@ export class AppController {
    * @param response - The outgoing HTTP response used to refresh the session cookie.
    * @returns An object with the updated `tenant` record and the new `version` entry.
    * @throws ForbiddenException when the user is neither the original submitter nor an admin.
+   * @throws ConflictException when the tenant is archived.
    */
   @Put('api/tenants/:tenantName')
   async updateTenant(
@@ -290,7 +474,17 @@ export class AppController {
     ) {
       throw new ForbiddenException('Access denied');
     }
-    const tenantForm = parseTenantForm(payload);
+    if (existing?.Archived) {
+      throw new ConflictException('Tenant is decommissioned');
+    }
+    const baseline = existing
+      ? newestApproved(await this.tenantStore.listVersions(tenantName))
+      : null;
+    const tenantForm = parseTenantSubmission(payload, baseline?.FormData?.custom_model_deployments);
+    const disabled = disabledEnvironments(baseline?.FormData);
+    if (disabled.length > 0) {
+      tenantForm.disabled_environments = disabled;
+    }
     const tfvars = generateAllEnvTfvars(tenantForm);
     const version = await this.tenantStore.createRequest(
       tenantName,
@@ -299,36 +493,237 @@ export class AppController {
       tfvars,
       user.email,
     );
+    await this.tenantStore.deleteDraft(tenantName, user.email);
+    await this.startApprovalWorkflow(tenantName, version, tenantForm);
+    const changes = existing ? diffFormData(existing.FormData ?? {}, tenantForm) : [];
+    await this.auditStore.record({
+      tenantName,
+      version,
+      action: existing ? 'edit' : 'create',
+      actor: user.email,
+      summary: existing
+        ? `Submitted ${version}: ${
+            changes.map((change) => `${change.label}: ${change.summary}`).join('; ') ||
+            'no form changes'
+          }`
+        : `Submitted ${version}`,
+      fromStatus: existing?.Status ?? null,
+      toStatus: 'submitted',
+    });
+    await this.notifications.notify('submitted', tenantName, version);
     const tenant = await this.tenantStore.getCurrent(tenantName);
     return { tenant, version };
   }
 
   /**
-   * Returns the admin dashboard data: all currently pending submissions and the
-   * latest version of every tenant in the system. Requires admin access.
+   * Requests that a tenant be switched off in some environments, or all of them. The
+   * new version copies the last approved form with the environments added to
+   * `disabled_environments`, so its tfvars set `enabled = false` there, and goes
+   * through the usual review. Approving a decommission of every environment archives
+   * the tenant. Only the original submitter or an admin may decommission a tenant.
+   *
+   * @param tenantName - The partition key / project name of the tenant.
+   * @param payload - The raw request body, `{ environments: ['prod', ...] }`.
+   * @param request - The incoming HTTP request containing the session cookie.
+   * @param response - The outgoing HTTP response used to refresh the session cookie.
+   * @returns An object with the updated `tenant` record and the new `version` entry.
+   * @throws NotFoundException when the tenant does not exist.
+   * @throws ForbiddenException when the user is neither the original submitter nor an admin.
+   * @throws ConflictException when the tenant is archived or has no approved version.
+   */
+  @Post('api/tenants/:tenantName/decommission')
+  async decommissionTenant(
+    @Param('tenantName') tenantName: string,
+    @Body() payload: unknown,
+    @Req() request: Request,
+    @Res({ passthrough: true }) response: Response,
+  ) {
+    const user = await this.requireLogin(request, response);
+    const existing = await this.tenantStore.getCurrent(tenantName);
+    if (!existing) {
+      throw new NotFoundException('Tenant not found');
+    }
+    if (existing.SubmittedBy !== user.email && !this.tokenValidator.userHasAdminAccess(user)) {
+      throw new ForbiddenException('Access denied');
+    }
+    if (existing.Archived) {
+      throw new ConflictException('Tenant is decommissioned');
+    }
+    const baseline = newestApproved(await this.tenantStore.listVersions(tenantName));
+    if (!baseline) {
+      throw new ConflictException('Only an approved tenant can be decommissioned');
+    }
+
+    const alreadyDisabled = disabledEnvironments(baseline.FormData);
+    const disabled = parseDecommissionRequest(payload, alreadyDisabled);
+    const formData = baseline.FormData ?? {};
+    const tenantForm: TenantFormData = {
+      ...parseTenantForm(migrateFormData(formData)?.form_data ?? formData),
+      disabled_environments: disabled,
+    };
+    const tfvars = generateAllEnvTfvars(tenantForm);
+    const version = await this.tenantStore.createRequest(
+      tenantName,
+      tenantForm.display_name,
+      tenantForm as unknown as Record<string, unknown>,
+      tfvars,
+      user.email,
+    );
+    await this.startApprovalWorkflow(tenantName, version, tenantForm);
+    const added = disabled.filter((env) => !alreadyDisabled.includes(env));
+    await this.auditStore.record({
+      tenantName,
+      version,
+      action: 'decommission',
+      actor: user.email,
+      summary: `Submitted ${version}: decommission ${added.join(', ')}${
+        disabled.length === HUB_ENVS.length ? ' (archives the tenant)' : ''
+      }`,
+      fromStatus: existing.Status,
+      toStatus: 'submitted',
+    });
+    await this.notifications.notify('submitted', tenantName, version);
+    const tenant = await this.tenantStore.getCurrent(tenantName);
+    return { tenant, version };
+  }
+
+  /**
+   * Lists the authenticated user's unexpired drafts, so they can resume them.
+   *
+   * @param request - The incoming HTTP request containing the session cookie.
+   * @param response - The outgoing HTTP response used to refresh the session cookie.
+   * @returns An object with an `items` array of drafts, each with its `ExpiresAt`.
+   */
+  @Get('api/drafts')
+  async listDrafts(@Req() request: Request, @Res({ passthrough: true }) response: Response) {
+    const user = await this.requireLogin(request, response);
+    const items: TenantDraft[] = [];
+    for (const draft of await this.tenantStore.listDrafts(user.email)) {
+      const live = await this.liveDraft(draft, user.email);
+      if (live) items.push(live);
+    }
+    return { items };
+  }
+
+  /**
+   * Returns the authenticated user's draft of a tenant request.
+   *
+   * @param tenantName - The tenant the draft is for.
+   * @param request - The incoming HTTP request containing the session cookie.
+   * @param response - The outgoing HTTP response used to refresh the session cookie.
+   * @returns An object with the `draft`.
+   * @throws NotFoundException when the user has no draft for the tenant or it expired.
+   */
+  @Get('api/tenants/:tenantName/draft')
+  async getDraft(
+    @Param('tenantName') tenantName: string,
+    @Req() request: Request,
+    @Res({ passthrough: true }) response: Response,
+  ) {
+    const user = await this.requireLogin(request, response);
+    const draft = await this.liveDraft(
+      await this.tenantStore.getDraft(tenantName, user.email),
+      user.email,
+    );
+    if (!draft) {
+      throw new NotFoundException('Draft not found');
+    }
+    return { draft };
+  }
+
+  /**
+   * Saves the form as the authenticated user's draft of a tenant request, replacing any
+   * earlier draft. The form is not validated beyond its tenant name, and nothing is
+   * submitted for review. Drafts of an existing tenant follow the same access rule as
+   * submitting a new version.
+   *
+   * @param tenantName - The tenant the draft is for.
+   * @param payload - The tenant form fields entered so far.
+   * @param request - The incoming HTTP request containing the session cookie.
+   * @param response - The outgoing HTTP response used to refresh the session cookie.
+   * @returns An object with the saved `draft`.
+   * @throws UnprocessableEntityException when the tenant name or body is invalid.
+   * @throws ForbiddenException when the tenant exists and the user may not update it.
+   */
+  @Put('api/tenants/:tenantName/draft')
+  async saveDraft(
+    @Param('tenantName') tenantName: string,
+    @Body() payload: unknown,
+    @Req() request: Request,
+    @Res({ passthrough: true }) response: Response,
+  ) {
+    const user = await this.requireLogin(request, response);
+    const formData = parseTenantDraft(tenantName, payload);
+    const existing = await this.tenantStore.getCurrent(tenantName);
+    if (
+      existing &&
+      existing.SubmittedBy !== user.email &&
+      !this.tokenValidator.userHasAdminAccess(user)
+    ) {
+      throw new ForbiddenException('Access denied');
+    }
+
+    const draft = await this.tenantStore.saveDraft(
+      tenantName,
+      typeof formData.display_name === 'string' ? formData.display_name : '',
+      formData,
+      user.email,
+    );
+    return { draft: await this.liveDraft(draft, user.email) };
+  }
+
+  /**
+   * Discards the authenticated user's draft of a tenant request, if any.
    *
+   * @param tenantName - The tenant the draft is for.
    * @param request - The incoming HTTP request containing the session cookie.
    * @param response - The outgoing HTTP response used to refresh the session cookie.
-   * @returns An object with `pending` submissions and `all_tenants` current versions.
+   */
+  @Delete('api/tenants/:tenantName/draft')
+  @HttpCode(204)
+  async deleteDraft(
+    @Param('tenantName') tenantName: string,
+    @Req() request: Request,
+    @Res({ passthrough: true }) response: Response,
+  ): Promise<void> {
+    const user = await this.requireLogin(request, response);
+    await this.tenantStore.deleteDraft(tenantName, user.email);
+  }
+
+  /**
+   * Returns the admin dashboard data: all currently pending submissions, one queue per
+   * approval stage with overdue items flagged, and the latest version of every tenant
+   * in the system. Requires admin or approval stage reviewer access.
+   *
+   * @param request - The incoming HTTP request containing the session cookie.
+   * @param response - The outgoing HTTP response used to refresh the session cookie.
+   * @returns An object with `pending` submissions, `stages` queues, and `all_tenants`
+   *   current versions.
    */
   @Get('api/admin/dashboard')
   async adminDashboard(@Req() request: Request, @Res({ passthrough: true }) response: Response) {
-    await this.requireAdmin(request, response);
+    await this.requireReviewer(request, response);
+    const pending = await this.tenantStore.listByStatus('submitted');
     return {
-      pending: await this.tenantStore.listByStatus('submitted'),
+      pending,
+      stages: buildStageQueues(getSettings().approvalStages, pending),
       all_tenants: await this.tenantStore.listAllCurrent(),
     };
   }
 
   /**
-   * Returns the specific tenant version record needed for an admin to perform a review.
-   * Requires admin access.
+   * Returns the specific tenant version record needed for an admin to perform a review,
+   * plus the tenant's other versions so the page can diff against them. Requires admin or
+   * approval stage reviewer access.
    *
    * @param tenantName - The partition key / project name of the tenant.
    * @param version - The row key / version identifier to review.
    * @param request - The incoming HTTP request containing the session cookie.
    * @param response - The outgoing HTTP response used to refresh the session cookie.
-   * @returns An object with `tenant_request` containing the full version record.
+   * @returns An object with `tenant_request` containing the full version record,
+   *   `versions` (every version and its status, newest first), and
+   *   `last_approved_version` (the newest approved version before this one, or `null`),
+   *   and the version's cost `estimate`.
    * @throws NotFoundException when the version record does not exist.
    */
   @Get('api/admin/review/:tenantName/:version')
@@ -338,25 +733,249 @@ export class AppController {
     @Req() request: Request,
     @Res({ passthrough: true }) response: Response,
   ) {
-    await this.requireAdmin(request, response);
+    await this.requireReviewer(request, response);
     const tenantRequest = await this.tenantStore.getVersion(tenantName, version);
     if (!tenantRequest) {
       throw new NotFoundException('Request not found');
     }
 
-    return { tenant_request: tenantRequest };
+    const formData = tenantRequest.FormData ?? {};
+    const versions = (await this.tenantStore.listVersions(tenantName)).sort(
+      (left, right) => versionNumber(right.RowKey) - versionNumber(left.RowKey),
+    );
+    return {
+      tenant_request: tenantRequest,
+      versions: versions.map((record) => ({ version: record.RowKey, status: record.Status })),
+      last_approved_version: lastApprovedBefore(versions, version),
+      estimate: estimateTenantCost(
+        parseCostEstimateInput(migrateFormData(formData)?.form_data ?? formData),
+      ),
+    };
   }
 
   /**
-   * Approves a tenant version, setting its status to `approved` and recording
-   * the reviewing admin's email and any review notes. Requires admin access.
+   * Compares two versions of a tenant request: changed form fields and a side-by-side
+   * line diff of each environment's generated tfvars. Requires admin or approval stage
+   * reviewer access.
+   *
+   * @param tenantName - The partition key / project name of the tenant.
+   * @param from - The baseline version, usually the last approved one.
+   * @param to - The version under review.
+   * @param request - The incoming HTTP request containing the session cookie.
+   * @param response - The outgoing HTTP response used to refresh the session cookie.
+   * @returns The {@link VersionDiff} between the two versions.
+   * @throws NotFoundException when either version record does not exist.
+   */
+  @Get('api/admin/diff/:tenantName/:from/:to')
+  async adminDiff(
+    @Param('tenantName') tenantName: string,
+    @Param('from') from: string,
+    @Param('to') to: string,
+    @Req() request: Request,
+    @Res({ passthrough: true }) response: Response,
+  ): Promise<VersionDiff> {
+    await this.requireReviewer(request, response);
+    const [fromRecord, toRecord] = await Promise.all([
+      this.tenantStore.getVersion(tenantName, from),
+      this.tenantStore.getVersion(tenantName, to),
+    ]);
+    if (!fromRecord || !toRecord) {
+      throw new NotFoundException('Request not found');
+    }
+
+    return diffVersions(fromRecord, toRecord);
+  }
+
+  /**
+   * Lists audit events across all tenants, newest first. Requires admin access.
+   *
+   * @param tenant - Optional tenant name to filter by.
+   * @param actor - Optional actor email to filter by.
+   * @param action - Optional {@link AuditAction} to filter by.
+   * @param since - Optional ISO date/time; only events at or after it are returned.
+   * @param until - Optional ISO date/time; only events at or before it are returned.
+   * @param limit - Optional maximum number of events (default 100, at most 500).
+   * @param request - The incoming HTTP request containing the session cookie.
+   * @param response - The outgoing HTTP response used to refresh the session cookie.
+   * @returns An object with the matching audit event `items`.
+   * @throws BadRequestException when `action`, `since`, `until`, or `limit` is invalid.
+   */
+  @Get('api/admin/audit')
+  async adminAudit(
+    @Query('tenant') tenant: string | undefined,
+    @Query('actor') actor: string | undefined,
+    @Query('action') action: string | undefined,
+    @Query('since') since: string | undefined,
+    @Query('until') until: string | undefined,
+    @Query('limit') limit: string | undefined,
+    @Req() request: Request,
+    @Res({ passthrough: true }) response: Response,
+  ) {
+    await this.requireAdmin(request, response);
+    if (action && !AUDIT_ACTIONS.includes(action as AuditAction)) {
+      throw new BadRequestException(`action must be one of: ${AUDIT_ACTIONS.join(', ')}`);
+    }
+    const parsedLimit = limit === undefined ? undefined : Number.parseInt(limit, 10);
+    if (parsedLimit !== undefined && !(parsedLimit > 0)) {
+      throw new BadRequestException('limit must be a positive integer');
+    }
+
+    return {
+      items: await this.auditStore.list({
+        tenantName: tenant || undefined,
+        actor: actor || undefined,
+        action: (action || undefined) as AuditAction | undefined,
+        since: this.parseAuditTime('since', since),
+        until: this.parseAuditTime('until', until),
+        limit: parsedLimit,
+      }),
+    };
+  }
+
+  /**
+   * Registers tenants that so far only exist as tfvars in `infra-ai-hub`. Each entry
+   * carries one tenant's `dev`, `test`, and/or `prod` tfvars content; the files are
+   * read back into a form submission and stored as an approved version. Tenants the
+   * portal already has are skipped. Requires admin access.
+   *
+   * @param payload - `{ tenants: [{ source?, dev?, test?, prod? }], dry_run? }`.
+   * @param request - The incoming HTTP request containing the session cookie.
+   * @param response - The outgoing HTTP response used to refresh the session cookie.
+   * @returns An object with one import result per tenant in `items`.
+   * @throws BadRequestException when the body does not have that shape.
+   */
+  @Post('api/admin/import')
+  async adminImport(
+    @Body() payload: unknown,
+    @Req() request: Request,
+    @Res({ passthrough: true }) response: Response,
+  ) {
+    const user = await this.requireAdmin(request, response);
+    const body = (payload ?? {}) as { tenants?: unknown; dry_run?: unknown };
+    if (body.dry_run !== undefined && typeof body.dry_run !== 'boolean') {
+      throw new BadRequestException('dry_run must be a boolean');
+    }
+
+    return {
+      items: await importTenantTfvars(
+        this.tenantStore,
+        this.auditStore,
+        this.parseImportSources(body.tenants),
+        { importedBy: user.email, dryRun: body.dry_run === true },
+      ),
+    };
+  }
+
+  /**
+   * Downloads the current version of every tenant for reporting. Requires admin access.
+   *
+   * @param format - `json` (default) or `csv`.
+   * @param request - The incoming HTTP request containing the session cookie.
+   * @param response - The outgoing HTTP response, given the content type and file name.
+   * @returns The export file content.
+   * @throws BadRequestException when `format` is not `json` or `csv`.
+   */
+  @Get('api/admin/export')
+  async adminExport(
+    @Query('format') format: string | undefined,
+    @Req() request: Request,
+    @Res({ passthrough: true }) response: Response,
+  ): Promise<string> {
+    await this.requireAdmin(request, response);
+    const exportFormat = (format || 'json') as TenantExportFormat;
+    if (exportFormat !== 'json' && exportFormat !== 'csv') {
+      throw new BadRequestException('format must be json or csv');
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    response.setHeader(
+      'Content-Type',
+      exportFormat === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+    );
+    response.setHeader(
+      'Content-Disposition',
+      `attachment; filename="tenants-${date}.${exportFormat}"`,
+    );
+    return exportTenants(await this.tenantStore.listAllCurrent(), exportFormat);
+  }
+
+  /**
+   * Compares every tenant's committed tfvars in the `infra-ai-hub` params directory
+   * (`PORTAL_TFVARS_DIR`) with the generated tfvars of its latest approved version,
+   * attribute by attribute. Requires admin or approval stage reviewer access.
+   *
+   * @param request - The incoming HTTP request containing the session cookie.
+   * @param response - The outgoing HTTP response used to refresh the session cookie.
+   * @returns The {@link DriftReport}.
+   * @throws ServiceUnavailableException when no params directory is configured or it
+   *   has no tenant tfvars folders.
+   */
+  @Get('api/admin/drift')
+  async adminDrift(
+    @Req() request: Request,
+    @Res({ passthrough: true }) response: Response,
+  ): Promise<DriftReport> {
+    await this.requireReviewer(request, response);
+    const { tfvarsDir } = getSettings();
+    if (!tfvarsDir) {
+      throw new ServiceUnavailableException('Drift detection needs PORTAL_TFVARS_DIR');
+    }
+
+    try {
+      return await detectDrift(this.tenantStore, tfvarsDir);
+    } catch (error) {
+      if (error instanceof TfvarsDirError) {
+        throw new ServiceUnavailableException(error.message);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Dry-runs the form migration of every tenant's current version: which records are
+   * on an older form version, what upgrading them to the current form would change,
+   * and whether the upgraded form still passes validation. Nothing is written; records
+   * are upgraded when their owners next edit them. Requires admin access.
+   *
+   * @param request - The incoming HTTP request containing the session cookie.
+   * @param response - The outgoing HTTP response used to refresh the session cookie.
+   * @returns The current `form_version` and one {@link FormMigrationPlanItem} per tenant.
+   */
+  @Get('api/admin/form-migrations')
+  async adminFormMigrations(
+    @Req() request: Request,
+    @Res({ passthrough: true }) response: Response,
+  ): Promise<{ form_version: string; items: FormMigrationPlanItem[] }> {
+    await this.requireAdmin(request, response);
+    return {
+      form_version: FORM_VERSION,
+      items: planFormMigrations(await this.tenantStore.listAllCurrent()),
+    };
+  }
+
+  /**
+   * Approves a tenant version. A version under a multi-stage approval workflow
+   * collects one sign-off for its pending stage from a holder of that stage's role;
+   * the version stays `submitted` until the last stage has its required approvals.
+   * Other versions need a portal admin. On final approval the status becomes
+   * `approved` with the reviewer's email and notes, and when PR automation is
+   * enabled the `infra-ai-hub` pull request is opened with the generated tfvars;
+   * a failed pull request is recorded on the version but does not undo the approval.
+   * Approving the current version when it decommissions every environment archives
+   * the tenant and revokes its access entries.
    *
    * @param tenantName - The partition key / project name of the tenant.
    * @param version - The row key / version identifier to approve.
    * @param payload - Optional request body containing `review_notes`.
    * @param request - The incoming HTTP request containing the session cookie.
    * @param response - The outgoing HTTP response used to refresh the session cookie.
-   * @returns An object with `status: 'approved'`.
+   * @returns An object with the resulting `status`, the `pull_request` outcome (`null`
+   *   when PR automation is disabled or stages remain), and for staged versions the
+   *   updated `approval` workflow.
+   * @throws NotFoundException when the version record does not exist.
+   * @throws ForbiddenException when the user may not review the pending stage.
+   * @throws ConflictException when the version is not awaiting review, no stage is
+   *   pending, the user already approved it, or another reviewer signed off meanwhile.
    */
   @Post('api/admin/approve/:tenantName/:version')
   async approveRequest(
@@ -366,20 +985,100 @@ export class AppController {
     @Req() request: Request,
     @Res({ passthrough: true }) response: Response,
   ) {
-    const user = await this.requireAdmin(request, response);
-    await this.tenantStore.updateStatus(
+    const user = await this.requireReviewer(request, response);
+    const previous = await this.requireAwaitingReview(tenantName, version);
+    const stage = this.requireStageReviewer(user, previous);
+    const notes = payload?.review_notes ?? '';
+    let approval: ApprovalWorkflow | null = null;
+    if (previous.Approval && stage) {
+      const email = user.email.toLowerCase();
+      if (stage.approvals.some((signoff) => signoff.by.toLowerCase() === email)) {
+        throw new ConflictException(`You have already approved the ${stage.label} stage`);
+      }
+      const result = approveStage(previous.Approval, user.email, notes);
+      approval = result.workflow;
+      await this.replaceApproval(tenantName, version, approval, previous.Approval);
+      if (!result.complete) {
+        await this.recordDecision(
+          tenantName,
+          version,
+          'approve',
+          user,
+          previous,
+          previous.Status,
+          notes,
+          stage,
+        );
+        return { status: previous.Status, approval, pull_request: null };
+      }
+    }
+
+    await this.tenantStore.updateStatus(tenantName, version, 'approved', user.email, notes);
+    const current = await this.tenantStore.getCurrent(tenantName);
+    if (current?.RowKey === version && registryStatus(current) === 'archived') {
+      await this.tenantStore.archiveTenant(tenantName);
+    }
+    await this.recordDecision(
       tenantName,
       version,
+      'approve',
+      user,
+      previous,
       'approved',
-      user.email,
-      payload?.review_notes ?? '',
+      notes,
+      stage,
     );
-    return { status: 'approved' };
+    await this.notifications.notify('approved', tenantName, version);
+    const pullRequest = await this.gitHubPr.openForApproval(tenantName, version, user.email);
+    return { status: 'approved', pull_request: pullRequest, ...(approval ? { approval } : {}) };
   }
 
   /**
-   * Rejects a tenant version, setting its status to `rejected` and recording
-   * the reviewing admin's email and any review notes. Requires admin access.
+   * Retries opening the `infra-ai-hub` pull request for an approved tenant version,
+   * e.g. after GitHub was unavailable during approval. Returns the existing pull
+   * request when one is already open. Only the tenant's newest approved version may be
+   * retried, so a stale version cannot overwrite newer tfvars. Requires admin access.
+   *
+   * @param tenantName - The partition key / project name of the tenant.
+   * @param version - The row key / version identifier that was approved.
+   * @param request - The incoming HTTP request containing the session cookie.
+   * @param response - The outgoing HTTP response used to refresh the session cookie.
+   * @returns An object with the `pull_request` outcome.
+   * @throws NotFoundException when the version record does not exist.
+   * @throws ConflictException when the version is not approved or a newer version was
+   *   approved since.
+   * @throws ServiceUnavailableException when PR automation is disabled.
+   */
+  @Post('api/admin/pull-request/:tenantName/:version')
+  async retryPullRequest(
+    @Param('tenantName') tenantName: string,
+    @Param('version') version: string,
+    @Req() request: Request,
+    @Res({ passthrough: true }) response: Response,
+  ) {
+    const user = await this.requireAdmin(request, response);
+    if (!this.gitHubPr.enabled) {
+      throw new ServiceUnavailableException('Pull request automation is not configured');
+    }
+    const tenantRequest = await this.tenantStore.getVersion(tenantName, version);
+    if (!tenantRequest) throw new NotFoundException('Request not found');
+    if (tenantRequest.Status !== 'approved') throw new ConflictException('Request is not approved');
+    const newest = newestApproved(await this.tenantStore.listVersions(tenantName));
+    if (newest?.RowKey !== version) {
+      throw new ConflictException(
+        `A newer version (${newest?.RowKey}) was approved since; retry its pull request instead`,
+      );
+    }
+
+    const approvedBy = tenantRequest.ReviewedBy || user.email;
+    return { pull_request: await this.gitHubPr.openForApproval(tenantName, version, approvedBy) };
+  }
+
+  /**
+   * Rejects a tenant version, setting its status to `rejected` and recording the
+   * reviewer's email and any review notes. A version under a multi-stage approval
+   * workflow is rejected by a holder of the pending stage's role; other versions
+   * need a portal admin.
    *
    * @param tenantName - The partition key / project name of the tenant.
    * @param version - The row key / version identifier to reject.
@@ -387,6 +1086,10 @@ export class AppController {
    * @param request - The incoming HTTP request containing the session cookie.
    * @param response - The outgoing HTTP response used to refresh the session cookie.
    * @returns An object with `status: 'rejected'`.
+   * @throws NotFoundException when the version record does not exist.
+   * @throws ForbiddenException when the user may not review the pending stage.
+   * @throws ConflictException when the version is not awaiting review, its approval
+   *   workflow has no pending stage, or another reviewer decided meanwhile.
    */
   @Post('api/admin/reject/:tenantName/:version')
   async rejectRequest(
@@ -396,7 +1099,17 @@ export class AppController {
     @Req() request: Request,
     @Res({ passthrough: true }) response: Response,
   ) {
-    const user = await this.requireAdmin(request, response);
+    const user = await this.requireReviewer(request, response);
+    const previous = await this.requireAwaitingReview(tenantName, version);
+    const stage = this.requireStageReviewer(user, previous);
+    if (previous.Approval) {
+      await this.replaceApproval(
+        tenantName,
+        version,
+        closeStage(previous.Approval, 'rejected'),
+        previous.Approval,
+      );
+    }
     await this.tenantStore.updateStatus(
       tenantName,
       version,
@@ -404,9 +1117,110 @@ export class AppController {
       user.email,
       payload?.review_notes ?? '',
     );
+    await this.recordDecision(
+      tenantName,
+      version,
+      'reject',
+      user,
+      previous,
+      'rejected',
+      payload?.review_notes,
+      stage,
+    );
+    await this.notifications.notify('rejected', tenantName, version);
     return { status: 'rejected' };
   }
 
+  /**
+   * Sends a submitted version back to its submitter with the status
+   * `changes_requested`. The submitter responds by editing the tenant, which creates
+   * a new version and, when needed, a fresh approval workflow. Allowed for the same
+   * reviewers who could approve or reject the version.
+   *
+   * @param tenantName - The partition key / project name of the tenant.
+   * @param version - The row key / version identifier to send back.
+   * @param payload - Optional request body containing `review_notes`, which should say
+   *   what to change.
+   * @param request - The incoming HTTP request containing the session cookie.
+   * @param response - The outgoing HTTP response used to refresh the session cookie.
+   * @returns An object with `status: 'changes_requested'`.
+   * @throws NotFoundException when the version record does not exist.
+   * @throws ConflictException when the version is not awaiting review or another
+   *   reviewer decided meanwhile.
+   * @throws ForbiddenException when the user may not review the pending stage.
+   */
+  @Post('api/admin/request-changes/:tenantName/:version')
+  async requestChanges(
+    @Param('tenantName') tenantName: string,
+    @Param('version') version: string,
+    @Body() payload: { review_notes?: string } | undefined,
+    @Req() request: Request,
+    @Res({ passthrough: true }) response: Response,
+  ) {
+    const user = await this.requireReviewer(request, response);
+    const previous = await this.requireAwaitingReview(tenantName, version);
+    const stage = this.requireStageReviewer(user, previous);
+    if (previous.Approval) {
+      await this.replaceApproval(
+        tenantName,
+        version,
+        closeStage(previous.Approval, 'changes_requested'),
+        previous.Approval,
+      );
+    }
+    await this.tenantStore.updateStatus(
+      tenantName,
+      version,
+      'changes_requested',
+      user.email,
+      payload?.review_notes ?? '',
+    );
+    await this.recordDecision(
+      tenantName,
+      version,
+      'request_changes',
+      user,
+      previous,
+      'changes_requested',
+      payload?.review_notes,
+      stage,
+    );
+    await this.notifications.notify('changes_requested', tenantName, version);
+    return { status: 'changes_requested' };
+  }
+
+  /**
+   * Returns the audit timeline of a tenant, newest first: submissions, edits, review
+   * decisions, and credential or tenant-info lookups. Only the submitting user, a
+   * tenant admin, or a portal admin may access it.
+   *
+   * @param tenantName - Route parameter identifying the tenant.
+   * @param request - The incoming HTTP request containing the session cookie.
+   * @param response - The outgoing HTTP response used to refresh the session cookie.
+   * @returns An object with the tenant's audit event `items`.
+   * @throws NotFoundException when the tenant does not exist.
+   * @throws ForbiddenException when the user may not view the tenant.
+   */
+  @Get('api/tenants/:tenantName/audit')
+  async getTenantAudit(
+    @Param('tenantName') tenantName: string,
+    @Req() request: Request,
+    @Res({ passthrough: true }) response: Response,
+  ) {
+    const user = await this.requireLogin(request, response);
+    const tenant = await this.tenantStore.getCurrent(tenantName);
+    if (!tenant) throw new NotFoundException('Tenant not found');
+    if (
+      tenant.SubmittedBy !== user.email &&
+      !this.tokenValidator.userHasAdminAccess(user) &&
+      !this.userIsTenantAdmin(user.email, tenant)
+    ) {
+      throw new ForbiddenException('Access denied');
+    }
+
+    return { items: await this.auditStore.list({ tenantName }) };
+  }
+
   /**
    * Returns the APIM primary/secondary keys and rotation metadata for an approved tenant.
    *
@@ -415,6 +1229,8 @@ export class AppController {
    * @param request - The incoming HTTP request used to authenticate the caller.
    * @param response - The outgoing HTTP response used to set cache-control headers.
    * @returns The {@link ApimEnvCredentials} for the requested environment.
+   * @throws ConflictException when the tenant is not approved, is archived, or has
+   *   decommissioned the environment.
    */
   @Get('api/tenants/:tenantName/credentials')
   async getTenantCredentials(
@@ -434,15 +1250,95 @@ export class AppController {
     ) {
       throw new ForbiddenException('Access denied');
     }
-    if (tenant.Status !== 'approved') throw new ConflictException('Tenant is not approved');
     const hubEnv = env as HubEnv;
+    this.requireCredentialsEnv(tenant, hubEnv);
     const credentials = await this.hubKeyVault.getTenantApimKeys(tenantName, hubEnv);
     if (!credentials)
       throw new ServiceUnavailableException('Credentials not available for this environment');
+    await this.auditStore.record({
+      tenantName,
+      version: tenant.RowKey,
+      action: 'credentials_view',
+      actor: user.email,
+      summary: `Revealed ${hubEnv} APIM keys`,
+      env: hubEnv,
+    });
     (response as Response).setHeader('Cache-Control', 'no-store');
     return credentials;
   }
 
+  /**
+   * Regenerates the tenant's inactive APIM key for one environment and stores the new
+   * keys and rotation metadata in the hub Key Vault. Only portal admins and the
+   * tenant's admin users may rotate keys, and not again within the cooldown
+   * (`PORTAL_KEY_REGENERATION_COOLDOWN_MINUTES`) of the last rotation.
+   *
+   * @param tenantName - Route parameter identifying the tenant.
+   * @param payload - Request body with the hub environment `env`.
+   * @param request - The incoming HTTP request used to authenticate the caller.
+   * @param response - The outgoing HTTP response used to set cache-control headers.
+   * @returns The new credentials and the `regenerated_slot`.
+   * @throws BadRequestException when `env` is not a hub environment.
+   * @throws ForbiddenException when the user is neither a portal nor a tenant admin.
+   * @throws ConflictException when the tenant is not approved, is archived, or has
+   *   decommissioned the environment.
+   * @throws HttpException 429 with `Retry-After` while the cooldown lasts.
+   * @throws ServiceUnavailableException when the environment cannot regenerate keys.
+   * @throws BadGatewayException when APIM rejects the regeneration.
+   */
+  @Post('api/tenants/:tenantName/credentials/regenerate')
+  @HttpCode(200)
+  async regenerateTenantCredentials(
+    @Param('tenantName') tenantName: string,
+    @Body() payload: { env?: string } | undefined,
+    @Req() request: Request,
+    @Res({ passthrough: true }) response: Response,
+  ): Promise<ApimKeyRegeneration> {
+    const user = await this.requireLogin(request, response);
+    const hubEnv = payload?.env as HubEnv;
+    if (!HUB_ENVS.includes(hubEnv)) {
+      throw new BadRequestException(`env must be one of ${HUB_ENVS.join(', ')}`);
+    }
+    const tenant = await this.tenantStore.getCurrent(tenantName);
+    if (!tenant) throw new NotFoundException('Tenant not found');
+    if (
+      !this.tokenValidator.userHasAdminAccess(user) &&
+      !this.userIsTenantAdmin(user.email, tenant)
+    ) {
+      throw new ForbiddenException('Only tenant admins can regenerate keys');
+    }
+    this.requireCredentialsEnv(tenant, hubEnv);
+
+    let regeneration: ApimKeyRegeneration;
+    try {
+      regeneration = await this.hubKeyVault.regenerateTenantApimKey(tenantName, hubEnv, user.email);
+    } catch (error) {
+      if (error instanceof KeyRegenerationCooldownError) {
+        const seconds = Math.ceil((error.retryAt.getTime() - Date.now()) / 1000);
+        response.setHeader('Retry-After', String(Math.max(seconds, 1)));
+        throw new HttpException(error.message, HttpStatus.TOO_MANY_REQUESTS);
+      }
+      if (error instanceof KeyRegenerationUnavailableError) {
+        throw new ServiceUnavailableException(error.message);
+      }
+      if (error instanceof ApimKeyError) {
+        throw new BadGatewayException(error.message);
+      }
+      throw error;
+    }
+
+    await this.auditStore.record({
+      tenantName,
+      version: tenant.RowKey,
+      action: 'credentials_regenerate',
+      actor: user.email,
+      summary: `Regenerated the ${hubEnv} APIM ${regeneration.regenerated_slot} key`,
+      env: hubEnv,
+    });
+    response.setHeader('Cache-Control', 'no-store');
+    return regeneration;
+  }
+
   /**
    * Proxies a tenant-info request to the APIM internal endpoint for the given environment.
    *
@@ -451,6 +1347,8 @@ export class AppController {
    * @param request - The incoming HTTP request used to authenticate the caller.
    * @param response - The outgoing HTTP response used to forward the upstream status code.
    * @returns A normalized tenant-info payload used by the portal frontend.
+   * @throws ConflictException when the tenant is not approved, is archived, or has
+   *   decommissioned the environment.
    */
   @Get('api/tenants/:tenantName/tenant-info')
   async getTenantInfo(
@@ -470,17 +1368,12 @@ export class AppController {
     ) {
       throw new ForbiddenException('Access denied');
     }
-    if (tenant.Status !== 'approved') throw new ConflictException('Tenant is not approved');
     const hubEnv = env as HubEnv;
+    this.requireCredentialsEnv(tenant, hubEnv);
     const credentials = await this.hubKeyVault.getTenantApimKeys(tenantName, hubEnv);
     if (!credentials)
       throw new ServiceUnavailableException('APIM not configured for this environment');
-    const settings = getSettings();
-    const apimUrl = {
-      dev: settings.apimGatewayUrlDev,
-      test: settings.apimGatewayUrlTest,
-      prod: settings.apimGatewayUrlProd,
-    }[hubEnv];
+    const apimUrl = this.apimGatewayUrl(hubEnv);
     if (!apimUrl)
       throw new ServiceUnavailableException('APIM URL not configured for this environment');
     if (!/^[a-z0-9][a-z0-9-]{0,62}[a-z0-9]$/.test(tenantName)) {
@@ -488,11 +1381,202 @@ export class AppController {
     }
     const infoUrl = `${apimUrl}/${tenantName}/internal/tenant-info`;
     const apimResp = await fetch(infoUrl, { headers: { 'api-key': credentials.primary_key } });
+    await this.auditStore.record({
+      tenantName,
+      version: tenant.RowKey,
+      action: 'tenant_info_view',
+      actor: user.email,
+      summary: `Looked up ${hubEnv} tenant info (HTTP ${apimResp.status})`,
+      env: hubEnv,
+    });
     (response as Response).status(apimResp.status);
     const payload = (await apimResp.json()) as RawApimTenantInfoResponse;
     return this.normalizeTenantInfoResponse(payload);
   }
 
+  /**
+   * Reports the tenant's token usage per deployment over a range, from the usage API
+   * of the given environment, against the TPM of the latest approved configuration.
+   *
+   * @param tenantName - Route parameter identifying the tenant.
+   * @param env - Query parameter specifying the hub environment.
+   * @param range - Query parameter `24h` (default), `7d`, or `30d`.
+   * @param request - The incoming HTTP request used to authenticate the caller.
+   * @param response - The outgoing HTTP response used to refresh the session cookie.
+   * @returns The usage report.
+   * @throws BadRequestException when `env` or `range` is invalid.
+   * @throws ConflictException when the tenant is not approved, is archived, or has
+   *   decommissioned the environment.
+   * @throws ServiceUnavailableException when the environment has no key or usage API.
+   * @throws BadGatewayException when the usage API fails.
+   */
+  @Get('api/tenants/:tenantName/usage')
+  async getTenantUsage(
+    @Param('tenantName') tenantName: string,
+    @Query('env') env: string,
+    @Query('range') range: string | undefined,
+    @Req() request: Request,
+    @Res({ passthrough: true }) response: Response,
+  ): Promise<TenantUsageReport> {
+    const user = await this.requireLogin(request, response);
+    if (!HUB_ENVS.includes(env as HubEnv)) {
+      throw new BadRequestException(`env must be one of ${HUB_ENVS.join(', ')}`);
+    }
+    const usageRange = (range ?? '24h') as UsageRange;
+    if (!(usageRange in USAGE_RANGES)) {
+      throw new BadRequestException(`range must be one of ${Object.keys(USAGE_RANGES).join(', ')}`);
+    }
+    const tenant = await this.tenantStore.getCurrent(tenantName);
+    if (!tenant) throw new NotFoundException('Tenant not found');
+    const isAdmin = this.tokenValidator.userHasAdminAccess(user);
+    if (
+      !isAdmin &&
+      tenant.SubmittedBy !== user.email &&
+      !this.userIsTenantAdmin(user.email, tenant)
+    ) {
+      throw new ForbiddenException('Access denied');
+    }
+    const hubEnv = env as HubEnv;
+    this.requireCredentialsEnv(tenant, hubEnv);
+    const usageClient = this.usageClients[hubEnv];
+    const credentials = usageClient
+      ? await this.hubKeyVault.getTenantApimKeys(tenantName, hubEnv)
+      : null;
+    if (!usageClient || !credentials) {
+      throw new ServiceUnavailableException('Usage is not available for this environment');
+    }
+
+    const now = new Date();
+    const window = usageWindow(usageRange, now);
+    let samples: UsageSample[];
+    try {
+      samples = await usageClient.getUsage({
+        tenantName,
+        apiKey: credentials.primary_key,
+        ...window,
+      });
+    } catch (error) {
+      if (error instanceof UsageApiError) throw new BadGatewayException(error.message);
+      throw error;
+    }
+
+    const formData = tenant.FormData as Record<string, unknown>;
+    const estimate = estimateTenantCost(
+      parseCostEstimateInput(migrateFormData(formData)?.form_data ?? formData),
+    );
+    return buildUsageReport({
+      tenantName,
+      env: hubEnv,
+      range: usageRange,
+      samples,
+      capacities: Object.fromEntries(
+        estimate.deployments.map((deployment) => [deployment.name, deployment.tpm[hubEnv]]),
+      ),
+      now,
+    });
+  }
+
+  /**
+   * Sends a chat or embeddings request for one of the tenant's deployments through the
+   * APIM gateway, with the tenant's key added here so it never reaches the browser.
+   * The response is NDJSON: a `response` event with the gateway status and headers,
+   * `chunk` events with the body as it streams in, then `done` with the token usage.
+   *
+   * @param tenantName - Route parameter identifying the tenant.
+   * @param payload - The {@link PlaygroundRequest} body.
+   * @param request - The incoming HTTP request used to authenticate the caller.
+   * @param response - The outgoing HTTP response the events are written to.
+   * @throws UnprocessableEntityException when the request body is invalid.
+   * @throws ConflictException when the tenant is not approved, is archived, or has
+   *   decommissioned the environment.
+   * @throws ServiceUnavailableException when the environment has no key or gateway URL.
+   * @throws BadGatewayException when the gateway cannot be reached.
+   */
+  @Post('api/tenants/:tenantName/playground')
+  async sendPlaygroundRequest(
+    @Param('tenantName') tenantName: string,
+    @Body() payload: unknown,
+    @Req() request: Request,
+    @Res() response: Response,
+  ): Promise<void> {
+    const user = await this.requireLogin(request, response);
+    const tenant = await this.tenantStore.getCurrent(tenantName);
+    if (!tenant) throw new NotFoundException('Tenant not found');
+    const isAdmin = this.tokenValidator.userHasAdminAccess(user);
+    if (
+      !isAdmin &&
+      tenant.SubmittedBy !== user.email &&
+      !this.userIsTenantAdmin(user.email, tenant)
+    ) {
+      throw new ForbiddenException('Access denied');
+    }
+    const playground = parsePlaygroundRequest(payload);
+    this.requireCredentialsEnv(tenant, playground.env);
+    const credentials = await this.hubKeyVault.getTenantApimKeys(tenantName, playground.env);
+    if (!credentials)
+      throw new ServiceUnavailableException('APIM not configured for this environment');
+    const apimUrl = this.apimGatewayUrl(playground.env);
+    if (!apimUrl)
+      throw new ServiceUnavailableException('APIM URL not configured for this environment');
+    if (!/^[a-z0-9][a-z0-9-]{0,62}[a-z0-9]$/.test(tenantName)) {
+      throw new BadRequestException('Invalid tenant name');
+    }
+
+    const call = buildPlaygroundCall(playground);
+    const url = `${apimUrl}/${tenantName}${call.path}`;
+    const startedAt = Date.now();
+    let upstream: Awaited<ReturnType<typeof fetch>>;
+    try {
+      upstream = await fetch(url, {
+        method: 'POST',
+        headers: { 'api-key': credentials.primary_key, 'Content-Type': 'application/json' },
+        body: JSON.stringify(call.body),
+        signal: AbortSignal.timeout(PLAYGROUND_TIMEOUT_MS),
+      });
+    } catch {
+      throw new BadGatewayException('The APIM gateway did not respond');
+    }
+    await this.auditStore.record({
+      tenantName,
+      version: tenant.RowKey,
+      action: 'playground_request',
+      actor: user.email,
+      summary: `Sent a ${playground.env} ${playground.operation} request to ${playground.deployment} (HTTP ${upstream.status})`,
+      env: playground.env,
+    });
+
+    response.status(200);
+    response.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+    response.setHeader('Cache-Control', 'no-store');
+    const send = (event: PlaygroundEvent) => response.write(`${JSON.stringify(event)}\n`);
+    send({
+      type: 'response',
+      status: upstream.status,
+      url,
+      headers: visiblePlaygroundHeaders(upstream.headers),
+    });
+    let body = '';
+    try {
+      if (upstream.body) {
+        const reader = upstream.body.getReader();
+        const decoder = new TextDecoder();
+        for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+          const data = decoder.decode(chunk.value, { stream: true });
+          body += data;
+          send({ type: 'chunk', data });
+        }
+      }
+      send({
+        type: 'done',
+        duration_ms: Date.now() - startedAt,
+        usage: extractPlaygroundUsage(body),
+      });
+    } catch {
+      send({ type: 'error', message: 'The gateway response was interrupted' });
+    }
+    response.end();
+  }
+
   /**
    * Normalizes the raw APIM tenant-info payload into the stable portal DTO.
    *
@@ -594,6 +1678,42 @@ export class AppController {
     return 'Not available';
   }
 
+  /**
+   * Looks up the APIM gateway URL of a hub environment.
+   *
+   * @param env - The hub environment.
+   * @returns The gateway base URL, or an empty string when it is not configured.
+   */
+  private apimGatewayUrl(env: HubEnv): string {
+    const settings = getSettings();
+    return (
+      {
+        dev: settings.apimGatewayUrlDev,
+        test: settings.apimGatewayUrlTest,
+        prod: settings.apimGatewayUrlProd,
+      }[env] ?? ''
+    );
+  }
+
+  /**
+   * Adds its expiry time to a draft, or deletes the draft once it has gone unsaved for
+   * `PORTAL_DRAFT_TTL_DAYS`. Expired drafts are removed as they are read, as sessions are.
+   *
+   * @param draft - The stored draft, or `null`.
+   * @param email - The email address of the user who saved it.
+   * @returns The draft with `ExpiresAt`, or `null` when there is none or it expired.
+   */
+  private async liveDraft(draft: TenantRecord | null, email: string): Promise<TenantDraft | null> {
+    if (!draft) return null;
+    const expiresAt =
+      Date.parse(draft.UpdatedAt ?? draft.CreatedAt) + getSettings().draftTtlDays * 86_400_000;
+    if (!(expiresAt > Date.now())) {
+      await this.tenantStore.deleteDraft(draft.PartitionKey, email);
+      return null;
+    }
+    return { ...draft, ExpiresAt: new Date(expiresAt).toISOString() };
+  }
+
   /**
    * Checks whether the given user e-mail address appears in the tenant's admin_users list.
    *
@@ -606,6 +1726,228 @@ export class AppController {
     return adminUsers.map((e: string) => e.toLowerCase()).includes(userEmail.toLowerCase());
   }
 
+  /**
+   * Checks that the tenant's APIM keys may be used in an environment: its current
+   * version is approved and still deploys that environment.
+   *
+   * @param tenant - The tenant's current version.
+   * @param env - The hub environment.
+   * @throws ConflictException when the tenant is not approved, is archived, or has
+   *   decommissioned the environment.
+   */
+  private requireCredentialsEnv(tenant: TenantRecord, env: HubEnv): void {
+    if (tenant.Status !== 'approved') throw new ConflictException('Tenant is not approved');
+    if (tenant.Archived) throw new ConflictException('Tenant is decommissioned');
+    if (disabledEnvironments(tenant.FormData).includes(env)) {
+      throw new ConflictException(`The ${env} environment is decommissioned`);
+    }
+  }
+
+  /**
+   * Starts the multi-stage approval workflow on a new version when its capacity needs
+   * one, comparing against the tenant's last approved version.
+   *
+   * @param tenantName - The tenant partition key.
+   * @param version - The version just created.
+   * @param tenantForm - The submitted form data.
+   */
+  private async startApprovalWorkflow(
+    tenantName: string,
+    version: string,
+    tenantForm: TenantFormData,
+  ): Promise<void> {
+    const versions = await this.tenantStore.listVersions(tenantName);
+    const baselineVersion = lastApprovedBefore(versions, version);
+    const baseline = versions.find((record) => record.RowKey === baselineVersion) ?? null;
+    const approval = startApproval(
+      getSettings().approvalStages,
+      tenantForm as unknown as Record<string, unknown>,
+      baseline,
+    );
+    if (approval) {
+      await this.tenantStore.updateApproval(tenantName, version, approval);
+    }
+  }
+
+  /**
+   * Loads a version a reviewer is about to decide on.
+   *
+   * @param tenantName - The tenant partition key.
+   * @param version - The version under review.
+   * @returns The version record.
+   * @throws NotFoundException when the version does not exist.
+   * @throws ConflictException when the version is not `submitted`.
+   */
+  private async requireAwaitingReview(tenantName: string, version: string): Promise<TenantRecord> {
+    const record = await this.tenantStore.getVersion(tenantName, version);
+    if (!record) throw new NotFoundException('Request not found');
+    if (record.Status !== 'submitted') {
+      throw new ConflictException('Request is not awaiting review');
+    }
+    return record;
+  }
+
+  /**
+   * Writes a reviewer's change to a version's approval workflow, unless another
+   * reviewer changed the workflow since it was read.
+   *
+   * @param tenantName - The tenant partition key.
+   * @param version - The version under review.
+   * @param approval - The updated workflow.
+   * @param expected - The workflow as the reviewer's decision read it.
+   * @throws ConflictException when the stored workflow no longer equals `expected`.
+   */
+  private async replaceApproval(
+    tenantName: string,
+    version: string,
+    approval: ApprovalWorkflow,
+    expected: ApprovalWorkflow,
+  ): Promise<void> {
+    if (!(await this.tenantStore.updateApproval(tenantName, version, approval, expected))) {
+      throw new ConflictException('Another reviewer updated this request; reload and try again');
+    }
+  }
+
+  /**
+   * Whether the user may use the review pages: a portal admin or the holder of any
+   * approval stage role.
+   *
+   * @param user - The authenticated user.
+   * @returns `true` when the user is an admin or stage reviewer.
+   */
+  private userIsReviewer(user: PortalUser): boolean {
+    return (
+      this.tokenValidator.userHasAdminAccess(user) ||
+      getSettings().approvalStages.some((stage) => user.roles.includes(stage.role))
+    );
+  }
+
+  /**
+   * Checks that the user may decide on a version. A version with an approval workflow
+   * needs the role of its pending stage; any other version needs a portal admin.
+   *
+   * @param user - The authenticated reviewer.
+   * @param record - The version under review, or `null` when it does not exist.
+   * @returns The pending stage, or `null` for a version without a workflow.
+   * @throws ConflictException when the workflow has no pending stage.
+   * @throws ForbiddenException when the user lacks the required role.
+   */
+  private requireStageReviewer(
+    user: PortalUser,
+    record: TenantRecord | null,
+  ): ApprovalStage | null {
+    if (!record?.Approval) {
+      if (!this.tokenValidator.userHasAdminAccess(user)) {
+        throw new ForbiddenException('Admin access required');
+      }
+      return null;
+    }
+
+    const stage = currentStage(record.Approval);
+    if (!stage) {
+      throw new ConflictException('No approval stage is pending for this request');
+    }
+    if (!user.roles.includes(stage.role)) {
+      throw new ForbiddenException(`The ${stage.label} stage requires the ${stage.role} role`);
+    }
+    return stage;
+  }
+
+  /**
+   * Records a review decision with the status transition and review notes. Stage
+   * sign-offs that leave the version `submitted` name the stage in the summary.
+   *
+   * @param tenantName - The tenant partition key.
+   * @param version - The reviewed version.
+   * @param action - `'approve'`, `'reject'`, or `'request_changes'`.
+   * @param user - The reviewer.
+   * @param previous - The version record before the decision, used for the old status.
+   * @param toStatus - The version's status after the decision.
+   * @param reviewNotes - Optional review notes to include in the summary.
+   * @param stage - The approval stage the decision was made in, if any.
+   */
+  private async recordDecision(
+    tenantName: string,
+    version: string,
+    action: 'approve' | 'reject' | 'request_changes',
+    user: PortalUser,
+    previous: TenantRecord | null,
+    toStatus: string,
+    reviewNotes?: string,
+    stage?: ApprovalStage | null,
+  ): Promise<void> {
+    const verb = {
+      approve: 'Approved',
+      reject: 'Rejected',
+      request_changes: 'Requested changes to',
+    }[action];
+    const subject = stage ? `${version} (${stage.label})` : version;
+    const notes = reviewNotes?.trim().replace(/\s+/g, ' ');
+    await this.auditStore.record({
+      tenantName,
+      version,
+      action,
+      actor: user.email,
+      summary: notes ? `${verb} ${subject}: ${notes}` : `${verb} ${subject}`,
+      fromStatus: previous?.Status ?? null,
+      toStatus,
+    });
+  }
+
+  /**
+   * Validates the `tenants` list of an import request.
+   *
+   * @param tenants - The raw `tenants` value from the request body.
+   * @returns The import sources, labelled with their `source` or list position.
+   * @throws BadRequestException when the list is empty, too long, or an entry has no
+   *   tfvars content.
+   */
+  private parseImportSources(tenants: unknown): TenantImportSource[] {
+    if (!Array.isArray(tenants) || tenants.length === 0) {
+      throw new BadRequestException('tenants must be a non-empty list');
+    }
+    if (tenants.length > MAX_IMPORT_TENANTS) {
+      throw new BadRequestException(
+        `At most ${MAX_IMPORT_TENANTS} tenants can be imported per request; use npm run tenants:import for more`,
+      );
+    }
+
+    return tenants.map((entry: unknown, index) => {
+      const item = (entry ?? {}) as Record<string, unknown>;
+      const files: TenantImportSource['files'] = {};
+      for (const env of HUB_ENVS) {
+        if (item[env] === undefined) continue;
+        if (typeof item[env] !== 'string') {
+          throw new BadRequestException(`tenants[${index}].${env} must be tfvars text`);
+        }
+        files[env] = item[env];
+      }
+      if (Object.keys(files).length === 0) {
+        throw new BadRequestException(`tenants[${index}] needs dev, test, or prod tfvars`);
+      }
+      const source =
+        typeof item.source === 'string' && item.source ? item.source : `tenants[${index}]`;
+      return { source, files };
+    });
+  }
+
+  /**
+   * Validates an audit time filter and normalizes it to an ISO timestamp.
+   *
+   * @param name - The query parameter name, used in the error message.
+   * @param value - The raw query value.
+   * @returns The ISO timestamp, or `undefined` when the filter is not set.
+   * @throws BadRequestException when the value is not a valid date.
+   */
+  private parseAuditTime(name: string, value: string | undefined): string | undefined {
+    if (!value) return undefined;
+    const parsed = new Date(value);
+    if (Number.isNaN(parsed.getTime())) {
+      throw new BadRequestException(`${name} must be an ISO date or date-time`);
+    }
+    return parsed.toISOString();
+  }
+
   /**
    * Reads the portal session and returns the authenticated user if one is present.
    * Returns null without throwing when no valid session exists.
@@ -649,4 +1991,23 @@ export class AppController {
 
     return user;
   }
+
+  /**
+   * Reads the portal session and confirms the user is a portal admin or holds the
+   * role of at least one approval stage.
+   *
+   * @param request - The incoming HTTP request containing the session cookie.
+   * @param response - The outgoing HTTP response used to refresh the session cookie.
+   * @returns The authenticated reviewer.
+   * @throws UnauthorizedException when the session is absent or expired.
+   * @throws ForbiddenException when the user is neither an admin nor a stage reviewer.
+   */
+  private async requireReviewer(request: Request, response: Response): Promise<PortalUser> {
+    const user = await this.requireLogin(request, response);
+    if (!this.userIsReviewer(user)) {
+      throw new ForbiddenException('Reviewer access required');
+    }
+
+    return user;
+  }
 }
@@ -3,9 +3,21 @@ import { MiddlewareConsumer, Module, RequestMethod } from '@nestjs/common';
 import { AuthSessionService } from './auth/session.service';
 import { TokenValidatorService } from './auth/token-validator.service';
 import { AppController } from './app.controller';
+import { AuditStoreService } from './storage/audit-store.service';
 import { SessionStoreService } from './storage/session-store.service';
-import { TenantStoreService } from './storage/tenant-store.service';
+import { TENANT_STORE, createTenantStore } from './storage/tenant-store';
+import { APIM_KEY_CLIENTS, createApimKeyClients } from './services/apim-key-client';
+import { HUB_KEY_STORES, createHubKeyStores } from './services/hub-key-store';
 import { HubKeyVaultService } from './services/hub-keyvault.service';
+import { GitHubPrService } from './services/github-pr.service';
+import { PULL_REQUEST_CLIENT, createPullRequestClient } from './services/pull-request-client';
+import { NotificationService } from './services/notification.service';
+import {
+  NOTIFICATION_TRANSPORTS,
+  createNotificationTransports,
+} from './services/notification-transport';
+import { USAGE_CLIENTS, createUsageClients } from './services/usage-client';
+import { getSettings } from './config/settings';
 import { HTTPLoggerMiddleware } from './middleware/req.res.logger';
 @Module({
   controllers: [AppController],
@@ -13,8 +25,19 @@ import { HTTPLoggerMiddleware } from './middleware/req.res.logger';
     AuthSessionService,
     SessionStoreService,
     TokenValidatorService,
-    TenantStoreService,
+    { provide: TENANT_STORE, useFactory: () => createTenantStore(getSettings()) },
+    AuditStoreService,
+    { provide: HUB_KEY_STORES, useFactory: () => createHubKeyStores(getSettings()) },
+    { provide: APIM_KEY_CLIENTS, useFactory: () => createApimKeyClients(getSettings()) },
     HubKeyVaultService,
+    { provide: USAGE_CLIENTS, useFactory: () => createUsageClients(getSettings()) },
+    GitHubPrService,
+    { provide: PULL_REQUEST_CLIENT, useFactory: () => createPullRequestClient(getSettings()) },
+    NotificationService,
+    {
+      provide: NOTIFICATION_TRANSPORTS,
+      useFactory: () => createNotificationTransports(getSettings()),
+    },
   ],
 })
 export class AppModule {
@@ -0,0 +1,39 @@
+import { getSettings } from '../config/settings';
+import { createTenantStore } from '../storage/tenant-store';
+import type { TenantStore } from '../storage/tenant-store';
+import type { StorageBackend } from '../types';
+
+/**
+ * Opens the store for one backend using the portal settings plus CLI overrides.
+ * Refuses the Table backend without a storage account, since it would silently
+ * fall back to an empty in-memory store.
+ *
+ * @param backend - The backend to open; defaults to `PORTAL_STORAGE_BACKEND`.
+ * @param overrides - SQLite path and Postgres URL given on the command line.
+ * @param overrides.sqlitePath - SQLite file path, when given.
+ * @param overrides.postgresUrl - Postgres connection string, when given.
+ * @returns The opened store.
+ * @throws Error when the Table backend has no storage account configured.
+ */
+export async function openStore(
+  backend: StorageBackend = getSettings().storageBackend,
+  overrides: { sqlitePath?: string; postgresUrl?: string } = {},
+): Promise<TenantStore> {
+  const settings = getSettings();
+  if (
+    backend === 'table' &&
+    !settings.tableStorageConnectionString &&
+    !settings.tableStorageAccountUrl
+  ) {
+    throw new Error(
+      'The table backend needs PORTAL_TABLE_STORAGE_CONNECTION_STRING or PORTAL_TABLE_STORAGE_ACCOUNT_URL',
+    );
+  }
+
+  return createTenantStore({
+    ...settings,
+    storageBackend: backend,
+    sqlitePath: overrides.sqlitePath ?? settings.sqlitePath,
+    postgresUrl: overrides.postgresUrl ?? settings.postgresUrl,
+  });
+}
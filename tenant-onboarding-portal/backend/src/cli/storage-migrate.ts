@@ -0,0 +1,107 @@
+import { parseArgs } from 'node:util';
+
+import { copyTenantRecords } from '../storage/tenant-store';
+import type { StorageBackend } from '../types';
+import { openStore } from './open-store';
+
+const BACKENDS: StorageBackend[] = ['table', 'sqlite', 'postgres'];
+
+const USAGE = `Usage:
+  npm run storage:migrate -- --from <backend> --to <backend> [--dry-run]
+  npm run storage:migrate -- --rebuild <backend>
+
+Backends: ${BACKENDS.join(', ')}. Each is configured by the usual PORTAL_* variables
+(PORTAL_TABLE_STORAGE_*, PORTAL_SQLITE_PATH, PORTAL_POSTGRES_URL); --sqlite-path and
+--postgres-url override them for this run.
+
+--from/--to  copies every tenant request version, keeping version numbers, statuses,
+             timestamps, and pull request fields, then rebuilds the target's indexes.
+--rebuild    recomputes the registry and lookup indexes of one backend in place.`;
+
+/**
+ * Parses a backend name from the command line.
+ *
+ * @param value - The raw option value.
+ * @param option - The option name, for the error message.
+ * @returns The backend.
+ * @throws Error when the value is not a known backend.
+ */
+function parseBackend(value: string | undefined, option: string): StorageBackend {
+  if (BACKENDS.includes(value as StorageBackend)) {
+    return value as StorageBackend;
+  }
+
+  throw new Error(`--${option} must be one of ${BACKENDS.join(', ')}`);
+}
+
+/**
+ * Runs the migration or rebuild described by the command-line arguments.
+ *
+ * @returns Resolves when the run has finished and every store is closed.
+ * @throws Error when the arguments are invalid or a store operation fails.
+ */
+async function main(): Promise<void> {
+  const { values } = parseArgs({
+    options: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+      rebuild: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      'sqlite-path': { type: 'string' },
+      'postgres-url': { type: 'string' },
+      help: { type: 'boolean', default: false },
+    },
+  });
+  if (values.help || (!values.rebuild && !values.from && !values.to)) {
+    console.log(USAGE);
+    return;
+  }
+
+  const overrides = { sqlitePath: values['sqlite-path'], postgresUrl: values['postgres-url'] };
+
+  if (values.rebuild) {
+    const store = await openStore(parseBackend(values.rebuild, 'rebuild'), overrides);
+    try {
+      await store.rebuildIndexes();
+      console.log(`Rebuilt ${values.rebuild} indexes`);
+    } finally {
+      await store.close();
+    }
+    return;
+  }
+
+  const from = parseBackend(values.from, 'from');
+  const to = parseBackend(values.to, 'to');
+  if (from === to) {
+    throw new Error('--from and --to must name different backends');
+  }
+
+  const source = await openStore(from, overrides);
+  try {
+    if (values['dry-run']) {
+      const records = await source.listAllRecords();
+      const tenants = new Set(records.map((record) => record.PartitionKey)).size;
+      console.log(
+        `Would copy ${records.length} versions of ${tenants} tenants from ${from} to ${to}`,
+      );
+      return;
+    }
+
+    const target = await openStore(to, overrides);
+    try {
+      const summary = await copyTenantRecords(source, target);
+      console.log(
+        `Copied ${summary.records} versions of ${summary.tenants} tenants from ${from} to ${to}`,
+      );
+    } finally {
+      await target.close();
+    }
+  } finally {
+    await source.close();
+  }
+}
+
+main().catch((error: unknown) => {
+  console.error(error instanceof Error ? error.message : String(error));
+  process.exitCode = 1;
+});
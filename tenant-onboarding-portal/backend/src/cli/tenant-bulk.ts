@@ -0,0 +1,97 @@
+import { writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+
+import { exportTenants, importTenantTfvars, readTenantTfvarsDir } from '../services/tenant-bulk';
+import { AuditStoreService } from '../storage/audit-store.service';
+import type { TenantExportFormat } from '../types';
+import { openStore } from './open-store';
+
+const USAGE = `Usage:
+  npm run tenants:import -- <params-dir> [--submitted-by <email>] [--tenant <name>]... [--dry-run]
+  npm run tenants:export -- [--format json|csv] [--out <file>]
+
+import  reads <params-dir>/<env>/tenants/<tenant>/tenant.tfvars (the infra-ai-hub
+        params layout) and registers each tenant the portal does not have yet as an
+        approved version. --tenant limits the run to the named tenants. Files whose
+        content differs from what the portal would generate are listed, since the
+        next approved version replaces them with generated tfvars.
+export  writes the current version of every tenant as JSON (default) or CSV to
+        --out, or to stdout.
+
+The tenant store is selected by the usual PORTAL_STORAGE_BACKEND settings.`;
+
+/**
+ * Runs the import or export described by the command-line arguments.
+ *
+ * @returns Resolves when the run has finished and the store is closed.
+ * @throws Error when the arguments are invalid or a store operation fails.
+ */
+async function main(): Promise<void> {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      'submitted-by': { type: 'string', default: 'infra-ai-hub-import@gov.bc.ca' },
+      tenant: { type: 'string', multiple: true, default: [] },
+      'dry-run': { type: 'boolean', default: false },
+      format: { type: 'string', default: 'json' },
+      out: { type: 'string' },
+      help: { type: 'boolean', default: false },
+    },
+  });
+  const [command, paramsDir] = positionals;
+  if (values.help || (command !== 'import' && command !== 'export')) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (command === 'export') {
+    const format = values.format as TenantExportFormat;
+    if (format !== 'json' && format !== 'csv') {
+      throw new Error('--format must be json or csv');
+    }
+    const store = await openStore();
+    try {
+      const content = exportTenants(await store.listAllCurrent(), format);
+      if (values.out) {
+        writeFileSync(values.out, content);
+        console.error(`Wrote ${values.out}`);
+      } else {
+        process.stdout.write(content);
+      }
+    } finally {
+      await store.close();
+    }
+    return;
+  }
+
+  if (!paramsDir) {
+    throw new Error('import needs the infra-ai-hub params directory');
+  }
+  const sources = await readTenantTfvarsDir(paramsDir, values.tenant);
+  const store = await openStore();
+  try {
+    const results = await importTenantTfvars(
+      store,
+      values['dry-run'] ? null : new AuditStoreService(),
+      sources,
+      { importedBy: values['submitted-by'], dryRun: values['dry-run'] },
+    );
+    for (const result of results) {
+      const details = [result.version ?? result.message];
+      if (result.differs?.length) {
+        details.push(`(differs from generated: ${result.differs.join(', ')})`);
+      }
+      console.log([result.status.padEnd(12), result.source, ...details].filter(Boolean).join(' '));
+    }
+    if (results.some((result) => result.status === 'failed')) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await store.close();
+  }
+}
+
+main().catch((error: unknown) => {
+  console.error(error instanceof Error ? error.message : String(error));
+  process.exitCode = 1;
+});
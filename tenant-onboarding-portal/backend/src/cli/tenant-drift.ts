@@ -0,0 +1,90 @@
+import { parseArgs } from 'node:util';
+
+import { getSettings } from '../config/settings';
+import { detectDrift } from '../services/tfvars-drift';
+import type { DriftReport } from '../types';
+import { openStore } from './open-store';
+
+const USAGE = `Usage:
+  npm run tenants:drift -- [<params-dir>] [--json]
+
+Compares each tenant's committed <params-dir>/<env>/tenants/<tenant>/tenant.tfvars
+with the generated tfvars of its latest approved portal version, attribute by
+attribute. <params-dir> defaults to PORTAL_TFVARS_DIR. --json prints the full report.
+Exits with status 1 when any tenant has drifted, so it can run as a scheduled job.`;
+
+/**
+ * Prints a drift report as one line per drifted environment and attribute.
+ *
+ * @param report - The report to print.
+ */
+function printReport(report: DriftReport): void {
+  for (const tenant of report.tenants.filter((entry) => entry.drifted)) {
+    const pending = tenant.pull_request_state === 'open' ? ' (pull request still open)' : '';
+    console.log(`${tenant.tenant_name} ${tenant.version}${pending}`);
+    for (const env of tenant.envs.filter((entry) => entry.status !== 'in_sync')) {
+      if (env.status !== 'drifted') {
+        console.log(`  ${env.env}: ${env.status}${env.error ? ` – ${env.error}` : ''}`);
+        continue;
+      }
+      for (const change of env.changes) {
+        const values =
+          change.kind === 'changed'
+            ? `${JSON.stringify(change.expected)} → ${JSON.stringify(change.actual)}`
+            : JSON.stringify(change.kind === 'added' ? change.actual : change.expected);
+        console.log(`  ${env.env}: ${change.kind} ${change.path} ${values}`);
+      }
+    }
+  }
+
+  const drifted = report.tenants.filter((entry) => entry.drifted).length;
+  console.log(`${drifted} of ${report.tenants.length} approved tenants drifted`);
+  if (report.untracked.length > 0) {
+    console.log(`Not approved in the portal: ${report.untracked.join(', ')}`);
+  }
+}
+
+/**
+ * Runs the drift check described by the command-line arguments.
+ *
+ * @returns Resolves when the check has finished and the store is closed.
+ * @throws Error when no params directory is given or configured.
+ */
+async function main(): Promise<void> {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      json: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false },
+    },
+  });
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const paramsDir = positionals[0] ?? getSettings().tfvarsDir;
+  if (!paramsDir) {
+    throw new Error('Pass the infra-ai-hub params directory or set PORTAL_TFVARS_DIR');
+  }
+
+  const store = await openStore();
+  try {
+    const report = await detectDrift(store, paramsDir);
+    if (values.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printReport(report);
+    }
+    if (report.tenants.some((entry) => entry.drifted)) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await store.close();
+  }
+}
+
+main().catch((error: unknown) => {
+  console.error(error instanceof Error ? error.message : String(error));
+  process.exitCode = 1;
+});
@@ -0,0 +1,38 @@
+import { parseArgs } from 'node:util';
+
+import { createUsageStubServer } from '../services/usage-stub-server';
+
+const USAGE = `Usage:
+  npm run usage:stub -- [--port 4010] [--deployments gpt-4.1-mini,text-embedding-3-small]
+
+Serves synthetic GET /{tenant}/internal/usage data for local development. Point the
+portal at it with PORTAL_USAGE_API_URL_DEV=http://127.0.0.1:<port>.`;
+
+/**
+ * Starts the stub server described by the command-line arguments.
+ */
+function main(): void {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', default: '4010' },
+      deployments: { type: 'string' },
+      help: { type: 'boolean', default: false },
+    },
+  });
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const port = Number(values.port);
+  const deployments = values.deployments
+    ?.split(',')
+    .map((name) => name.trim())
+    .filter(Boolean);
+  const server = createUsageStubServer({ deployments });
+  server.listen(port, '127.0.0.1', () => {
+    console.log(`Usage stub listening on http://127.0.0.1:${port}`);
+  });
+}
+
+main();
@@ -1,4 +1,12 @@
-import type { MockPortalUser, PortalAuthMode, PortalSettings } from '../types';
+import type {
+  ApprovalStageConfig,
+  GitHubPrMode,
+  MockPortalUser,
+  NotificationTransportName,
+  PortalAuthMode,
+  PortalSettings,
+  StorageBackend,
+} from '../types';
 
 /**
  * Parses an environment variable string as a boolean.
@@ -82,6 +90,171 @@ function getCorsAllowedOrigins(): string[] {
     .filter(Boolean);
 }
 
+/**
+ * Determines how approved requests are turned into `infra-ai-hub` pull requests.
+ * Returns the value of `PORTAL_GITHUB_PR_MODE` when it is a known mode; when that
+ * variable is absent, enables the GitHub API mode if `PORTAL_GITHUB_TOKEN` is set,
+ * otherwise PR automation is disabled.
+ *
+ * @returns The resolved pull request automation mode.
+ */
+function getGitHubPrMode(): GitHubPrMode {
+  const configured = process.env.PORTAL_GITHUB_PR_MODE?.trim().toLowerCase();
+  if (configured === 'disabled' || configured === 'github' || configured === 'local') {
+    return configured;
+  }
+
+  return process.env.PORTAL_GITHUB_TOKEN ? 'github' : 'disabled';
+}
+
+/**
+ * Reads the labels applied to tenant pull requests from `PORTAL_GITHUB_PR_LABELS`,
+ * defaulting to `tenant-onboarding`.
+ *
+ * @returns An array of label names; empty when the variable is set to an empty string.
+ */
+function getGitHubPrLabels(): string[] {
+  return (process.env.PORTAL_GITHUB_PR_LABELS ?? 'tenant-onboarding')
+    .split(',')
+    .map((value) => value.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Determines which backend stores tenant requests from `PORTAL_STORAGE_BACKEND`.
+ * Unknown or absent values fall back to `'table'`, the Azure Table Storage store
+ * (which itself falls back to in-memory storage when no connection is configured).
+ *
+ * @returns The resolved tenant storage backend.
+ */
+function getStorageBackend(): StorageBackend {
+  const configured = process.env.PORTAL_STORAGE_BACKEND?.trim().toLowerCase();
+  if (configured === 'sqlite' || configured === 'postgres') {
+    return configured;
+  }
+
+  return 'table';
+}
+
+/**
+ * Reads the multi-stage approval pipeline from `PORTAL_APPROVAL_STAGES`, a JSON array of
+ * `{ id, label, role, required_approvals, sla_hours, when }` objects run in order. When
+ * unset, ministry security review and platform review apply to every staged request and
+ * finance sign-off only to elevated capacity tiers.
+ *
+ * @param adminRole - The portal admin role, which performs the default platform review.
+ * @returns The configured stages, in review order.
+ * @throws Error when the variable is not a JSON array of valid, uniquely named stages.
+ */
+function getApprovalStages(adminRole: string): ApprovalStageConfig[] {
+  const raw = process.env.PORTAL_APPROVAL_STAGES?.trim();
+  if (!raw) {
+    return [
+      {
+        id: 'security',
+        label: 'Ministry security review',
+        role: 'portal-security-reviewer',
+        required_approvals: 1,
+        sla_hours: 72,
+        when: 'always',
+      },
+      {
+        id: 'platform',
+        label: 'Platform review',
+        role: adminRole,
+        required_approvals: 1,
+        sla_hours: 48,
+        when: 'always',
+      },
+      {
+        id: 'finance',
+        label: 'Finance sign-off',
+        role: 'portal-finance',
+        required_approvals: 1,
+        sla_hours: 72,
+        when: 'elevated',
+      },
+    ];
+  }
+
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    throw new Error('PORTAL_APPROVAL_STAGES must be a JSON array');
+  }
+  if (!Array.isArray(parsed) || parsed.length === 0) {
+    throw new Error('PORTAL_APPROVAL_STAGES must be a non-empty JSON array');
+  }
+
+  const stages = parsed.map((entry: Record<string, unknown>, index): ApprovalStageConfig => {
+    const { id, label, role, required_approvals = 1, sla_hours, when = 'always' } = entry ?? {};
+    if (typeof id !== 'string' || !/^[a-z0-9-]+$/.test(id)) {
+      throw new Error(`PORTAL_APPROVAL_STAGES[${index}].id must be a lowercase slug`);
+    }
+    if (typeof role !== 'string' || !role.trim()) {
+      throw new Error(`PORTAL_APPROVAL_STAGES[${index}].role is required`);
+    }
+    if (!Number.isInteger(required_approvals) || (required_approvals as number) < 1) {
+      throw new Error(
+        `PORTAL_APPROVAL_STAGES[${index}].required_approvals must be a positive integer`,
+      );
+    }
+    if (typeof sla_hours !== 'number' || !(sla_hours > 0)) {
+      throw new Error(`PORTAL_APPROVAL_STAGES[${index}].sla_hours must be a positive number`);
+    }
+    if (when !== 'always' && when !== 'elevated') {
+      throw new Error(`PORTAL_APPROVAL_STAGES[${index}].when must be 'always' or 'elevated'`);
+    }
+    return {
+      id,
+      label: typeof label === 'string' && label.trim() ? label.trim() : id,
+      role: role.trim(),
+      required_approvals: required_approvals as number,
+      sla_hours,
+      when,
+    };
+  });
+  if (new Set(stages.map((stage) => stage.id)).size !== stages.length) {
+    throw new Error('PORTAL_APPROVAL_STAGES stage ids must be unique');
+  }
+
+  return stages;
+}
+
+/**
+ * Reads the notification transports to enable from `PORTAL_NOTIFY_TRANSPORTS`, a
+ * comma-separated list of `smtp`, `teams`, and `file`. Notifications are off when unset.
+ *
+ * @returns The enabled transports, without duplicates.
+ * @throws Error when the list names an unknown transport.
+ */
+function getNotificationTransports(): NotificationTransportName[] {
+  const names = (process.env.PORTAL_NOTIFY_TRANSPORTS ?? '')
+    .split(',')
+    .map((value) => value.trim().toLowerCase())
+    .filter(Boolean);
+  for (const name of names) {
+    if (name !== 'smtp' && name !== 'teams' && name !== 'file') {
+      throw new Error(`PORTAL_NOTIFY_TRANSPORTS has unknown transport '${name}'`);
+    }
+  }
+
+  return [...new Set(names)] as NotificationTransportName[];
+}
+
+/**
+ * Reads the addresses told about new submissions from `PORTAL_NOTIFY_ADMIN_EMAILS`.
+ *
+ * @returns Lower-cased email addresses; empty when the variable is not set.
+ */
+function getNotificationAdminEmails(): string[] {
+  return (process.env.PORTAL_NOTIFY_ADMIN_EMAILS ?? '')
+    .split(',')
+    .map((value) => value.trim().toLowerCase())
+    .filter(Boolean);
+}
+
 let cachedSettings: PortalSettings | null = null;
 
 /**
@@ -106,12 +279,47 @@ export function getSettings(): PortalSettings {
     mockUser: getMockUser(oidcAdminRole),
     tableStorageConnectionString: process.env.PORTAL_TABLE_STORAGE_CONNECTION_STRING ?? '',
     tableStorageAccountUrl: process.env.PORTAL_TABLE_STORAGE_ACCOUNT_URL ?? '',
+    storageBackend: getStorageBackend(),
+    sqlitePath: process.env.PORTAL_SQLITE_PATH ?? 'data/tenant-portal.sqlite',
+    postgresUrl: process.env.PORTAL_POSTGRES_URL ?? '',
+    approvalStages: getApprovalStages(oidcAdminRole),
     hubKeyVaultUrlDev: process.env.PORTAL_HUB_KEYVAULT_URL_DEV ?? '',
     hubKeyVaultUrlTest: process.env.PORTAL_HUB_KEYVAULT_URL_TEST ?? '',
     hubKeyVaultUrlProd: process.env.PORTAL_HUB_KEYVAULT_URL_PROD ?? '',
     apimGatewayUrlDev: process.env.PORTAL_APIM_GATEWAY_URL_DEV ?? '',
     apimGatewayUrlTest: process.env.PORTAL_APIM_GATEWAY_URL_TEST ?? '',
     apimGatewayUrlProd: process.env.PORTAL_APIM_GATEWAY_URL_PROD ?? '',
+    apimResourceIdDev: process.env.PORTAL_APIM_RESOURCE_ID_DEV ?? '',
+    apimResourceIdTest: process.env.PORTAL_APIM_RESOURCE_ID_TEST ?? '',
+    apimResourceIdProd: process.env.PORTAL_APIM_RESOURCE_ID_PROD ?? '',
+    keyRegenerationCooldownMinutes:
+      Number(process.env.PORTAL_KEY_REGENERATION_COOLDOWN_MINUTES) || 60,
+    usageApiUrlDev: process.env.PORTAL_USAGE_API_URL_DEV ?? '',
+    usageApiUrlTest: process.env.PORTAL_USAGE_API_URL_TEST ?? '',
+    usageApiUrlProd: process.env.PORTAL_USAGE_API_URL_PROD ?? '',
+    draftTtlDays: Number(process.env.PORTAL_DRAFT_TTL_DAYS) || 14,
+    githubPrMode: getGitHubPrMode(),
+    githubRepository: process.env.PORTAL_GITHUB_REPOSITORY ?? 'bcgov/ai-hub-tracking',
+    githubApiUrl: (process.env.PORTAL_GITHUB_API_URL ?? 'https://api.github.com').replace(
+      /\/+$/,
+      '',
+    ),
+    githubToken: process.env.PORTAL_GITHUB_TOKEN ?? '',
+    githubBaseBranch: process.env.PORTAL_GITHUB_BASE_BRANCH ?? 'main',
+    githubPrLabels: getGitHubPrLabels(),
+    githubLocalRepoPath: process.env.PORTAL_GITHUB_LOCAL_REPO_PATH ?? '',
+    tfvarsDir: process.env.PORTAL_TFVARS_DIR ?? '',
+    publicUrl: (process.env.PORTAL_PUBLIC_URL ?? 'http://localhost:5173').replace(/\/+$/, ''),
+    notificationTransports: getNotificationTransports(),
+    notificationAdminEmails: getNotificationAdminEmails(),
+    notificationFilePath: process.env.PORTAL_NOTIFY_FILE_PATH ?? '',
+    smtpHost: process.env.PORTAL_SMTP_HOST ?? '',
+    smtpPort: Number(process.env.PORTAL_SMTP_PORT) || 587,
+    smtpSecure: getBoolean(process.env.PORTAL_SMTP_SECURE, false),
+    smtpUser: process.env.PORTAL_SMTP_USER ?? '',
+    smtpPassword: process.env.PORTAL_SMTP_PASSWORD ?? '',
+    smtpFrom: process.env.PORTAL_SMTP_FROM ?? '',
+    teamsWebhookUrl: process.env.PORTAL_TEAMS_WEBHOOK_URL ?? '',
   };
   return cachedSettings;
 }
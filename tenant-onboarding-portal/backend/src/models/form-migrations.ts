@@ -0,0 +1,175 @@
+import { UnprocessableEntityException } from '@nestjs/common';
+
+import { CAPACITY_TIERS, FORM_SCHEMA, FORM_VERSION, MODEL_FAMILIES } from './form-schema';
+import { parseTenantForm } from './tenant-form';
+import type {
+  FormMigrationChange,
+  FormMigrationPlanItem,
+  FormMigrationResult,
+  TenantRecord,
+} from '../types';
+
+type FormMigrationStep = {
+  /** The form version the step upgrades stored form data to. */
+  version: string;
+  /**
+   * Rewrites `data` in place from the previous version's shape.
+   *
+   * @returns One entry per changed field.
+   */
+  migrate: (data: Record<string, unknown>) => Array<Omit<FormMigrationChange, 'version'>>;
+};
+
+/**
+ * Upgrade steps in version order. Whenever `MODEL_FAMILIES`, the defaults, or the
+ * field set change, bump `FORM_VERSION` and append a step that ends at it; never
+ * edit a step that stored records may already have passed through.
+ */
+const FORM_MIGRATION_STEPS: FormMigrationStep[] = [
+  {
+    // Records from before form versioning used the original field names.
+    version: '2026.03.1',
+    migrate: (data) => {
+      const changes: Array<Omit<FormMigrationChange, 'version'>> = [];
+      if (!('admin_users' in data) && Array.isArray(data.admin_emails)) {
+        data.admin_users = data.admin_emails;
+        changes.push({ field: 'admin_users', description: 'Copied from the old admin emails' });
+      }
+      delete data.admin_emails;
+      if (!('logging_enabled' in data) && typeof data.usage_logging_enabled === 'boolean') {
+        data.logging_enabled = data.usage_logging_enabled;
+        changes.push({ field: 'logging_enabled', description: 'Copied from usage logging' });
+      }
+      delete data.usage_logging_enabled;
+      return changes;
+    },
+  },
+];
+
+/**
+ * Orders two form versions (`YYYY.MM.N`) numerically. The empty version of records
+ * from before versioning sorts first.
+ *
+ * @param left - The first version.
+ * @param right - The second version.
+ * @returns A negative number when `left` is older, positive when newer, `0` when equal.
+ */
+export function compareFormVersions(left: string, right: string): number {
+  const leftParts = left ? left.split('.').map(Number) : [];
+  const rightParts = right ? right.split('.').map(Number) : [];
+  for (let index = 0; index < Math.max(leftParts.length, rightParts.length); index += 1) {
+    const difference = (leftParts[index] ?? -1) - (rightParts[index] ?? -1);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Brings migrated form data in line with the current schema: model families and
+ * capacity tiers the portal no longer offers are dropped or reset, and fields added
+ * since the record was stored take their defaults.
+ *
+ * @param data - The form data to reconcile in place.
+ * @returns One entry per changed field.
+ */
+function reconcileWithSchema(
+  data: Record<string, unknown>,
+): Array<Omit<FormMigrationChange, 'version'>> {
+  const changes: Array<Omit<FormMigrationChange, 'version'>> = [];
+
+  if (Array.isArray(data.model_families)) {
+    const families = data.model_families as unknown[];
+    const removed = families.filter((family) => !Object.hasOwn(MODEL_FAMILIES, String(family)));
+    if (removed.length > 0) {
+      data.model_families = families.filter((family) => !removed.includes(family));
+      changes.push({
+        field: 'model_families',
+        description: `Removed ${removed.join(', ')}, which the portal no longer offers`,
+      });
+    }
+  }
+
+  if (
+    typeof data.capacity_tier === 'string' &&
+    !Object.hasOwn(CAPACITY_TIERS, data.capacity_tier)
+  ) {
+    changes.push({
+      field: 'capacity_tier',
+      description: `Reset ${data.capacity_tier}, which the portal no longer offers, to ${FORM_SCHEMA.defaults.capacity_tier}`,
+    });
+    data.capacity_tier = FORM_SCHEMA.defaults.capacity_tier;
+  }
+
+  for (const [field, value] of Object.entries(FORM_SCHEMA.defaults)) {
+    if (field === 'form_version' || field in data) continue;
+    data[field] = Array.isArray(value) ? value.filter(Boolean) : value;
+    changes.push({ field, description: `Added with the default ${JSON.stringify(data[field])}` });
+  }
+
+  return changes;
+}
+
+/**
+ * Upgrades stored form data from its form version to the current one by running every
+ * newer migration step in order, then reconciling it with the current schema. The
+ * stored data is left untouched.
+ *
+ * @param formData - A version's stored form data.
+ * @returns The upgraded data and what changed, or `null` when the data is already on
+ *   the current form version.
+ */
+export function migrateFormData(formData: Record<string, unknown>): FormMigrationResult | null {
+  const fromVersion = typeof formData.form_version === 'string' ? formData.form_version : '';
+  if (compareFormVersions(fromVersion, FORM_VERSION) >= 0) {
+    return null;
+  }
+
+  const data = structuredClone(formData);
+  const changes: FormMigrationChange[] = [];
+  for (const step of FORM_MIGRATION_STEPS) {
+    if (compareFormVersions(fromVersion, step.version) < 0) {
+      changes.push(...step.migrate(data).map((change) => ({ version: step.version, ...change })));
+    }
+  }
+  changes.push(
+    ...reconcileWithSchema(data).map((change) => ({ version: FORM_VERSION, ...change })),
+  );
+  data.form_version = FORM_VERSION;
+
+  return { from_version: fromVersion, to_version: FORM_VERSION, form_data: data, changes };
+}
+
+/**
+ * Dry-runs the form migration of each record and validates the result the way a
+ * resubmission would be, without writing anything.
+ *
+ * @param records - The versions to check, usually every tenant's current version.
+ * @returns One plan entry per record, sorted by tenant name.
+ */
+export function planFormMigrations(records: TenantRecord[]): FormMigrationPlanItem[] {
+  return records
+    .map((record): FormMigrationPlanItem => {
+      const formData = record.FormData ?? {};
+      const migration = migrateFormData(formData);
+      const item: FormMigrationPlanItem = {
+        tenant_name: record.PartitionKey,
+        version: record.RowKey,
+        form_version: migration?.from_version ?? String(formData.form_version ?? ''),
+        status: migration ? 'migrates' : 'current',
+        changes: migration?.changes ?? [],
+      };
+      if (migration) {
+        try {
+          parseTenantForm(migration.form_data);
+        } catch (error) {
+          if (!(error instanceof UnprocessableEntityException)) throw error;
+          item.status = 'fails';
+          item.error = error.message;
+        }
+      }
+      return item;
+    })
+    .sort((left, right) => left.tenant_name.localeCompare(right.tenant_name));
+}
@@ -0,0 +1,58 @@
+export const RATE_CARD_VERSION = '2026.03';
+
+/**
+ * List prices and usage assumptions behind the cost estimate. Prices are Azure retail
+ * list prices in USD for the SKUs the generated tfvars deploy; update them together
+ * with `RATE_CARD_VERSION` when Azure pricing or the hub SKUs change.
+ */
+export const RATE_CARD = {
+  version: RATE_CARD_VERSION,
+  currency: 'USD',
+  hours_per_month: 730,
+  /** Share of prod usage each environment sees, for usage-billed services. */
+  environment_usage: { dev: 0.1, test: 0.2, prod: 1 },
+  openai: {
+    /** Each unit of deployment capacity allows this many tokens per minute. */
+    tpm_per_capacity_unit: 1000,
+    /** Average share of the deployed TPM a tenant consumes over a month. */
+    utilization: { low: 0.002, high: 0.02 },
+    /** Share of tokens that are output tokens; embeddings have no output price. */
+    output_share: 0.25,
+    /** USD per million tokens. Models without an entry use `default_model`. */
+    models: {
+      'gpt-4.1': { input: 2, output: 8 },
+      'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+      'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+      'gpt-4o': { input: 2.5, output: 10 },
+      'gpt-4o-mini': { input: 0.15, output: 0.6 },
+      'gpt-5-mini': { input: 0.25, output: 2 },
+      'gpt-5-nano': { input: 0.05, output: 0.4 },
+      'gpt-5.1-chat': { input: 1.25, output: 10 },
+      'gpt-5.1-codex-mini': { input: 0.25, output: 2 },
+      o1: { input: 15, output: 60 },
+      'o3-mini': { input: 1.1, output: 4.4 },
+      'o4-mini': { input: 1.1, output: 4.4 },
+      'text-embedding-ada-002': { input: 0.1, output: 0 },
+      'text-embedding-3-large': { input: 0.13, output: 0 },
+      'text-embedding-3-small': { input: 0.02, output: 0 },
+    } as Record<string, { input: number; output: number }>,
+    default_model: { input: 2.5, output: 10 },
+  },
+  ai_search: {
+    /** Basic tier, one replica and one partition, billed per search unit. */
+    per_search_unit_month: 73.73,
+    search_units: 1,
+  },
+  cosmos_db: {
+    per_100_rus_hour: 0.008,
+    /** Manual throughput floor and the `total_throughput_limit` in the tfvars. */
+    rus: { low: 400, high: 1000 },
+    per_gb_month: 0.25,
+    storage_gb: { low: 1, high: 25 },
+  },
+  document_intelligence: {
+    /** S0 prebuilt models, per 1,000 pages. */
+    per_1000_pages: 10,
+    prod_pages_per_month: { low: 1000, high: 20000 },
+  },
+} as const;
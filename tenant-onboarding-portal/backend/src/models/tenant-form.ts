@@ -1,7 +1,12 @@
 import { UnprocessableEntityException } from '@nestjs/common';
 
 import { FORM_SCHEMA } from './form-schema';
-import type { TenantFormData } from '../types';
+import type {
+  ContentFilterRule,
+  CostEstimateInput,
+  ModelDeployment,
+  TenantFormData,
+} from '../types';
 
 const DEFAULTS = FORM_SCHEMA.defaults;
 const VALIDATION = FORM_SCHEMA.validation;
@@ -9,6 +14,16 @@ const PROJECT_NAME_REGEX = VALIDATION.project_name.pattern
   ? new RegExp(VALIDATION.project_name.pattern)
   : null;
 const PROJECT_NAME_MAX_LENGTH = 30;
+/** Table Storage string properties hold at most 32K UTF-16 characters. */
+const DRAFT_MAX_LENGTH = 32_000;
+const CUSTOM_DEPLOYMENTS_MESSAGE =
+  'Custom model deployments need a unique name, model name, version, scale type and a positive capacity';
+/** Allowed content filter values, as validated by the foundry-project module. */
+const CONTENT_FILTER_VALUES = {
+  name: ['hate', 'violence', 'sexual', 'selfharm'],
+  severity_threshold: ['Low', 'Medium', 'High'],
+  source: ['Prompt', 'Completion'],
+} as const;
 
 /**
  * Asserts that a value is a plain, non-array JSON object.
@@ -178,6 +193,93 @@ function validateGovEmails(values: string[], fieldLabel: string): string[] {
     });
 }
 
+/**
+ * Validates the content filter of a custom model deployment.
+ *
+ * @param value - The raw `content_filter` value.
+ * @returns The content filter, or `undefined` when none is given.
+ * @throws UnprocessableEntityException when the filter or one of its rules is malformed.
+ */
+function validateContentFilter(value: unknown): ModelDeployment['content_filter'] {
+  if (value === undefined) {
+    return undefined;
+  }
+  const filter = asRecord(value);
+  if (typeof filter.base_policy_name !== 'string' || !Array.isArray(filter.filters)) {
+    throw new UnprocessableEntityException(
+      'A content filter needs a base_policy_name and a filters list',
+    );
+  }
+
+  const rules = filter.filters.map((item): ContentFilterRule => {
+    const rule = asRecord(item);
+    for (const [field, allowed] of Object.entries(CONTENT_FILTER_VALUES)) {
+      if (!(allowed as readonly unknown[]).includes(rule[field])) {
+        throw new UnprocessableEntityException(
+          `Content filter ${field} must be one of: ${allowed.join(', ')}`,
+        );
+      }
+    }
+    if (
+      (rule.blocking !== undefined && typeof rule.blocking !== 'boolean') ||
+      (rule.enabled !== undefined && typeof rule.enabled !== 'boolean')
+    ) {
+      throw new UnprocessableEntityException(
+        'Content filter blocking and enabled must be booleans',
+      );
+    }
+    return {
+      name: rule.name as string,
+      severity_threshold: rule.severity_threshold as string,
+      ...(rule.blocking === undefined ? {} : { blocking: rule.blocking as boolean }),
+      ...(rule.enabled === undefined ? {} : { enabled: rule.enabled as boolean }),
+      source: rule.source as string,
+    };
+  });
+  return { base_policy_name: filter.base_policy_name, filters: rules };
+}
+
+/**
+ * Validates the custom model deployments an import keeps from existing tfvars.
+ *
+ * @param value - The raw `custom_model_deployments` value.
+ * @returns The deployments; empty when none are given.
+ * @throws UnprocessableEntityException when a deployment is malformed or a name repeats.
+ */
+function validateCustomDeployments(value: unknown): ModelDeployment[] {
+  if (value === undefined) {
+    return [];
+  }
+  if (!Array.isArray(value)) {
+    throw new UnprocessableEntityException(CUSTOM_DEPLOYMENTS_MESSAGE);
+  }
+
+  const names = new Set<string>();
+  return value.map((item) => {
+    const deployment = asRecord(item);
+    const fields = ['name', 'model_name', 'model_version', 'scale_type'] as const;
+    if (
+      fields.some((field) => typeof deployment[field] !== 'string' || !deployment[field]) ||
+      typeof deployment.capacity !== 'number' ||
+      !Number.isInteger(deployment.capacity) ||
+      deployment.capacity < 1 ||
+      names.has(deployment.name as string)
+    ) {
+      throw new UnprocessableEntityException(CUSTOM_DEPLOYMENTS_MESSAGE);
+    }
+    names.add(deployment.name as string);
+    const contentFilter = validateContentFilter(deployment.content_filter);
+    return {
+      name: deployment.name as string,
+      model_name: deployment.model_name as string,
+      model_version: deployment.model_version as string,
+      scale_type: deployment.scale_type as string,
+      capacity: deployment.capacity,
+      ...(contentFilter ? { content_filter: contentFilter } : {}),
+    };
+  });
+}
+
 /**
  * Parses and validates a raw tenant form submission, casting all fields from
  * unknown input types, applying default values from the form schema, and
@@ -203,12 +305,14 @@ export function parseTenantForm(input: unknown): TenantFormData {
   }
 
   const modelFamilies = asStringArray(payload.model_families, DEFAULTS.model_families);
+  const customDeployments = validateCustomDeployments(payload.custom_model_deployments);
   const validModelFamilies = VALIDATION.model_families.allowed_values ?? [];
   if (modelFamilies.some((family) => !validModelFamilies.includes(family))) {
     throw new UnprocessableEntityException(VALIDATION.model_families.message);
   }
   if (
     openaiEnabled &&
+    customDeployments.length === 0 &&
     modelFamilies.length < (VALIDATION.model_families.min_items_when_openai_enabled ?? 0)
   ) {
     throw new UnprocessableEntityException(VALIDATION.model_families.message);
@@ -265,5 +369,76 @@ export function parseTenantForm(input: unknown): TenantFormData {
     write_users: validateGovEmails(asStringArray(payload.write_users), 'Write user'),
     read_users: validateGovEmails(asStringArray(payload.read_users), 'Read user'),
     form_version: asString(payload.form_version, DEFAULTS.form_version),
+    ...(customDeployments.length > 0 ? { custom_model_deployments: customDeployments } : {}),
+  };
+}
+
+/**
+ * Parses a tenant form submitted through the portal. Custom model deployments only
+ * come from imported tfvars, so any in the submission are replaced by the ones the
+ * tenant already has.
+ *
+ * @param input - The raw request body as received from the HTTP layer.
+ * @param keptDeployments - The `custom_model_deployments` of the newest approved
+ *   version; `undefined` for a new tenant.
+ * @returns A fully validated and typed `TenantFormData` object.
+ * @throws UnprocessableEntityException for any field that fails validation.
+ */
+export function parseTenantSubmission(input: unknown, keptDeployments: unknown): TenantFormData {
+  return parseTenantForm({ ...asRecord(input), custom_model_deployments: keptDeployments });
+}
+
+/**
+ * Parses the cost-relevant fields of a possibly incomplete tenant form, so the form
+ * page can preview the estimate while the user is still filling it in. Missing fields
+ * take their schema defaults; only the model families and capacity tier are validated.
+ *
+ * @param input - The raw request body as received from the HTTP layer.
+ * @returns The fields the cost estimate depends on.
+ * @throws UnprocessableEntityException when the body is not an object or names an
+ *   unknown model family or capacity tier.
+ */
+export function parseCostEstimateInput(input: unknown): CostEstimateInput {
+  const payload = asRecord(input);
+  const modelFamilies = asStringArray(payload.model_families, DEFAULTS.model_families);
+  const validModelFamilies = VALIDATION.model_families.allowed_values ?? [];
+  if (modelFamilies.some((family) => !validModelFamilies.includes(family))) {
+    throw new UnprocessableEntityException(VALIDATION.model_families.message);
+  }
+
+  return {
+    openai_enabled: asBoolean(payload.openai_enabled, DEFAULTS.openai_enabled),
+    ai_search_enabled: asBoolean(payload.ai_search_enabled, DEFAULTS.ai_search_enabled),
+    cosmos_db_enabled: asBoolean(payload.cosmos_db_enabled, DEFAULTS.cosmos_db_enabled),
+    document_intelligence_enabled: asBoolean(
+      payload.document_intelligence_enabled,
+      DEFAULTS.document_intelligence_enabled,
+    ),
+    model_families: modelFamilies,
+    capacity_tier: validateAllowedValue(
+      asString(payload.capacity_tier, DEFAULTS.capacity_tier),
+      VALIDATION.capacity_tier.allowed_values,
+      VALIDATION.capacity_tier.message,
+    ),
   };
 }
+
+/**
+ * Checks a tenant form that is still being filled in, for saving as a draft. Only the
+ * tenant name and the size are validated; the fields are kept as entered, with
+ * `project_name` set to the tenant name.
+ *
+ * @param tenantName - The tenant name from the route, validated as a project name.
+ * @param input - The raw request body as received from the HTTP layer.
+ * @returns The form data to store.
+ * @throws UnprocessableEntityException when the name is invalid, the body is not an
+ *   object, or the draft is too large to store.
+ */
+export function parseTenantDraft(tenantName: string, input: unknown): Record<string, unknown> {
+  const formData = { ...asRecord(input), project_name: validateProjectName(tenantName) };
+  if (JSON.stringify(formData).length > DRAFT_MAX_LENGTH) {
+    throw new UnprocessableEntityException('Draft is too large to save');
+  }
+
+  return formData;
+}
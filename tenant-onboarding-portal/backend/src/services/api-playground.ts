@@ -0,0 +1,241 @@
+import { UnprocessableEntityException } from '@nestjs/common';
+
+import type {
+  HubEnv,
+  PlaygroundMessage,
+  PlaygroundOperation,
+  PlaygroundRequest,
+  PlaygroundUsage,
+} from '../types';
+
+/** Azure OpenAI data-plane version the playground calls, as the hub integration tests do. */
+export const PLAYGROUND_API_VERSION = '2024-10-21';
+
+/** Longest a playground call may take, streamed body included. */
+export const PLAYGROUND_TIMEOUT_MS = 60_000;
+
+const HUB_ENVS: HubEnv[] = ['dev', 'test', 'prod'];
+const OPERATIONS: PlaygroundOperation[] = ['chat', 'embeddings'];
+const MESSAGE_ROLES: PlaygroundMessage['role'][] = ['system', 'user', 'assistant'];
+
+const DEPLOYMENT_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+const MAX_MESSAGES = 20;
+const MAX_TEXT_LENGTH = 8000;
+const MAX_TOKENS_LIMIT = 4096;
+const DEFAULT_MAX_TOKENS = 256;
+const DEFAULT_TEMPERATURE = 0.7;
+
+/** Reasoning models take `max_completion_tokens` and reject `temperature`. */
+const REASONING_MODEL_PREFIXES = ['gpt-5', 'o1', 'o3', 'o4'];
+
+/** Upstream headers never shown to the browser. */
+const HIDDEN_HEADERS = new Set([
+  'set-cookie',
+  'authorization',
+  'api-key',
+  'ocp-apim-subscription-key',
+]);
+
+/**
+ * Reads a number from the payload, bounded to a range.
+ *
+ * @param value - The raw value.
+ * @param fallback - Used when the value is missing.
+ * @param min - The smallest allowed value.
+ * @param max - The largest allowed value.
+ * @param message - Validation message when the value is out of range or not a number.
+ * @returns The number.
+ * @throws UnprocessableEntityException when the value is not a number in range.
+ */
+function boundedNumber(
+  value: unknown,
+  fallback: number,
+  min: number,
+  max: number,
+  message: string,
+): number {
+  if (value === undefined || value === null || value === '') return fallback;
+  const parsed = typeof value === 'number' ? value : Number(value);
+  if (!Number.isFinite(parsed) || parsed < min || parsed > max) {
+    throw new UnprocessableEntityException(message);
+  }
+  return parsed;
+}
+
+/**
+ * Reads the chat messages from the payload.
+ *
+ * @param value - The raw `messages` value.
+ * @returns The messages, with empty ones dropped.
+ * @throws UnprocessableEntityException when a message is malformed or there are none.
+ */
+function parseMessages(value: unknown): PlaygroundMessage[] {
+  if (!Array.isArray(value)) {
+    throw new UnprocessableEntityException('Chat requests need a messages array');
+  }
+  const messages = value
+    .map((entry: unknown) => {
+      const message = (entry ?? {}) as Record<string, unknown>;
+      const role = message.role as PlaygroundMessage['role'];
+      if (!MESSAGE_ROLES.includes(role) || typeof message.content !== 'string') {
+        throw new UnprocessableEntityException(
+          `Each message needs a role (${MESSAGE_ROLES.join(', ')}) and text content`,
+        );
+      }
+      if (message.content.length > MAX_TEXT_LENGTH) {
+        throw new UnprocessableEntityException(
+          `Messages are limited to ${MAX_TEXT_LENGTH} characters`,
+        );
+      }
+      return { role, content: message.content };
+    })
+    .filter((message) => message.content.trim());
+  if (!messages.some((message) => message.role === 'user')) {
+    throw new UnprocessableEntityException('Enter a user message');
+  }
+  if (messages.length > MAX_MESSAGES) {
+    throw new UnprocessableEntityException(`Send at most ${MAX_MESSAGES} messages`);
+  }
+  return messages;
+}
+
+/**
+ * Validates a playground request body.
+ *
+ * @param input - The raw request body.
+ * @returns The validated request with defaults applied.
+ * @throws UnprocessableEntityException when any field is invalid.
+ */
+export function parsePlaygroundRequest(input: unknown): PlaygroundRequest {
+  const payload = (input && typeof input === 'object' ? input : {}) as Record<string, unknown>;
+  const env = payload.env as HubEnv;
+  if (!HUB_ENVS.includes(env)) {
+    throw new UnprocessableEntityException(`env must be one of ${HUB_ENVS.join(', ')}`);
+  }
+  const deployment = typeof payload.deployment === 'string' ? payload.deployment.trim() : '';
+  if (!DEPLOYMENT_PATTERN.test(deployment)) {
+    throw new UnprocessableEntityException('Select a deployment from the tenant info');
+  }
+  const operation = (payload.operation ?? 'chat') as PlaygroundOperation;
+  if (!OPERATIONS.includes(operation)) {
+    throw new UnprocessableEntityException(`operation must be one of ${OPERATIONS.join(', ')}`);
+  }
+
+  let text = '';
+  if (operation === 'embeddings') {
+    text = typeof payload.input === 'string' ? payload.input : '';
+    if (!text.trim()) throw new UnprocessableEntityException('Enter text to embed');
+    if (text.length > MAX_TEXT_LENGTH) {
+      throw new UnprocessableEntityException(`Input is limited to ${MAX_TEXT_LENGTH} characters`);
+    }
+  }
+
+  return {
+    env,
+    deployment,
+    operation,
+    messages: operation === 'chat' ? parseMessages(payload.messages) : [],
+    input: text,
+    max_tokens: Math.round(
+      boundedNumber(
+        payload.max_tokens,
+        DEFAULT_MAX_TOKENS,
+        1,
+        MAX_TOKENS_LIMIT,
+        `max_tokens must be between 1 and ${MAX_TOKENS_LIMIT}`,
+      ),
+    ),
+    temperature: boundedNumber(
+      payload.temperature,
+      DEFAULT_TEMPERATURE,
+      0,
+      2,
+      'temperature must be between 0 and 2',
+    ),
+    stream: operation === 'chat' && payload.stream === true,
+  };
+}
+
+/**
+ * Builds the gateway path and JSON body for a playground request. Chat uses the
+ * deployment route, which APIM rewrites to the tenant-prefixed deployment.
+ *
+ * @param request - The validated request.
+ * @returns The path below the tenant's gateway base URL, and the request body.
+ */
+export function buildPlaygroundCall(request: PlaygroundRequest): {
+  path: string;
+  body: Record<string, unknown>;
+} {
+  const route = request.operation === 'chat' ? 'chat/completions' : 'embeddings';
+  const path = `/openai/deployments/${request.deployment}/${route}?api-version=${PLAYGROUND_API_VERSION}`;
+  if (request.operation === 'embeddings') {
+    return { path, body: { input: request.input } };
+  }
+
+  const reasoning = REASONING_MODEL_PREFIXES.some((prefix) =>
+    request.deployment.toLowerCase().startsWith(prefix),
+  );
+  const body: Record<string, unknown> = { messages: request.messages };
+  if (reasoning) {
+    body.max_completion_tokens = request.max_tokens;
+  } else {
+    body.max_tokens = request.max_tokens;
+    body.temperature = request.temperature;
+  }
+  if (request.stream) {
+    body.stream = true;
+    body.stream_options = { include_usage: true };
+  }
+  return { path, body };
+}
+
+/**
+ * Copies the upstream response headers the browser may see.
+ *
+ * @param headers - The gateway response headers.
+ * @returns The headers by lower-case name, without cookies or keys.
+ */
+export function visiblePlaygroundHeaders(headers: Headers): Record<string, string> {
+  const visible: Record<string, string> = {};
+  headers.forEach((value, name) => {
+    if (!HIDDEN_HEADERS.has(name.toLowerCase())) visible[name.toLowerCase()] = value;
+  });
+  return visible;
+}
+
+/**
+ * Reads the token usage from a gateway response body: the `usage` object of a JSON
+ * body, or of the last server-sent event that has one.
+ *
+ * @param body - The full response body.
+ * @returns The usage, or `null` when the body reports none.
+ */
+export function extractPlaygroundUsage(body: string): PlaygroundUsage | null {
+  const documents = body.trimStart().startsWith('data:')
+    ? body
+        .split('\n')
+        .filter((line) => line.startsWith('data:'))
+        .map((line) => line.slice(5).trim())
+        .filter((data) => data && data !== '[DONE]')
+    : [body];
+
+  let usage: PlaygroundUsage | null = null;
+  for (const document of documents) {
+    try {
+      const parsed = JSON.parse(document) as { usage?: Record<string, unknown> | null };
+      const raw = parsed.usage;
+      if (raw && typeof raw.prompt_tokens === 'number' && typeof raw.total_tokens === 'number') {
+        usage = {
+          prompt_tokens: raw.prompt_tokens,
+          completion_tokens:
+            typeof raw.completion_tokens === 'number' ? raw.completion_tokens : null,
+          total_tokens: raw.total_tokens,
+        };
+      }
+    } catch {
+      // Not JSON (an HTML error page, or a partial event): no usage to report.
+    }
+  }
+  return usage;
+}
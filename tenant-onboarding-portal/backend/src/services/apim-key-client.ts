@@ -0,0 +1,165 @@
+import { DefaultAzureCredential } from '@azure/identity';
+import type { TokenCredential } from '@azure/identity';
+
+import type { ApimKeySlot, HubEnv, PortalSettings } from '../types';
+
+/** Nest injection token for the per-environment {@link ApimKeyClient}s (`null` when unset). */
+export const APIM_KEY_CLIENTS = Symbol('APIM_KEY_CLIENTS');
+
+const ARM_URL = 'https://management.azure.com';
+const ARM_API_VERSION = '2022-08-01';
+
+export type ApimSubscriptionKeys = {
+  primary_key: string;
+  secondary_key: string;
+};
+
+export interface ApimKeyClient {
+  /**
+   * Regenerates one key of the tenant's APIM subscription and returns both keys as
+   * APIM now holds them.
+   */
+  regenerateKey(tenantName: string, slot: ApimKeySlot): Promise<ApimSubscriptionKeys>;
+}
+
+export class ApimKeyError extends Error {
+  /**
+   * Creates an error describing a failed APIM management call.
+   *
+   * @param message - Human-readable description of the failure.
+   * @param status - The HTTP status returned by Azure Resource Manager, when any.
+   */
+  constructor(
+    message: string,
+    readonly status?: number,
+  ) {
+    super(message);
+    this.name = 'ApimKeyError';
+  }
+}
+
+type ArmSubscription = {
+  name: string;
+  properties: { displayName?: string; scope?: string };
+};
+
+/**
+ * Regenerates tenant subscription keys through the Azure Resource Manager REST API,
+ * the same operations the `jobs/apim-key-rotation` job uses. Tenant subscriptions are
+ * found by their product scope, since Terraform gives them generated names.
+ */
+export class ArmApimKeyClient implements ApimKeyClient {
+  /**
+   * Creates a client for one APIM instance.
+   *
+   * @param resourceId - The ARM resource ID of the APIM instance.
+   * @param credential - The credential used for management API tokens.
+   */
+  constructor(
+    private readonly resourceId: string,
+    private readonly credential: TokenCredential = new DefaultAzureCredential(),
+  ) {}
+
+  /**
+   * Regenerates one key of the tenant's subscription, then reads both keys back.
+   *
+   * @param tenantName - The tenant whose product subscription is rotated.
+   * @param slot - The key to regenerate.
+   * @returns The subscription's keys after regeneration.
+   * @throws ApimKeyError when the subscription is missing or a management call fails.
+   */
+  async regenerateKey(tenantName: string, slot: ApimKeySlot): Promise<ApimSubscriptionKeys> {
+    const subscription = await this.findSubscription(tenantName);
+    const base = `${this.resourceId}/subscriptions/${subscription}`;
+    await this.request(
+      'POST',
+      `${base}/${slot === 'primary' ? 'regeneratePrimaryKey' : 'regenerateSecondaryKey'}`,
+    );
+    const keys = (await this.request('POST', `${base}/listSecrets`)) as {
+      primaryKey?: string;
+      secondaryKey?: string;
+    };
+    if (!keys.primaryKey || !keys.secondaryKey) {
+      throw new ApimKeyError('APIM returned an empty key after regeneration');
+    }
+    return { primary_key: keys.primaryKey, secondary_key: keys.secondaryKey };
+  }
+
+  /**
+   * Finds the tenant's subscription: the one scoped to the tenant's product whose
+   * display name ends with `Subscription`.
+   *
+   * @param tenantName - The tenant, which is also its APIM product ID.
+   * @returns The subscription's resource name.
+   * @throws ApimKeyError when no such subscription exists.
+   */
+  private async findSubscription(tenantName: string): Promise<string> {
+    let url: string | null = `${this.resourceId}/subscriptions`;
+    while (url) {
+      const page = (await this.request('GET', url)) as {
+        value: ArmSubscription[];
+        nextLink?: string;
+      };
+      const match = page.value.find(
+        (entry) =>
+          entry.properties.scope?.endsWith(`/products/${tenantName}`) &&
+          entry.properties.displayName?.endsWith('Subscription'),
+      );
+      if (match) {
+        return match.name;
+      }
+      url = page.nextLink ?? null;
+    }
+    throw new ApimKeyError(`No APIM subscription found for tenant ${tenantName}`, 404);
+  }
+
+  /**
+   * Sends one management API request.
+   *
+   * @param method - The HTTP method.
+   * @param path - A resource path, or an absolute `nextLink` URL.
+   * @returns The parsed JSON response body, or `{}` when it is empty.
+   * @throws ApimKeyError when the token cannot be acquired or the call fails.
+   */
+  private async request(method: 'GET' | 'POST', path: string): Promise<unknown> {
+    const token = await this.credential.getToken(`${ARM_URL}/.default`);
+    if (!token) {
+      throw new ApimKeyError('Could not acquire an Azure management token');
+    }
+    const url = new URL(path.startsWith('https://') ? path : `${ARM_URL}${path}`);
+    if (!url.searchParams.has('api-version')) {
+      url.searchParams.set('api-version', ARM_API_VERSION);
+    }
+
+    const response = await fetch(url, {
+      method,
+      headers: { Authorization: `Bearer ${token.token}` },
+    });
+    if (!response.ok) {
+      throw new ApimKeyError(
+        `APIM management ${method} ${url.pathname.split('/').pop()} failed with ${response.status}`,
+        response.status,
+      );
+    }
+    const text = await response.text();
+    return text ? (JSON.parse(text) as unknown) : {};
+  }
+}
+
+/**
+ * Creates one management client per hub environment that has an APIM resource ID
+ * configured. Used as the Nest factory for {@link APIM_KEY_CLIENTS}.
+ *
+ * @param settings - The portal settings.
+ * @returns The clients by environment; `null` where no APIM instance is configured.
+ */
+export function createApimKeyClients(
+  settings: PortalSettings,
+): Record<HubEnv, ApimKeyClient | null> {
+  const client = (resourceId: string) => (resourceId ? new ArmApimKeyClient(resourceId) : null);
+  return {
+    dev: client(settings.apimResourceIdDev),
+    test: client(settings.apimResourceIdTest),
+    prod: client(settings.apimResourceIdProd),
+  };
+}
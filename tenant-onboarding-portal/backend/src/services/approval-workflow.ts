@@ -0,0 +1,246 @@
+import { CAPACITY_TIERS } from '../models/form-schema';
+import type {
+  ApprovalQueue,
+  ApprovalStage,
+  ApprovalStageConfig,
+  ApprovalWorkflow,
+  TenantRecord,
+} from '../types';
+import { totalModelCapacity } from './tfvars-generator';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Reads the model families and capacity tier out of stored form data.
+ *
+ * @param formData - A version's form data.
+ * @returns The families (empty when absent) and tier (`standard` when absent).
+ */
+function capacityInputs(formData: Record<string, unknown> | undefined): {
+  families: string[];
+  tier: string;
+} {
+  const families = Array.isArray(formData?.model_families)
+    ? formData.model_families.filter((family): family is string => typeof family === 'string')
+    : [];
+  const tier = typeof formData?.capacity_tier === 'string' ? formData.capacity_tier : 'standard';
+  return { families, tier };
+}
+
+/**
+ * Decides whether a submission needs the multi-stage pipeline instead of a single
+ * admin approval: any elevated capacity tier, or an edit that raises prod model
+ * capacity above what was last approved.
+ *
+ * @param formData - The submitted form data.
+ * @param baseline - The last approved version of the tenant, or `null` for none.
+ * @returns A short reason shown to reviewers, or `null` when one admin may approve.
+ */
+export function approvalReason(
+  formData: Record<string, unknown>,
+  baseline: TenantRecord | null,
+): string | null {
+  const { families, tier } = capacityInputs(formData);
+  if (tier === 'elevated') {
+    return `Requests the ${CAPACITY_TIERS.elevated.label} capacity tier`;
+  }
+  if (!baseline) {
+    return null;
+  }
+
+  const before = capacityInputs(baseline.FormData);
+  const previous = totalModelCapacity(before.families, before.tier);
+  const requested = totalModelCapacity(families, tier);
+  return requested > previous
+    ? `Raises prod model capacity from ${previous} to ${requested} over ${baseline.RowKey}`
+    : null;
+}
+
+/**
+ * Starts the approval pipeline for a submission that needs one. Stages whose
+ * condition does not match are left out; the first remaining stage is pending
+ * with its SLA clock running and the others wait their turn.
+ *
+ * @param stages - The configured stages, in review order.
+ * @param formData - The submitted form data.
+ * @param baseline - The last approved version of the tenant, or `null` for none.
+ * @param now - The submission time.
+ * @returns The new workflow, or `null` when the submission does not need one.
+ */
+export function startApproval(
+  stages: ApprovalStageConfig[],
+  formData: Record<string, unknown>,
+  baseline: TenantRecord | null,
+  now = new Date(),
+): ApprovalWorkflow | null {
+  const reason = approvalReason(formData, baseline);
+  if (!reason) {
+    return null;
+  }
+
+  const elevated = capacityInputs(formData).tier === 'elevated';
+  const applicable = stages.filter((stage) => stage.when === 'always' || elevated);
+  if (applicable.length === 0) {
+    return null;
+  }
+
+  const [first, ...rest] = applicable.map(
+    ({ when: _when, ...stage }): ApprovalStage => ({
+      ...stage,
+      status: 'waiting',
+      started_at: null,
+      due_by: null,
+      completed_at: null,
+      approvals: [],
+    }),
+  );
+  return { reason, stages: [openStage(first, now), ...rest] };
+}
+
+/**
+ * Marks a stage pending and starts its SLA clock.
+ *
+ * @param stage - The stage to open.
+ * @param now - When the stage starts.
+ * @returns A copy of the stage with `started_at` and `due_by` set.
+ */
+function openStage(stage: ApprovalStage, now: Date): ApprovalStage {
+  return {
+    ...stage,
+    status: 'pending',
+    started_at: now.toISOString(),
+    due_by: new Date(now.getTime() + stage.sla_hours * HOUR_MS).toISOString(),
+    completed_at: null,
+    approvals: [],
+  };
+}
+
+/**
+ * Returns the stage currently awaiting reviewers.
+ *
+ * @param workflow - The version's workflow.
+ * @returns The pending stage, or `undefined` once the workflow is complete or closed.
+ */
+export function currentStage(workflow: ApprovalWorkflow): ApprovalStage | undefined {
+  return workflow.stages.find((stage) => stage.status === 'pending');
+}
+
+/**
+ * Whether a stage has passed its due-by time without completing.
+ *
+ * @param stage - The stage to check.
+ * @param now - The time to compare against.
+ * @returns `true` when the stage is pending and overdue.
+ */
+export function isOverdue(stage: ApprovalStage, now = new Date()): boolean {
+  return stage.status === 'pending' && !!stage.due_by && Date.parse(stage.due_by) < now.getTime();
+}
+
+/**
+ * Adds one reviewer's approval to the pending stage. Once the stage has its required
+ * number of approvals it completes and the next stage opens.
+ *
+ * @param workflow - The version's workflow; not modified.
+ * @param by - Email of the approving reviewer.
+ * @param notes - The reviewer's notes.
+ * @param now - When the approval was given.
+ * @returns The updated workflow and whether every stage is now approved.
+ * @throws Error when no stage is pending.
+ */
+export function approveStage(
+  workflow: ApprovalWorkflow,
+  by: string,
+  notes: string,
+  now = new Date(),
+): { workflow: ApprovalWorkflow; complete: boolean } {
+  const index = workflow.stages.findIndex((stage) => stage.status === 'pending');
+  if (index < 0) {
+    throw new Error('No approval stage is pending');
+  }
+
+  const stages = workflow.stages.map((stage) => ({ ...stage }));
+  const stage = stages[index];
+  stage.approvals = [...stage.approvals, { by, at: now.toISOString(), notes }];
+  if (stage.approvals.length >= stage.required_approvals) {
+    stage.status = 'approved';
+    stage.completed_at = now.toISOString();
+    if (stages[index + 1]) {
+      stages[index + 1] = openStage(stages[index + 1], now);
+    }
+  }
+
+  return {
+    workflow: { ...workflow, stages },
+    complete: stages.every((entry) => entry.status === 'approved'),
+  };
+}
+
+/**
+ * Closes the pending stage with a changes-requested or rejected outcome. Later
+ * stages stay waiting; a resubmission starts a fresh workflow on the new version.
+ *
+ * @param workflow - The version's workflow; not modified.
+ * @param status - The outcome to record on the stage.
+ * @param now - When the decision was made.
+ * @returns The updated workflow, or `workflow` itself when no stage is pending.
+ */
+export function closeStage(
+  workflow: ApprovalWorkflow,
+  status: 'changes_requested' | 'rejected',
+  now = new Date(),
+): ApprovalWorkflow {
+  return {
+    ...workflow,
+    stages: workflow.stages.map((stage) =>
+      stage.status === 'pending' ? { ...stage, status, completed_at: now.toISOString() } : stage,
+    ),
+  };
+}
+
+/**
+ * Groups pending submissions into one review queue per configured stage, oldest
+ * due-by first. Submissions on a stage that is no longer configured still get a
+ * queue so they are not lost.
+ *
+ * @param stages - The configured stages.
+ * @param pending - Submitted versions awaiting review.
+ * @param now - The time overdue flags are computed against.
+ * @returns The queues in stage order.
+ */
+export function buildStageQueues(
+  stages: ApprovalStageConfig[],
+  pending: TenantRecord[],
+  now = new Date(),
+): ApprovalQueue[] {
+  const queues = new Map<string, ApprovalQueue>(
+    stages.map((stage) => [
+      stage.id,
+      { id: stage.id, label: stage.label, role: stage.role, items: [] },
+    ]),
+  );
+
+  for (const record of pending) {
+    const stage = record.Approval ? currentStage(record.Approval) : undefined;
+    if (!stage) continue;
+    if (!queues.has(stage.id)) {
+      queues.set(stage.id, { id: stage.id, label: stage.label, role: stage.role, items: [] });
+    }
+    queues.get(stage.id)?.items.push({
+      tenant_name: record.PartitionKey,
+      version: record.RowKey,
+      display_name: record.DisplayName,
+      submitted_by: record.SubmittedBy,
+      started_at: stage.started_at,
+      due_by: stage.due_by,
+      overdue: isOverdue(stage, now),
+      approvals: stage.approvals.length,
+      required_approvals: stage.required_approvals,
+    });
+  }
+
+  const queueList = [...queues.values()];
+  for (const queue of queueList) {
+    queue.items.sort((left, right) => (left.due_by ?? '').localeCompare(right.due_by ?? ''));
+  }
+  return queueList;
+}
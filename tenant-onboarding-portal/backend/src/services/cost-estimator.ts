@@ -0,0 +1,168 @@
+import { RATE_CARD } from '../models/rate-card';
+import type {
+  CostEstimate,
+  CostEstimateInput,
+  CostRange,
+  HubEnv,
+  ServiceCostEstimate,
+} from '../types';
+import { buildModelDeployments } from './tfvars-generator';
+
+const HUB_ENVS: HubEnv[] = ['dev', 'test', 'prod'];
+
+const ZERO: CostRange = { low: 0, high: 0 };
+
+/**
+ * Rounds a range to whole cents.
+ *
+ * @param range - The unrounded range.
+ * @returns The range with both ends rounded to two decimals.
+ */
+function roundRange(range: CostRange): CostRange {
+  return {
+    low: Math.round(range.low * 100) / 100,
+    high: Math.round(range.high * 100) / 100,
+  };
+}
+
+/**
+ * Adds ranges end by end.
+ *
+ * @param ranges - The ranges to add.
+ * @returns The summed range, rounded to cents.
+ */
+function sumRanges(ranges: CostRange[]): CostRange {
+  const total = { ...ZERO };
+  for (const range of ranges) {
+    total.low += range.low;
+    total.high += range.high;
+  }
+  return roundRange(total);
+}
+
+/**
+ * Builds one service's estimate from a per-environment cost function.
+ *
+ * @param service - The service key.
+ * @param label - Display name.
+ * @param enabled - Whether the request turns the service on; disabled services cost nothing.
+ * @param basis - Short description of the assumptions.
+ * @param monthly - Unrounded monthly cost range for one environment.
+ * @returns The service estimate for every environment plus the total.
+ */
+function serviceEstimate(
+  service: ServiceCostEstimate['service'],
+  label: string,
+  enabled: boolean,
+  basis: string,
+  monthly: (env: HubEnv) => CostRange,
+): ServiceCostEstimate {
+  const byEnv = Object.fromEntries(
+    HUB_ENVS.map((env) => [env, enabled ? roundRange(monthly(env)) : { ...ZERO }]),
+  ) as Record<HubEnv, CostRange>;
+  return { service, label, enabled, basis, monthly: byEnv, total: sumRanges(Object.values(byEnv)) };
+}
+
+/**
+ * Estimates the deployed OpenAI throughput and the monthly cost of a tenant request
+ * from the form schema and the checked-in rate card. Deployments use the same
+ * capacity the generated tfvars do. Usage-billed services (OpenAI tokens, Document
+ * Intelligence pages) scale with each environment's share of prod usage; provisioned
+ * services (AI Search, Cosmos DB) cost the same in every environment.
+ *
+ * @param input - The cost-relevant form fields.
+ * @returns Per-deployment TPM and per-service monthly cost ranges for each environment.
+ */
+export function estimateTenantCost(input: CostEstimateInput): CostEstimate {
+  const { openai, ai_search, cosmos_db, document_intelligence } = RATE_CARD;
+  const deployments = input.openai_enabled
+    ? buildModelDeployments(input.model_families, input.capacity_tier)
+    : [];
+  const tokensPerMonth = (tpm: number) => tpm * 60 * RATE_CARD.hours_per_month;
+
+  // Blended USD per token at full utilization, summed over every deployment.
+  const openAiFullUse = deployments.reduce((total, deployment) => {
+    const price = openai.models[deployment.model_name] ?? openai.default_model;
+    const perMillion =
+      price.output > 0
+        ? price.input * (1 - openai.output_share) + price.output * openai.output_share
+        : price.input;
+    const tpm = deployment.capacity * openai.tpm_per_capacity_unit;
+    return total + (tokensPerMonth(tpm) / 1_000_000) * perMillion;
+  }, 0);
+
+  const services = [
+    serviceEstimate(
+      'openai',
+      'Azure OpenAI',
+      input.openai_enabled && deployments.length > 0,
+      `${openai.utilization.low * 100}–${openai.utilization.high * 100}% average use of deployed TPM, ${openai.output_share * 100}% output tokens`,
+      (env) => ({
+        low: openAiFullUse * openai.utilization.low * RATE_CARD.environment_usage[env],
+        high: openAiFullUse * openai.utilization.high * RATE_CARD.environment_usage[env],
+      }),
+    ),
+    serviceEstimate(
+      'ai_search',
+      'AI Search',
+      input.ai_search_enabled,
+      `Basic tier, ${ai_search.search_units} search unit per environment`,
+      () => {
+        const cost = ai_search.per_search_unit_month * ai_search.search_units;
+        return { low: cost, high: cost };
+      },
+    ),
+    serviceEstimate(
+      'cosmos_db',
+      'Cosmos DB',
+      input.cosmos_db_enabled,
+      `${cosmos_db.rus.low}–${cosmos_db.rus.high} RU/s provisioned, ${cosmos_db.storage_gb.low}–${cosmos_db.storage_gb.high} GB stored`,
+      () => {
+        const throughput = (rus: number) =>
+          (rus / 100) * cosmos_db.per_100_rus_hour * RATE_CARD.hours_per_month;
+        return {
+          low: throughput(cosmos_db.rus.low) + cosmos_db.storage_gb.low * cosmos_db.per_gb_month,
+          high: throughput(cosmos_db.rus.high) + cosmos_db.storage_gb.high * cosmos_db.per_gb_month,
+        };
+      },
+    ),
+    serviceEstimate(
+      'document_intelligence',
+      'Document Intelligence',
+      input.document_intelligence_enabled,
+      `${document_intelligence.prod_pages_per_month.low.toLocaleString('en-US')}–${document_intelligence.prod_pages_per_month.high.toLocaleString('en-US')} pages a month in prod`,
+      (env) => {
+        const pages = (count: number) =>
+          ((count * RATE_CARD.environment_usage[env]) / 1000) *
+          document_intelligence.per_1000_pages;
+        return {
+          low: pages(document_intelligence.prod_pages_per_month.low),
+          high: pages(document_intelligence.prod_pages_per_month.high),
+        };
+      },
+    ),
+  ];
+
+  const monthly = Object.fromEntries(
+    HUB_ENVS.map((env) => [env, sumRanges(services.map((service) => service.monthly[env]))]),
+  ) as Record<HubEnv, CostRange>;
+
+  return {
+    currency: RATE_CARD.currency,
+    rate_card_version: RATE_CARD.version,
+    capacity_tier: input.capacity_tier,
+    deployments: deployments.map((deployment) => {
+      const tpm = deployment.capacity * openai.tpm_per_capacity_unit;
+      return {
+        name: deployment.name,
+        model_name: deployment.model_name,
+        scale_type: deployment.scale_type,
+        capacity: deployment.capacity,
+        tpm: { dev: tpm, test: tpm, prod: tpm },
+      };
+    }),
+    services,
+    monthly,
+    total: sumRanges(services.map((service) => service.total)),
+  };
+}
@@ -0,0 +1,146 @@
+import { Inject, Injectable, Logger } from '@nestjs/common';
+
+import { getSettings } from '../config/settings';
+import { TENANT_STORE } from '../storage/tenant-store';
+import type { TenantStore } from '../storage/tenant-store';
+import type { HubEnv, TenantPullRequest, TenantRecord } from '../types';
+import { PULL_REQUEST_CLIENT } from './pull-request-client';
+import type { PullRequestClient, PullRequestInput } from './pull-request-client';
+
+const HUB_ENVS: HubEnv[] = ['dev', 'test', 'prod'];
+
+/**
+ * Repository path of a tenant's tfvars file for one environment in `infra-ai-hub`.
+ *
+ * @param tenantName - The tenant project name.
+ * @param env - The hub environment.
+ * @returns The repository-relative file path.
+ */
+export function tenantTfvarsPath(tenantName: string, env: HubEnv): string {
+  return `infra-ai-hub/params/${env}/tenants/${tenantName}/tenant.tfvars`;
+}
+
+@Injectable()
+export class GitHubPrService {
+  private readonly logger = new Logger(GitHubPrService.name);
+
+  /**
+   * Injects the pull request client selected by `PORTAL_GITHUB_PR_MODE` and the tenant store.
+   *
+   * @param client - The active pull request client, or `null` when automation is disabled.
+   * @param tenantStore - Reads approved requests and records the pull request outcome.
+   */
+  constructor(
+    @Inject(PULL_REQUEST_CLIENT)
+    private readonly client: PullRequestClient | null,
+    @Inject(TENANT_STORE)
+    private readonly tenantStore: TenantStore,
+  ) {}
+
+  /**
+   * Whether approvals open pull requests at all.
+   *
+   * @returns `true` when a pull request client is configured.
+   */
+  get enabled(): boolean {
+    return this.client !== null;
+  }
+
+  /**
+   * Opens the `infra-ai-hub` pull request for an approved request version and stores
+   * the outcome on the request record. Failures are recorded (state `failed`) instead
+   * of thrown so the approval itself always stands; calling again retries. A version
+   * that already has an open pull request is returned unchanged.
+   *
+   * @param tenantName - The tenant partition key.
+   * @param version - The approved version (e.g. `'v2'`).
+   * @param approvedBy - Email of the approving admin, included in the PR body.
+   * @returns The pull request outcome, or `null` when automation is disabled or the
+   *   version has no generated tfvars.
+   */
+  async openForApproval(
+    tenantName: string,
+    version: string,
+    approvedBy: string,
+  ): Promise<TenantPullRequest | null> {
+    if (!this.client) return null;
+    const record = await this.tenantStore.getVersion(tenantName, version);
+    if (!record?.GeneratedTfvars) return null;
+    if (record.PullRequestState === 'open' && record.PullRequestUrl) {
+      return {
+        url: record.PullRequestUrl,
+        number: record.PullRequestNumber ?? null,
+        state: 'open',
+        branch: record.PullRequestBranch ?? '',
+      };
+    }
+
+    const input = this.buildInput(record, approvedBy);
+    let result: TenantPullRequest;
+    try {
+      result = await this.client.openPullRequest(input);
+      this.logger.log(`Opened pull request ${result.url} for ${tenantName}:${version}`);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      this.logger.error(
+        `Failed to open pull request for ${tenantName}:${version}`,
+        error instanceof Error ? error.stack : message,
+      );
+      result = { url: '', number: null, state: 'failed', branch: input.branch, error: message };
+    }
+
+    await this.tenantStore.updatePullRequest(tenantName, version, result);
+    return result;
+  }
+
+  /**
+   * Builds the branch, files, and pull request text for an approved request.
+   *
+   * @param record - The approved request version with its generated tfvars.
+   * @param approvedBy - Email of the approving admin.
+   * @returns The input for {@link PullRequestClient.openPullRequest}.
+   */
+  private buildInput(record: TenantRecord, approvedBy: string): PullRequestInput {
+    const settings = getSettings();
+    const tenantName = record.PartitionKey;
+    const version = record.RowKey;
+    const tfvars = record.GeneratedTfvars ?? {};
+    const files: Record<string, string> = {};
+    for (const env of HUB_ENVS) {
+      if (typeof tfvars[env] === 'string') {
+        files[tenantTfvarsPath(tenantName, env)] = tfvars[env];
+      }
+    }
+
+    const action = version === 'v1' ? 'Onboard' : 'Update';
+    const body = [
+      `${action} tenant **${record.DisplayName}** (\`${tenantName}\`) from request ${version}, approved in the Tenant Onboarding Portal.`,
+      '',
+      '| | |',
+      '|---|---|',
+      `| Tenant | \`${tenantName}\` |`,
+      `| Version | ${version} |`,
+      `| Ministry | ${record.Ministry || 'n/a'} |`,
+      `| Submitted by | ${record.SubmittedBy} |`,
+      `| Approved by | ${approvedBy} |`,
+      ...(record.ReviewNotes
+        ? [`| Review notes | ${record.ReviewNotes.replace(/\s+/g, ' ').replace(/\|/g, '\\|')} |`]
+        : []),
+      '',
+      'Files:',
+      ...Object.keys(files).map((path) => `- \`${path}\``),
+    ].join('\n');
+
+    // The repo's PR title check requires Conventional Commits.
+    const title = `feat(tenants): ${action.toLowerCase()} ${tenantName} (${version})`;
+    return {
+      branch: `tenant-onboarding/${tenantName}-${version}`,
+      baseBranch: settings.githubBaseBranch,
+      title,
+      body,
+      labels: settings.githubPrLabels,
+      commitMessage: title,
+      files,
+    };
+  }
+}
@@ -0,0 +1,125 @@
+import { DefaultAzureCredential } from '@azure/identity';
+import { SecretClient } from '@azure/keyvault-secrets';
+
+import type { HubEnv, PortalSettings } from '../types';
+
+/** Nest injection token for the per-environment {@link HubKeyStore}s (`null` when unset). */
+export const HUB_KEY_STORES = Symbol('HUB_KEY_STORES');
+
+/** Hub Key Vault secrets expire after this many days (Landing Zone policy maximum). */
+const SECRET_EXPIRY_DAYS = 90;
+
+export type HubSecretOptions = {
+  contentType: string;
+  tags?: Record<string, string>;
+};
+
+export interface HubKeyStore {
+  /** Reads a secret's current value, or `null` when the secret does not exist. */
+  getSecret(name: string): Promise<string | null>;
+
+  /** Writes a new version of a secret. */
+  setSecret(name: string, value: string, options: HubSecretOptions): Promise<void>;
+}
+
+/** Reads and writes secrets in one hub environment's Azure Key Vault. */
+export class KeyVaultKeyStore implements HubKeyStore {
+  private readonly client: SecretClient;
+
+  /**
+   * Creates a store for one vault, authenticated with the default Azure credential.
+   *
+   * @param vaultUrl - The Key Vault URL, e.g. `https://hub-dev-kv.vault.azure.net`.
+   */
+  constructor(vaultUrl: string) {
+    this.client = new SecretClient(vaultUrl, new DefaultAzureCredential());
+  }
+
+  /**
+   * Reads a secret's current value.
+   *
+   * @param name - The secret name.
+   * @returns The value, or `null` when the secret does not exist or is empty.
+   * @throws Error for Key Vault failures other than a missing secret.
+   */
+  async getSecret(name: string): Promise<string | null> {
+    try {
+      return (await this.client.getSecret(name)).value || null;
+    } catch (err: unknown) {
+      const code = (err as { code?: string }).code;
+      if (code === 'SecretNotFound' || code === 'ResourceNotFound') return null;
+      throw err;
+    }
+  }
+
+  /**
+   * Writes a new version of a secret with the policy expiry, like the rotation job.
+   *
+   * @param name - The secret name.
+   * @param value - The new value.
+   * @param options - The content type and tags of the new version.
+   */
+  async setSecret(name: string, value: string, options: HubSecretOptions): Promise<void> {
+    await this.client.setSecret(name, value, {
+      contentType: options.contentType,
+      tags: options.tags,
+      expiresOn: new Date(Date.now() + SECRET_EXPIRY_DAYS * 24 * 60 * 60 * 1000),
+    });
+  }
+}
+
+/**
+ * Keeps secrets in memory: a local stand-in for Key Vault used by tests and local
+ * development. `secrets` exposes the latest version of each secret.
+ */
+export class InMemoryKeyStore implements HubKeyStore {
+  readonly secrets = new Map<string, { value: string } & HubSecretOptions>();
+
+  /**
+   * Creates a store holding the given secrets.
+   *
+   * @param initial - Secret name → value to start with.
+   */
+  constructor(initial: Record<string, string> = {}) {
+    for (const [name, value] of Object.entries(initial)) {
+      this.secrets.set(name, { value, contentType: 'text/plain' });
+    }
+  }
+
+  /**
+   * Reads a secret's current value.
+   *
+   * @param name - The secret name.
+   * @returns The value, or `null` when the secret does not exist.
+   */
+  async getSecret(name: string): Promise<string | null> {
+    return this.secrets.get(name)?.value ?? null;
+  }
+
+  /**
+   * Replaces a secret's value.
+   *
+   * @param name - The secret name.
+   * @param value - The new value.
+   * @param options - The content type and tags of the new version.
+   */
+  async setSecret(name: string, value: string, options: HubSecretOptions): Promise<void> {
+    this.secrets.set(name, { value, ...options });
+  }
+}
+
+/**
+ * Creates one Key Vault store per hub environment that has a vault URL configured.
+ * Used as the Nest factory for {@link HUB_KEY_STORES}.
+ *
+ * @param settings - The portal settings.
+ * @returns The stores by environment; `null` where no vault is configured.
+ */
+export function createHubKeyStores(settings: PortalSettings): Record<HubEnv, HubKeyStore | null> {
+  const store = (url: string) => (url ? new KeyVaultKeyStore(url) : null);
+  return {
+    dev: store(settings.hubKeyVaultUrlDev),
+    test: store(settings.hubKeyVaultUrlTest),
+    prod: store(settings.hubKeyVaultUrlProd),
+  };
+}
@@ -1,33 +1,92 @@
-import { Injectable } from '@nestjs/common';
-import { SecretClient } from '@azure/keyvault-secrets';
-import { DefaultAzureCredential } from '@azure/identity';
+import { Inject, Injectable } from '@nestjs/common';
 
 import { getSettings } from '../config/settings';
-import type { HubEnv, ApimEnvCredentials } from '../types';
+import type {
+  ApimEnvCredentials,
+  ApimKeyRegeneration,
+  ApimKeySlot,
+  ApimRotationMetadata,
+  HubEnv,
+} from '../types';
+import { APIM_KEY_CLIENTS } from './apim-key-client';
+import type { ApimKeyClient } from './apim-key-client';
+import { HUB_KEY_STORES } from './hub-key-store';
+import type { HubKeyStore } from './hub-key-store';
+
+export class KeyRegenerationUnavailableError extends Error {
+  /**
+   * Creates an error for an environment without a key store or APIM client.
+   *
+   * @param env - The environment that cannot regenerate keys.
+   */
+  constructor(readonly env: HubEnv) {
+    super(`Key regeneration is not configured for ${env}`);
+    this.name = 'KeyRegenerationUnavailableError';
+  }
+}
+
+export class KeyRegenerationCooldownError extends Error {
+  /**
+   * Creates an error for a regeneration attempted too soon after the last rotation.
+   *
+   * @param lastRotationAt - When the keys were last rotated.
+   * @param retryAt - When the next regeneration is allowed.
+   */
+  constructor(
+    readonly lastRotationAt: string,
+    readonly retryAt: Date,
+  ) {
+    super(`Keys were rotated at ${lastRotationAt}; try again after ${retryAt.toISOString()}`);
+    this.name = 'KeyRegenerationCooldownError';
+  }
+}
+
+/**
+ * Parses the rotation metadata secret.
+ *
+ * @param value - The secret value, or `null` when the secret does not exist.
+ * @returns The metadata, or `null` when missing or not a JSON object.
+ */
+function parseRotation(value: string | null): Record<string, unknown> | null {
+  if (!value) return null;
+  try {
+    const parsed: unknown = JSON.parse(value);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed)
+      ? (parsed as Record<string, unknown>)
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Formats a time the way the rotation job does (`YYYY-MM-DDTHH:MM:SSZ`).
+ *
+ * @param date - The time to format.
+ * @returns The UTC timestamp without milliseconds.
+ */
+function isoSeconds(date: Date): string {
+  return `${date.toISOString().slice(0, 19)}Z`;
+}
 
 @Injectable()
 export class HubKeyVaultService {
-  private readonly clients: Record<HubEnv, SecretClient | null>;
+  /** The latest queued regeneration per `tenant/env`; later calls wait for it. */
+  private readonly regenerations = new Map<string, Promise<unknown>>();
 
   /**
-   * Initialises one {@link SecretClient} per hub environment using the Key Vault
-   * URLs from application settings. Environments without a configured URL are set
-   * to `null` and treated as unavailable at request time.
+   * Receives the per-environment hub Key Vault stores and APIM management clients.
+   * Environments without one are treated as unavailable at request time.
+   *
+   * @param keyStores - The hub Key Vault secret stores by environment.
+   * @param apimKeyClients - The APIM management clients by environment.
    */
-  constructor() {
-    const settings = getSettings();
-    this.clients = {
-      dev: settings.hubKeyVaultUrlDev
-        ? new SecretClient(settings.hubKeyVaultUrlDev, new DefaultAzureCredential())
-        : null,
-      test: settings.hubKeyVaultUrlTest
-        ? new SecretClient(settings.hubKeyVaultUrlTest, new DefaultAzureCredential())
-        : null,
-      prod: settings.hubKeyVaultUrlProd
-        ? new SecretClient(settings.hubKeyVaultUrlProd, new DefaultAzureCredential())
-        : null,
-    };
-  }
+  constructor(
+    @Inject(HUB_KEY_STORES)
+    private readonly keyStores: Record<HubEnv, HubKeyStore | null>,
+    @Inject(APIM_KEY_CLIENTS)
+    private readonly apimKeyClients: Record<HubEnv, ApimKeyClient | null>,
+  ) {}
 
   /**
    * Retrieves APIM primary/secondary keys and optional rotation metadata for a
@@ -39,34 +98,138 @@ export class HubKeyVaultService {
    *   configured, the secrets do not exist, or the required values are empty.
    */
   async getTenantApimKeys(tenantName: string, env: HubEnv): Promise<ApimEnvCredentials | null> {
-    const client = this.clients[env];
-    if (!client) return null;
+    const store = this.keyStores[env];
+    if (!store) return null;
+    const [primary, secondary, rotation] = await Promise.all([
+      store.getSecret(`${tenantName}-apim-primary-key`),
+      store.getSecret(`${tenantName}-apim-secondary-key`),
+      store.getSecret(`${tenantName}-apim-rotation-metadata`).catch(() => null),
+    ]);
+    if (!primary || !secondary) return null;
+    return {
+      tenant_name: tenantName,
+      env,
+      primary_key: primary,
+      secondary_key: secondary,
+      rotation: parseRotation(rotation),
+    };
+  }
+
+  /**
+   * Regenerates the tenant's inactive APIM key: the secondary key, unless the last
+   * rotation (by the portal or the scheduled job) already replaced it, in which case
+   * the primary. The new keys and updated rotation metadata are written back to the
+   * hub Key Vault in the shape the rotation job uses, plus who rotated them.
+   *
+   * Key Vault has no conditional writes, so calls for the same tenant and environment
+   * run one at a time: a second call reads the first one's rotation metadata and hits
+   * the cooldown instead of regenerating the same slot again. This covers concurrent
+   * requests to one portal instance.
+   *
+   * @param tenantName - The tenant whose subscription key is regenerated.
+   * @param env - The hub environment.
+   * @param actor - Email of the user regenerating the key.
+   * @param now - The regeneration time.
+   * @returns The new credentials and which slot was regenerated.
+   * @throws KeyRegenerationUnavailableError when the environment has no key store or
+   *   APIM client.
+   * @throws KeyRegenerationCooldownError when the keys were rotated within the cooldown.
+   * @throws ApimKeyError when APIM cannot regenerate the key.
+   */
+  async regenerateTenantApimKey(
+    tenantName: string,
+    env: HubEnv,
+    actor: string,
+    now = new Date(),
+  ): Promise<ApimKeyRegeneration> {
+    const queueKey = `${tenantName}/${env}`;
+    const queued = this.regenerations.get(queueKey) ?? Promise.resolve();
+    const run = queued
+      .catch(() => undefined)
+      .then(() => this.regenerateNow(tenantName, env, actor, now));
+    this.regenerations.set(queueKey, run);
     try {
-      const [primary, secondary, rotationSecret] = await Promise.all([
-        client.getSecret(`${tenantName}-apim-primary-key`),
-        client.getSecret(`${tenantName}-apim-secondary-key`),
-        client.getSecret(`${tenantName}-apim-rotation-metadata`).catch(() => null),
-      ]);
-      if (!primary.value || !secondary.value) return null;
-      let rotation: Record<string, unknown> | null = null;
-      try {
-        rotation = rotationSecret?.value
-          ? (JSON.parse(rotationSecret.value) as Record<string, unknown>)
-          : null;
-      } catch {
-        rotation = null;
-      }
-      return {
-        tenant_name: tenantName,
-        env,
-        primary_key: primary.value,
-        secondary_key: secondary.value,
-        rotation,
-      };
-    } catch (err: unknown) {
-      const code = (err as { code?: string }).code;
-      if (code === 'SecretNotFound' || code === 'ResourceNotFound') return null;
-      throw err;
+      return await run;
+    } finally {
+      if (this.regenerations.get(queueKey) === run) this.regenerations.delete(queueKey);
     }
   }
+
+  /**
+   * Performs one regeneration; see `regenerateTenantApimKey`.
+   *
+   * @param tenantName - The tenant whose subscription key is regenerated.
+   * @param env - The hub environment.
+   * @param actor - Email of the user regenerating the key.
+   * @param now - The regeneration time.
+   * @returns The new credentials and which slot was regenerated.
+   */
+  private async regenerateNow(
+    tenantName: string,
+    env: HubEnv,
+    actor: string,
+    now: Date,
+  ): Promise<ApimKeyRegeneration> {
+    const store = this.keyStores[env];
+    const apim = this.apimKeyClients[env];
+    if (!store || !apim) {
+      throw new KeyRegenerationUnavailableError(env);
+    }
+
+    const metadataName = `${tenantName}-apim-rotation-metadata`;
+    const previous = parseRotation(await store.getSecret(metadataName));
+    const lastRotationAt = String(previous?.last_rotation_at ?? '');
+    const lastRotation = Date.parse(lastRotationAt);
+    const cooldownMs = getSettings().keyRegenerationCooldownMinutes * 60 * 1000;
+    if (Number.isFinite(lastRotation) && now.getTime() - lastRotation < cooldownMs) {
+      throw new KeyRegenerationCooldownError(lastRotationAt, new Date(lastRotation + cooldownMs));
+    }
+
+    const slot: ApimKeySlot = previous?.last_rotated_slot === 'secondary' ? 'primary' : 'secondary';
+    const keys = await apim.regenerateKey(tenantName, slot);
+
+    const rotatedAt = isoSeconds(now);
+    const rotationNumber =
+      (typeof previous?.rotation_number === 'number' ? previous.rotation_number : 0) + 1;
+    const tags = {
+      'updated-at': rotatedAt,
+      rotated: slot,
+      'rotation-number': String(rotationNumber),
+      'rotated-by': actor,
+    };
+    await store.setSecret(`${tenantName}-apim-primary-key`, keys.primary_key, {
+      contentType: 'text/plain',
+      tags,
+    });
+    await store.setSecret(`${tenantName}-apim-secondary-key`, keys.secondary_key, {
+      contentType: 'text/plain',
+      tags,
+    });
+
+    // Keep the scheduled interval: the next automatic rotation moves by as much as this one.
+    const previousNext = Date.parse(String(previous?.next_rotation_at ?? ''));
+    const rotation: ApimRotationMetadata = {
+      last_rotated_slot: slot,
+      last_rotation_at: rotatedAt,
+      next_rotation_at:
+        Number.isFinite(lastRotation) && Number.isFinite(previousNext)
+          ? isoSeconds(new Date(now.getTime() + previousNext - lastRotation))
+          : String(previous?.next_rotation_at ?? ''),
+      rotation_number: rotationNumber,
+      safe_slot: slot === 'primary' ? 'secondary' : 'primary',
+      rotated_by: actor,
+    };
+    await store.setSecret(metadataName, JSON.stringify(rotation), {
+      contentType: 'application/json',
+    });
+
+    return {
+      tenant_name: tenantName,
+      env,
+      primary_key: keys.primary_key,
+      secondary_key: keys.secondary_key,
+      rotation,
+      regenerated_slot: slot,
+    };
+  }
 }
@@ -0,0 +1,87 @@
+import type { NotificationEvent, TenantRecord } from '../types';
+import { currentStage } from './approval-workflow';
+import type { NotificationMessage } from './notification-transport';
+
+const DECISIONS: Record<
+  Exclude<NotificationEvent, 'submitted'>,
+  { subject: string; sentence: string; next: string }
+> = {
+  approved: {
+    subject: 'Approved',
+    sentence: 'was approved by',
+    next: 'Open the request',
+  },
+  rejected: {
+    subject: 'Rejected',
+    sentence: 'was rejected by',
+    next: 'Open the request',
+  },
+  changes_requested: {
+    subject: 'Changes requested',
+    sentence: 'was sent back for changes by',
+    next: 'Edit the request to submit a new version',
+  },
+};
+
+/**
+ * Renders the notification for one lifecycle event of a request version. New
+ * submissions link reviewers to the admin review page; decisions link the submitter
+ * to the tenant page and quote the review notes.
+ *
+ * @param event - The lifecycle event.
+ * @param record - The version after the event.
+ * @param publicUrl - Portal base URL without a trailing slash.
+ * @param to - Email recipients.
+ * @returns The message handed to every transport.
+ */
+export function renderNotification(
+  event: NotificationEvent,
+  record: TenantRecord,
+  publicUrl: string,
+  to: string[],
+): NotificationMessage {
+  const tenantName = record.PartitionKey;
+  const version = record.RowKey;
+  const name = `${record.DisplayName} (${tenantName} ${version})`;
+
+  if (event === 'submitted') {
+    const link = `${publicUrl}/admin/review/${encodeURIComponent(tenantName)}/${encodeURIComponent(version)}`;
+    const stage = record.Approval ? currentStage(record.Approval) : undefined;
+    const lines = [
+      `${record.SubmittedBy} submitted ${version} of ${record.DisplayName} (${tenantName}) for review.`,
+      `Ministry: ${record.Ministry || 'n/a'}`,
+      ...(record.Approval ? [`Approval pipeline: ${record.Approval.reason}.`] : []),
+      ...(stage ? [`${stage.label} is due by ${stage.due_by}.`] : []),
+      '',
+      `Review it in the portal: ${link}`,
+    ];
+    return {
+      event,
+      tenantName,
+      version,
+      to,
+      subject: `${version === 'v1' ? 'New' : 'Updated'} tenant request: ${name}`,
+      text: lines.join('\n'),
+      link,
+    };
+  }
+
+  const decision = DECISIONS[event];
+  const link = `${publicUrl}/tenants/${encodeURIComponent(tenantName)}`;
+  const notes = record.ReviewNotes?.trim();
+  const lines = [
+    `Your request ${version} for ${record.DisplayName} (${tenantName}) ${decision.sentence} ${record.ReviewedBy || 'a reviewer'}.`,
+    ...(notes ? ['', 'Review notes:', notes] : []),
+    '',
+    `${decision.next}: ${link}`,
+  ];
+  return {
+    event,
+    tenantName,
+    version,
+    to,
+    subject: `${decision.subject}: ${name}`,
+    text: lines.join('\n'),
+    link,
+  };
+}
@@ -0,0 +1,410 @@
+import { randomUUID } from 'node:crypto';
+import { appendFile, mkdir } from 'node:fs/promises';
+import { Socket, connect as connectTcp } from 'node:net';
+import { hostname } from 'node:os';
+import { dirname } from 'node:path';
+import { connect as connectTls } from 'node:tls';
+
+import { Logger } from '@nestjs/common';
+
+import type { NotificationEvent, PortalSettings } from '../types';
+
+/** Nest injection token for the list of active {@link NotificationTransport}s. */
+export const NOTIFICATION_TRANSPORTS = Symbol('NOTIFICATION_TRANSPORTS');
+
+const SMTP_TIMEOUT_MS = 10_000;
+
+/** Longest the portal waits for a Teams webhook to answer. */
+const WEBHOOK_TIMEOUT_MS = 10_000;
+
+export type NotificationMessage = {
+  event: NotificationEvent;
+  tenantName: string;
+  version: string;
+  /** Email recipients; empty when nobody should be emailed directly. */
+  to: string[];
+  subject: string;
+  text: string;
+  /** Deep link into the portal for the request. */
+  link: string;
+};
+
+export interface NotificationTransport {
+  readonly name: string;
+
+  /**
+   * Delivers one message. Transports that address people directly skip messages
+   * without recipients; channel transports post every message.
+   */
+  send(message: NotificationMessage): Promise<void>;
+}
+
+export class SmtpError extends Error {
+  /**
+   * Creates an error for an SMTP command the server did not accept.
+   *
+   * @param message - Human-readable description including the server reply.
+   * @param code - The SMTP reply code, or `0` when the connection failed.
+   */
+  constructor(
+    message: string,
+    readonly code: number,
+  ) {
+    super(message);
+    this.name = 'SmtpError';
+  }
+}
+
+type SmtpReply = { code: number; lines: string[] };
+
+/**
+ * One SMTP conversation over a connected socket: writes commands and reads the
+ * (possibly multi-line) replies in order.
+ */
+class SmtpSession {
+  private buffer = '';
+  private wake: (() => void) | null = null;
+  private failure: Error | null = null;
+
+  /**
+   * Starts reading replies from the socket.
+   *
+   * @param socket - A connected plain or TLS socket.
+   */
+  constructor(readonly socket: Socket) {
+    socket.setEncoding('utf8');
+    socket.setTimeout(SMTP_TIMEOUT_MS, () => {
+      socket.destroy(new SmtpError('SMTP server timed out', 0));
+    });
+    socket.on('data', (chunk: string) => {
+      this.buffer += chunk;
+      this.notify();
+    });
+    socket.on('error', (error) => {
+      this.failure ??= error;
+      this.notify();
+    });
+    socket.on('close', () => {
+      this.failure ??= new SmtpError('SMTP connection closed', 0);
+      this.notify();
+    });
+  }
+
+  /**
+   * Stops reading so the socket can be handed to a TLS upgrade.
+   *
+   * @returns The underlying socket.
+   */
+  detach(): Socket {
+    this.socket.removeAllListeners('data');
+    this.socket.removeAllListeners('close');
+    this.socket.setTimeout(0);
+    return this.socket;
+  }
+
+  /**
+   * Sends a command and checks the reply code.
+   *
+   * @param line - The command without the trailing CRLF.
+   * @param expected - Reply codes that mean success.
+   * @param label - What to call the command in errors, so credentials are not logged.
+   * @returns The server reply.
+   * @throws SmtpError when the server answers with any other code.
+   */
+  async command(line: string, expected: number[], label = line): Promise<SmtpReply> {
+    this.socket.write(`${line}\r\n`);
+    return this.expect(expected, label);
+  }
+
+  /**
+   * Reads the next reply and checks its code.
+   *
+   * @param expected - Reply codes that mean success.
+   * @param label - What the reply answers, for errors.
+   * @returns The server reply.
+   * @throws SmtpError when the server answers with any other code.
+   */
+  async expect(expected: number[], label: string): Promise<SmtpReply> {
+    const reply = await this.read();
+    if (!expected.includes(reply.code)) {
+      throw new SmtpError(`SMTP ${label} failed: ${reply.lines.join(' ')}`, reply.code);
+    }
+    return reply;
+  }
+
+  /**
+   * Waits for one complete reply: lines `NNN-text` continue it and `NNN text` ends it.
+   *
+   * @returns The reply code and the text of each line.
+   * @throws The socket error when the connection fails first.
+   */
+  private async read(): Promise<SmtpReply> {
+    const lines: string[] = [];
+    for (;;) {
+      const end = this.buffer.indexOf('\r\n');
+      if (end >= 0) {
+        const line = this.buffer.slice(0, end);
+        this.buffer = this.buffer.slice(end + 2);
+        lines.push(line.slice(4));
+        if (line.charAt(3) !== '-') {
+          return { code: Number(line.slice(0, 3)), lines };
+        }
+        continue;
+      }
+      if (this.failure) throw this.failure;
+      await new Promise<void>((resolve) => {
+        this.wake = resolve;
+      });
+    }
+  }
+
+  /** Resumes a pending {@link read}. */
+  private notify(): void {
+    const wake = this.wake;
+    this.wake = null;
+    wake?.();
+  }
+}
+
+/**
+ * Encodes a header value as an RFC 2047 encoded word when it is not plain ASCII.
+ *
+ * @param value - The header value.
+ * @returns The value, safe to place in a header.
+ */
+function encodeHeader(value: string): string {
+  const clean = value.replace(/[\r\n]+/g, ' ');
+  return /^[\x20-\x7e]*$/.test(clean)
+    ? clean
+    : `=?UTF-8?B?${Buffer.from(clean, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Sends email through an SMTP relay with `STARTTLS` (or implicit TLS when
+ * `PORTAL_SMTP_SECURE` is set) and optional `AUTH PLAIN`. One connection per message.
+ */
+export class SmtpNotificationTransport implements NotificationTransport {
+  readonly name = 'smtp';
+
+  /**
+   * Creates a transport for one relay.
+   *
+   * @param options - Connection and envelope settings.
+   * @param options.host - Relay host name.
+   * @param options.port - Relay port.
+   * @param options.secure - Connect with TLS from the start instead of upgrading.
+   * @param options.user - Username for `AUTH PLAIN`; no authentication when empty.
+   * @param options.password - Password for `AUTH PLAIN`.
+   * @param options.from - Envelope and header sender address.
+   */
+  constructor(
+    private readonly options: {
+      host: string;
+      port: number;
+      secure: boolean;
+      user: string;
+      password: string;
+      from: string;
+    },
+  ) {}
+
+  /**
+   * Emails the message to its recipients.
+   *
+   * @param message - The rendered notification.
+   * @throws SmtpError when the relay refuses the connection, sender, a recipient, or the data.
+   */
+  async send(message: NotificationMessage): Promise<void> {
+    if (message.to.length === 0) return;
+
+    let session = new SmtpSession(await this.connect());
+    try {
+      await session.expect([220], 'greeting');
+      let features = await session.command(`EHLO ${hostname()}`, [250]);
+      const offersTls = features.lines.some((line) => /^STARTTLS\b/i.test(line));
+      if (!this.options.secure && offersTls) {
+        await session.command('STARTTLS', [220]);
+        session = new SmtpSession(
+          connectTls({ socket: session.detach(), servername: this.options.host }),
+        );
+        features = await session.command(`EHLO ${hostname()}`, [250]);
+      }
+      if (this.options.user) {
+        const credentials = Buffer.from(
+          `\0${this.options.user}\0${this.options.password}`,
+          'utf8',
+        ).toString('base64');
+        await session.command(`AUTH PLAIN ${credentials}`, [235], 'AUTH PLAIN');
+      }
+
+      await session.command(`MAIL FROM:<${this.options.from}>`, [250]);
+      for (const recipient of message.to) {
+        await session.command(`RCPT TO:<${recipient}>`, [250, 251]);
+      }
+      await session.command('DATA', [354]);
+      session.socket.write(`${this.format(message)}\r\n.\r\n`);
+      await session.expect([250], 'DATA');
+      await session.command('QUIT', [221]).catch(() => undefined);
+    } finally {
+      session.socket.destroy();
+    }
+  }
+
+  /**
+   * Opens the TCP (or TLS) connection to the relay.
+   *
+   * @returns The connected socket.
+   */
+  private connect(): Promise<Socket> {
+    const { host, port, secure } = this.options;
+    return new Promise((resolve, reject) => {
+      const socket = secure
+        ? connectTls({ host, port, servername: host }, () => resolve(socket))
+        : connectTcp({ host, port }, () => resolve(socket));
+      socket.once('error', reject);
+      socket.setTimeout(SMTP_TIMEOUT_MS, () => {
+        socket.destroy(new SmtpError(`Timed out connecting to ${host}:${port}`, 0));
+      });
+    });
+  }
+
+  /**
+   * Builds the RFC 5322 message. The body is base64 so no line needs dot-stuffing
+   * and non-ASCII text survives relays without `8BITMIME`.
+   *
+   * @param message - The rendered notification.
+   * @returns Headers and body joined with CRLF.
+   */
+  private format(message: NotificationMessage): string {
+    const body = Buffer.from(message.text.replace(/\r?\n/g, '\r\n'), 'utf8').toString('base64');
+    return [
+      `From: ${this.options.from}`,
+      `To: ${message.to.join(', ')}`,
+      `Subject: ${encodeHeader(message.subject)}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${randomUUID()}@${this.options.from.split('@')[1] ?? 'localhost'}>`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      ...(body.match(/.{1,76}/g) ?? []),
+    ].join('\r\n');
+  }
+}
+
+/**
+ * Posts every message to a Microsoft Teams channel through an incoming webhook as a
+ * card with a button that opens the portal.
+ */
+export class TeamsWebhookTransport implements NotificationTransport {
+  readonly name = 'teams';
+
+  /**
+   * Creates a transport for one channel.
+   *
+   * @param webhookUrl - The channel's incoming webhook URL.
+   */
+  constructor(private readonly webhookUrl: string) {}
+
+  /**
+   * Posts the message card.
+   *
+   * @param message - The rendered notification.
+   * @throws Error when the webhook answers with a non-2xx status or does not answer
+   *   within `WEBHOOK_TIMEOUT_MS`.
+   */
+  async send(message: NotificationMessage): Promise<void> {
+    const response = await fetch(this.webhookUrl, {
+      method: 'POST',
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        '@type': 'MessageCard',
+        '@context': 'https://schema.org/extensions',
+        summary: message.subject,
+        title: message.subject,
+        text: message.text.replace(/\n/g, '<br>'),
+        potentialAction: [
+          {
+            '@type': 'OpenUri',
+            name: 'Open in portal',
+            targets: [{ os: 'default', uri: message.link }],
+          },
+        ],
+      }),
+    });
+    if (!response.ok) {
+      throw new Error(`Teams webhook failed with ${response.status}`);
+    }
+  }
+}
+
+/**
+ * Appends each message as a JSON line to a file, or logs it when no file is set.
+ * Used for local development and tests.
+ */
+export class FileNotificationTransport implements NotificationTransport {
+  readonly name = 'file';
+  private readonly logger = new Logger(FileNotificationTransport.name);
+
+  /**
+   * Creates a transport writing to `path`.
+   *
+   * @param path - JSON-lines file to append to; the console when empty.
+   */
+  constructor(private readonly path: string) {}
+
+  /**
+   * Records the message.
+   *
+   * @param message - The rendered notification.
+   */
+  async send(message: NotificationMessage): Promise<void> {
+    const entry = { sent_at: new Date().toISOString(), ...message };
+    if (!this.path) {
+      this.logger.log(`${message.subject} → ${message.to.join(', ') || '(channel)'}`);
+      return;
+    }
+
+    await mkdir(dirname(this.path), { recursive: true });
+    await appendFile(this.path, `${JSON.stringify(entry)}\n`, 'utf8');
+  }
+}
+
+/**
+ * Builds the transports named in `PORTAL_NOTIFY_TRANSPORTS`. Used as the Nest factory
+ * for {@link NOTIFICATION_TRANSPORTS}.
+ *
+ * @param settings - The portal settings.
+ * @returns The transports in configured order; empty when notifications are off.
+ * @throws Error when a selected transport is missing its required setting.
+ */
+export function createNotificationTransports(settings: PortalSettings): NotificationTransport[] {
+  return settings.notificationTransports.map((name) => {
+    switch (name) {
+      case 'smtp':
+        if (!settings.smtpHost || !settings.smtpFrom) {
+          throw new Error(
+            'PORTAL_SMTP_HOST and PORTAL_SMTP_FROM are required for the smtp notification transport',
+          );
+        }
+        return new SmtpNotificationTransport({
+          host: settings.smtpHost,
+          port: settings.smtpPort,
+          secure: settings.smtpSecure,
+          user: settings.smtpUser,
+          password: settings.smtpPassword,
+          from: settings.smtpFrom,
+        });
+      case 'teams':
+        if (!settings.teamsWebhookUrl) {
+          throw new Error(
+            'PORTAL_TEAMS_WEBHOOK_URL is required for the teams notification transport',
+          );
+        }
+        return new TeamsWebhookTransport(settings.teamsWebhookUrl);
+      case 'file':
+        return new FileNotificationTransport(settings.notificationFilePath);
+    }
+  });
+}
@@ -0,0 +1,83 @@
+import { Inject, Injectable, Logger } from '@nestjs/common';
+
+import { getSettings } from '../config/settings';
+import { SessionStoreService } from '../storage/session-store.service';
+import { TENANT_STORE } from '../storage/tenant-store';
+import type { TenantStore } from '../storage/tenant-store';
+import type { NotificationEvent } from '../types';
+import { renderNotification } from './notification-templates';
+import { NOTIFICATION_TRANSPORTS } from './notification-transport';
+import type { NotificationTransport } from './notification-transport';
+
+@Injectable()
+export class NotificationService {
+  private readonly logger = new Logger(NotificationService.name);
+
+  /**
+   * Injects the configured transports and the stores recipients are resolved from.
+   *
+   * @param transports - The transports selected by `PORTAL_NOTIFY_TRANSPORTS`.
+   * @param tenantStore - Reads the version the event is about.
+   * @param sessionStore - Reads each recipient's notification opt-out.
+   */
+  constructor(
+    @Inject(NOTIFICATION_TRANSPORTS)
+    private readonly transports: NotificationTransport[],
+    @Inject(TENANT_STORE)
+    private readonly tenantStore: TenantStore,
+    @Inject(SessionStoreService)
+    private readonly sessionStore: SessionStoreService,
+  ) {}
+
+  /**
+   * Sends the notification for a lifecycle event through every transport. New
+   * submissions go to `PORTAL_NOTIFY_ADMIN_EMAILS`; decisions go to the version's
+   * submitter. Recipients who opted out are not emailed. Failures are logged, never
+   * thrown, so a broken transport cannot fail the request that caused the event.
+   *
+   * @param event - The lifecycle event.
+   * @param tenantName - The tenant partition key.
+   * @param version - The version the event is about (e.g. `'v2'`).
+   */
+  async notify(event: NotificationEvent, tenantName: string, version: string): Promise<void> {
+    if (this.transports.length === 0) return;
+
+    try {
+      const record = await this.tenantStore.getVersion(tenantName, version);
+      if (!record) return;
+      const settings = getSettings();
+      const candidates =
+        event === 'submitted' ? settings.notificationAdminEmails : [record.SubmittedBy];
+      const to = await this.withoutOptedOut(candidates);
+      const message = renderNotification(event, record, settings.publicUrl, to);
+
+      await Promise.all(
+        this.transports.map((transport) =>
+          transport.send(message).catch((error: unknown) => {
+            this.logger.error(
+              `Failed to send ${event} notification for ${tenantName}:${version} via ${transport.name}`,
+              error instanceof Error ? error.stack : String(error),
+            );
+          }),
+        ),
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to prepare ${event} notification for ${tenantName}:${version}`,
+        error instanceof Error ? error.stack : String(error),
+      );
+    }
+  }
+
+  /**
+   * Drops duplicate addresses and users whose profile opts out of notifications.
+   *
+   * @param emails - Candidate recipient addresses.
+   * @returns The lower-cased addresses to email.
+   */
+  private async withoutOptedOut(emails: string[]): Promise<string[]> {
+    const unique = [...new Set(emails.map((email) => email.trim().toLowerCase()))].filter(Boolean);
+    const profiles = await Promise.all(unique.map((email) => this.sessionStore.getProfile(email)));
+    return profiles.filter((profile) => !profile.notificationsOptOut).map((p) => p.email);
+  }
+}
@@ -0,0 +1,295 @@
+import { execFile } from 'node:child_process';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { dirname, join, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { promisify } from 'node:util';
+
+import type { PortalSettings, TenantPullRequest } from '../types';
+
+const execFileAsync = promisify(execFile);
+
+/** Nest injection token for the active {@link PullRequestClient} (or `null` when disabled). */
+export const PULL_REQUEST_CLIENT = Symbol('PULL_REQUEST_CLIENT');
+
+const COMMIT_AUTHOR_NAME = 'Tenant Onboarding Portal';
+const COMMIT_AUTHOR_EMAIL = 'tenant-onboarding-portal@users.noreply.github.com';
+
+export type PullRequestInput = {
+  branch: string;
+  baseBranch: string;
+  title: string;
+  body: string;
+  labels: string[];
+  commitMessage: string;
+  /** Repository-relative path → full file content. */
+  files: Record<string, string>;
+};
+
+export interface PullRequestClient {
+  /**
+   * Commits `input.files` to `input.branch` (created from `input.baseBranch` when
+   * missing) and opens a pull request for it, reusing an open one for the same branch.
+   * Safe to call again for the same branch.
+   */
+  openPullRequest(input: PullRequestInput): Promise<TenantPullRequest>;
+}
+
+export class GitHubApiError extends Error {
+  /**
+   * Creates an error describing a failed GitHub REST API call.
+   *
+   * @param message - Human-readable description including the method and path.
+   * @param status - The HTTP status code returned by GitHub.
+   */
+  constructor(
+    message: string,
+    readonly status: number,
+  ) {
+    super(message);
+    this.name = 'GitHubApiError';
+  }
+}
+
+type GitRef = { object: { sha: string } };
+type GitCommit = { sha: string; tree: { sha: string } };
+type GitHubPull = { number: number; html_url: string };
+
+/**
+ * Opens pull requests through the GitHub REST API with a bearer token (a GitHub App
+ * installation token or fine-grained PAT with `contents` and `pull_requests` write).
+ * The API base URL is configurable so tests can point it at a fake server.
+ */
+export class GitHubApiPullRequestClient implements PullRequestClient {
+  /**
+   * Creates a client for one repository.
+   *
+   * @param apiUrl - GitHub REST API base URL without a trailing slash.
+   * @param repository - Repository in `owner/name` form.
+   * @param token - Bearer token used for every request.
+   */
+  constructor(
+    private readonly apiUrl: string,
+    private readonly repository: string,
+    private readonly token: string,
+  ) {}
+
+  /**
+   * Creates or fast-forwards the branch with a single commit holding every file,
+   * then opens (or reuses) the pull request and applies the labels.
+   *
+   * @param input - Branch, files, and pull request metadata.
+   * @returns The open pull request.
+   */
+  async openPullRequest(input: PullRequestInput): Promise<TenantPullRequest> {
+    const parentSha = await this.ensureBranch(input.branch, input.baseBranch);
+    const parent = await this.request<GitCommit>('GET', `/git/commits/${parentSha}`);
+    const tree = await this.request<{ sha: string }>('POST', '/git/trees', {
+      base_tree: parent.tree.sha,
+      tree: Object.entries(input.files).map(([path, content]) => ({
+        path,
+        mode: '100644',
+        type: 'blob',
+        content,
+      })),
+    });
+
+    // A retry with unchanged files leaves the branch as it is.
+    if (tree.sha !== parent.tree.sha) {
+      const commit = await this.request<GitCommit>('POST', '/git/commits', {
+        message: input.commitMessage,
+        tree: tree.sha,
+        parents: [parentSha],
+      });
+      await this.request('PATCH', `/git/refs/heads/${input.branch}`, { sha: commit.sha });
+    }
+
+    const owner = this.repository.split('/')[0];
+    const existing = await this.request<GitHubPull[]>(
+      'GET',
+      `/pulls?state=open&head=${encodeURIComponent(`${owner}:${input.branch}`)}`,
+    );
+    const pull =
+      existing[0] ??
+      (await this.request<GitHubPull>('POST', '/pulls', {
+        title: input.title,
+        head: input.branch,
+        base: input.baseBranch,
+        body: input.body,
+      }));
+    if (input.labels.length > 0) {
+      await this.request('POST', `/issues/${pull.number}/labels`, { labels: input.labels });
+    }
+
+    return { url: pull.html_url, number: pull.number, state: 'open', branch: input.branch };
+  }
+
+  /**
+   * Returns the head commit of `branch`, creating the branch from `baseBranch` first
+   * when it does not exist yet.
+   *
+   * @param branch - The feature branch name.
+   * @param baseBranch - The branch to start from.
+   * @returns The SHA the next commit should use as its parent.
+   */
+  private async ensureBranch(branch: string, baseBranch: string): Promise<string> {
+    try {
+      const head = await this.request<GitRef>('GET', `/git/ref/heads/${branch}`);
+      return head.object.sha;
+    } catch (error) {
+      if (!(error instanceof GitHubApiError) || error.status !== 404) throw error;
+    }
+
+    const base = await this.request<GitRef>('GET', `/git/ref/heads/${baseBranch}`);
+    await this.request('POST', '/git/refs', {
+      ref: `refs/heads/${branch}`,
+      sha: base.object.sha,
+    });
+    return base.object.sha;
+  }
+
+  /**
+   * Sends one request to the repository's REST API and parses the JSON response.
+   *
+   * @param method - HTTP method.
+   * @param path - Path below `/repos/{owner}/{name}`.
+   * @param body - Optional JSON request body.
+   * @returns The parsed response body.
+   * @throws GitHubApiError when GitHub answers with a non-2xx status.
+   */
+  private async request<T = unknown>(method: string, path: string, body?: unknown): Promise<T> {
+    const response = await fetch(`${this.apiUrl}/repos/${this.repository}${path}`, {
+      method,
+      headers: {
+        Accept: 'application/vnd.github+json',
+        Authorization: `Bearer ${this.token}`,
+        'X-GitHub-Api-Version': '2022-11-28',
+        ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    if (!response.ok) {
+      const detail = (await response.json().catch(() => null)) as { message?: string } | null;
+      throw new GitHubApiError(
+        `GitHub API ${method} ${path} failed with ${response.status}${detail?.message ? `: ${detail.message}` : ''}`,
+        response.status,
+      );
+    }
+
+    return (response.status === 204 ? null : await response.json()) as T;
+  }
+}
+
+/**
+ * Stand-in for GitHub that pushes the branch to a local (usually bare) git
+ * repository with the `git` CLI. There is no pull request object, so the body and
+ * labels go into the commit message and the returned URL points at the
+ * repository and branch. Used for local development and tests.
+ */
+export class LocalGitPullRequestClient implements PullRequestClient {
+  /**
+   * Creates a client that pushes to the repository at `repoPath`.
+   *
+   * @param repoPath - Path to the target repository; it must have `baseBranch`.
+   */
+  constructor(private readonly repoPath: string) {}
+
+  /**
+   * Clones the repository into a temporary directory, commits the files on the
+   * branch, and force-pushes it back.
+   *
+   * @param input - Branch, files, and pull request metadata.
+   * @returns A pull request stand-in whose URL is `file://<repo>#<branch>`.
+   */
+  async openPullRequest(input: PullRequestInput): Promise<TenantPullRequest> {
+    const repoPath = resolve(this.repoPath);
+    const workDir = await mkdtemp(join(tmpdir(), 'tenant-pr-'));
+    try {
+      await this.git(workDir, 'clone', '--quiet', '--branch', input.baseBranch, repoPath, '.');
+      const remoteBranch = await this.git(workDir, 'ls-remote', '--heads', 'origin', input.branch);
+      await this.git(
+        workDir,
+        'checkout',
+        '--quiet',
+        '-B',
+        input.branch,
+        remoteBranch ? `origin/${input.branch}` : `origin/${input.baseBranch}`,
+      );
+
+      for (const [path, content] of Object.entries(input.files)) {
+        const target = join(workDir, path);
+        await mkdir(dirname(target), { recursive: true });
+        await writeFile(target, content, 'utf8');
+      }
+      await this.git(workDir, 'add', '--', ...Object.keys(input.files));
+
+      if (await this.git(workDir, 'status', '--porcelain')) {
+        const labels = input.labels.length > 0 ? `\n\nLabels: ${input.labels.join(', ')}` : '';
+        await this.git(
+          workDir,
+          '-c',
+          `user.name=${COMMIT_AUTHOR_NAME}`,
+          '-c',
+          `user.email=${COMMIT_AUTHOR_EMAIL}`,
+          'commit',
+          '--quiet',
+          '-m',
+          `${input.commitMessage}\n\n${input.body}${labels}`,
+        );
+      }
+      await this.git(workDir, 'push', '--quiet', '--force', 'origin', input.branch);
+    } finally {
+      await rm(workDir, { recursive: true, force: true });
+    }
+
+    return {
+      url: `${pathToFileURL(repoPath).href}#${input.branch}`,
+      number: null,
+      state: 'open',
+      branch: input.branch,
+    };
+  }
+
+  /**
+   * Runs a git command in `cwd`.
+   *
+   * @param cwd - Working directory for the command.
+   * @param args - Arguments passed to `git`.
+   * @returns Trimmed standard output.
+   */
+  private async git(cwd: string, ...args: string[]): Promise<string> {
+    const { stdout } = await execFileAsync('git', args, { cwd });
+    return stdout.trim();
+  }
+}
+
+/**
+ * Builds the pull request client for the configured `PORTAL_GITHUB_PR_MODE`.
+ * Used as the Nest factory for {@link PULL_REQUEST_CLIENT}.
+ *
+ * @param settings - The portal settings.
+ * @returns The client, or `null` when PR automation is disabled.
+ * @throws Error when the selected mode is missing its required setting.
+ */
+export function createPullRequestClient(settings: PortalSettings): PullRequestClient | null {
+  switch (settings.githubPrMode) {
+    case 'github':
+      if (!settings.githubToken) {
+        throw new Error('PORTAL_GITHUB_TOKEN is required when PORTAL_GITHUB_PR_MODE=github');
+      }
+      return new GitHubApiPullRequestClient(
+        settings.githubApiUrl,
+        settings.githubRepository,
+        settings.githubToken,
+      );
+    case 'local':
+      if (!settings.githubLocalRepoPath) {
+        throw new Error(
+          'PORTAL_GITHUB_LOCAL_REPO_PATH is required when PORTAL_GITHUB_PR_MODE=local',
+        );
+      }
+      return new LocalGitPullRequestClient(settings.githubLocalRepoPath);
+    default:
+      return null;
+  }
+}
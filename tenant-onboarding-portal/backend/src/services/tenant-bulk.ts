@@ -0,0 +1,276 @@
+import { access, readFile, readdir } from 'node:fs/promises';
+import { join } from 'node:path';
+
+import type { AuditStoreService } from '../storage/audit-store.service';
+import type { TenantStore } from '../storage/tenant-store';
+import type {
+  HubEnv,
+  TenantExportFormat,
+  TenantExportRow,
+  TenantFormData,
+  TenantImportResult,
+  TenantRecord,
+} from '../types';
+import { generateAllEnvTfvars } from './tfvars-generator';
+import { TfvarsParseError, parseTenantTfvars } from './tfvars-parser';
+
+const HUB_ENVS: HubEnv[] = ['dev', 'test', 'prod'];
+
+const SERVICE_FLAGS = [
+  ['openai_enabled', 'openai'],
+  ['ai_search_enabled', 'ai_search'],
+  ['document_intelligence_enabled', 'document_intelligence'],
+  ['speech_services_enabled', 'speech_services'],
+  ['cosmos_db_enabled', 'cosmos_db'],
+  ['storage_account_enabled', 'storage_account'],
+  ['key_vault_enabled', 'key_vault'],
+] as const;
+
+const CSV_COLUMNS: Array<keyof TenantExportRow> = [
+  'tenant_name',
+  'display_name',
+  'ministry',
+  'department',
+  'version',
+  'status',
+  'submitted_by',
+  'reviewed_by',
+  'created_at',
+  'updated_at',
+  'services',
+  'model_families',
+  'capacity_tier',
+  'admin_users',
+  'write_users',
+  'read_users',
+  'pull_request_url',
+];
+
+const IMPORT_REVIEW_NOTE = 'Imported from existing infra-ai-hub tfvars';
+
+export type TenantImportSource = {
+  /** Where the files came from, echoed in the result (a directory or request index). */
+  source: string;
+  files: Partial<Record<HubEnv, string>>;
+};
+
+export class TfvarsDirError extends Error {
+  /**
+   * Creates an error for a params directory that has no tenant tfvars layout.
+   *
+   * @param paramsDir - The directory that was read.
+   */
+  constructor(readonly paramsDir: string) {
+    super(`${paramsDir} has no dev/, test/, or prod/ tenants folder`);
+    this.name = 'TfvarsDirError';
+  }
+}
+
+/**
+ * Reads every tenant's tfvars from an `infra-ai-hub` params directory, laid out as
+ * `<paramsDir>/<env>/tenants/<tenant>/tenant.tfvars`.
+ *
+ * @param paramsDir - The directory holding one folder per environment.
+ * @param only - Tenant names to keep; empty keeps every tenant.
+ * @returns One source per tenant folder, labelled with the tenant name and sorted by it.
+ * @throws TfvarsDirError when the directory has no environment `tenants` folders.
+ */
+export async function readTenantTfvarsDir(
+  paramsDir: string,
+  only: string[] = [],
+): Promise<TenantImportSource[]> {
+  const byTenant = new Map<string, TenantImportSource['files']>();
+  let found = false;
+
+  for (const env of HUB_ENVS) {
+    const tenantsDir = join(paramsDir, env, 'tenants');
+    const entries = await readdir(tenantsDir, { withFileTypes: true }).catch(() => null);
+    if (!entries) continue;
+    found = true;
+    for (const entry of entries) {
+      const path = join(tenantsDir, entry.name, 'tenant.tfvars');
+      if (!entry.isDirectory() || (only.length > 0 && !only.includes(entry.name))) continue;
+      if (
+        !(await access(path).then(
+          () => true,
+          () => false,
+        ))
+      )
+        continue;
+      const files = byTenant.get(entry.name) ?? {};
+      files[env] = await readFile(path, 'utf8');
+      byTenant.set(entry.name, files);
+    }
+  }
+  if (!found) {
+    throw new TfvarsDirError(paramsDir);
+  }
+
+  return [...byTenant.entries()]
+    .sort(([left], [right]) => left.localeCompare(right))
+    .map(([tenant, files]) => ({ source: tenant, files }));
+}
+
+/**
+ * Normalizes line endings to `\n` and ends the content with exactly one newline, as
+ * editors differ on both.
+ *
+ * @param content - The file content.
+ * @returns The normalized content.
+ */
+function normalizeNewlines(content: string): string {
+  return `${content.replace(/\r\n/g, '\n').replace(/\n*$/, '')}\n`;
+}
+
+/**
+ * Registers tenants that so far only exist as tfvars in `infra-ai-hub`. Each source is
+ * read back into a form submission, stored through `createRequest` with freshly
+ * generated tfvars, and marked approved, since it is already deployed. Tenants the
+ * portal already knows are skipped, and a source that cannot be read fails on its
+ * own without stopping the rest of the batch.
+ *
+ * @param store - The tenant store to register into.
+ * @param auditStore - Records an `import` event per tenant; `null` skips auditing.
+ * @param sources - The tfvars files of each tenant.
+ * @param options - How to register the tenants.
+ * @param options.importedBy - Recorded as the submitter and reviewer.
+ * @param options.dryRun - Parse and check only; nothing is written.
+ * @returns One result per source, in input order.
+ */
+export async function importTenantTfvars(
+  store: TenantStore,
+  auditStore: AuditStoreService | null,
+  sources: TenantImportSource[],
+  options: { importedBy: string; dryRun?: boolean },
+): Promise<TenantImportResult[]> {
+  const results: TenantImportResult[] = [];
+  const seen = new Set<string>();
+
+  for (const { source, files } of sources) {
+    let form: TenantFormData;
+    try {
+      form = parseTenantTfvars(files);
+    } catch (error) {
+      if (!(error instanceof TfvarsParseError)) throw error;
+      results.push({ source, tenant_name: null, status: 'failed', message: error.message });
+      continue;
+    }
+
+    const tenantName = form.project_name;
+    if (seen.has(tenantName) || (await store.getCurrent(tenantName))) {
+      results.push({
+        source,
+        tenant_name: tenantName,
+        status: 'skipped',
+        message: 'Tenant is already registered in the portal',
+      });
+      continue;
+    }
+    seen.add(tenantName);
+
+    const tfvars = generateAllEnvTfvars(form);
+    // Report files whose hand edits the portal's generated tfvars would not keep.
+    const differs = HUB_ENVS.filter(
+      (env) => typeof files[env] === 'string' && normalizeNewlines(files[env]) !== tfvars[env],
+    );
+    if (options.dryRun) {
+      results.push({ source, tenant_name: tenantName, status: 'would_import', differs });
+      continue;
+    }
+
+    const version = await store.createRequest(
+      tenantName,
+      form.display_name,
+      form as unknown as Record<string, unknown>,
+      tfvars,
+      options.importedBy,
+    );
+    await store.updateStatus(
+      tenantName,
+      version,
+      'approved',
+      options.importedBy,
+      IMPORT_REVIEW_NOTE,
+    );
+    await auditStore?.record({
+      tenantName,
+      version,
+      action: 'import',
+      actor: options.importedBy,
+      summary: `Imported ${version} from ${source}`,
+      toStatus: 'approved',
+    });
+    results.push({ source, tenant_name: tenantName, status: 'imported', version, differs });
+  }
+
+  return results;
+}
+
+/**
+ * Flattens a tenant's current record into a reporting row. List fields are joined
+ * with `;` so the row also fits in one CSV line.
+ *
+ * @param record - The tenant's current version.
+ * @returns The export row.
+ */
+function toExportRow(record: TenantRecord): TenantExportRow {
+  const form = record.FormData ?? {};
+  const list = (key: string) =>
+    Array.isArray(form[key]) ? (form[key] as unknown[]).map(String).join(';') : '';
+
+  return {
+    tenant_name: record.PartitionKey,
+    display_name: record.DisplayName,
+    ministry: record.Ministry,
+    department: typeof form.department === 'string' ? form.department : '',
+    version: record.RowKey,
+    status: record.Status,
+    submitted_by: record.SubmittedBy,
+    reviewed_by: record.ReviewedBy ?? '',
+    created_at: record.CreatedAt,
+    updated_at: record.UpdatedAt ?? '',
+    services: SERVICE_FLAGS.filter(([flag]) => form[flag] === true)
+      .map(([, service]) => service)
+      .join(';'),
+    model_families: form.openai_enabled === true ? list('model_families') : '',
+    capacity_tier: typeof form.capacity_tier === 'string' ? form.capacity_tier : '',
+    admin_users: list('admin_users'),
+    write_users: list('write_users'),
+    read_users: list('read_users'),
+    pull_request_url: record.PullRequestUrl ?? '',
+  };
+}
+
+/**
+ * Quotes one CSV field per RFC 4180. Values that a spreadsheet would run as a
+ * formula get a leading `'`, since display names and departments are user input.
+ *
+ * @param value - The raw field value.
+ * @returns The field, quoted when needed.
+ */
+function csvField(value: string): string {
+  const safe = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+/**
+ * Renders the current record of every tenant for reporting, sorted by tenant name.
+ *
+ * @param records - The current records, as returned by `listAllCurrent`.
+ * @param format - `json` for an array of rows, `csv` for a header line plus one line per tenant.
+ * @returns The export file content.
+ */
+export function exportTenants(records: TenantRecord[], format: TenantExportFormat): string {
+  const rows = records
+    .map(toExportRow)
+    .sort((left, right) => left.tenant_name.localeCompare(right.tenant_name));
+  if (format === 'json') {
+    return `${JSON.stringify(rows, null, 2)}\n`;
+  }
+
+  const lines = [
+    CSV_COLUMNS.join(','),
+    ...rows.map((row) => CSV_COLUMNS.map((column) => csvField(row[column])).join(',')),
+  ];
+  return `${lines.join('\r\n')}\r\n`;
+}
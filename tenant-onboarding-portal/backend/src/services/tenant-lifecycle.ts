@@ -0,0 +1,81 @@
+import { UnprocessableEntityException } from '@nestjs/common';
+
+import type { HubEnv, TenantRecord } from '../types';
+import { versionNumber } from './version-diff';
+
+const HUB_ENVS: HubEnv[] = ['dev', 'test', 'prod'];
+
+/** Registry status of a tenant: `archived` once every environment is decommissioned. */
+export type RegistryStatus = 'active' | 'archived';
+
+/**
+ * Reads the decommissioned environments recorded in a version's form data.
+ *
+ * @param formData - The version's form data.
+ * @returns The decommissioned environments in `dev`, `test`, `prod` order.
+ */
+export function disabledEnvironments(formData: Record<string, unknown> | undefined): HubEnv[] {
+  const disabled = formData?.disabled_environments;
+  return Array.isArray(disabled) ? HUB_ENVS.filter((env) => disabled.includes(env)) : [];
+}
+
+/**
+ * Finds the newest approved version, i.e. what is deployed today. Edits and
+ * decommission requests start from its decommissioned environments.
+ *
+ * @param versions - Every version of the tenant, in any order.
+ * @returns The newest approved version, or `null` when nothing is approved.
+ */
+export function newestApproved(versions: TenantRecord[]): TenantRecord | null {
+  const approved = versions
+    .filter((record) => record.Status === 'approved')
+    .sort((left, right) => versionNumber(right.RowKey) - versionNumber(left.RowKey));
+  return approved[0] ?? null;
+}
+
+/**
+ * Derives the registry status from a tenant's current version: a tenant is archived
+ * when its current version is an approved decommission of every environment. Stores
+ * use this when rebuilding the registry, so the status survives index rebuilds and
+ * migration between backends.
+ *
+ * @param current - The tenant's current version.
+ * @returns The registry status.
+ */
+export function registryStatus(current: TenantRecord | null | undefined): RegistryStatus {
+  return current?.Status === 'approved' &&
+    disabledEnvironments(current.FormData).length === HUB_ENVS.length
+    ? 'archived'
+    : 'active';
+}
+
+/**
+ * Parses the body of a decommission request, `{ environments: ['prod', ...] }`, and
+ * adds the named environments to those already decommissioned.
+ *
+ * @param input - The raw request body.
+ * @param alreadyDisabled - The environments decommissioned today.
+ * @returns Every environment the new version switches off, in `dev`, `test`, `prod` order.
+ * @throws UnprocessableEntityException when the body is malformed, names an unknown
+ *   environment, or decommissions nothing new.
+ */
+export function parseDecommissionRequest(input: unknown, alreadyDisabled: HubEnv[]): HubEnv[] {
+  const environments =
+    input && typeof input === 'object' && !Array.isArray(input)
+      ? (input as Record<string, unknown>).environments
+      : undefined;
+  if (!Array.isArray(environments) || environments.length === 0) {
+    throw new UnprocessableEntityException('Choose at least one environment to decommission');
+  }
+  const unknown = environments.filter((env) => !HUB_ENVS.includes(env as HubEnv));
+  if (unknown.length > 0) {
+    throw new UnprocessableEntityException(
+      `Unknown environment: ${unknown.map(String).join(', ')}`,
+    );
+  }
+  if (environments.every((env) => alreadyDisabled.includes(env as HubEnv))) {
+    throw new UnprocessableEntityException('Those environments are already decommissioned');
+  }
+
+  return HUB_ENVS.filter((env) => alreadyDisabled.includes(env) || environments.includes(env));
+}
@@ -0,0 +1,158 @@
+import type { TenantStore } from '../storage/tenant-store';
+import type {
+  DriftReport,
+  EnvDrift,
+  HubEnv,
+  TenantDrift,
+  TenantRecord,
+  TfvarsDriftChange,
+} from '../types';
+import { readTenantTfvarsDir } from './tenant-bulk';
+import { parseTfvars } from './tfvars-parser';
+import type { HclValue } from './tfvars-parser';
+import { versionNumber } from './version-diff';
+
+const HUB_ENVS: HubEnv[] = ['dev', 'test', 'prod'];
+
+/**
+ * Flattens parsed tfvars into one entry per leaf attribute. Lists of objects that
+ * all carry a distinct `name` (model deployments) are keyed by that name so a
+ * reordered or removed entry does not shift the others; other object lists are keyed
+ * by position. Lists of plain values are leaves, sorted so their order is ignored.
+ *
+ * @param value - The value to flatten.
+ * @param path - The attribute path of `value`.
+ * @param leaves - Collects `path → value` for every leaf.
+ * @returns The `leaves` map.
+ */
+function flatten(
+  value: HclValue,
+  path: string,
+  leaves: Map<string, HclValue> = new Map(),
+): Map<string, HclValue> {
+  if (Array.isArray(value)) {
+    if (!value.some((item) => typeof item === 'object')) {
+      leaves.set(path, [...value].sort());
+      return leaves;
+    }
+    const names = value.map((item) =>
+      typeof item === 'object' && !Array.isArray(item) && typeof item.name === 'string'
+        ? item.name
+        : null,
+    );
+    const byName = names.every(Boolean) && new Set(names).size === names.length;
+    value.forEach((item, index) =>
+      flatten(item, `${path}[${byName ? names[index] : index}]`, leaves),
+    );
+  } else if (typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      flatten(child, path ? `${path}.${key}` : key, leaves);
+    }
+  } else {
+    leaves.set(path, value);
+  }
+  return leaves;
+}
+
+/**
+ * Compares committed tfvars with the portal's generated tfvars attribute by
+ * attribute, ignoring formatting, comments, attribute order, and the order of
+ * plain-value lists.
+ *
+ * @param expected - The tfvars the portal generated.
+ * @param actual - The tfvars committed to the repository.
+ * @returns The differing attributes, sorted by path.
+ * @throws TfvarsParseError when either file is not in the supported HCL subset.
+ */
+export function diffTfvars(expected: string, actual: string): TfvarsDriftChange[] {
+  const want = flatten(parseTfvars(expected), '');
+  const have = flatten(parseTfvars(actual), '');
+  const changes: TfvarsDriftChange[] = [];
+
+  for (const [path, value] of want) {
+    if (!have.has(path)) {
+      changes.push({ path, kind: 'removed', expected: value });
+    } else if (JSON.stringify(have.get(path)) !== JSON.stringify(value)) {
+      changes.push({ path, kind: 'changed', expected: value, actual: have.get(path) });
+    }
+  }
+  for (const [path, value] of have) {
+    if (!want.has(path)) {
+      changes.push({ path, kind: 'added', actual: value });
+    }
+  }
+
+  return changes.sort((left, right) => left.path.localeCompare(right.path));
+}
+
+/**
+ * Compares one tenant's committed files with its approved version.
+ *
+ * @param record - The latest approved version.
+ * @param files - The committed tfvars by environment.
+ * @returns The tenant's drift entry.
+ */
+function tenantDrift(record: TenantRecord, files: Partial<Record<HubEnv, string>>): TenantDrift {
+  const generated = record.GeneratedTfvars ?? {};
+  const envs: EnvDrift[] = HUB_ENVS.filter((env) => typeof generated[env] === 'string').map(
+    (env) => {
+      const committed = files[env];
+      if (committed === undefined) {
+        return { env, status: 'missing', changes: [] };
+      }
+      try {
+        const changes = diffTfvars(generated[env], committed);
+        return { env, status: changes.length > 0 ? 'drifted' : 'in_sync', changes };
+      } catch (error) {
+        return {
+          env,
+          status: 'unreadable',
+          changes: [],
+          error: error instanceof Error ? error.message : String(error),
+        };
+      }
+    },
+  );
+
+  return {
+    tenant_name: record.PartitionKey,
+    version: record.RowKey,
+    drifted: envs.some((entry) => entry.status !== 'in_sync'),
+    pull_request_state: record.PullRequestState ?? null,
+    envs,
+  };
+}
+
+/**
+ * Checks every tenant's committed tfvars against the generated tfvars of its latest
+ * approved version. Tenants without an approved version are not deployed yet and are
+ * skipped; repository folders for tenants the portal has not approved are listed
+ * as untracked.
+ *
+ * @param store - The tenant store.
+ * @param paramsDir - The `infra-ai-hub` params directory.
+ * @returns The drift report, sorted by tenant name.
+ * @throws TfvarsDirError when `paramsDir` has no environment `tenants` folders.
+ */
+export async function detectDrift(store: TenantStore, paramsDir: string): Promise<DriftReport> {
+  const committed = new Map(
+    (await readTenantTfvarsDir(paramsDir)).map((source) => [source.source, source.files]),
+  );
+  const latestApproved = new Map<string, TenantRecord>();
+  for (const record of await store.listByStatus('approved')) {
+    const known = latestApproved.get(record.PartitionKey);
+    if (!known || versionNumber(record.RowKey) > versionNumber(known.RowKey)) {
+      latestApproved.set(record.PartitionKey, record);
+    }
+  }
+
+  const tenants = [...latestApproved.values()]
+    .map((record) => tenantDrift(record, committed.get(record.PartitionKey) ?? {}))
+    .sort((left, right) => left.tenant_name.localeCompare(right.tenant_name));
+
+  return {
+    checked_at: new Date().toISOString(),
+    tenants,
+    untracked: [...committed.keys()].filter((tenantName) => !latestApproved.has(tenantName)),
+  };
+}
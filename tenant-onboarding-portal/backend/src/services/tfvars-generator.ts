@@ -1,5 +1,5 @@
 import { CAPACITY_TIERS, MODEL_FAMILIES } from '../models/form-schema';
-import type { TenantFormData } from '../types';
+import type { ContentFilter, ModelDeployment, TenantFormData } from '../types';
 
 /**
  * Escape a string value for safe interpolation inside HCL double-quoted strings.
@@ -38,14 +38,6 @@ const ENV_DEFAULTS = {
 
 type EnvironmentName = keyof typeof ENV_DEFAULTS;
 
-type ModelDeployment = {
-  name: string;
-  model_name: string;
-  model_version: string;
-  scale_type: string;
-  capacity: number;
-};
-
 /**
  * Generates Terraform `.tfvars` content for all three environments (dev, test, prod).
  *
@@ -70,8 +62,9 @@ export function generateAllEnvTfvars(data: TenantFormData): Record<EnvironmentNa
 function generateTfvars(data: TenantFormData, env: EnvironmentName): string {
   const defaults = ENV_DEFAULTS[env];
   const envLabel = env.toUpperCase();
-  const modelDeployments = buildModelDeployments(data.model_families, data.capacity_tier);
+  const modelDeployments = allModelDeployments(data);
   const adminBlock = buildUserManagement(data);
+  const decommissioned = data.disabled_environments?.includes(env) ?? false;
 
   const lines = [
     '# =============================================================================',
@@ -79,12 +72,24 @@ function generateTfvars(data: TenantFormData, env: EnvironmentName): string {
     '# =============================================================================',
     `# ${envLabel} environment configuration for ${data.display_name}.`,
     '# Generated by Tenant Onboarding Portal.',
+    '#',
     '# =============================================================================',
+  ];
+
+  if (decommissioned) {
+    lines.push(
+      `# DECOMMISSIONED: the next apply destroys this tenant's ${envLabel} resources.`,
+      '# Delete this file once that apply has completed.',
+      '# =============================================================================',
+    );
+  }
+
+  lines.push(
     '',
     'tenant = {',
     `  tenant_name  = "${escapeHcl(data.project_name)}"`,
     `  display_name = "${escapeHcl(data.display_name)}"`,
-    '  enabled      = true',
+    `  enabled      = ${decommissioned ? 'false' : 'true'}`,
     '',
     '  # PE subnet assignment - sticky, do not change after first deploy (destroys/recreates all PEs)',
     '  # Valid keys: privateendpoints-subnet, privateendpoints-subnet-1, privateendpoints-subnet-2, ...',
@@ -93,7 +98,7 @@ function generateTfvars(data: TenantFormData, env: EnvironmentName): string {
     '  tags = {',
     `    ministry    = "${escapeHcl(data.ministry)}"`,
     `    environment = "${defaults.environment_tag}"`,
-  ];
+  );
 
   if (data.department) {
     lines.push(`    department  = "${escapeHcl(data.department)}"`);
@@ -104,13 +109,13 @@ function generateTfvars(data: TenantFormData, env: EnvironmentName): string {
     '',
     keyVaultBlock(data.key_vault_enabled, defaults),
     '',
-    storageAccountBlock(data.storage_account_enabled, defaults, env),
+    storageAccountBlock(data.storage_account_enabled, defaults),
     '',
     aiSearchBlock(data.ai_search_enabled),
     '',
     cosmosDbBlock(data.cosmos_db_enabled, defaults),
     '',
-    documentIntelligenceBlock(data.document_intelligence_enabled, env),
+    documentIntelligenceBlock(data.document_intelligence_enabled),
     '',
     '  # Speech Services - MUST be present even if disabled (map(any) type constraint)',
     '  speech_services = {',
@@ -119,7 +124,12 @@ function generateTfvars(data: TenantFormData, env: EnvironmentName): string {
     '',
     logAnalyticsBlock(defaults),
     '',
-    openAiBlock(data.openai_enabled, modelDeployments, env),
+    openAiBlock(data.openai_enabled, modelDeployments),
+    '',
+    '  apim_auth = {',
+    '    mode                 = "subscription_key"',
+    '    key_rotation_enabled = false',
+    '  }',
     '',
     adminBlock,
     '',
@@ -157,39 +167,28 @@ function keyVaultBlock(enabled: boolean, defaults: (typeof ENV_DEFAULTS)[Environ
 /**
  * Builds the `storage_account` HCL block for a given environment.
  *
- * Includes diagnostics configuration when targeting the `test` environment.
- *
  * @param enabled - Whether the storage account is enabled for this tenant.
  * @param defaults - The environment-specific default values.
- * @param env - The target environment name used to conditionally add diagnostics.
  * @returns The `storage_account = { ... }` HCL block as a string.
  */
 function storageAccountBlock(
   enabled: boolean,
   defaults: (typeof ENV_DEFAULTS)[EnvironmentName],
-  env: EnvironmentName,
 ): string {
-  const lines = [
+  return [
     '  storage_account = {',
     `    enabled                  = ${enabled ? 'true' : 'false'}`,
     '    account_tier             = "Standard"',
     `    account_replication_type = "${defaults.replication_type}"`,
     '    account_kind             = "StorageV2"',
     '    access_tier              = "Hot"',
-  ];
-
-  if (env === 'test') {
-    lines.push(
-      '    diagnostics = {',
-      '      log_groups        = []',
-      '      log_categories    = []',
-      '      metric_categories = ["Capacity", "Transaction"]',
-      '    }',
-    );
-  }
-
-  lines.push('  }');
-  return lines.join('\n');
+    '    diagnostics = {',
+    '      log_groups        = []',
+    '      log_categories    = []',
+    '      metric_categories = ["Capacity", "Transaction"]',
+    '    }',
+    '  }',
+  ].join('\n');
 }
 
 /**
@@ -214,14 +213,12 @@ function aiSearchBlock(enabled: boolean): string {
 /**
  * Builds the `cosmos_db` HCL block for a given environment.
  *
- * When the Cosmos DB feature is enabled, adds database and container name settings.
- *
  * @param enabled - Whether Cosmos DB is enabled for this tenant.
  * @param defaults - The environment-specific default values.
  * @returns The `cosmos_db = { ... }` HCL block as a string.
  */
 function cosmosDbBlock(enabled: boolean, defaults: (typeof ENV_DEFAULTS)[EnvironmentName]): string {
-  const lines = [
+  return [
     '  cosmos_db = {',
     `    enabled                      = ${enabled ? 'true' : 'false'}`,
     '    offer_type                   = "Standard"',
@@ -232,48 +229,31 @@ function cosmosDbBlock(enabled: boolean, defaults: (typeof ENV_DEFAULTS)[Environ
     `    geo_redundant_backup_enabled = ${defaults.geo_redundant_backup ? 'true' : 'false'}`,
     '    automatic_failover_enabled   = false',
     '    total_throughput_limit       = 1000',
-  ];
-
-  if (enabled) {
-    lines.push(
-      '    database_name                = "default"',
-      '    container_name               = "cosmosContainer"',
-    );
-  }
-
-  lines.push('  }');
-  return lines.join('\n');
+    '    database_name                = "default"',
+    '    container_name               = "cosmosContainer"',
+    '  }',
+  ].join('\n');
 }
 
 /**
  * Builds the `document_intelligence` HCL block for a given environment.
  *
- * Includes diagnostics configuration when targeting the `test` environment.
- *
  * @param enabled - Whether Document Intelligence is enabled for this tenant.
- * @param env - The target environment name used to conditionally add diagnostics.
  * @returns The `document_intelligence = { ... }` HCL block as a string.
  */
-function documentIntelligenceBlock(enabled: boolean, env: EnvironmentName): string {
-  const lines = [
+function documentIntelligenceBlock(enabled: boolean): string {
+  return [
     '  document_intelligence = {',
     `    enabled = ${enabled ? 'true' : 'false'}`,
     '    sku     = "S0"',
     '    kind    = "FormRecognizer"',
-  ];
-
-  if (env === 'test') {
-    lines.push(
-      '    diagnostics = {',
-      '      log_groups        = ["allLogs"]',
-      '      log_categories    = []',
-      '      metric_categories = ["AllMetrics"]',
-      '    }',
-    );
-  }
-
-  lines.push('  }');
-  return lines.join('\n');
+    '    diagnostics = {',
+    '      log_groups        = ["allLogs"]',
+    '      log_categories    = []',
+    '      metric_categories = ["AllMetrics"]',
+    '    }',
+    '  }',
+  ].join('\n');
 }
 
 /**
@@ -295,44 +275,35 @@ function logAnalyticsBlock(defaults: (typeof ENV_DEFAULTS)[EnvironmentName]): st
 /**
  * Builds the `openai` HCL block for a given environment.
  *
- * When enabled, includes model deployment entries and, in `test` environments, diagnostics.
+ * When enabled, includes model deployment entries.
  *
  * @param enabled - Whether OpenAI is enabled for this tenant.
  * @param modelDeployments - The list of model deployment configurations to embed.
- * @param env - The target environment name used to conditionally add diagnostics.
  * @returns The `openai = { ... }` HCL block as a string.
  */
-function openAiBlock(
-  enabled: boolean,
-  modelDeployments: ModelDeployment[],
-  env: EnvironmentName,
-): string {
+function openAiBlock(enabled: boolean, modelDeployments: ModelDeployment[]): string {
   const lines = [
     '  openai = {',
     `    enabled = ${enabled ? 'true' : 'false'}`,
     '    sku     = "S0"',
+    '    diagnostics = {',
+    '      log_groups        = ["allLogs"]',
+    '      log_categories    = []',
+    '      metric_categories = ["AllMetrics"]',
+    '    }',
   ];
 
-  if (env === 'test') {
-    lines.push(
-      '    diagnostics = {',
-      '      log_groups        = ["allLogs"]',
-      '      log_categories    = []',
-      '      metric_categories = ["AllMetrics"]',
-      '    }',
-    );
-  }
-
   if (enabled && modelDeployments.length > 0) {
     lines.push('    model_deployments = [');
     for (const deployment of modelDeployments) {
       lines.push(
         '      {',
-        `        name          = "${deployment.name}"`,
-        `        model_name    = "${deployment.model_name}"`,
-        `        model_version = "${deployment.model_version}"`,
-        `        scale_type    = "${deployment.scale_type}"`,
-        `        capacity      = ${deployment.capacity}`,
+        `        name           = "${escapeHcl(deployment.name)}"`,
+        `        model_name     = "${escapeHcl(deployment.model_name)}"`,
+        `        model_version  = "${escapeHcl(deployment.model_version)}"`,
+        `        scale_type     = "${escapeHcl(deployment.scale_type)}"`,
+        `        capacity       = ${deployment.capacity}`,
+        ...contentFilterLines(deployment.content_filter),
         '      },',
       );
     }
@@ -343,6 +314,39 @@ function openAiBlock(
   return lines.join('\n');
 }
 
+/**
+ * Renders a deployment's `content_filter` attribute. Without custom filters it is a
+ * single line, since the infra modules expect the key on every deployment.
+ *
+ * @param filter - The deployment's content filter; absent means `Microsoft.DefaultV2`.
+ * @returns The HCL lines, indented for a `model_deployments` entry.
+ */
+function contentFilterLines(filter: ContentFilter | undefined): string[] {
+  const basePolicy = escapeHcl(filter?.base_policy_name ?? 'Microsoft.DefaultV2');
+  if (!filter || filter.filters.length === 0) {
+    return [`        content_filter = { base_policy_name = "${basePolicy}", filters = [] }`];
+  }
+
+  const rules = filter.filters.map((rule) => {
+    const attributes = [
+      `name = "${escapeHcl(rule.name)}"`,
+      `severity_threshold = "${escapeHcl(rule.severity_threshold)}"`,
+      ...(rule.blocking === undefined ? [] : [`blocking = ${rule.blocking}`]),
+      ...(rule.enabled === undefined ? [] : [`enabled = ${rule.enabled}`]),
+      `source = "${escapeHcl(rule.source)}"`,
+    ];
+    return `            { ${attributes.join(', ')} },`;
+  });
+  return [
+    '        content_filter = {',
+    `          base_policy_name = "${basePolicy}"`,
+    '          filters = [',
+    ...rules,
+    '          ]',
+    '        }',
+  ];
+}
+
 /**
  * Builds the `user_management` HCL block including all seed member role assignments.
  *
@@ -401,8 +405,16 @@ function buildRoleBlock(role: string, emails: string[]): string | null {
  * @returns The `apim_policies = { ... }` HCL block as a string.
  */
 function apimPoliciesBlock(data: TenantFormData): string {
+  const customRaiFilters = data.custom_rai_filters_enabled
+    ? ['    custom_rai_filters = {', '      enabled = true', '    }']
+    : [];
+
   return [
     '  apim_policies = {',
+    '    rate_limiting = {',
+    '      enabled           = true',
+    '      tokens_per_minute = 1000',
+    '    }',
     '    pii_redaction = {',
     `      enabled     = ${data.pii_redaction_enabled ? 'true' : 'false'}`,
     '      fail_closed = false',
@@ -410,9 +422,7 @@ function apimPoliciesBlock(data: TenantFormData): string {
     '    usage_logging = {',
     `      enabled = ${data.logging_enabled ? 'true' : 'false'}`,
     '    }',
-    '    custom_rai_filters = {',
-    `      enabled = ${data.custom_rai_filters_enabled ? 'true' : 'false'}`,
-    '    }',
+    ...customRaiFilters,
     '    streaming_metrics = {',
     '      enabled = true',
     '    }',
@@ -426,6 +436,39 @@ function apimPoliciesBlock(data: TenantFormData): string {
   ].join('\n');
 }
 
+/**
+ * Sums the Azure OpenAI deployment capacity the tfvars request for a set of model
+ * families at a capacity tier. Capacity is the same in every environment, so this
+ * is also the prod quota a request asks for.
+ *
+ * @param families - The selected model family keys.
+ * @param capacityTier - The capacity tier key.
+ * @returns The total deployment capacity across all selected models.
+ */
+export function totalModelCapacity(families: string[], capacityTier: string): number {
+  return buildModelDeployments(families, capacityTier).reduce(
+    (total, deployment) => total + deployment.capacity,
+    0,
+  );
+}
+
+/**
+ * Lists every deployment a tenant's tfvars declare: the selected families' models at
+ * the capacity tier, then the kept custom deployments. A custom deployment whose name
+ * a selected family now covers is dropped in favour of the family's.
+ *
+ * @param data - The validated tenant form submission.
+ * @returns The deployments in the order they are generated.
+ */
+function allModelDeployments(data: TenantFormData): ModelDeployment[] {
+  const deployments = buildModelDeployments(data.model_families, data.capacity_tier);
+  const covered = new Set(deployments.map((deployment) => deployment.name));
+  return [
+    ...deployments,
+    ...(data.custom_model_deployments ?? []).filter((deployment) => !covered.has(deployment.name)),
+  ];
+}
+
 /**
  * Derives the list of model deployment configurations from the selected model families
  * and capacity tier.
@@ -437,7 +480,7 @@ function apimPoliciesBlock(data: TenantFormData): string {
  * @param capacityTier - The capacity tier key (e.g. `'standard'`, `'high'`).
  * @returns An array of deployment configuration objects ready for HCL serialisation.
  */
-function buildModelDeployments(families: string[], capacityTier: string): ModelDeployment[] {
+export function buildModelDeployments(families: string[], capacityTier: string): ModelDeployment[] {
   const multiplier =
     CAPACITY_TIERS[capacityTier as keyof typeof CAPACITY_TIERS]?.multiplier ??
     CAPACITY_TIERS.standard.multiplier;
@@ -0,0 +1,517 @@
+import { UnprocessableEntityException } from '@nestjs/common';
+
+import { CAPACITY_TIERS, FORM_SCHEMA, MINISTRIES, MODEL_FAMILIES } from '../models/form-schema';
+import { parseTenantForm } from '../models/tenant-form';
+import type { ContentFilter, HubEnv, ModelDeployment, TenantFormData } from '../types';
+import { buildModelDeployments } from './tfvars-generator';
+
+export type HclValue = string | number | boolean | HclValue[] | HclObject;
+export type HclObject = { [key: string]: HclValue };
+
+const HUB_ENVS: HubEnv[] = ['dev', 'test', 'prod'];
+const DEFAULT_CAPACITY_TIER = FORM_SCHEMA.defaults.capacity_tier;
+const DEFAULT_CONTENT_POLICY = 'Microsoft.DefaultV2';
+
+export class TfvarsParseError extends Error {
+  /**
+   * Creates an error for tfvars content that cannot be read back into a tenant form.
+   *
+   * @param message - Human-readable description of the problem.
+   * @param line - The 1-based source line, when the problem is a syntax error.
+   */
+  constructor(
+    message: string,
+    readonly line?: number,
+  ) {
+    super(line === undefined ? message : `Line ${line}: ${message}`);
+    this.name = 'TfvarsParseError';
+  }
+}
+
+type Punctuation = '{' | '}' | '[' | ']' | '=' | ',';
+
+type Token =
+  | { type: 'ident' | 'string'; value: string; line: number }
+  | { type: 'number'; value: number; line: number }
+  | { type: 'punct'; value: Punctuation; line: number };
+
+const STRING_ESCAPES: Record<string, string> = {
+  '\\': '\\',
+  '"': '"',
+  $: '$',
+  n: '\n',
+  r: '\r',
+  t: '\t',
+};
+
+/**
+ * Splits tfvars source into tokens, dropping whitespace and `#` / `//` comments.
+ *
+ * @param source - The tfvars file content.
+ * @returns The tokens in source order.
+ * @throws TfvarsParseError on an unterminated string or an unexpected character.
+ */
+function tokenize(source: string): Token[] {
+  const tokens: Token[] = [];
+  let line = 1;
+  let index = 0;
+
+  while (index < source.length) {
+    const char = source[index];
+    if (char === '\n') {
+      line += 1;
+      index += 1;
+    } else if (/\s/.test(char)) {
+      index += 1;
+    } else if (char === '#' || source.startsWith('//', index)) {
+      while (index < source.length && source[index] !== '\n') index += 1;
+    } else if ('{}[]=,'.includes(char)) {
+      tokens.push({ type: 'punct', value: char as Punctuation, line });
+      index += 1;
+    } else if (char === '"') {
+      let value = '';
+      index += 1;
+      while (source[index] !== '"') {
+        if (index >= source.length || source[index] === '\n') {
+          throw new TfvarsParseError('Unterminated string', line);
+        }
+        if (source[index] === '\\') {
+          const escaped = STRING_ESCAPES[source[index + 1]];
+          if (escaped === undefined) {
+            throw new TfvarsParseError(`Unsupported escape \\${source[index + 1]}`, line);
+          }
+          value += escaped;
+          index += 2;
+        } else {
+          value += source[index];
+          index += 1;
+        }
+      }
+      tokens.push({ type: 'string', value, line });
+      index += 1;
+    } else {
+      const match = /^(-?\d+(?:\.\d+)?)|^([A-Za-z_][\w.-]*)/.exec(source.slice(index, index + 256));
+      if (!match) {
+        throw new TfvarsParseError(`Unexpected character '${char}'`, line);
+      }
+      tokens.push(
+        match[1] !== undefined
+          ? { type: 'number', value: Number(match[1]), line }
+          : { type: 'ident', value: match[2], line },
+      );
+      index += match[0].length;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parses the subset of HCL the portal generates for tenant tfvars: attributes whose
+ * values are strings, numbers, booleans, lists, and nested objects. Expressions,
+ * interpolation, and blocks without `=` are not supported.
+ *
+ * @param source - The tfvars file content.
+ * @returns The top-level attributes.
+ * @throws TfvarsParseError when the content is not in the supported subset.
+ */
+export function parseTfvars(source: string): HclObject {
+  const tokens = tokenize(source);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = (expected: string) => {
+    const token = tokens[position];
+    if (!token) {
+      throw new TfvarsParseError(`Expected ${expected} but the file ended`);
+    }
+    position += 1;
+    return token;
+  };
+  const expectPunct = (value: string) => {
+    const token = next(`'${value}'`);
+    if (token.type !== 'punct' || token.value !== value) {
+      throw new TfvarsParseError(`Expected '${value}'`, token.line);
+    }
+  };
+
+  const parseValue = (): HclValue => {
+    const token = next('a value');
+    if (token.type === 'string' || token.type === 'number') return token.value;
+    if (token.type === 'ident') {
+      if (token.value === 'true' || token.value === 'false') return token.value === 'true';
+      throw new TfvarsParseError(`Unsupported expression '${token.value}'`, token.line);
+    }
+    if (token.value === '{') return parseBody('}');
+    if (token.value === '[') {
+      const items: HclValue[] = [];
+      while (!(peek()?.type === 'punct' && peek().value === ']')) {
+        items.push(parseValue());
+        if (peek()?.type === 'punct' && peek().value === ',') position += 1;
+      }
+      position += 1;
+      return items;
+    }
+    throw new TfvarsParseError(`Unexpected '${token.value}'`, token.line);
+  };
+
+  const parseBody = (closing: '}' | null): HclObject => {
+    const body: HclObject = {};
+    for (;;) {
+      const token = peek();
+      if (!token) {
+        if (closing) throw new TfvarsParseError(`Expected '${closing}' but the file ended`);
+        return body;
+      }
+      if (closing && token.type === 'punct' && token.value === closing) {
+        position += 1;
+        return body;
+      }
+      if (token.type === 'punct' && token.value === ',') {
+        position += 1;
+        continue;
+      }
+      if (token.type !== 'ident' && token.type !== 'string') {
+        throw new TfvarsParseError(`Expected an attribute name`, token.line);
+      }
+      position += 1;
+      expectPunct('=');
+      body[token.value] = parseValue();
+    }
+  };
+
+  return parseBody(null);
+}
+
+/**
+ * Reads an object attribute.
+ *
+ * @param parent - The object holding the attribute.
+ * @param key - The attribute name.
+ * @param path - Dotted path of `parent`, for error messages.
+ * @returns The nested object, or an empty object when the attribute is absent.
+ * @throws TfvarsParseError when the attribute is not an object.
+ */
+function objectAt(parent: HclObject, key: string, path: string): HclObject {
+  const value = parent[key];
+  if (value === undefined) return {};
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new TfvarsParseError(`${path}.${key} must be an object`);
+  }
+  return value;
+}
+
+/**
+ * Reads a string attribute.
+ *
+ * @param parent - The object holding the attribute.
+ * @param key - The attribute name.
+ * @param path - Dotted path of `parent`, for error messages.
+ * @returns The string, or `''` when the attribute is absent.
+ * @throws TfvarsParseError when the attribute is not a string.
+ */
+function stringAt(parent: HclObject, key: string, path: string): string {
+  const value = parent[key];
+  if (value === undefined) return '';
+  if (typeof value !== 'string') {
+    throw new TfvarsParseError(`${path}.${key} must be a string`);
+  }
+  return value;
+}
+
+/**
+ * Reads the `enabled` flag of a service or policy block.
+ *
+ * @param parent - The object holding the block.
+ * @param key - The block name.
+ * @param path - Dotted path of `parent`, for error messages.
+ * @returns Whether the block exists and is enabled.
+ * @throws TfvarsParseError when `enabled` is not a boolean.
+ */
+function enabledAt(parent: HclObject, key: string, path = 'tenant'): boolean {
+  const value = objectAt(parent, key, path).enabled;
+  if (value === undefined) return false;
+  if (typeof value !== 'boolean') {
+    throw new TfvarsParseError(`${path}.${key}.enabled must be true or false`);
+  }
+  return value;
+}
+
+/**
+ * Reads one seed member role list from `user_management`.
+ *
+ * @param tenant - The `tenant` object.
+ * @param role - The role name (`admin`, `write`, or `read`).
+ * @returns The email addresses, or an empty list when the role is absent.
+ * @throws TfvarsParseError when the role is not a list of strings.
+ */
+function seedMembers(tenant: HclObject, role: string): string[] {
+  const members = objectAt(objectAt(tenant, 'user_management', 'tenant'), 'seed_members', 'tenant');
+  const value = members[role];
+  if (value === undefined) return [];
+  if (!Array.isArray(value) || value.some((email) => typeof email !== 'string')) {
+    throw new TfvarsParseError(`tenant.user_management.seed_members.${role} must be a string list`);
+  }
+  return value as string[];
+}
+
+/**
+ * Reads a deployment's `content_filter`. The `Microsoft.DefaultV2` policy without
+ * custom filters is what the generator writes when none is given, so it reads as absent.
+ *
+ * @param entry - The deployment object.
+ * @param path - Dotted path of `entry`, for error messages.
+ * @returns The content filter, or `undefined` for the default policy.
+ * @throws TfvarsParseError when the filter or one of its rules has the wrong shape.
+ */
+function contentFilter(entry: HclObject, path: string): ContentFilter | undefined {
+  if (entry.content_filter === undefined) return undefined;
+  const filterPath = `${path}.content_filter`;
+  const filter = objectAt(entry, 'content_filter', path);
+  const basePolicy = stringAt(filter, 'base_policy_name', filterPath) || DEFAULT_CONTENT_POLICY;
+  const rules = filter.filters ?? [];
+  if (!Array.isArray(rules)) {
+    throw new TfvarsParseError(`${filterPath}.filters must be a list`);
+  }
+  if (basePolicy === DEFAULT_CONTENT_POLICY && rules.length === 0) return undefined;
+
+  return {
+    base_policy_name: basePolicy,
+    filters: rules.map((rule, index) => {
+      const rulePath = `${filterPath}.filters[${index}]`;
+      if (typeof rule !== 'object' || Array.isArray(rule)) {
+        throw new TfvarsParseError(`${rulePath} must be an object`);
+      }
+      for (const flag of ['blocking', 'enabled']) {
+        if (rule[flag] !== undefined && typeof rule[flag] !== 'boolean') {
+          throw new TfvarsParseError(`${rulePath}.${flag} must be true or false`);
+        }
+      }
+      return {
+        name: stringAt(rule, 'name', rulePath),
+        severity_threshold: stringAt(rule, 'severity_threshold', rulePath),
+        ...(rule.blocking === undefined ? {} : { blocking: rule.blocking as boolean }),
+        ...(rule.enabled === undefined ? {} : { enabled: rule.enabled as boolean }),
+        source: stringAt(rule, 'source', rulePath),
+      };
+    }),
+  };
+}
+
+/**
+ * Reads the OpenAI model deployments.
+ *
+ * @param openai - The `openai` block.
+ * @returns The deployments in file order.
+ * @throws TfvarsParseError when a deployment is missing a field.
+ */
+function modelDeployments(openai: HclObject): ModelDeployment[] {
+  const value = openai.model_deployments ?? [];
+  if (!Array.isArray(value)) {
+    throw new TfvarsParseError('tenant.openai.model_deployments must be a list');
+  }
+  return value.map((entry, index) => {
+    const path = `tenant.openai.model_deployments[${index}]`;
+    if (typeof entry !== 'object' || Array.isArray(entry) || typeof entry.capacity !== 'number') {
+      throw new TfvarsParseError(`${path} must be an object with a numeric capacity`);
+    }
+    const filter = contentFilter(entry, path);
+    return {
+      name: stringAt(entry, 'name', path),
+      model_name: stringAt(entry, 'model_name', path),
+      model_version: stringAt(entry, 'model_version', path),
+      scale_type: stringAt(entry, 'scale_type', path),
+      capacity: entry.capacity,
+      ...(filter ? { content_filter: filter } : {}),
+    };
+  });
+}
+
+/**
+ * Maps deployments onto the model families and capacity tier that generate them.
+ * Families are matched greedily in file order, longest family first, and the tier is
+ * the one that reproduces the most matched families, preferring the default tier.
+ * Every deployment that is not part of a family at that tier — an unknown model, part
+ * of a family, a changed capacity or a custom content filter — is kept as a custom
+ * deployment, so generating the form again deploys the same models.
+ *
+ * @param deployments - The deployments read from the tfvars.
+ * @returns The model families, capacity tier, and the deployments they do not cover.
+ */
+function inferModelSelection(deployments: ModelDeployment[]): {
+  model_families: string[];
+  capacity_tier: string;
+  custom_model_deployments?: ModelDeployment[];
+} {
+  const runs: Array<{ family: string; deployments: ModelDeployment[] }> = [];
+  const byLength = Object.entries(MODEL_FAMILIES).sort(
+    ([, left], [, right]) => right.models.length - left.models.length,
+  );
+  for (let index = 0; index < deployments.length; ) {
+    const match = byLength.find(
+      ([key, family]) =>
+        !runs.some((run) => run.family === key) &&
+        family.models.every((model, offset) => {
+          const deployment = deployments[index + offset];
+          return (
+            deployment?.name === model.name &&
+            deployment.model_name === model.model_name &&
+            deployment.model_version === model.model_version &&
+            deployment.scale_type === model.scale_type &&
+            deployment.content_filter === undefined
+          );
+        }),
+    );
+    if (!match) {
+      index += 1;
+      continue;
+    }
+    runs.push({
+      family: match[0],
+      deployments: deployments.slice(index, index + match[1].models.length),
+    });
+    index += match[1].models.length;
+  }
+
+  const fits = (run: (typeof runs)[number], tier: string) =>
+    JSON.stringify(buildModelDeployments([run.family], tier)) === JSON.stringify(run.deployments);
+  const fitting = (tier: string) => runs.filter((run) => fits(run, tier));
+  const tier = Object.keys(CAPACITY_TIERS).reduce(
+    (best, key) => (fitting(key).length > fitting(best).length ? key : best),
+    DEFAULT_CAPACITY_TIER,
+  );
+  const families = fitting(tier);
+  const covered = new Set(families.flatMap((run) => run.deployments));
+  const custom = deployments.filter((deployment) => !covered.has(deployment));
+
+  return {
+    model_families: families.map((run) => run.family),
+    capacity_tier: tier,
+    ...(custom.length > 0 ? { custom_model_deployments: custom } : {}),
+  };
+}
+
+/**
+ * Reads the ministry and department tags. Hand-written tfvars sometimes spell the
+ * ministry out, as in `"NR Sector Digital Services"`; when the tag starts with a
+ * ministry code the form knows, that code is the ministry and, unless a department
+ * tag is set, the rest of the tag becomes the department.
+ *
+ * @param tags - The `tags` block.
+ * @returns The ministry and department form fields.
+ * @throws TfvarsParseError when either tag is not a string.
+ */
+function ministryAndDepartment(tags: HclObject): { ministry: string; department: string } {
+  const ministry = stringAt(tags, 'ministry', 'tenant.tags');
+  const department = stringAt(tags, 'department', 'tenant.tags');
+  const [code, ...rest] = ministry.split(/\s+/);
+  if (MINISTRIES.includes(ministry) || !MINISTRIES.includes(code)) {
+    return { ministry, department };
+  }
+  return { ministry: code, department: department || rest.join(' ') };
+}
+
+/**
+ * Reads one environment's tfvars back into the form fields it was generated from.
+ *
+ * @param source - The tfvars file content.
+ * @returns The raw form fields, not yet validated, and the model deployments when
+ *   Azure OpenAI is enabled.
+ * @throws TfvarsParseError when the file has no `tenant` object or an unsupported shape.
+ */
+function formFromTfvars(source: string): {
+  form: Record<string, unknown>;
+  deployments: ModelDeployment[];
+} {
+  const tenant = objectAt(parseTfvars(source), 'tenant', 'tfvars');
+  if (!stringAt(tenant, 'tenant_name', 'tenant')) {
+    throw new TfvarsParseError('tenant.tenant_name is required');
+  }
+  const openai = objectAt(tenant, 'openai', 'tenant');
+  const policies = objectAt(tenant, 'apim_policies', 'tenant');
+  const openaiEnabled = enabledAt(tenant, 'openai');
+
+  return {
+    form: {
+      project_name: stringAt(tenant, 'tenant_name', 'tenant'),
+      display_name: stringAt(tenant, 'display_name', 'tenant'),
+      ...ministryAndDepartment(objectAt(tenant, 'tags', 'tenant')),
+      openai_enabled: openaiEnabled,
+      ai_search_enabled: enabledAt(tenant, 'ai_search'),
+      document_intelligence_enabled: enabledAt(tenant, 'document_intelligence'),
+      speech_services_enabled: enabledAt(tenant, 'speech_services'),
+      cosmos_db_enabled: enabledAt(tenant, 'cosmos_db'),
+      storage_account_enabled: enabledAt(tenant, 'storage_account'),
+      key_vault_enabled: enabledAt(tenant, 'key_vault'),
+      pii_redaction_enabled: enabledAt(policies, 'pii_redaction', 'tenant.apim_policies'),
+      logging_enabled: enabledAt(policies, 'usage_logging', 'tenant.apim_policies'),
+      custom_rai_filters_enabled: enabledAt(policies, 'custom_rai_filters', 'tenant.apim_policies'),
+      admin_users: seedMembers(tenant, 'admin'),
+      write_users: seedMembers(tenant, 'write'),
+      read_users: seedMembers(tenant, 'read'),
+    },
+    deployments: openaiEnabled ? modelDeployments(openai) : [],
+  };
+}
+
+/**
+ * Reads a tenant's existing tfvars files back into the form submission that would
+ * generate them — the reverse of `generateAllEnvTfvars`. Hand-edited environments may
+ * differ; the form then keeps what any of them has, so generating it removes nothing:
+ * a service or policy enabled in one environment is enabled, user lists are merged,
+ * and every model deployment is kept, taking the most production-like environment's
+ * settings when the same deployment differs. The tenant name, display name, ministry
+ * and department must agree. The result is validated like a portal submission.
+ *
+ * @param files - The tfvars content keyed by environment; at least one is required.
+ * @returns The validated form data.
+ * @throws TfvarsParseError when a file cannot be read, no file is given, the
+ *   environments disagree on the tenant's identity, or the form fails portal validation.
+ */
+export function parseTenantTfvars(files: Partial<Record<HubEnv, string>>): TenantFormData {
+  const parsed = HUB_ENVS.filter((env) => typeof files[env] === 'string').map((env) => {
+    try {
+      return { env, ...formFromTfvars(files[env] as string) };
+    } catch (error) {
+      throw error instanceof TfvarsParseError
+        ? new TfvarsParseError(`${env}.tfvars: ${error.message}`)
+        : error;
+    }
+  });
+  if (parsed.length === 0) {
+    throw new TfvarsParseError('At least one of dev, test, or prod tfvars is required');
+  }
+
+  const [first] = parsed;
+  const form = { ...first.form };
+  const deployments = new Map<string, ModelDeployment>();
+  for (const { env, form: other, deployments: envDeployments } of parsed) {
+    for (const [key, value] of Object.entries(other)) {
+      if (typeof value === 'boolean') {
+        form[key] = form[key] === true || value;
+      } else if (Array.isArray(value)) {
+        form[key] = [...new Set([...(form[key] as string[]), ...(value as string[])])];
+      } else if (value !== form[key]) {
+        throw new TfvarsParseError(`${first.env}.tfvars and ${env}.tfvars disagree on ${key}`);
+      }
+    }
+    // Environments are read dev first, so prod's settings win while the first
+    // environment that declares a deployment keeps deciding its position.
+    for (const deployment of envDeployments) {
+      deployments.set(deployment.name, deployment);
+    }
+  }
+  const selection =
+    form.openai_enabled === true
+      ? inferModelSelection([...deployments.values()])
+      : { model_families: [], capacity_tier: DEFAULT_CAPACITY_TIER };
+
+  try {
+    return parseTenantForm({ ...form, ...selection });
+  } catch (error) {
+    if (error instanceof UnprocessableEntityException) {
+      throw new TfvarsParseError(`${first.form.project_name as string}: ${error.message}`);
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,133 @@
+import type { HubEnv, PortalSettings, UsageSample } from '../types';
+
+/** Nest injection token for the per-environment {@link UsageClient}s (`null` when unset). */
+export const USAGE_CLIENTS = Symbol('USAGE_CLIENTS');
+
+/** Longest the portal waits for the usage API. */
+const USAGE_TIMEOUT_MS = 30_000;
+
+export type UsageQuery = {
+  tenantName: string;
+  /** A tenant subscription key; the usage API authenticates like the other internal endpoints. */
+  apiKey: string;
+  from: Date;
+  to: Date;
+  bucketMinutes: number;
+};
+
+export interface UsageClient {
+  /** Returns the tenant's per-deployment usage samples between `from` and `to`. */
+  getUsage(query: UsageQuery): Promise<UsageSample[]>;
+}
+
+export class UsageApiError extends Error {
+  /**
+   * Creates an error describing a failed or malformed usage API response.
+   *
+   * @param message - Human-readable description of the failure.
+   * @param status - The HTTP status returned by the usage API, when any.
+   */
+  constructor(
+    message: string,
+    readonly status?: number,
+  ) {
+    super(message);
+    this.name = 'UsageApiError';
+  }
+}
+
+/**
+ * Reads a non-negative count from a raw sample field.
+ *
+ * @param value - The raw field.
+ * @returns The number, or `0` when missing or invalid.
+ */
+function count(value: unknown): number {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0 ? value : 0;
+}
+
+/**
+ * Reads usage from the tenant's `GET /{tenant}/internal/usage` endpoint, next to
+ * `internal/tenant-info` on the APIM gateway, or from a stub server that speaks the
+ * same contract:
+ *
+ * `?from=<ISO>&to=<ISO>&interval=PT<n>M` with the `api-key` header, answered by
+ * `{ "items": UsageSample[] }` with one sample per deployment and bucket.
+ */
+export class HttpUsageClient implements UsageClient {
+  /**
+   * Creates a client for one usage API.
+   *
+   * @param baseUrl - The gateway (or stub server) URL the tenant path is appended to.
+   */
+  constructor(private readonly baseUrl: string) {}
+
+  /**
+   * Fetches and validates the usage samples for one tenant.
+   *
+   * @param query - The tenant, key, and time window.
+   * @returns The samples; malformed entries are skipped.
+   * @throws UsageApiError when the API is unreachable, fails, or returns no `items`.
+   */
+  async getUsage(query: UsageQuery): Promise<UsageSample[]> {
+    const url = new URL(
+      `${this.baseUrl.replace(/\/+$/, '')}/${encodeURIComponent(query.tenantName)}/internal/usage`,
+    );
+    url.searchParams.set('from', query.from.toISOString());
+    url.searchParams.set('to', query.to.toISOString());
+    url.searchParams.set('interval', `PT${query.bucketMinutes}M`);
+
+    let response: Awaited<ReturnType<typeof fetch>>;
+    try {
+      response = await fetch(url, {
+        headers: { 'api-key': query.apiKey, Accept: 'application/json' },
+        signal: AbortSignal.timeout(USAGE_TIMEOUT_MS),
+      });
+    } catch {
+      throw new UsageApiError('The usage API did not respond');
+    }
+    if (!response.ok) {
+      throw new UsageApiError(`The usage API returned HTTP ${response.status}`, response.status);
+    }
+    const payload = (await response.json().catch(() => null)) as { items?: unknown } | null;
+    if (!payload || !Array.isArray(payload.items)) {
+      throw new UsageApiError('The usage API returned no items');
+    }
+
+    return payload.items.flatMap((entry: unknown): UsageSample[] => {
+      const raw = (entry ?? {}) as Record<string, unknown>;
+      if (typeof raw.timestamp !== 'string' || typeof raw.deployment !== 'string') return [];
+      return [
+        {
+          timestamp: raw.timestamp,
+          deployment: raw.deployment,
+          prompt_tokens: count(raw.prompt_tokens),
+          completion_tokens: count(raw.completion_tokens),
+          total_tokens: count(raw.total_tokens),
+          requests: count(raw.requests),
+          throttled_requests: count(raw.throttled_requests),
+          ...(typeof raw.peak_tokens_per_minute === 'number'
+            ? { peak_tokens_per_minute: count(raw.peak_tokens_per_minute) }
+            : {}),
+        },
+      ];
+    });
+  }
+}
+
+/**
+ * Creates one usage client per hub environment. `PORTAL_USAGE_API_URL_<ENV>` points an
+ * environment at another server (such as `npm run usage:stub`); otherwise the APIM
+ * gateway is used. Used as the Nest factory for {@link USAGE_CLIENTS}.
+ *
+ * @param settings - The portal settings.
+ * @returns The clients by environment; `null` where neither URL is configured.
+ */
+export function createUsageClients(settings: PortalSettings): Record<HubEnv, UsageClient | null> {
+  const client = (url: string) => (url ? new HttpUsageClient(url) : null);
+  return {
+    dev: client(settings.usageApiUrlDev || settings.apimGatewayUrlDev),
+    test: client(settings.usageApiUrlTest || settings.apimGatewayUrlTest),
+    prod: client(settings.usageApiUrlProd || settings.apimGatewayUrlProd),
+  };
+}
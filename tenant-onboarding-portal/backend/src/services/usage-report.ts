@@ -0,0 +1,160 @@
+import type {
+  DeploymentUsage,
+  HubEnv,
+  TenantUsageReport,
+  UsageBucket,
+  UsageRange,
+  UsageSample,
+  UsageTotals,
+} from '../types';
+
+/** How far back each range looks and how wide its buckets are. */
+export const USAGE_RANGES: Record<UsageRange, { hours: number; bucketMinutes: number }> = {
+  '24h': { hours: 24, bucketMinutes: 60 },
+  '7d': { hours: 24 * 7, bucketMinutes: 6 * 60 },
+  '30d': { hours: 24 * 30, bucketMinutes: 24 * 60 },
+};
+
+/**
+ * Returns an all-zero totals object.
+ *
+ * @returns Fresh totals.
+ */
+function emptyTotals(): UsageTotals {
+  return {
+    prompt_tokens: 0,
+    completion_tokens: 0,
+    total_tokens: 0,
+    requests: 0,
+    throttled_requests: 0,
+  };
+}
+
+/**
+ * Adds one set of counts into another.
+ *
+ * @param into - The totals to update.
+ * @param counts - The counts to add.
+ */
+function addTotals(into: UsageTotals, counts: UsageTotals): void {
+  into.prompt_tokens += counts.prompt_tokens;
+  into.completion_tokens += counts.completion_tokens;
+  into.total_tokens += counts.total_tokens;
+  into.requests += counts.requests;
+  into.throttled_requests += counts.throttled_requests;
+}
+
+/**
+ * Works out the window a range covers: whole buckets, ending with the one that
+ * contains `now`.
+ *
+ * @param range - The requested range.
+ * @param now - The current time.
+ * @returns The window start and end and the bucket width.
+ */
+export function usageWindow(
+  range: UsageRange,
+  now: Date,
+): { from: Date; to: Date; bucketMinutes: number } {
+  const { hours, bucketMinutes } = USAGE_RANGES[range];
+  const bucketMs = bucketMinutes * 60_000;
+  const to = Math.floor(now.getTime() / bucketMs) * bucketMs + bucketMs;
+  return { from: new Date(to - hours * 3_600_000), to: new Date(to), bucketMinutes };
+}
+
+/**
+ * Aggregates usage samples into per-deployment time series over a range and compares
+ * each deployment's busiest bucket with its configured tokens-per-minute capacity.
+ * Every configured deployment is listed, used or not; samples for deployments that
+ * are not configured are kept so nothing is hidden. Upstream deployment names may
+ * carry the `<tenant>-` prefix APIM adds, which is dropped.
+ *
+ * @param input - The report inputs.
+ * @param input.tenantName - The tenant the samples belong to.
+ * @param input.env - The hub environment.
+ * @param input.range - The requested range.
+ * @param input.samples - The upstream samples; those outside the window are ignored.
+ * @param input.capacities - Configured TPM by deployment name, in display order.
+ * @param input.now - The current time.
+ * @returns The usage report.
+ */
+export function buildUsageReport(input: {
+  tenantName: string;
+  env: HubEnv;
+  range: UsageRange;
+  samples: UsageSample[];
+  capacities: Record<string, number>;
+  now: Date;
+}): TenantUsageReport {
+  const { from, to, bucketMinutes } = usageWindow(input.range, input.now);
+  const bucketMs = bucketMinutes * 60_000;
+  const bucketCount = Math.round((to.getTime() - from.getTime()) / bucketMs);
+  const prefix = `${input.tenantName}-`;
+
+  const byDeployment = new Map<string, { totals: UsageTotals; buckets: UsageBucket[] }>();
+  const series = (deployment: string) => {
+    let entry = byDeployment.get(deployment);
+    if (!entry) {
+      entry = {
+        totals: emptyTotals(),
+        buckets: Array.from({ length: bucketCount }, (_, index) => ({
+          start: new Date(from.getTime() + index * bucketMs).toISOString(),
+          total_tokens: 0,
+          requests: 0,
+          throttled_requests: 0,
+          average_tpm: 0,
+          peak_tpm: 0,
+        })),
+      };
+      byDeployment.set(deployment, entry);
+    }
+    return entry;
+  };
+  for (const deployment of Object.keys(input.capacities)) series(deployment);
+
+  for (const sample of input.samples) {
+    const time = Date.parse(sample.timestamp);
+    if (!Number.isFinite(time) || time < from.getTime() || time >= to.getTime()) continue;
+    const name =
+      sample.deployment.startsWith(prefix) && !(sample.deployment in input.capacities)
+        ? sample.deployment.slice(prefix.length)
+        : sample.deployment;
+    const entry = series(name);
+    addTotals(entry.totals, sample);
+    const bucket = entry.buckets[Math.floor((time - from.getTime()) / bucketMs)];
+    bucket.total_tokens += sample.total_tokens;
+    bucket.requests += sample.requests;
+    bucket.throttled_requests += sample.throttled_requests;
+    bucket.peak_tpm = Math.max(bucket.peak_tpm, sample.peak_tokens_per_minute ?? 0);
+  }
+
+  const totals = emptyTotals();
+  const deployments: DeploymentUsage[] = [...byDeployment].map(([deployment, entry]) => {
+    for (const bucket of entry.buckets) {
+      bucket.average_tpm = Math.round(bucket.total_tokens / bucketMinutes);
+      bucket.peak_tpm = Math.max(bucket.peak_tpm, bucket.average_tpm);
+    }
+    addTotals(totals, entry.totals);
+    const capacity = input.capacities[deployment] ?? null;
+    const peak = Math.max(0, ...entry.buckets.map((bucket) => bucket.peak_tpm));
+    return {
+      deployment,
+      capacity_tpm: capacity,
+      totals: entry.totals,
+      peak_tpm: peak,
+      peak_utilization: capacity ? Math.round((peak / capacity) * 1000) / 1000 : null,
+      buckets: entry.buckets,
+    };
+  });
+
+  return {
+    tenant_name: input.tenantName,
+    env: input.env,
+    range: input.range,
+    bucket_minutes: bucketMinutes,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    totals,
+    deployments,
+  };
+}
@@ -0,0 +1,101 @@
+import { createServer } from 'node:http';
+import type { Server } from 'node:http';
+
+import type { UsageSample } from '../types';
+
+export type UsageStubQuery = {
+  tenantName: string;
+  from: Date;
+  to: Date;
+  bucketMinutes: number;
+};
+
+export type UsageStubOptions = {
+  /** Deployments the synthetic data covers. */
+  deployments?: string[];
+  /** Replaces the synthetic data, e.g. with fixed samples in tests. */
+  samples?: (query: UsageStubQuery) => UsageSample[];
+};
+
+const DEFAULT_DEPLOYMENTS = ['gpt-4.1-mini', 'text-embedding-3-small'];
+
+/**
+ * Generates repeatable usage for local development: a working-hours curve per
+ * deployment, with a few throttled requests in the busiest buckets.
+ *
+ * @param deployments - The deployments to report.
+ * @param query - The requested window and bucket width.
+ * @returns One sample per deployment and bucket.
+ */
+export function syntheticUsage(deployments: string[], query: UsageStubQuery): UsageSample[] {
+  const bucketMs = query.bucketMinutes * 60_000;
+  const samples: UsageSample[] = [];
+  deployments.forEach((deployment, index) => {
+    const scale = 2_000 / (index + 1);
+    for (let time = query.from.getTime(); time < query.to.getTime(); time += bucketMs) {
+      const hour = new Date(time).getUTCHours();
+      const load = Math.max(0.05, Math.sin(((hour - 14) / 24) * Math.PI * 2) * 0.5 + 0.5);
+      const perMinute = Math.round(scale * load);
+      const totalTokens = perMinute * query.bucketMinutes;
+      const promptTokens = Math.round(totalTokens * 0.7);
+      samples.push({
+        timestamp: new Date(time).toISOString(),
+        deployment,
+        prompt_tokens: promptTokens,
+        completion_tokens: deployment.includes('embedding') ? 0 : totalTokens - promptTokens,
+        total_tokens: totalTokens,
+        requests: Math.round(totalTokens / 800),
+        throttled_requests: load > 0.95 ? Math.round(query.bucketMinutes / 30) : 0,
+        peak_tokens_per_minute: Math.round(perMinute * 1.8),
+      });
+    }
+  });
+  return samples;
+}
+
+/**
+ * Creates an HTTP server that answers `GET /{tenant}/internal/usage` the way the
+ * portal's {@link HttpUsageClient} expects, for tests and local development. Like the
+ * gateway, it rejects requests without an `api-key` header.
+ *
+ * @param options - The deployments to simulate, or fixed samples.
+ * @returns The server, not yet listening.
+ */
+export function createUsageStubServer(options: UsageStubOptions = {}): Server {
+  return createServer((req, res) => {
+    const send = (status: number, payload: unknown) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    };
+    const url = new URL(req.url ?? '/', 'http://localhost');
+    const match = /^\/([^/]+)\/internal\/usage$/.exec(url.pathname);
+    if (req.method !== 'GET' || !match) {
+      send(404, { error: { code: 'NotFound' } });
+      return;
+    }
+    if (!req.headers['api-key']) {
+      send(401, { error: { code: 'Unauthorized' } });
+      return;
+    }
+
+    const from = new Date(url.searchParams.get('from') ?? '');
+    const to = new Date(url.searchParams.get('to') ?? '');
+    const interval = /^PT(\d+)M$/.exec(url.searchParams.get('interval') ?? '');
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || !interval) {
+      send(400, { error: { code: 'BadRequest', message: 'from, to, and interval are required' } });
+      return;
+    }
+
+    const query = {
+      tenantName: decodeURIComponent(match[1]),
+      from,
+      to,
+      bucketMinutes: Number(interval[1]),
+    };
+    send(200, {
+      items: options.samples
+        ? options.samples(query)
+        : syntheticUsage(options.deployments ?? DEFAULT_DEPLOYMENTS, query),
+    });
+  });
+}
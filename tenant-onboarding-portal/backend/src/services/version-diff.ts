@@ -0,0 +1,280 @@
+import { CAPACITY_TIERS, FORM_SCHEMA, MODEL_FAMILIES } from '../models/form-schema';
+import type {
+  FieldChange,
+  HubEnv,
+  TenantRecord,
+  TfvarsDiff,
+  TfvarsDiffRow,
+  VersionDiff,
+} from '../types';
+
+const HUB_ENVS: HubEnv[] = ['dev', 'test', 'prod'];
+
+const LIST_FIELDS = new Set([
+  'model_families',
+  'admin_users',
+  'write_users',
+  'read_users',
+  'disabled_environments',
+]);
+
+/** Fields without a `field_info` entry, which the form renders with its own heading. */
+const EXTRA_LABELS: Record<string, string> = {
+  model_families: 'Model families',
+  disabled_environments: 'Decommissioned environments',
+};
+
+/**
+ * Numeric part of a version row key, so `v10` sorts after `v9`.
+ *
+ * @param version - The version row key (e.g. `'v3'`).
+ * @returns The version number, or `0` when the key is not in `vN` form.
+ */
+export function versionNumber(version: string): number {
+  const parsed = Number.parseInt(version.replace(/^v/, ''), 10);
+  return Number.isNaN(parsed) ? 0 : parsed;
+}
+
+/**
+ * Finds the most recent approved version older than `version`, i.e. what is
+ * deployed today and what a reviewer should compare an edit against.
+ *
+ * @param versions - Every version of the tenant, in any order.
+ * @param version - The version under review.
+ * @returns The row key of the last approved version, or `null` when there is none.
+ */
+export function lastApprovedBefore(versions: TenantRecord[], version: string): string | null {
+  const current = versionNumber(version);
+  const approved = versions
+    .filter((record) => record.Status === 'approved' && versionNumber(record.RowKey) < current)
+    .sort((left, right) => versionNumber(right.RowKey) - versionNumber(left.RowKey));
+  return approved[0]?.RowKey ?? null;
+}
+
+/**
+ * Compares two tenant versions: the form fields a reviewer cares about and a
+ * line diff of every environment's generated tfvars.
+ *
+ * @param from - The baseline version (usually the last approved one).
+ * @param to - The version under review.
+ * @returns The field changes and per-environment tfvars diffs.
+ */
+export function diffVersions(from: TenantRecord, to: TenantRecord): VersionDiff {
+  const tfvars: Partial<Record<HubEnv, TfvarsDiff>> = {};
+  for (const env of HUB_ENVS) {
+    const before = from.GeneratedTfvars?.[env];
+    const after = to.GeneratedTfvars?.[env];
+    if (typeof before === 'string' || typeof after === 'string') {
+      tfvars[env] = diffLines(before ?? '', after ?? '');
+    }
+  }
+
+  return {
+    tenant_name: to.PartitionKey,
+    from: { version: from.RowKey, status: from.Status },
+    to: { version: to.RowKey, status: to.Status },
+    fields: diffFormData(from.FormData ?? {}, to.FormData ?? {}),
+    tfvars,
+  };
+}
+
+/**
+ * Lists the form fields that differ between two submissions, in form order, with a
+ * one-line summary such as "Added GPT-4o Series" or "Raised from Standard to Elevated".
+ *
+ * @param before - Form data of the baseline version.
+ * @param after - Form data of the version under review.
+ * @returns One entry per changed field.
+ */
+export function diffFormData(
+  before: Record<string, unknown>,
+  after: Record<string, unknown>,
+): FieldChange[] {
+  const changes: FieldChange[] = [];
+  const fieldInfo: Record<string, { label: string }> = FORM_SCHEMA.field_info;
+  // Decommissioning is not a form field but is what a decommission request changes.
+  for (const field of [...Object.keys(FORM_SCHEMA.defaults), 'disabled_environments']) {
+    if (field === 'form_version') continue;
+    const label = fieldInfo[field]?.label ?? EXTRA_LABELS[field] ?? field;
+    if (LIST_FIELDS.has(field)) {
+      const left = asList(before[field]);
+      const right = asList(after[field]);
+      const added = right.filter((item) => !left.includes(item));
+      const removed = left.filter((item) => !right.includes(item));
+      if (added.length === 0 && removed.length === 0) continue;
+      changes.push({
+        field,
+        label,
+        before: left,
+        after: right,
+        added,
+        removed,
+        summary: listSummary(field, added, removed),
+      });
+      continue;
+    }
+
+    if (before[field] === after[field]) continue;
+    changes.push({
+      field,
+      label,
+      before: before[field] ?? null,
+      after: after[field] ?? null,
+      summary: valueSummary(field, before[field], after[field]),
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * Line diff of two files as side-by-side rows. Lines are matched with a longest
+ * common subsequence; a run of removed lines directly followed by added lines is
+ * paired up into `changed` rows so edited lines sit next to each other.
+ *
+ * @param before - The baseline file content.
+ * @param after - The new file content.
+ * @returns The rows plus added and removed line counts (a changed row counts as both).
+ */
+export function diffLines(before: string, after: string): TfvarsDiff {
+  const left = splitLines(before);
+  const right = splitLines(after);
+
+  // lengths[i][j] = LCS length of left[i..] and right[j..].
+  const lengths = Array.from({ length: left.length + 1 }, () =>
+    new Array<number>(right.length + 1).fill(0),
+  );
+  for (let i = left.length - 1; i >= 0; i -= 1) {
+    for (let j = right.length - 1; j >= 0; j -= 1) {
+      lengths[i][j] =
+        left[i] === right[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const rows: TfvarsDiffRow[] = [];
+  let removedRun: TfvarsDiffRow[] = [];
+  let addedRun: TfvarsDiffRow[] = [];
+  const flush = () => {
+    const paired = Math.min(removedRun.length, addedRun.length);
+    for (let k = 0; k < paired; k += 1) {
+      rows.push({ kind: 'changed', left: removedRun[k].left, right: addedRun[k].right });
+    }
+    rows.push(...removedRun.slice(paired), ...addedRun.slice(paired));
+    removedRun = [];
+    addedRun = [];
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < left.length || j < right.length) {
+    if (i < left.length && j < right.length && left[i] === right[j]) {
+      flush();
+      rows.push({
+        kind: 'same',
+        left: { number: i + 1, text: left[i] },
+        right: { number: j + 1, text: right[j] },
+      });
+      i += 1;
+      j += 1;
+    } else if (j < right.length && (i >= left.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+      addedRun.push({ kind: 'added', left: null, right: { number: j + 1, text: right[j] } });
+      j += 1;
+    } else {
+      removedRun.push({ kind: 'removed', left: { number: i + 1, text: left[i] }, right: null });
+      i += 1;
+    }
+  }
+  flush();
+
+  return {
+    added: rows.filter((row) => row.right && row.kind !== 'same').length,
+    removed: rows.filter((row) => row.left && row.kind !== 'same').length,
+    rows,
+  };
+}
+
+/**
+ * Splits file content into lines, ignoring the final newline.
+ *
+ * @param content - The file content.
+ * @returns The lines; empty for empty content.
+ */
+function splitLines(content: string): string[] {
+  if (content === '') return [];
+  return content.replace(/\n$/, '').split('\n');
+}
+
+/**
+ * Normalizes a stored list field, dropping blank entries left by empty inputs.
+ *
+ * @param value - The raw stored value.
+ * @returns The non-empty string entries.
+ */
+function asList(value: unknown): string[] {
+  if (!Array.isArray(value)) return [];
+  return value.filter((item): item is string => typeof item === 'string' && item.trim() !== '');
+}
+
+/**
+ * Human-readable name of a list entry (model family labels, emails as-is).
+ *
+ * @param field - The form field the entry belongs to.
+ * @param item - The stored entry.
+ * @returns The display name.
+ */
+function listItemLabel(field: string, item: string): string {
+  if (field === 'model_families') {
+    return MODEL_FAMILIES[item as keyof typeof MODEL_FAMILIES]?.label ?? item;
+  }
+  return item;
+}
+
+/**
+ * Summarizes the entries added to and removed from a list field.
+ *
+ * @param field - The form field.
+ * @param added - Entries only in the new version.
+ * @param removed - Entries only in the baseline version.
+ * @returns A summary such as `"Added GPT-4o Series; removed Embeddings"`.
+ */
+function listSummary(field: string, added: string[], removed: string[]): string {
+  const parts: string[] = [];
+  if (added.length > 0) {
+    parts.push(`added ${added.map((item) => listItemLabel(field, item)).join(', ')}`);
+  }
+  if (removed.length > 0) {
+    parts.push(`removed ${removed.map((item) => listItemLabel(field, item)).join(', ')}`);
+  }
+  const summary = parts.join('; ');
+  return summary.charAt(0).toUpperCase() + summary.slice(1);
+}
+
+/**
+ * Summarizes a change to a scalar field. Toggles read as enabled/disabled and the
+ * capacity tier as raised/lowered by its quota multiplier.
+ *
+ * @param field - The form field.
+ * @param before - The baseline value.
+ * @param after - The new value.
+ * @returns A one-line summary.
+ */
+function valueSummary(field: string, before: unknown, after: unknown): string {
+  if (typeof after === 'boolean' && (typeof before === 'boolean' || before === undefined)) {
+    return after ? 'Enabled' : 'Disabled';
+  }
+
+  if (field === 'capacity_tier') {
+    const left = CAPACITY_TIERS[before as keyof typeof CAPACITY_TIERS];
+    const right = CAPACITY_TIERS[after as keyof typeof CAPACITY_TIERS];
+    if (left && right) {
+      const direction = right.multiplier > left.multiplier ? 'Raised' : 'Lowered';
+      return `${direction} from ${left.label} to ${right.label}`;
+    }
+  }
+
+  const show = (value: unknown) =>
+    value === undefined || value === '' ? '(empty)' : String(value);
+  return `Changed from ${show(before)} to ${show(after)}`;
+}
@@ -0,0 +1,208 @@
+import { randomUUID } from 'node:crypto';
+
+import { Injectable, Logger } from '@nestjs/common';
+import { TableClient, TableEntity } from '@azure/data-tables';
+import { DefaultAzureCredential } from '@azure/identity';
+
+import { getSettings } from '../config/settings';
+import type { AuditAction, AuditEvent, AuditEventInput, AuditQuery, HubEnv } from '../types';
+
+const AUDIT_TABLE = 'TenantAuditEvents';
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+// Row keys count down from this so a partition lists newest first.
+const MAX_TIMESTAMP = 9_999_999_999_999;
+
+type MemoryAuditEntities = Record<string, Record<string, unknown>>;
+
+const IN_MEMORY_AUDIT_ENTITIES: MemoryAuditEntities = {};
+
+@Injectable()
+export class AuditStoreService {
+  private readonly logger = new Logger(AuditStoreService.name);
+  private readonly tableClient: TableClient | null;
+  private readonly memory: MemoryAuditEntities;
+  private lastTime = 0;
+  private sequence = 0;
+
+  /**
+   * Reads connection settings and initialises either an Azure Table Storage client
+   * or an in-memory fallback when no storage credentials are configured.
+   */
+  constructor() {
+    const settings = getSettings();
+    if (settings.tableStorageConnectionString) {
+      this.logger.log(`Using Azure Table Storage connection string for ${AUDIT_TABLE}`);
+      this.tableClient = TableClient.fromConnectionString(
+        settings.tableStorageConnectionString,
+        AUDIT_TABLE,
+      );
+    } else if (settings.tableStorageAccountUrl) {
+      this.logger.log(
+        `Using Azure AD credential for ${AUDIT_TABLE} via ${settings.tableStorageAccountUrl}`,
+      );
+      this.tableClient = new TableClient(
+        settings.tableStorageAccountUrl,
+        AUDIT_TABLE,
+        new DefaultAzureCredential(),
+      );
+    } else {
+      this.logger.warn(
+        `No Azure Table Storage configuration found for ${AUDIT_TABLE}; falling back to in-memory storage`,
+      );
+      this.tableClient = null;
+    }
+
+    this.memory = IN_MEMORY_AUDIT_ENTITIES;
+  }
+
+  /**
+   * Clears all in-memory audit events.
+   *
+   * Intended for use in tests to restore a clean state between test runs.
+   */
+  static resetInMemoryStore(): void {
+    for (const key of Object.keys(IN_MEMORY_AUDIT_ENTITIES)) {
+      delete IN_MEMORY_AUDIT_ENTITIES[key];
+    }
+  }
+
+  /**
+   * Appends an audit event. Events are only ever inserted, never updated or deleted.
+   * The row key is the inverted timestamp plus a per-millisecond sequence, so keys sort
+   * newest first and events written in the same millisecond keep their order.
+   *
+   * Failures are logged rather than thrown so a storage hiccup never blocks the
+   * action being audited.
+   *
+   * @param input - The tenant, action, actor, and summary to record.
+   * @returns The stored event, or `null` when the write failed.
+   */
+  async record(input: AuditEventInput): Promise<AuditEvent | null> {
+    const now = new Date();
+    const time = now.getTime();
+    this.sequence = time === this.lastTime ? Math.min(this.sequence + 1, 999) : 0;
+    this.lastTime = time;
+    const rowKey = [
+      String(MAX_TIMESTAMP - time).padStart(13, '0'),
+      String(999 - this.sequence).padStart(3, '0'),
+      randomUUID().slice(0, 8),
+    ].join('-');
+    const entity = {
+      partitionKey: input.tenantName,
+      rowKey,
+      Version: input.version ?? '',
+      Action: input.action,
+      Actor: input.actor,
+      OccurredAt: now.toISOString(),
+      Summary: input.summary,
+      FromStatus: input.fromStatus ?? '',
+      ToStatus: input.toStatus ?? '',
+      Env: input.env ?? '',
+    };
+
+    if (this.tableClient) {
+      try {
+        await this.tableClient.createEntity(entity as TableEntity<Record<string, unknown>>);
+      } catch (error) {
+        this.logger.error(
+          `Failed to append ${AUDIT_TABLE} event ${input.action} for ${input.tenantName}`,
+          error instanceof Error ? error.stack : String(error),
+        );
+        return null;
+      }
+    } else {
+      this.memory[`${input.tenantName}:${rowKey}`] = entity;
+    }
+
+    return this.deserialize(entity);
+  }
+
+  /**
+   * Lists audit events matching the query, newest first.
+   *
+   * Filtering by tenant reads a single partition; other filters scan the table, which
+   * is acceptable for the admin audit view's volume.
+   *
+   * @param query - Optional tenant, actor, action, and time-range filters plus a result limit.
+   * @returns Up to `query.limit` events (default 100, at most 500).
+   */
+  async list(query: AuditQuery = {}): Promise<AuditEvent[]> {
+    const limit = Math.min(Math.max(query.limit ?? DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const events: AuditEvent[] = [];
+
+    if (this.tableClient) {
+      const filter = this.buildFilter(query);
+      for await (const entity of this.tableClient.listEntities<Record<string, unknown>>({
+        queryOptions: filter ? { filter } : undefined,
+      })) {
+        events.push(this.deserialize(entity));
+      }
+    } else {
+      for (const entity of Object.values(this.memory)) {
+        const event = this.deserialize(entity);
+        if (this.matches(event, query)) {
+          events.push(event);
+        }
+      }
+    }
+
+    return events.sort((left, right) => left.id.localeCompare(right.id)).slice(0, limit);
+  }
+
+  /**
+   * Builds the OData filter for a query against the audit table.
+   *
+   * @param query - The audit query.
+   * @returns The filter expression, or an empty string when nothing is filtered.
+   */
+  private buildFilter(query: AuditQuery): string {
+    const quote = (value: string) => `'${value.replace(/'/g, "''")}'`;
+    const clauses: string[] = [];
+    if (query.tenantName) clauses.push(`PartitionKey eq ${quote(query.tenantName)}`);
+    if (query.actor) clauses.push(`Actor eq ${quote(query.actor)}`);
+    if (query.action) clauses.push(`Action eq ${quote(query.action)}`);
+    if (query.since) clauses.push(`OccurredAt ge ${quote(query.since)}`);
+    if (query.until) clauses.push(`OccurredAt le ${quote(query.until)}`);
+    return clauses.join(' and ');
+  }
+
+  /**
+   * Applies the query filters to an in-memory event, mirroring {@link buildFilter}.
+   *
+   * @param event - The deserialized event.
+   * @param query - The audit query.
+   * @returns `true` when the event matches every filter.
+   */
+  private matches(event: AuditEvent, query: AuditQuery): boolean {
+    return (
+      (!query.tenantName || event.tenant_name === query.tenantName) &&
+      (!query.actor || event.actor === query.actor) &&
+      (!query.action || event.action === query.action) &&
+      (!query.since || event.timestamp >= query.since) &&
+      (!query.until || event.timestamp <= query.until)
+    );
+  }
+
+  /**
+   * Deserializes a raw storage entity into an {@link AuditEvent}.
+   *
+   * @param entity - The raw key-value entity from the storage backend.
+   * @returns The deserialized event; empty optional columns become `null`.
+   */
+  private deserialize(entity: Record<string, unknown>): AuditEvent {
+    const optional = (value: unknown) => (typeof value === 'string' && value ? value : null);
+    return {
+      id: String(entity.rowKey ?? ''),
+      tenant_name: String(entity.partitionKey ?? ''),
+      version: optional(entity.Version),
+      action: String(entity.Action ?? '') as AuditAction,
+      actor: String(entity.Actor ?? ''),
+      timestamp: String(entity.OccurredAt ?? ''),
+      summary: String(entity.Summary ?? ''),
+      from_status: optional(entity.FromStatus),
+      to_status: optional(entity.ToStatus),
+      env: optional(entity.Env) as HubEnv | null,
+    };
+  }
+}
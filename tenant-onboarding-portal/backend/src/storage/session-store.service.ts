@@ -3,12 +3,18 @@ import { TableClient, TableEntity } from '@azure/data-tables';
 import { DefaultAzureCredential } from '@azure/identity';
 
 import { getSettings } from '../config/settings';
-import type { PortalLoginState, PortalRedirectState, PortalSessionRecord } from '../types';
+import type {
+  PortalLoginState,
+  PortalRedirectState,
+  PortalSessionRecord,
+  PortalUserProfile,
+} from '../types';
 
 const SESSIONS_TABLE = 'TenantPortalSessions';
 const LOGIN_PARTITION = 'login';
 const REDIRECT_PARTITION = 'redirect';
 const SESSION_PARTITION = 'session';
+const PROFILE_PARTITION = 'profile';
 
 type MemorySessionEntities = Record<string, Record<string, unknown>>;
 
@@ -188,6 +194,35 @@ export class SessionStoreService {
     await this.deleteEntity(SESSION_PARTITION, sessionId);
   }
 
+  /**
+   * Reads a user's profile. Profiles outlive sessions so preferences apply even while
+   * the user is signed out.
+   *
+   * @param email - The user's email address, matched case-insensitively.
+   * @returns The stored profile, or defaults when the user never saved one.
+   */
+  async getProfile(email: string): Promise<PortalUserProfile> {
+    const normalized = email.trim().toLowerCase();
+    const entity = await this.getEntity(PROFILE_PARTITION, normalized);
+    return {
+      email: normalized,
+      notificationsOptOut: entity?.NotificationsOptOut === true,
+      updatedAt: String(entity?.UpdatedAt ?? ''),
+    };
+  }
+
+  /**
+   * Persists a user's profile, replacing any earlier one.
+   *
+   * @param profile - The profile to save; its email is stored lower-cased.
+   */
+  async saveProfile(profile: PortalUserProfile): Promise<void> {
+    await this.upsertEntity(PROFILE_PARTITION, profile.email.trim().toLowerCase(), {
+      NotificationsOptOut: profile.notificationsOptOut,
+      UpdatedAt: profile.updatedAt,
+    });
+  }
+
   /**
    * Deserializes a raw storage entity into a {@link PortalLoginState} object.
    *
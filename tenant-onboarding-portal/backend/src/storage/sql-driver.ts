@@ -0,0 +1,255 @@
+import { mkdir } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+import type { DatabaseSync } from 'node:sqlite';
+
+import { Pool } from 'pg';
+import type { PoolClient } from 'pg';
+
+export type SqlDialect = 'sqlite' | 'postgres';
+
+export type SqlValue = string | number | null;
+
+/** Runs statements written with `?` placeholders against one connection or transaction. */
+export interface SqlExecutor {
+  /** Runs a query and returns its rows. */
+  query<T = Record<string, unknown>>(sql: string, params?: SqlValue[]): Promise<T[]>;
+  /** Runs a statement that returns no rows. */
+  execute(sql: string, params?: SqlValue[]): Promise<void>;
+}
+
+/** A database connection the SQL tenant store can run portable statements against. */
+export interface SqlDriver extends SqlExecutor {
+  readonly dialect: SqlDialect;
+  /**
+   * Runs `work` in a transaction, committing when it resolves and rolling back when
+   * it throws. Statements inside must go through the executor passed to `work`.
+   */
+  transaction<T>(work: (tx: SqlExecutor) => Promise<T>): Promise<T>;
+  /** Closes the connection (or pool). */
+  close(): Promise<void>;
+}
+
+/**
+ * SQLite through the built-in `node:sqlite` module. The database API is synchronous
+ * on a single connection, so every call is queued: a statement issued while another
+ * caller's transaction is open would otherwise run inside that transaction.
+ */
+class SqliteDriver implements SqlDriver {
+  readonly dialect = 'sqlite';
+  private queue: Promise<unknown> = Promise.resolve();
+  private readonly direct: SqlExecutor;
+
+  /**
+   * Wraps an open SQLite database.
+   *
+   * @param db - The database handle; owned by the driver from here on.
+   */
+  constructor(private readonly db: DatabaseSync) {
+    this.direct = {
+      query: async <T>(sql: string, params: SqlValue[] = []) =>
+        this.db.prepare(sql).all(...params) as T[],
+      execute: async (sql: string, params: SqlValue[] = []) => {
+        this.db.prepare(sql).run(...params);
+      },
+    };
+  }
+
+  /**
+   * Runs a query once every earlier call has finished.
+   *
+   * @param sql - The statement, with `?` placeholders.
+   * @param params - Values bound to the placeholders, in order.
+   * @returns The result rows.
+   */
+  query<T = Record<string, unknown>>(sql: string, params: SqlValue[] = []): Promise<T[]> {
+    return this.exclusive(() => this.direct.query<T>(sql, params));
+  }
+
+  /**
+   * Runs a statement once every earlier call has finished.
+   *
+   * @param sql - The statement, with `?` placeholders.
+   * @param params - Values bound to the placeholders, in order.
+   * @returns Resolves when the statement has run.
+   */
+  execute(sql: string, params: SqlValue[] = []): Promise<void> {
+    return this.exclusive(() => this.direct.execute(sql, params));
+  }
+
+  /**
+   * Runs `work` between `BEGIN IMMEDIATE` and `COMMIT`, holding the queue throughout.
+   *
+   * @param work - The statements to run; must only use the executor it is given.
+   * @returns Whatever `work` resolves to.
+   */
+  transaction<T>(work: (tx: SqlExecutor) => Promise<T>): Promise<T> {
+    return this.exclusive(async () => {
+      this.db.exec('BEGIN IMMEDIATE');
+      try {
+        const result = await work(this.direct);
+        this.db.exec('COMMIT');
+        return result;
+      } catch (error) {
+        this.db.exec('ROLLBACK');
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Closes the database after queued calls finish.
+   *
+   * @returns Resolves once the database is closed.
+   */
+  close(): Promise<void> {
+    return this.exclusive(async () => this.db.close());
+  }
+
+  /**
+   * Chains `work` onto the queue so calls run one at a time in arrival order.
+   *
+   * @param work - The call to run.
+   * @returns The call's result.
+   */
+  private exclusive<T>(work: () => Promise<T>): Promise<T> {
+    const result = this.queue.then(work);
+    this.queue = result.catch(() => undefined);
+    return result;
+  }
+}
+
+/** Postgres through a `pg` connection pool. Placeholders are rewritten to `$1`, `$2`, … */
+class PostgresDriver implements SqlDriver {
+  readonly dialect = 'postgres';
+
+  /**
+   * Wraps a connection pool.
+   *
+   * @param pool - The pool; owned by the driver from here on.
+   */
+  constructor(private readonly pool: Pool) {}
+
+  /**
+   * Runs a query on any pooled connection.
+   *
+   * @param sql - The statement, with `?` placeholders.
+   * @param params - Values bound to the placeholders, in order.
+   * @returns The result rows.
+   */
+  async query<T = Record<string, unknown>>(sql: string, params: SqlValue[] = []): Promise<T[]> {
+    const result = await this.pool.query(toPositional(sql), params);
+    return result.rows as T[];
+  }
+
+  /**
+   * Runs a statement on any pooled connection.
+   *
+   * @param sql - The statement, with `?` placeholders.
+   * @param params - Values bound to the placeholders, in order.
+   * @returns Resolves when the statement has run.
+   */
+  async execute(sql: string, params: SqlValue[] = []): Promise<void> {
+    await this.pool.query(toPositional(sql), params);
+  }
+
+  /**
+   * Checks out one connection and runs `work` on it between `BEGIN` and `COMMIT`.
+   *
+   * @param work - The statements to run; must only use the executor it is given.
+   * @returns Whatever `work` resolves to.
+   */
+  async transaction<T>(work: (tx: SqlExecutor) => Promise<T>): Promise<T> {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await work(clientExecutor(client));
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Ends every pooled connection.
+   *
+   * @returns Resolves once the pool has shut down.
+   */
+  async close(): Promise<void> {
+    await this.pool.end();
+  }
+}
+
+/**
+ * Executor bound to a single checked-out Postgres connection.
+ *
+ * @param client - The connection running the transaction.
+ * @returns An executor that sends every statement over `client`.
+ */
+function clientExecutor(client: PoolClient): SqlExecutor {
+  return {
+    query: async <T>(sql: string, params: SqlValue[] = []) =>
+      (await client.query(toPositional(sql), params)).rows as T[],
+    execute: async (sql: string, params: SqlValue[] = []) => {
+      await client.query(toPositional(sql), params);
+    },
+  };
+}
+
+/**
+ * Rewrites `?` placeholders to Postgres' numbered `$n` form. The store's statements
+ * never contain a literal `?`, so no quoting rules are needed.
+ *
+ * @param sql - The statement with `?` placeholders.
+ * @returns The statement with `$1`, `$2`, … placeholders.
+ */
+function toPositional(sql: string): string {
+  let index = 0;
+  return sql.replace(/\?/g, () => `$${(index += 1)}`);
+}
+
+/**
+ * Whether a statement failed on a primary key or unique constraint, on either backend.
+ *
+ * @param error - The error a statement rejected with.
+ * @returns `true` for Postgres `unique_violation` and SQLite primary key or unique
+ *   constraint errors.
+ */
+export function isUniqueViolation(error: unknown): boolean {
+  const { code, errcode } = (error ?? {}) as { code?: unknown; errcode?: unknown };
+  return code === '23505' || errcode === 1555 || errcode === 2067;
+}
+
+/**
+ * Opens (creating when missing) a SQLite database file, or an in-memory database for
+ * `:memory:`. `node:sqlite` is loaded on first use so Table Storage deployments never
+ * load the module.
+ *
+ * @param path - File path relative to the working directory, or `:memory:`.
+ * @returns A driver for the database.
+ */
+export async function openSqliteDriver(path: string): Promise<SqlDriver> {
+  const { DatabaseSync } = await import('node:sqlite');
+  if (path !== ':memory:') {
+    await mkdir(dirname(resolve(path)), { recursive: true });
+  }
+
+  const db = new DatabaseSync(path);
+  db.exec('PRAGMA journal_mode = WAL');
+  db.exec('PRAGMA busy_timeout = 5000');
+  return new SqliteDriver(db);
+}
+
+/**
+ * Creates a connection pool for a Postgres connection string. Connections are opened
+ * lazily, so this does not contact the server.
+ *
+ * @param connectionString - A `postgres://` URL.
+ * @returns A driver for the database.
+ */
+export function openPostgresDriver(connectionString: string): SqlDriver {
+  return new PostgresDriver(new Pool({ connectionString }));
+}
@@ -0,0 +1,844 @@
+import { Logger } from '@nestjs/common';
+import type { OnModuleDestroy } from '@nestjs/common';
+
+import { registryStatus } from '../services/tenant-lifecycle';
+import { versionNumber } from '../services/version-diff';
+import type { ApprovalWorkflow, PullRequestState, TenantPullRequest, TenantRecord } from '../types';
+import { isUniqueViolation } from './sql-driver';
+import type { SqlDriver, SqlExecutor, SqlValue } from './sql-driver';
+import type { TenantStore } from './tenant-store';
+
+/**
+ * Portable DDL for SQLite and Postgres, applied in order and recorded in
+ * `schema_migrations`; append new entries rather than editing applied ones.
+ * `tenant_request_admins` holds each version's lowercased `admin_users`, so access
+ * checks are a join instead of a maintained index.
+ */
+const MIGRATIONS: string[][] = [
+  [
+    `CREATE TABLE IF NOT EXISTS tenant_requests (
+      tenant_name TEXT NOT NULL,
+      version TEXT NOT NULL,
+      version_number INTEGER NOT NULL,
+      display_name TEXT NOT NULL,
+      ministry TEXT NOT NULL,
+      form_data TEXT NOT NULL,
+      generated_tfvars TEXT NOT NULL,
+      status TEXT NOT NULL,
+      submitted_by TEXT NOT NULL,
+      reviewed_by TEXT NOT NULL,
+      review_notes TEXT NOT NULL,
+      form_version TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      pull_request_url TEXT,
+      pull_request_number INTEGER,
+      pull_request_state TEXT,
+      pull_request_branch TEXT,
+      pull_request_error TEXT,
+      PRIMARY KEY (tenant_name, version)
+    )`,
+    'CREATE INDEX IF NOT EXISTS tenant_requests_status ON tenant_requests (status)',
+    'CREATE INDEX IF NOT EXISTS tenant_requests_submitter ON tenant_requests (lower(submitted_by))',
+    `CREATE TABLE IF NOT EXISTS tenant_registry (
+      tenant_name TEXT PRIMARY KEY,
+      current_version TEXT NOT NULL,
+      status TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS tenant_request_admins (
+      tenant_name TEXT NOT NULL,
+      version TEXT NOT NULL,
+      email TEXT NOT NULL,
+      PRIMARY KEY (tenant_name, version, email)
+    )`,
+    'CREATE INDEX IF NOT EXISTS tenant_request_admins_email ON tenant_request_admins (email)',
+  ],
+  ['ALTER TABLE tenant_requests ADD COLUMN approval TEXT'],
+  [
+    `CREATE TABLE IF NOT EXISTS tenant_drafts (
+      email TEXT NOT NULL,
+      tenant_name TEXT NOT NULL,
+      display_name TEXT NOT NULL,
+      ministry TEXT NOT NULL,
+      form_data TEXT NOT NULL,
+      submitted_by TEXT NOT NULL,
+      form_version TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (email, tenant_name)
+    )`,
+  ],
+];
+
+const CURRENT_REQUESTS = `SELECT r.*, g.status AS registry_status FROM tenant_registry g
+  JOIN tenant_requests r ON r.tenant_name = g.tenant_name AND r.version = g.current_version`;
+
+const REQUEST_COLUMNS = [
+  'tenant_name',
+  'version',
+  'version_number',
+  'display_name',
+  'ministry',
+  'form_data',
+  'generated_tfvars',
+  'status',
+  'submitted_by',
+  'reviewed_by',
+  'review_notes',
+  'form_version',
+  'created_at',
+  'updated_at',
+  'pull_request_url',
+  'pull_request_number',
+  'pull_request_state',
+  'pull_request_branch',
+  'pull_request_error',
+  'approval',
+];
+
+const INSERT_REQUEST = `INSERT INTO tenant_requests (${REQUEST_COLUMNS.join(', ')})
+  VALUES (${REQUEST_COLUMNS.map(() => '?').join(', ')})`;
+
+const UPSERT_REQUEST = `${INSERT_REQUEST}
+  ON CONFLICT (tenant_name, version) DO UPDATE SET ${REQUEST_COLUMNS.slice(2)
+    .map((column) => `${column} = excluded.${column}`)
+    .join(', ')}`;
+
+// Attempts a submission gets at a version number before losing every race is an error.
+const CREATE_REQUEST_ATTEMPTS = 5;
+
+// A new version keeps the tenant's status: only decommissioning archives it.
+const UPSERT_REGISTRY = `INSERT INTO tenant_registry (tenant_name, current_version, status, created_at)
+  VALUES (?, ?, 'active', ?)
+  ON CONFLICT (tenant_name) DO UPDATE SET current_version = excluded.current_version`;
+
+const REPLACE_REGISTRY = `INSERT INTO tenant_registry (tenant_name, current_version, status, created_at)
+  VALUES (?, ?, ?, ?)
+  ON CONFLICT (tenant_name) DO UPDATE SET current_version = excluded.current_version,
+    status = excluded.status`;
+
+const UPSERT_DRAFT = `INSERT INTO tenant_drafts (email, tenant_name, display_name, ministry,
+    form_data, submitted_by, form_version, created_at, updated_at)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  ON CONFLICT (email, tenant_name) DO UPDATE SET display_name = excluded.display_name,
+    ministry = excluded.ministry, form_data = excluded.form_data,
+    submitted_by = excluded.submitted_by, form_version = excluded.form_version,
+    updated_at = excluded.updated_at`;
+
+type DraftRow = {
+  tenant_name: string;
+  display_name: string;
+  ministry: string;
+  form_data: string;
+  submitted_by: string;
+  form_version: string;
+  created_at: string;
+  updated_at: string;
+};
+
+type RequestRow = {
+  tenant_name: string;
+  version: string;
+  display_name: string;
+  ministry: string;
+  form_data: string;
+  generated_tfvars: string;
+  status: string;
+  submitted_by: string;
+  reviewed_by: string;
+  review_notes: string;
+  form_version: string;
+  created_at: string;
+  updated_at: string;
+  pull_request_url: string | null;
+  pull_request_number: number | null;
+  pull_request_state: string | null;
+  pull_request_branch: string | null;
+  pull_request_error: string | null;
+  approval: string | null;
+  /** Present on rows read through the registry. */
+  registry_status?: string;
+};
+
+/**
+ * Tenant store on a SQL database (SQLite locally and in e2e runs, Postgres in
+ * production). Writes that touch more than one table run in a transaction, and the
+ * user, status, and access lookups are plain queries rather than index tables.
+ */
+export class SqlTenantStore implements TenantStore, OnModuleDestroy {
+  private readonly logger = new Logger(SqlTenantStore.name);
+  private schemaPromise: Promise<void> | null = null;
+
+  /**
+   * Creates a store on an open connection. The schema is created on first use.
+   *
+   * @param driver - The SQLite or Postgres driver; closed by {@link close}.
+   */
+  constructor(private readonly driver: SqlDriver) {
+    this.logger.log(`Using ${driver.dialect} for tenant request storage`);
+  }
+
+  /**
+   * Creates a `submitted` version numbered one past the tenant's highest version,
+   * records its admin users, and points the registry at it, all in one transaction.
+   * Under Postgres' read committed isolation two concurrent submissions can read the
+   * same highest version; the loser's plain `INSERT` fails on the primary key and the
+   * transaction is retried with a fresh number instead of overwriting the winner.
+   *
+   * @param tenantName - The unique tenant identifier.
+   * @param displayName - The human-readable display name for the tenant.
+   * @param formData - The raw form submission data.
+   * @param generatedTfvars - The Terraform variable values derived from the form.
+   * @param submittedBy - The email address of the user who submitted the request.
+   * @returns The version string assigned to the new request (e.g. `'v3'`).
+   * @throws Error when every attempt collided with a concurrent submission.
+   */
+  async createRequest(
+    tenantName: string,
+    displayName: string,
+    formData: Record<string, unknown>,
+    generatedTfvars: Record<string, string>,
+    submittedBy: string,
+  ): Promise<string> {
+    await this.ensureSchema();
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        return await this.insertNextVersion(
+          tenantName,
+          displayName,
+          formData,
+          generatedTfvars,
+          submittedBy,
+        );
+      } catch (error) {
+        if (!isUniqueViolation(error) || attempt >= CREATE_REQUEST_ATTEMPTS) throw error;
+      }
+    }
+  }
+
+  /**
+   * One attempt of `createRequest`: numbers and inserts the version in a transaction.
+   *
+   * @param tenantName - The unique tenant identifier.
+   * @param displayName - The human-readable display name for the tenant.
+   * @param formData - The raw form submission data.
+   * @param generatedTfvars - The Terraform variable values derived from the form.
+   * @param submittedBy - The email address of the user who submitted the request.
+   * @returns The version string assigned to the new request.
+   * @throws Error when a concurrent submission already took the version number.
+   */
+  private insertNextVersion(
+    tenantName: string,
+    displayName: string,
+    formData: Record<string, unknown>,
+    generatedTfvars: Record<string, string>,
+    submittedBy: string,
+  ): Promise<string> {
+    const now = new Date().toISOString();
+    return this.driver.transaction(async (tx) => {
+      const [latest] = await tx.query<{ latest: number | null }>(
+        'SELECT MAX(version_number) AS latest FROM tenant_requests WHERE tenant_name = ?',
+        [tenantName],
+      );
+      const version = `v${Number(latest?.latest ?? 0) + 1}`;
+      await this.writeRecord(
+        tx,
+        {
+          PartitionKey: tenantName,
+          RowKey: version,
+          DisplayName: displayName,
+          Ministry: typeof formData.ministry === 'string' ? formData.ministry : '',
+          FormData: formData,
+          GeneratedTfvars: generatedTfvars,
+          Status: 'submitted',
+          SubmittedBy: submittedBy,
+          ReviewedBy: '',
+          ReviewNotes: '',
+          FormVersion: typeof formData.form_version === 'string' ? formData.form_version : '',
+          CreatedAt: now,
+          UpdatedAt: now,
+        },
+        INSERT_REQUEST,
+      );
+      await tx.execute(UPSERT_REGISTRY, [tenantName, version, now]);
+      return version;
+    });
+  }
+
+  /**
+   * Updates the approval status and reviewer details on one version. Unknown
+   * versions are left untouched.
+   *
+   * @param tenantName - The unique tenant identifier.
+   * @param version - The specific version to update (e.g. `'v2'`).
+   * @param status - The new status value (e.g. `'approved'`, `'rejected'`).
+   * @param reviewedBy - Email of the reviewer; defaults to an empty string.
+   * @param reviewNotes - Optional notes from the reviewer; defaults to an empty string.
+   */
+  async updateStatus(
+    tenantName: string,
+    version: string,
+    status: string,
+    reviewedBy = '',
+    reviewNotes = '',
+  ): Promise<void> {
+    await this.ensureSchema();
+    await this.driver.execute(
+      `UPDATE tenant_requests SET status = ?, reviewed_by = ?, review_notes = ?, updated_at = ?
+        WHERE tenant_name = ? AND version = ?`,
+      [status, reviewedBy, reviewNotes, new Date().toISOString(), tenantName, version],
+    );
+  }
+
+  /**
+   * Records the outcome of opening the `infra-ai-hub` pull request for a version.
+   * A `null` number keeps the previously recorded one, as the Table store does.
+   *
+   * @param tenantName - The unique tenant identifier.
+   * @param version - The request version the pull request was opened for.
+   * @param pullRequest - The pull request URL, number, state, branch, and optional error.
+   */
+  async updatePullRequest(
+    tenantName: string,
+    version: string,
+    pullRequest: TenantPullRequest,
+  ): Promise<void> {
+    await this.ensureSchema();
+    await this.driver.execute(
+      `UPDATE tenant_requests SET pull_request_url = ?,
+          pull_request_number = COALESCE(?, pull_request_number), pull_request_state = ?,
+          pull_request_branch = ?, pull_request_error = ?, updated_at = ?
+        WHERE tenant_name = ? AND version = ?`,
+      [
+        pullRequest.url,
+        pullRequest.number,
+        pullRequest.state,
+        pullRequest.branch,
+        pullRequest.error ?? '',
+        new Date().toISOString(),
+        tenantName,
+        version,
+      ],
+    );
+  }
+
+  /**
+   * Stores the multi-stage approval workflow of a version as JSON. With `expected`,
+   * the row is read and locked first and only written while it still holds `expected`,
+   * so of two concurrent reviewers the second sees the first one's sign-off.
+   *
+   * @param tenantName - The unique tenant identifier.
+   * @param version - The request version under review.
+   * @param approval - The workflow with its stages and sign-offs.
+   * @param expected - The workflow the caller read; omit to write unconditionally.
+   * @returns Whether the workflow was written; `false` for an unknown version or when
+   *   the stored workflow no longer equals `expected`.
+   */
+  async updateApproval(
+    tenantName: string,
+    version: string,
+    approval: ApprovalWorkflow,
+    expected?: ApprovalWorkflow,
+  ): Promise<boolean> {
+    await this.ensureSchema();
+    return this.driver.transaction(async (tx) => {
+      const [row] = await tx.query<{ approval: string | null }>(
+        `SELECT approval FROM tenant_requests WHERE tenant_name = ? AND version = ?${this.rowLock()}`,
+        [tenantName, version],
+      );
+      if (!row) return false;
+      if (expected !== undefined && row.approval !== JSON.stringify(expected)) return false;
+      await tx.execute(
+        'UPDATE tenant_requests SET approval = ?, updated_at = ? WHERE tenant_name = ? AND version = ?',
+        [JSON.stringify(approval), new Date().toISOString(), tenantName, version],
+      );
+      return true;
+    });
+  }
+
+  /**
+   * Returns the current version of a tenant through the registry.
+   *
+   * @param tenantName - The unique tenant identifier.
+   * @returns The current {@link TenantRecord}, or `null` if no record exists.
+   */
+  async getCurrent(tenantName: string): Promise<TenantRecord | null> {
+    const [record] = await this.select(`${CURRENT_REQUESTS} WHERE g.tenant_name = ?`, [tenantName]);
+    return record ?? null;
+  }
+
+  /**
+   * Returns the tenant record for a specific version.
+   *
+   * @param tenantName - The unique tenant identifier.
+   * @param version - The version string to retrieve (e.g. `'v2'`).
+   * @returns The matching {@link TenantRecord}, or `null` if not found.
+   */
+  async getVersion(tenantName: string, version: string): Promise<TenantRecord | null> {
+    const [record] = await this.select(
+      'SELECT * FROM tenant_requests WHERE tenant_name = ? AND version = ?',
+      [tenantName, version],
+    );
+    return record ?? null;
+  }
+
+  /**
+   * Returns all versions of a tenant, newest first by version number.
+   *
+   * @param tenantName - The unique tenant identifier.
+   * @returns The tenant's records in descending version order.
+   */
+  async listVersions(tenantName: string): Promise<TenantRecord[]> {
+    return this.select(
+      'SELECT * FROM tenant_requests WHERE tenant_name = ? ORDER BY version_number DESC',
+      [tenantName],
+    );
+  }
+
+  /**
+   * Returns all versions submitted by an email address, compared case-insensitively.
+   *
+   * @param email - The submitter's email address.
+   * @returns The matching records ordered by tenant and version.
+   */
+  async listByUser(email: string): Promise<TenantRecord[]> {
+    return this.select(
+      `SELECT * FROM tenant_requests WHERE lower(submitted_by) = ?
+        ORDER BY tenant_name, version_number`,
+      [email.toLowerCase()],
+    );
+  }
+
+  /**
+   * Returns current records the user submitted or is an admin user of. Only the
+   * current version's admin list counts, so removing someone in an edit revokes access,
+   * and archived tenants are left out.
+   *
+   * @param email - The user's email address.
+   * @returns The accessible current records ordered by tenant.
+   */
+  async listAccessibleByUser(email: string): Promise<TenantRecord[]> {
+    const emailLower = email.toLowerCase();
+    return this.select(
+      `${CURRENT_REQUESTS}
+        WHERE g.status <> 'archived' AND (lower(r.submitted_by) = ? OR EXISTS (
+          SELECT 1 FROM tenant_request_admins a
+          WHERE a.tenant_name = r.tenant_name AND a.version = r.version AND a.email = ?
+        ))
+        ORDER BY r.tenant_name`,
+      [emailLower, emailLower],
+    );
+  }
+
+  /**
+   * Returns all versions with the given status.
+   *
+   * @param status - The status to filter by (e.g. `'submitted'`, `'approved'`).
+   * @returns The matching records ordered by tenant and version.
+   */
+  async listByStatus(status: string): Promise<TenantRecord[]> {
+    return this.select(
+      'SELECT * FROM tenant_requests WHERE status = ? ORDER BY tenant_name, version_number',
+      [status],
+    );
+  }
+
+  /**
+   * Returns the current record of every registered tenant.
+   *
+   * @returns The current records ordered by tenant.
+   */
+  async listAllCurrent(): Promise<TenantRecord[]> {
+    return this.select(`${CURRENT_REQUESTS} ORDER BY r.tenant_name`);
+  }
+
+  /**
+   * Returns every version of every tenant.
+   *
+   * @returns All records ordered by tenant and version.
+   */
+  async listAllRecords(): Promise<TenantRecord[]> {
+    return this.select('SELECT * FROM tenant_requests ORDER BY tenant_name, version_number');
+  }
+
+  /**
+   * Upserts the given versions and repoints each imported tenant's registry entry at
+   * its highest version, in one transaction.
+   *
+   * @param records - The versions to write.
+   */
+  async importRecords(records: TenantRecord[]): Promise<void> {
+    await this.ensureSchema();
+    await this.driver.transaction(async (tx) => {
+      for (const record of records) {
+        await this.writeRecord(tx, record);
+      }
+
+      const tenants = new Set(records.map((record) => record.PartitionKey));
+      for (const tenantName of tenants) {
+        await this.registerLatest(tx, tenantName);
+      }
+    });
+  }
+
+  /**
+   * Creates or replaces a user's draft, keeping the time it was first saved.
+   *
+   * @param tenantName - The tenant the draft is for.
+   * @param displayName - The display name entered so far.
+   * @param formData - The unvalidated form data.
+   * @param savedBy - The email address of the user saving the draft.
+   * @returns The stored draft.
+   */
+  async saveDraft(
+    tenantName: string,
+    displayName: string,
+    formData: Record<string, unknown>,
+    savedBy: string,
+  ): Promise<TenantRecord> {
+    await this.ensureSchema();
+    const now = new Date().toISOString();
+    await this.driver.execute(UPSERT_DRAFT, [
+      savedBy.toLowerCase(),
+      tenantName,
+      displayName,
+      typeof formData.ministry === 'string' ? formData.ministry : '',
+      JSON.stringify(formData),
+      savedBy,
+      typeof formData.form_version === 'string' ? formData.form_version : '',
+      now,
+      now,
+    ]);
+    return (await this.getDraft(tenantName, savedBy)) as TenantRecord;
+  }
+
+  /**
+   * Returns a user's draft of a tenant request.
+   *
+   * @param tenantName - The tenant the draft is for.
+   * @param email - The email address of the user who saved it.
+   * @returns The draft, or `null` if the user has none for this tenant.
+   */
+  async getDraft(tenantName: string, email: string): Promise<TenantRecord | null> {
+    const [draft] = await this.selectDrafts(
+      'SELECT * FROM tenant_drafts WHERE email = ? AND tenant_name = ?',
+      [email.toLowerCase(), tenantName],
+    );
+    return draft ?? null;
+  }
+
+  /**
+   * Returns every draft a user has saved.
+   *
+   * @param email - The user's email address, compared case-insensitively.
+   * @returns The user's drafts ordered by tenant name.
+   */
+  async listDrafts(email: string): Promise<TenantRecord[]> {
+    return this.selectDrafts('SELECT * FROM tenant_drafts WHERE email = ? ORDER BY tenant_name', [
+      email.toLowerCase(),
+    ]);
+  }
+
+  /**
+   * Deletes a user's draft of a tenant request, if any.
+   *
+   * @param tenantName - The tenant the draft is for.
+   * @param email - The email address of the user who saved it.
+   */
+  async deleteDraft(tenantName: string, email: string): Promise<void> {
+    await this.ensureSchema();
+    await this.driver.execute('DELETE FROM tenant_drafts WHERE email = ? AND tenant_name = ?', [
+      email.toLowerCase(),
+      tenantName,
+    ]);
+  }
+
+  /**
+   * Marks a tenant's registry row archived. Access is a query over the registry, so
+   * there are no index rows to revoke.
+   *
+   * @param tenantName - The unique tenant identifier.
+   */
+  async archiveTenant(tenantName: string): Promise<void> {
+    await this.ensureSchema();
+    await this.driver.execute(
+      "UPDATE tenant_registry SET status = 'archived' WHERE tenant_name = ?",
+      [tenantName],
+    );
+  }
+
+  /**
+   * Recomputes the derived tables — the registry and per-version admin lists — from
+   * `tenant_requests`, in one transaction.
+   */
+  async rebuildIndexes(): Promise<void> {
+    await this.ensureSchema();
+    await this.driver.transaction(async (tx) => {
+      const rows = await tx.query<RequestRow>('SELECT * FROM tenant_requests');
+      await tx.execute('DELETE FROM tenant_request_admins');
+      for (const row of rows) {
+        await this.writeAdmins(tx, this.deserialize(row));
+      }
+
+      await tx.execute(
+        'DELETE FROM tenant_registry WHERE tenant_name NOT IN (SELECT tenant_name FROM tenant_requests)',
+      );
+      for (const tenantName of new Set(rows.map((row) => row.tenant_name))) {
+        await this.registerLatest(tx, tenantName);
+      }
+    });
+  }
+
+  /**
+   * Closes the database connection.
+   *
+   * @returns Resolves once the driver is closed.
+   */
+  async close(): Promise<void> {
+    await this.driver.close();
+  }
+
+  /**
+   * Closes the connection when the Nest application shuts down.
+   *
+   * @returns Resolves once the driver is closed.
+   */
+  async onModuleDestroy(): Promise<void> {
+    await this.close();
+  }
+
+  /**
+   * Upserts one version row and replaces its admin user rows.
+   *
+   * @param tx - The transaction to write in.
+   * @param record - The version to write.
+   * @param statement - `INSERT_REQUEST` to fail rather than overwrite an existing row.
+   */
+  private async writeRecord(
+    tx: SqlExecutor,
+    record: TenantRecord,
+    statement = UPSERT_REQUEST,
+  ): Promise<void> {
+    const values: SqlValue[] = [
+      record.PartitionKey,
+      record.RowKey,
+      versionNumber(record.RowKey),
+      record.DisplayName ?? '',
+      record.Ministry ?? '',
+      serializeJson(record.FormData),
+      serializeJson(record.GeneratedTfvars),
+      record.Status,
+      record.SubmittedBy ?? '',
+      record.ReviewedBy ?? '',
+      record.ReviewNotes ?? '',
+      record.FormVersion ?? '',
+      record.CreatedAt,
+      record.UpdatedAt ?? record.CreatedAt,
+      record.PullRequestUrl ?? null,
+      record.PullRequestNumber ?? null,
+      record.PullRequestState ?? null,
+      record.PullRequestBranch ?? null,
+      record.PullRequestError ?? null,
+      record.Approval ? JSON.stringify(record.Approval) : null,
+    ];
+    await tx.execute(statement, values);
+    await tx.execute('DELETE FROM tenant_request_admins WHERE tenant_name = ? AND version = ?', [
+      record.PartitionKey,
+      record.RowKey,
+    ]);
+    await this.writeAdmins(tx, record);
+  }
+
+  /**
+   * Inserts one row per distinct, lowercased entry of the version's `admin_users`.
+   *
+   * @param tx - The transaction to write in.
+   * @param record - The version whose admin users to record.
+   */
+  private async writeAdmins(tx: SqlExecutor, record: TenantRecord): Promise<void> {
+    const adminUsers = record.FormData?.admin_users;
+    const emails = new Set(
+      (Array.isArray(adminUsers) ? adminUsers : [])
+        .filter((email): email is string => typeof email === 'string' && email.trim() !== '')
+        .map((email) => email.trim().toLowerCase()),
+    );
+    for (const email of emails) {
+      await tx.execute(
+        'INSERT INTO tenant_request_admins (tenant_name, version, email) VALUES (?, ?, ?)',
+        [record.PartitionKey, record.RowKey, email],
+      );
+    }
+  }
+
+  /**
+   * The clause that makes a `SELECT` inside a transaction lock the rows it reads until
+   * the transaction ends. SQLite transactions already hold the write lock from `BEGIN
+   * IMMEDIATE`, so only Postgres needs one.
+   *
+   * @returns ` FOR UPDATE` on Postgres, otherwise an empty string.
+   */
+  private rowLock(): string {
+    return this.driver.dialect === 'postgres' ? ' FOR UPDATE' : '';
+  }
+
+  /**
+   * Points the registry entry of a tenant at its highest stored version, archived when
+   * that version is an approved decommission of every environment.
+   *
+   * @param tx - The transaction to write in.
+   * @param tenantName - The tenant to repoint.
+   */
+  private async registerLatest(tx: SqlExecutor, tenantName: string): Promise<void> {
+    const [latest] = await tx.query<RequestRow>(
+      `SELECT * FROM tenant_requests WHERE tenant_name = ?
+        ORDER BY version_number DESC LIMIT 1`,
+      [tenantName],
+    );
+    if (latest) {
+      await tx.execute(REPLACE_REGISTRY, [
+        tenantName,
+        latest.version,
+        registryStatus(this.deserialize(latest)),
+        new Date().toISOString(),
+      ]);
+    }
+  }
+
+  /**
+   * Runs a request query after ensuring the schema exists.
+   *
+   * @param sql - A query selecting `tenant_requests` columns.
+   * @param params - Values bound to the placeholders, in order.
+   * @returns The deserialized records.
+   */
+  private async select(sql: string, params: SqlValue[] = []): Promise<TenantRecord[]> {
+    await this.ensureSchema();
+    const rows = await this.driver.query<RequestRow>(sql, params);
+    return rows.map((row) => this.deserialize(row));
+  }
+
+  /**
+   * Runs a draft query after ensuring the schema exists.
+   *
+   * @param sql - A query selecting `tenant_drafts` columns.
+   * @param params - Values bound to the placeholders, in order.
+   * @returns The drafts as records keyed by tenant name and `draft`.
+   */
+  private async selectDrafts(sql: string, params: SqlValue[]): Promise<TenantRecord[]> {
+    await this.ensureSchema();
+    const rows = await this.driver.query<DraftRow>(sql, params);
+    return rows.map((row) => ({
+      PartitionKey: row.tenant_name,
+      RowKey: 'draft',
+      DisplayName: row.display_name,
+      Ministry: row.ministry,
+      FormData: parseJson(row.form_data) as Record<string, unknown>,
+      Status: 'draft',
+      SubmittedBy: row.submitted_by,
+      FormVersion: row.form_version,
+      CreatedAt: row.created_at,
+      UpdatedAt: row.updated_at,
+    }));
+  }
+
+  /**
+   * Maps a `tenant_requests` row onto the {@link TenantRecord} shape the Table store
+   * returns, omitting pull request fields that were never set.
+   *
+   * @param row - The raw row.
+   * @returns The deserialized record.
+   */
+  private deserialize(row: RequestRow): TenantRecord {
+    const record: TenantRecord = {
+      PartitionKey: row.tenant_name,
+      RowKey: row.version,
+      DisplayName: row.display_name,
+      Ministry: row.ministry,
+      FormData: parseJson(row.form_data) as Record<string, unknown>,
+      GeneratedTfvars: parseJson(row.generated_tfvars) as Record<string, string>,
+      Status: row.status,
+      SubmittedBy: row.submitted_by,
+      ReviewedBy: row.reviewed_by,
+      ReviewNotes: row.review_notes,
+      FormVersion: row.form_version,
+      CreatedAt: row.created_at,
+      UpdatedAt: row.updated_at,
+    };
+    if (row.pull_request_url !== null) record.PullRequestUrl = row.pull_request_url;
+    if (row.pull_request_number !== null) {
+      record.PullRequestNumber = Number(row.pull_request_number);
+    }
+    if (row.pull_request_state !== null) {
+      record.PullRequestState = row.pull_request_state as PullRequestState;
+    }
+    if (row.pull_request_branch !== null) record.PullRequestBranch = row.pull_request_branch;
+    if (row.pull_request_error !== null) record.PullRequestError = row.pull_request_error;
+    if (row.approval !== null) record.Approval = parseJson(row.approval) as ApprovalWorkflow;
+    if (row.registry_status === 'archived') record.Archived = true;
+    return record;
+  }
+
+  /**
+   * Applies the migrations not yet recorded in `schema_migrations`, each in its own
+   * transaction. The promise is cached so concurrent first calls share one run; a
+   * failure is cleared so the next call retries.
+   */
+  private async ensureSchema(): Promise<void> {
+    this.schemaPromise ??= (async () => {
+      await this.driver.execute(
+        `CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          applied_at TEXT NOT NULL
+        )`,
+      );
+      const [applied] = await this.driver.query<{ version: number | null }>(
+        'SELECT MAX(version) AS version FROM schema_migrations',
+      );
+      for (let index = Number(applied?.version ?? 0); index < MIGRATIONS.length; index += 1) {
+        await this.driver.transaction(async (tx) => {
+          for (const statement of MIGRATIONS[index]) {
+            await tx.execute(statement);
+          }
+          await tx.execute('INSERT INTO schema_migrations (version, applied_at) VALUES (?, ?)', [
+            index + 1,
+            new Date().toISOString(),
+          ]);
+        });
+      }
+    })().catch((error: unknown) => {
+      this.schemaPromise = null;
+      this.logger.error(
+        'Failed to create tenant storage schema',
+        error instanceof Error ? error.stack : String(error),
+      );
+      throw error;
+    });
+    await this.schemaPromise;
+  }
+}
+
+/**
+ * Serializes a JSON column, treating a missing value as an empty object.
+ *
+ * @param value - The parsed value, or a raw string kept from unparseable input.
+ * @returns The JSON text to store.
+ */
+function serializeJson(value: unknown): string {
+  if (typeof value === 'string') return value;
+  return JSON.stringify(value ?? {});
+}
+
+/**
+ * Parses a JSON column, keeping the raw text when it is not valid JSON.
+ *
+ * @param value - The stored text.
+ * @returns The parsed value, or `value` itself when parsing fails.
+ */
+function parseJson(value: string): unknown {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
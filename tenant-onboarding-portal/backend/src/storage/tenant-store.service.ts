@@ -3,32 +3,41 @@ import { TableClient, TableEntity } from '@azure/data-tables';
 import { DefaultAzureCredential } from '@azure/identity';
 
 import { getSettings } from '../config/settings';
-import type { TenantFormData, TenantRecord } from '../types';
+import { registryStatus } from '../services/tenant-lifecycle';
+import type { RegistryStatus } from '../services/tenant-lifecycle';
+import { versionNumber } from '../services/version-diff';
+import type { ApprovalWorkflow, TenantFormData, TenantPullRequest, TenantRecord } from '../types';
+import type { TenantStore } from './tenant-store';
 
 const REQUESTS_TABLE = 'TenantRequests';
 const REGISTRY_TABLE = 'TenantRegistry';
 const USER_INDEX_TABLE = 'TenantUserIndex';
 const STATUS_INDEX_TABLE = 'TenantStatusIndex';
 const ACCESS_INDEX_TABLE = 'TenantAccessIndex';
+const DRAFTS_TABLE = 'TenantDrafts';
 
 type MemoryTables = Record<string, Record<string, Record<string, unknown>>>;
 
+type IndexEntity = { partitionKey: string; rowKey: string } & Record<string, unknown>;
+
 const IN_MEMORY_TABLES: MemoryTables = {
   [REQUESTS_TABLE]: {},
   [REGISTRY_TABLE]: {},
   [USER_INDEX_TABLE]: {},
   [STATUS_INDEX_TABLE]: {},
   [ACCESS_INDEX_TABLE]: {},
+  [DRAFTS_TABLE]: {},
 };
 
 @Injectable()
-export class TenantStoreService {
+export class TenantStoreService implements TenantStore {
   private readonly logger = new Logger(TenantStoreService.name);
   private readonly requestsTableClient: TableClient | null;
   private readonly registryTableClient: TableClient | null;
   private readonly userIndexTableClient: TableClient | null;
   private readonly statusIndexTableClient: TableClient | null;
   private readonly accessIndexTableClient: TableClient | null;
+  private readonly draftsTableClient: TableClient | null;
   private readonly memory: MemoryTables;
   private ensureTablesPromise: Promise<void> | null = null;
 
@@ -63,6 +72,10 @@ export class TenantStoreService {
         settings.tableStorageConnectionString,
         ACCESS_INDEX_TABLE,
       );
+      this.draftsTableClient = TableClient.fromConnectionString(
+        settings.tableStorageConnectionString,
+        DRAFTS_TABLE,
+      );
     } else if (settings.tableStorageAccountUrl) {
       this.logger.log(
         `Using Azure AD credential for ${REQUESTS_TABLE}, ${REGISTRY_TABLE}, and ${USER_INDEX_TABLE} via ${settings.tableStorageAccountUrl}`,
@@ -93,6 +106,11 @@ export class TenantStoreService {
         ACCESS_INDEX_TABLE,
         credential,
       );
+      this.draftsTableClient = new TableClient(
+        settings.tableStorageAccountUrl,
+        DRAFTS_TABLE,
+        credential,
+      );
     } else {
       this.logger.warn(
         `No Azure Table Storage configuration found for ${REQUESTS_TABLE}, ${REGISTRY_TABLE}, and ${USER_INDEX_TABLE}; falling back to in-memory storage`,
@@ -102,6 +120,7 @@ export class TenantStoreService {
       this.userIndexTableClient = null;
       this.statusIndexTableClient = null;
       this.accessIndexTableClient = null;
+      this.draftsTableClient = null;
     }
 
     this.memory = IN_MEMORY_TABLES;
@@ -118,6 +137,7 @@ export class TenantStoreService {
     IN_MEMORY_TABLES[USER_INDEX_TABLE] = {};
     IN_MEMORY_TABLES[STATUS_INDEX_TABLE] = {};
     IN_MEMORY_TABLES[ACCESS_INDEX_TABLE] = {};
+    IN_MEMORY_TABLES[DRAFTS_TABLE] = {};
   }
 
   /**
@@ -174,7 +194,9 @@ export class TenantStoreService {
       this.memory[REQUESTS_TABLE][`${tenantName}:${nextVersion}`] = entity;
     }
 
-    await this.upsertRegistry(tenantName, nextVersion);
+    // A new version never un-archives a tenant or restores its access entries.
+    const archived = oldCurrent?.Archived === true;
+    await this.upsertRegistry(tenantName, nextVersion, archived ? 'archived' : 'active');
     try {
       await this.upsertUserIndex(submittedBy, tenantName, nextVersion);
     } catch (error) {
@@ -192,7 +214,9 @@ export class TenantStoreService {
       );
     }
     try {
-      await this.rebuildAccessIndex(tenantName, submittedBy, formData, oldCurrent);
+      if (!archived) {
+        await this.rebuildAccessIndex(tenantName, submittedBy, formData, oldCurrent);
+      }
     } catch (error) {
       this.logger.error(
         `Failed to rebuild ${ACCESS_INDEX_TABLE} for ${tenantName}; index may be stale`,
@@ -262,6 +286,108 @@ export class TenantStoreService {
     }
   }
 
+  /**
+   * Records the outcome of opening the `infra-ai-hub` pull request for a request version.
+   * A failed attempt keeps the error message so admins can see why and retry.
+   *
+   * @param tenantName - The tenant partition key.
+   * @param version - The request version the pull request was opened for.
+   * @param pullRequest - The pull request URL, number, state, branch, and optional error.
+   */
+  async updatePullRequest(
+    tenantName: string,
+    version: string,
+    pullRequest: TenantPullRequest,
+  ): Promise<void> {
+    const fields = {
+      PullRequestUrl: pullRequest.url,
+      ...(pullRequest.number === null ? {} : { PullRequestNumber: pullRequest.number }),
+      PullRequestState: pullRequest.state,
+      PullRequestBranch: pullRequest.branch,
+      PullRequestError: pullRequest.error ?? '',
+      UpdatedAt: new Date().toISOString(),
+    };
+    const table = await this.requestsTable();
+    if (table) {
+      try {
+        const entity = await table.getEntity<Record<string, unknown>>(tenantName, version);
+        await table.upsertEntity(
+          { ...entity, ...fields } as TableEntity<Record<string, unknown>>,
+          'Replace',
+        );
+      } catch (error) {
+        this.logger.error(
+          `Failed to record pull request on ${REQUESTS_TABLE} entity ${tenantName}:${version}`,
+          error instanceof Error ? error.stack : String(error),
+        );
+        throw error;
+      }
+      return;
+    }
+
+    const entity = this.memory[REQUESTS_TABLE][`${tenantName}:${version}`];
+    if (entity) {
+      Object.assign(entity, fields);
+    }
+  }
+
+  /**
+   * Stores the multi-stage approval workflow of a request version as a JSON column.
+   * With `expected`, the Table write is conditional on the entity's ETag, so a
+   * workflow changed since it was compared is not overwritten.
+   *
+   * @param tenantName - The tenant partition key.
+   * @param version - The request version under review.
+   * @param approval - The workflow with its stages and sign-offs.
+   * @param expected - The workflow the caller read; omit to write unconditionally.
+   * @returns Whether the workflow was written; `false` for an unknown version or when
+   *   the stored workflow no longer equals `expected`.
+   */
+  async updateApproval(
+    tenantName: string,
+    version: string,
+    approval: ApprovalWorkflow,
+    expected?: ApprovalWorkflow,
+  ): Promise<boolean> {
+    const fields = { Approval: JSON.stringify(approval), UpdatedAt: new Date().toISOString() };
+    const matches = (stored: unknown) =>
+      expected === undefined || stored === JSON.stringify(expected);
+    const table = await this.requestsTable();
+    if (table) {
+      try {
+        const { etag, ...entity } = await table.getEntity<Record<string, unknown>>(
+          tenantName,
+          version,
+        );
+        if (!matches(entity.Approval)) {
+          return false;
+        }
+        await table.updateEntity(
+          { ...entity, ...fields } as TableEntity<Record<string, unknown>>,
+          'Replace',
+          { etag },
+        );
+        return true;
+      } catch (error) {
+        if ((error as { statusCode?: number }).statusCode === 412) {
+          return false;
+        }
+        this.logger.error(
+          `Failed to record approval workflow on ${REQUESTS_TABLE} entity ${tenantName}:${version}`,
+          error instanceof Error ? error.stack : String(error),
+        );
+        throw error;
+      }
+    }
+
+    const entity = this.memory[REQUESTS_TABLE][`${tenantName}:${version}`];
+    if (!entity || !matches(entity.Approval)) {
+      return false;
+    }
+    Object.assign(entity, fields);
+    return true;
+  }
+
   /**
    * Returns the current (latest) tenant record by looking up the registry entry.
    *
@@ -274,7 +400,8 @@ export class TenantStoreService {
       return null;
     }
 
-    return this.getVersion(tenantName, String(registry.CurrentVersion ?? 'v1'));
+    const record = await this.getVersion(tenantName, String(registry.CurrentVersion ?? 'v1'));
+    return record && this.withRegistryStatus(record, registry);
   }
 
   /**
@@ -469,7 +596,7 @@ export class TenantStoreService {
           String(registry.CurrentVersion ?? 'v1'),
         );
         if (tenant) {
-          results.push(tenant);
+          results.push(this.withRegistryStatus(tenant, registry));
         }
       }
       return results;
@@ -481,13 +608,317 @@ export class TenantStoreService {
         String(registry.CurrentVersion ?? 'v1'),
       );
       if (tenant) {
-        results.push(tenant);
+        results.push(this.withRegistryStatus(tenant, registry));
       }
     }
 
     return results;
   }
 
+  /**
+   * Returns every version of every tenant by scanning `TenantRequests`.
+   *
+   * @returns All records ordered by tenant and version number.
+   */
+  async listAllRecords(): Promise<TenantRecord[]> {
+    const records: TenantRecord[] = [];
+    const table = await this.requestsTable();
+    if (table) {
+      for await (const entity of table.listEntities<Record<string, unknown>>()) {
+        records.push(this.deserialize(entity));
+      }
+    } else {
+      records.push(...Object.values(this.memory[REQUESTS_TABLE]).map((e) => this.deserialize(e)));
+    }
+
+    return records.sort(
+      (left, right) =>
+        left.PartitionKey.localeCompare(right.PartitionKey) ||
+        versionNumber(left.RowKey) - versionNumber(right.RowKey),
+    );
+  }
+
+  /**
+   * Writes the given versions to `TenantRequests` as-is, replacing existing entities
+   * with the same key, then rebuilds the registry and every index table.
+   *
+   * @param records - The versions to write.
+   */
+  async importRecords(records: TenantRecord[]): Promise<void> {
+    const table = await this.requestsTable();
+    for (const record of records) {
+      // Records read from another Table account carry its etag and timestamp.
+      const {
+        PartitionKey,
+        RowKey,
+        etag: _etag,
+        timestamp: _timestamp,
+        ...fields
+      } = record as TenantRecord & { etag?: unknown; timestamp?: unknown };
+      const entity = {
+        ...fields,
+        partitionKey: PartitionKey,
+        rowKey: RowKey,
+        FormData: JSON.stringify(record.FormData ?? {}),
+        GeneratedTfvars: JSON.stringify(record.GeneratedTfvars ?? {}),
+        ...(record.Approval ? { Approval: JSON.stringify(record.Approval) } : {}),
+      };
+      if (table) {
+        await table.upsertEntity(entity as TableEntity<Record<string, unknown>>, 'Replace');
+      } else {
+        this.memory[REQUESTS_TABLE][`${PartitionKey}:${RowKey}`] = entity;
+      }
+    }
+
+    await this.rebuildIndexes();
+  }
+
+  /**
+   * Creates or replaces a user's draft in `TenantDrafts` (partitionKey = lowercase
+   * email, rowKey = tenant name), keeping the time it was first saved.
+   *
+   * @param tenantName - The tenant the draft is for.
+   * @param displayName - The display name entered so far.
+   * @param formData - The unvalidated form data.
+   * @param savedBy - The email address of the user saving the draft.
+   * @returns The stored draft.
+   */
+  async saveDraft(
+    tenantName: string,
+    displayName: string,
+    formData: Record<string, unknown>,
+    savedBy: string,
+  ): Promise<TenantRecord> {
+    const existing = await this.getDraft(tenantName, savedBy);
+    const now = new Date().toISOString();
+    const entity = {
+      partitionKey: savedBy.toLowerCase(),
+      rowKey: tenantName,
+      DisplayName: displayName,
+      Ministry: typeof formData.ministry === 'string' ? formData.ministry : '',
+      FormData: JSON.stringify(formData),
+      Status: 'draft',
+      SubmittedBy: savedBy,
+      FormVersion: typeof formData.form_version === 'string' ? formData.form_version : '',
+      CreatedAt: existing?.CreatedAt ?? now,
+      UpdatedAt: now,
+    };
+
+    const table = await this.draftsTable();
+    if (table) {
+      try {
+        await table.upsertEntity(entity as TableEntity<Record<string, unknown>>, 'Replace');
+      } catch (error) {
+        this.logger.error(
+          `Failed to upsert ${DRAFTS_TABLE} entity ${entity.partitionKey}:${tenantName}`,
+          error instanceof Error ? error.stack : String(error),
+        );
+        throw error;
+      }
+    } else {
+      this.memory[DRAFTS_TABLE][`${entity.partitionKey}:${tenantName}`] = entity;
+    }
+
+    return this.deserializeDraft(entity);
+  }
+
+  /**
+   * Returns a user's draft of a tenant request.
+   *
+   * @param tenantName - The tenant the draft is for.
+   * @param email - The email address of the user who saved it.
+   * @returns The draft, or `null` if the user has none for this tenant.
+   */
+  async getDraft(tenantName: string, email: string): Promise<TenantRecord | null> {
+    const emailLower = email.toLowerCase();
+    const table = await this.draftsTable();
+    if (table) {
+      try {
+        return this.deserializeDraft(
+          await table.getEntity<Record<string, unknown>>(emailLower, tenantName),
+        );
+      } catch {
+        return null;
+      }
+    }
+
+    const entity = this.memory[DRAFTS_TABLE][`${emailLower}:${tenantName}`];
+    return entity ? this.deserializeDraft(entity) : null;
+  }
+
+  /**
+   * Returns every draft a user has saved with a single-partition query.
+   *
+   * @param email - The user's email address, compared case-insensitively.
+   * @returns The user's drafts ordered by tenant name.
+   */
+  async listDrafts(email: string): Promise<TenantRecord[]> {
+    const emailLower = email.toLowerCase();
+    const table = await this.draftsTable();
+    const drafts: TenantRecord[] = [];
+    if (table) {
+      const safeEmail = emailLower.replace(/'/g, "''");
+      for await (const entity of table.listEntities<Record<string, unknown>>({
+        queryOptions: { filter: `PartitionKey eq '${safeEmail}'` },
+      })) {
+        drafts.push(this.deserializeDraft(entity));
+      }
+    } else {
+      for (const entity of Object.values(this.memory[DRAFTS_TABLE])) {
+        if (String(entity.partitionKey) === emailLower) {
+          drafts.push(this.deserializeDraft(entity));
+        }
+      }
+    }
+
+    return drafts.sort((left, right) => left.PartitionKey.localeCompare(right.PartitionKey));
+  }
+
+  /**
+   * Deletes a user's draft of a tenant request. A missing draft is not an error.
+   *
+   * @param tenantName - The tenant the draft is for.
+   * @param email - The email address of the user who saved it.
+   */
+  async deleteDraft(tenantName: string, email: string): Promise<void> {
+    const emailLower = email.toLowerCase();
+    const table = await this.draftsTable();
+    if (table) {
+      try {
+        await table.deleteEntity(emailLower, tenantName);
+      } catch {
+        // Entity may not exist; safe to ignore.
+      }
+      return;
+    }
+
+    delete this.memory[DRAFTS_TABLE][`${emailLower}:${tenantName}`];
+  }
+
+  /**
+   * Sets the registry entry of a tenant to `archived` and deletes its
+   * `TenantAccessIndex` entries with a cross-partition query on the row key. Unknown
+   * tenants are ignored.
+   *
+   * @param tenantName - The unique tenant identifier.
+   */
+  async archiveTenant(tenantName: string): Promise<void> {
+    const registry = await this.getRegistry(tenantName);
+    if (!registry) {
+      return;
+    }
+
+    await this.upsertRegistry(tenantName, String(registry.CurrentVersion ?? 'v1'), 'archived');
+    const table = await this.accessIndexTable();
+    if (table) {
+      const safeTenant = tenantName.replace(/'/g, "''");
+      for await (const entry of table.listEntities<Record<string, unknown>>({
+        queryOptions: { filter: `RowKey eq '${safeTenant}'` },
+      })) {
+        await this.deleteAccessIndex(String(entry.partitionKey), tenantName);
+      }
+      return;
+    }
+
+    for (const entry of Object.values(this.memory[ACCESS_INDEX_TABLE])) {
+      if (entry.rowKey === tenantName) {
+        await this.deleteAccessIndex(String(entry.partitionKey), tenantName);
+      }
+    }
+  }
+
+  /**
+   * Recomputes `TenantRegistry`, `TenantUserIndex`, `TenantStatusIndex`, and
+   * `TenantAccessIndex` from `TenantRequests`, deleting entries that no longer match.
+   * Repairs indexes left stale by the best-effort writes in `createRequest` and
+   * `updateStatus`. Archived tenants get an archived registry entry and no access
+   * entries.
+   */
+  async rebuildIndexes(): Promise<void> {
+    const records = await this.listAllRecords();
+    const current = new Map<string, TenantRecord>();
+    for (const record of records) {
+      current.set(record.PartitionKey, record);
+    }
+
+    for (const [tenantName, record] of current) {
+      await this.upsertRegistry(tenantName, record.RowKey, registryStatus(record));
+    }
+
+    const byVersion = (partitionKey: string, record: TenantRecord): IndexEntity => ({
+      partitionKey,
+      rowKey: `${record.PartitionKey}:${record.RowKey}`,
+      TenantName: record.PartitionKey,
+      Version: record.RowKey,
+    });
+    await this.replaceIndex(
+      USER_INDEX_TABLE,
+      await this.userIndexTable(),
+      records.map((record) => byVersion(record.SubmittedBy.toLowerCase(), record)),
+    );
+    await this.replaceIndex(
+      STATUS_INDEX_TABLE,
+      await this.statusIndexTable(),
+      records.map((record) => byVersion(record.Status, record)),
+    );
+
+    const access: IndexEntity[] = [];
+    for (const [tenantName, record] of current) {
+      if (registryStatus(record) === 'archived') continue;
+      const formData = record.FormData as TenantFormData | undefined;
+      const emails = new Set([record.SubmittedBy, ...(formData?.admin_users ?? [])]);
+      for (const email of emails) {
+        if (!email) continue;
+        access.push({
+          partitionKey: email.toLowerCase(),
+          rowKey: tenantName,
+          TenantName: tenantName,
+        });
+      }
+    }
+    await this.replaceIndex(ACCESS_INDEX_TABLE, await this.accessIndexTable(), access);
+  }
+
+  /**
+   * No-op: Table Storage clients hold no open connections.
+   *
+   * @returns A resolved promise.
+   */
+  async close(): Promise<void> {}
+
+  /**
+   * Replaces the contents of an index table with `entities`, deleting any existing
+   * entry whose key is not among them.
+   *
+   * @param tableName - The index table name, used for the in-memory store.
+   * @param table - The index table client, or `null` for in-memory mode.
+   * @param entities - The complete set of entries the index should hold.
+   */
+  private async replaceIndex(
+    tableName: string,
+    table: TableClient | null,
+    entities: IndexEntity[],
+  ): Promise<void> {
+    if (!table) {
+      this.memory[tableName] = Object.fromEntries(
+        entities.map((entity) => [`${entity.partitionKey}:${entity.rowKey}`, entity]),
+      );
+      return;
+    }
+
+    const wanted = new Set(entities.map((entity) => `${entity.partitionKey}\n${entity.rowKey}`));
+    for await (const existing of table.listEntities<Record<string, unknown>>()) {
+      const partitionKey = String(existing.partitionKey);
+      const rowKey = String(existing.rowKey);
+      if (!wanted.has(`${partitionKey}\n${rowKey}`)) {
+        await table.deleteEntity(partitionKey, rowKey);
+      }
+    }
+    for (const entity of entities) {
+      await table.upsertEntity(entity, 'Replace');
+    }
+  }
+
   /**
    * Determines the next version string for a tenant by incrementing the highest existing version.
    *
@@ -677,14 +1108,19 @@ export class TenantStoreService {
    *
    * @param tenantName - The unique tenant identifier used as the partition key.
    * @param version - The version string to record as the current version (e.g. `'v2'`).
+   * @param status - The registry status; a new version makes the tenant active again.
    */
-  private async upsertRegistry(tenantName: string, version: string): Promise<void> {
+  private async upsertRegistry(
+    tenantName: string,
+    version: string,
+    status: RegistryStatus = 'active',
+  ): Promise<void> {
     const now = new Date().toISOString();
     const entity = {
       partitionKey: tenantName,
       rowKey: 'current',
       CurrentVersion: version,
-      Status: 'active',
+      Status: status,
       CreatedAt: now,
     };
 
@@ -716,11 +1152,26 @@ export class TenantStoreService {
     return this.memory[REGISTRY_TABLE][tenantName] ?? null;
   }
 
+  /**
+   * Flags a current record as `Archived` when its registry entry is archived.
+   *
+   * @param record - The tenant's current version.
+   * @param registry - The tenant's raw registry entity.
+   * @returns The record, with `Archived: true` for archived tenants.
+   */
+  private withRegistryStatus(
+    record: TenantRecord,
+    registry: Record<string, unknown>,
+  ): TenantRecord {
+    return registry.Status === 'archived' ? { ...record, Archived: true } : record;
+  }
+
   /**
    * Deserializes a raw storage entity into a typed {@link TenantRecord}.
    *
-   * Normalizes `partitionKey`/`rowKey` aliases and JSON-parses the `FormData` and
-   * `GeneratedTfvars` fields. Invalid JSON in those fields is left as the raw string.
+   * Normalizes `partitionKey`/`rowKey` aliases and JSON-parses the `FormData`,
+   * `GeneratedTfvars`, and `Approval` fields. Invalid JSON in those fields is left as
+   * the raw string.
    *
    * @param entity - The raw key-value entity from the storage backend.
    * @returns The deserialized {@link TenantRecord}.
@@ -731,7 +1182,7 @@ export class TenantStoreService {
       PartitionKey: String(entity.partitionKey ?? entity.PartitionKey ?? ''),
       RowKey: String(entity.rowKey ?? entity.RowKey ?? ''),
     } as Record<string, unknown>;
-    for (const field of ['FormData', 'GeneratedTfvars']) {
+    for (const field of ['FormData', 'GeneratedTfvars', 'Approval']) {
       if (typeof result[field] === 'string') {
         try {
           result[field] = JSON.parse(result[field] as string);
@@ -744,6 +1195,18 @@ export class TenantStoreService {
     return result as unknown as TenantRecord;
   }
 
+  /**
+   * Deserializes a `TenantDrafts` entity into a {@link TenantRecord} keyed like a
+   * version: the tenant name as `PartitionKey` and `draft` as `RowKey`.
+   *
+   * @param entity - The raw draft entity.
+   * @returns The draft record.
+   */
+  private deserializeDraft(entity: Record<string, unknown>): TenantRecord {
+    const { partitionKey: _email, rowKey, etag: _etag, timestamp: _timestamp, ...fields } = entity;
+    return this.deserialize({ ...fields, partitionKey: rowKey, rowKey: 'draft' });
+  }
+
   /**
    * Resolves the requests {@link TableClient} after ensuring the Azure tables exist.
    *
@@ -806,6 +1269,20 @@ export class TenantStoreService {
     return this.statusIndexTableClient;
   }
 
+  /**
+   * Resolves the drafts {@link TableClient} after ensuring the Azure tables exist.
+   *
+   * @returns The initialized drafts {@link TableClient}, or `null` for in-memory mode.
+   */
+  private async draftsTable(): Promise<TableClient | null> {
+    if (!this.draftsTableClient) {
+      return null;
+    }
+
+    await this.ensureTables();
+    return this.draftsTableClient;
+  }
+
   /**
    * Resolves the access-index {@link TableClient} after ensuring the Azure tables exist.
    *
@@ -833,7 +1310,8 @@ export class TenantStoreService {
       !this.registryTableClient ||
       !this.userIndexTableClient ||
       !this.statusIndexTableClient ||
-      !this.accessIndexTableClient
+      !this.accessIndexTableClient ||
+      !this.draftsTableClient
     ) {
       return;
     }
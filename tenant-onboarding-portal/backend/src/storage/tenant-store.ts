@@ -0,0 +1,147 @@
+import type { ApprovalWorkflow, PortalSettings, TenantPullRequest, TenantRecord } from '../types';
+import { openPostgresDriver, openSqliteDriver } from './sql-driver';
+import { SqlTenantStore } from './sql-tenant-store';
+import { TenantStoreService } from './tenant-store.service';
+
+/** Nest injection token for the active {@link TenantStore}. */
+export const TENANT_STORE = Symbol('TENANT_STORE');
+
+export type TenantStoreCopySummary = {
+  tenants: number;
+  records: number;
+};
+
+/**
+ * Versioned tenant request storage. Every submission is a new immutable version
+ * (`v1`, `v2`, …); the highest version is the tenant's current record.
+ */
+export interface TenantStore {
+  /**
+   * Stores a new `submitted` version and makes it current; resolves to its version key.
+   * An archived tenant stays archived.
+   */
+  createRequest(
+    tenantName: string,
+    displayName: string,
+    formData: Record<string, unknown>,
+    generatedTfvars: Record<string, string>,
+    submittedBy: string,
+  ): Promise<string>;
+  /** Sets the review status, reviewer, and notes on one version. */
+  updateStatus(
+    tenantName: string,
+    version: string,
+    status: string,
+    reviewedBy?: string,
+    reviewNotes?: string,
+  ): Promise<void>;
+  /** Records the `infra-ai-hub` pull request opened (or attempted) for one version. */
+  updatePullRequest(
+    tenantName: string,
+    version: string,
+    pullRequest: TenantPullRequest,
+  ): Promise<void>;
+  /**
+   * Replaces the multi-stage approval workflow stored on one version. With `expected`,
+   * only while the stored workflow still equals it, so concurrent sign-offs cannot
+   * overwrite each other; resolves to whether the workflow was written.
+   */
+  updateApproval(
+    tenantName: string,
+    version: string,
+    approval: ApprovalWorkflow,
+    expected?: ApprovalWorkflow,
+  ): Promise<boolean>;
+  /** Returns the tenant's current version, or `null` for an unknown tenant. */
+  getCurrent(tenantName: string): Promise<TenantRecord | null>;
+  /** Returns one version, or `null` when it does not exist. */
+  getVersion(tenantName: string, version: string): Promise<TenantRecord | null>;
+  /** Returns every version of a tenant, newest first. */
+  listVersions(tenantName: string): Promise<TenantRecord[]>;
+  /** Returns every version submitted by an email address (case-insensitive). */
+  listByUser(email: string): Promise<TenantRecord[]>;
+  /** Returns current records the user submitted or is listed in `admin_users` of. */
+  listAccessibleByUser(email: string): Promise<TenantRecord[]>;
+  /** Returns every version with the given status. */
+  listByStatus(status: string): Promise<TenantRecord[]>;
+  /** Returns the current record of every tenant. */
+  listAllCurrent(): Promise<TenantRecord[]>;
+  /** Returns every version of every tenant, for export and migration. */
+  listAllRecords(): Promise<TenantRecord[]>;
+  /**
+   * Writes records exactly as given (versions, statuses, timestamps, pull request
+   * fields), replacing existing versions with the same key, then rebuilds indexes.
+   */
+  importRecords(records: TenantRecord[]): Promise<void>;
+  /**
+   * Creates or replaces a user's draft of a tenant request (one per tenant and user,
+   * stored apart from the versions); resolves to the stored draft.
+   */
+  saveDraft(
+    tenantName: string,
+    displayName: string,
+    formData: Record<string, unknown>,
+    savedBy: string,
+  ): Promise<TenantRecord>;
+  /** Returns a user's draft of a tenant request, or `null` when there is none. */
+  getDraft(tenantName: string, email: string): Promise<TenantRecord | null>;
+  /** Returns every draft saved by an email address (case-insensitive). */
+  listDrafts(email: string): Promise<TenantRecord[]>;
+  /** Deletes a user's draft of a tenant request, if any. */
+  deleteDraft(tenantName: string, email: string): Promise<void>;
+  /**
+   * Marks a tenant's registry entry archived and revokes every user's access-index
+   * entry for it. The tenant stays in `listAllCurrent` with `Archived` set, but
+   * no longer appears in `listAccessibleByUser`.
+   */
+  archiveTenant(tenantName: string): Promise<void>;
+  /**
+   * Recomputes the current-version registry (including archived status) and lookup
+   * indexes from the stored versions.
+   */
+  rebuildIndexes(): Promise<void>;
+  /** Releases connections held by the store. */
+  close(): Promise<void>;
+}
+
+/**
+ * Builds the tenant store for the configured `PORTAL_STORAGE_BACKEND`.
+ * Used as the Nest factory for {@link TENANT_STORE} and by the storage migration CLI.
+ *
+ * @param settings - The portal settings.
+ * @returns The store for the selected backend.
+ * @throws Error when the Postgres backend is selected without `PORTAL_POSTGRES_URL`.
+ */
+export async function createTenantStore(settings: PortalSettings): Promise<TenantStore> {
+  switch (settings.storageBackend) {
+    case 'sqlite':
+      return new SqlTenantStore(await openSqliteDriver(settings.sqlitePath));
+    case 'postgres':
+      if (!settings.postgresUrl) {
+        throw new Error('PORTAL_POSTGRES_URL is required when PORTAL_STORAGE_BACKEND=postgres');
+      }
+      return new SqlTenantStore(openPostgresDriver(settings.postgresUrl));
+    default:
+      return new TenantStoreService();
+  }
+}
+
+/**
+ * Copies every tenant version from one store into another. The target keeps versions
+ * it has that the source lacks; versions present in both are overwritten.
+ *
+ * @param source - The store to read from.
+ * @param target - The store to write to.
+ * @returns How many tenants and versions were copied.
+ */
+export async function copyTenantRecords(
+  source: TenantStore,
+  target: TenantStore,
+): Promise<TenantStoreCopySummary> {
+  const records = await source.listAllRecords();
+  await target.importRecords(records);
+  return {
+    tenants: new Set(records.map((record) => record.PartitionKey)).size,
+    records: records.length,
+  };
+}
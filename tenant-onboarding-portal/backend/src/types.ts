@@ -7,6 +7,27 @@ export type PortalUser = {
 
 export type PortalAuthMode = 'oidc' | 'mock';
 
+export type GitHubPrMode = 'disabled' | 'github' | 'local';
+
+export type StorageBackend = 'table' | 'sqlite' | 'postgres';
+
+export type NotificationTransportName = 'smtp' | 'teams' | 'file';
+
+/** Request lifecycle events that send notifications. */
+export type NotificationEvent = 'submitted' | 'approved' | 'rejected' | 'changes_requested';
+
+/** Which staged requests a stage applies to: every one, or only elevated capacity tiers. */
+export type ApprovalStageCondition = 'always' | 'elevated';
+
+export type ApprovalStageConfig = {
+  id: string;
+  label: string;
+  role: string;
+  required_approvals: number;
+  sla_hours: number;
+  when: ApprovalStageCondition;
+};
+
 export type MockPortalUser = PortalUser & {
   accessToken: string;
 };
@@ -46,6 +67,13 @@ export type PortalSessionRecord = {
   expiresAt: string;
 };
 
+/** Per-user preferences kept next to the user's sessions, keyed by email. */
+export type PortalUserProfile = {
+  email: string;
+  notificationsOptOut: boolean;
+  updatedAt: string;
+};
+
 export type PortalLoginState = {
   state: string;
   codeVerifier: string;
@@ -75,12 +103,44 @@ export type PortalSettings = {
   mockUser: MockPortalUser;
   tableStorageConnectionString: string;
   tableStorageAccountUrl: string;
+  storageBackend: StorageBackend;
+  sqlitePath: string;
+  postgresUrl: string;
+  approvalStages: ApprovalStageConfig[];
   hubKeyVaultUrlDev: string;
   hubKeyVaultUrlTest: string;
   hubKeyVaultUrlProd: string;
   apimGatewayUrlDev: string;
   apimGatewayUrlTest: string;
   apimGatewayUrlProd: string;
+  /** ARM resource IDs of each environment's APIM instance, for key regeneration. */
+  apimResourceIdDev: string;
+  apimResourceIdTest: string;
+  apimResourceIdProd: string;
+  keyRegenerationCooldownMinutes: number;
+  usageApiUrlDev: string;
+  usageApiUrlTest: string;
+  usageApiUrlProd: string;
+  draftTtlDays: number;
+  githubPrMode: GitHubPrMode;
+  githubRepository: string;
+  githubApiUrl: string;
+  githubToken: string;
+  githubBaseBranch: string;
+  githubPrLabels: string[];
+  githubLocalRepoPath: string;
+  tfvarsDir: string;
+  publicUrl: string;
+  notificationTransports: NotificationTransportName[];
+  notificationAdminEmails: string[];
+  notificationFilePath: string;
+  smtpHost: string;
+  smtpPort: number;
+  smtpSecure: boolean;
+  smtpUser: string;
+  smtpPassword: string;
+  smtpFrom: string;
+  teamsWebhookUrl: string;
 };
 
 export type TenantRecord = {
@@ -97,6 +157,187 @@ export type TenantRecord = {
   FormVersion?: string;
   CreatedAt: string;
   UpdatedAt?: string;
+  PullRequestUrl?: string;
+  PullRequestNumber?: number;
+  PullRequestState?: PullRequestState;
+  PullRequestBranch?: string;
+  PullRequestError?: string;
+  Approval?: ApprovalWorkflow;
+  /**
+   * Set on a tenant's current record when its registry entry is archived: every
+   * environment has been decommissioned. Archived tenants are only listed for admins.
+   */
+  Archived?: boolean;
+};
+
+/**
+ * A user's unsubmitted tenant request: `Status` is `draft` and `RowKey` is `draft`.
+ * Drafts are kept apart from the versions, so they never become current or reach the
+ * admin queue, and are deleted once they have not been saved for the TTL.
+ */
+export type TenantDraft = TenantRecord & {
+  ExpiresAt: string;
+};
+
+export type ApprovalStageStatus =
+  | 'waiting'
+  | 'pending'
+  | 'approved'
+  | 'changes_requested'
+  | 'rejected';
+
+export type ApprovalSignoff = {
+  by: string;
+  at: string;
+  notes: string;
+};
+
+export type ApprovalStage = Omit<ApprovalStageConfig, 'when'> & {
+  status: ApprovalStageStatus;
+  started_at: string | null;
+  due_by: string | null;
+  completed_at: string | null;
+  approvals: ApprovalSignoff[];
+};
+
+/** Multi-stage review of one version, stored on the version record. */
+export type ApprovalWorkflow = {
+  reason: string;
+  stages: ApprovalStage[];
+};
+
+export type ApprovalQueueItem = {
+  tenant_name: string;
+  version: string;
+  display_name: string;
+  submitted_by: string;
+  started_at: string | null;
+  due_by: string | null;
+  overdue: boolean;
+  approvals: number;
+  required_approvals: number;
+};
+
+export type ApprovalQueue = {
+  id: string;
+  label: string;
+  role: string;
+  items: ApprovalQueueItem[];
+};
+
+export type PullRequestState = 'open' | 'failed';
+
+export type TenantPullRequest = {
+  url: string;
+  number: number | null;
+  state: PullRequestState;
+  branch: string;
+  error?: string;
+};
+
+export type AuditAction =
+  | 'create'
+  | 'edit'
+  | 'approve'
+  | 'reject'
+  | 'request_changes'
+  | 'credentials_view'
+  | 'tenant_info_view'
+  | 'credentials_regenerate'
+  | 'playground_request'
+  | 'import'
+  | 'decommission';
+
+export type AuditEvent = {
+  id: string;
+  tenant_name: string;
+  version: string | null;
+  action: AuditAction;
+  actor: string;
+  timestamp: string;
+  summary: string;
+  from_status: string | null;
+  to_status: string | null;
+  env: HubEnv | null;
+};
+
+export type AuditEventInput = {
+  tenantName: string;
+  version?: string | null;
+  action: AuditAction;
+  actor: string;
+  summary: string;
+  fromStatus?: string | null;
+  toStatus?: string | null;
+  env?: HubEnv | null;
+};
+
+export type AuditQuery = {
+  tenantName?: string;
+  actor?: string;
+  action?: AuditAction;
+  since?: string;
+  until?: string;
+  limit?: number;
+};
+
+export type FieldChange = {
+  field: string;
+  label: string;
+  before: unknown;
+  after: unknown;
+  added?: string[];
+  removed?: string[];
+  summary: string;
+};
+
+export type TfvarsDiffLine = {
+  number: number;
+  text: string;
+};
+
+export type TfvarsDiffRow = {
+  kind: 'same' | 'added' | 'removed' | 'changed';
+  left: TfvarsDiffLine | null;
+  right: TfvarsDiffLine | null;
+};
+
+export type TfvarsDiff = {
+  added: number;
+  removed: number;
+  rows: TfvarsDiffRow[];
+};
+
+export type VersionDiff = {
+  tenant_name: string;
+  from: { version: string; status: string };
+  to: { version: string; status: string };
+  fields: FieldChange[];
+  tfvars: Partial<Record<HubEnv, TfvarsDiff>>;
+};
+
+/** One rule of a deployment's content filter; see the foundry-project module's variables. */
+export type ContentFilterRule = {
+  name: string;
+  severity_threshold: string;
+  blocking?: boolean;
+  enabled?: boolean;
+  source: string;
+};
+
+export type ContentFilter = {
+  base_policy_name: string;
+  filters: ContentFilterRule[];
+};
+
+export type ModelDeployment = {
+  name: string;
+  model_name: string;
+  model_version: string;
+  scale_type: string;
+  capacity: number;
+  /** Omitted for the `Microsoft.DefaultV2` policy without custom filters. */
+  content_filter?: ContentFilter;
 };
 
 export type TenantFormData = {
@@ -120,10 +361,171 @@ export type TenantFormData = {
   write_users: string[];
   read_users: string[];
   form_version?: string;
+  /** Environments switched off by an approved or pending decommission request. */
+  disabled_environments?: HubEnv[];
+  /**
+   * Imported deployments that no model family and capacity tier reproduce, kept as
+   * they were and generated after the families' deployments.
+   */
+  custom_model_deployments?: ModelDeployment[];
 };
 
 export type HubEnv = 'dev' | 'test' | 'prod';
 
+export type FormMigrationChange = {
+  /** The form version whose migration made the change. */
+  version: string;
+  field: string;
+  description: string;
+};
+
+export type FormMigrationResult = {
+  /** The stored form version; `''` for records from before versioning. */
+  from_version: string;
+  to_version: string;
+  form_data: Record<string, unknown>;
+  changes: FormMigrationChange[];
+};
+
+export type FormMigrationStatus = 'current' | 'migrates' | 'fails';
+
+export type FormMigrationPlanItem = {
+  tenant_name: string;
+  version: string;
+  form_version: string;
+  status: FormMigrationStatus;
+  changes: FormMigrationChange[];
+  /** Why the migrated form still fails validation, for `fails`. */
+  error?: string;
+};
+
+export type TenantImportStatus = 'imported' | 'would_import' | 'skipped' | 'failed';
+
+export type TenantImportResult = {
+  source: string;
+  /** `null` when the files could not be read. */
+  tenant_name: string | null;
+  status: TenantImportStatus;
+  /** The registered version, for `imported` results. */
+  version?: string;
+  /** Why the source was skipped or failed. */
+  message?: string;
+  /** Environments whose source file differs from the tfvars the portal generates. */
+  differs?: HubEnv[];
+};
+
+export type TenantExportFormat = 'json' | 'csv';
+
+/**
+ * How a committed tfvars attribute differs from the portal's generated output:
+ * `added` exists only in the repo, `removed` only in the generated tfvars.
+ */
+export type TfvarsDriftKind = 'added' | 'removed' | 'changed';
+
+export type TfvarsDriftChange = {
+  /** Attribute path, e.g. `tenant.openai.model_deployments[gpt-4.1].capacity`. */
+  path: string;
+  kind: TfvarsDriftKind;
+  /** The generated value; absent for `added`. */
+  expected?: unknown;
+  /** The committed value; absent for `removed`. */
+  actual?: unknown;
+};
+
+export type EnvDriftStatus = 'in_sync' | 'drifted' | 'missing' | 'unreadable';
+
+export type EnvDrift = {
+  env: HubEnv;
+  status: EnvDriftStatus;
+  changes: TfvarsDriftChange[];
+  /** Why a committed file could not be read, for `unreadable`. */
+  error?: string;
+};
+
+export type TenantDrift = {
+  tenant_name: string;
+  /** The latest approved version the committed files are compared against. */
+  version: string;
+  drifted: boolean;
+  /** Set while the approved version's pull request has not been merged. */
+  pull_request_state: PullRequestState | null;
+  envs: EnvDrift[];
+};
+
+export type DriftReport = {
+  checked_at: string;
+  tenants: TenantDrift[];
+  /** Tenant folders in the repo that the portal has no approved version for. */
+  untracked: string[];
+};
+
+export type TenantExportRow = {
+  tenant_name: string;
+  display_name: string;
+  ministry: string;
+  department: string;
+  version: string;
+  status: string;
+  submitted_by: string;
+  reviewed_by: string;
+  created_at: string;
+  updated_at: string;
+  services: string;
+  model_families: string;
+  capacity_tier: string;
+  admin_users: string;
+  write_users: string;
+  read_users: string;
+  pull_request_url: string;
+};
+
+/** The form fields that change a tenant's deployed capacity or cost. */
+export type CostEstimateInput = Pick<
+  TenantFormData,
+  | 'openai_enabled'
+  | 'ai_search_enabled'
+  | 'cosmos_db_enabled'
+  | 'document_intelligence_enabled'
+  | 'model_families'
+  | 'capacity_tier'
+>;
+
+export type CostRange = {
+  low: number;
+  high: number;
+};
+
+export type CostEstimateService = 'openai' | 'ai_search' | 'cosmos_db' | 'document_intelligence';
+
+export type DeploymentEstimate = {
+  name: string;
+  model_name: string;
+  scale_type: string;
+  capacity: number;
+  /** Tokens per minute the deployment allows in each environment. */
+  tpm: Record<HubEnv, number>;
+};
+
+export type ServiceCostEstimate = {
+  service: CostEstimateService;
+  label: string;
+  enabled: boolean;
+  /** How the range was worked out, for display next to the numbers. */
+  basis: string;
+  monthly: Record<HubEnv, CostRange>;
+  total: CostRange;
+};
+
+export type CostEstimate = {
+  currency: string;
+  rate_card_version: string;
+  capacity_tier: string;
+  deployments: DeploymentEstimate[];
+  services: ServiceCostEstimate[];
+  monthly: Record<HubEnv, CostRange>;
+  total: CostRange;
+};
+
 export interface ApimEnvCredentials {
   tenant_name: string;
   env: HubEnv;
@@ -132,6 +534,26 @@ export interface ApimEnvCredentials {
   rotation: Record<string, unknown> | null;
 }
 
+export type ApimKeySlot = 'primary' | 'secondary';
+
+/**
+ * The `{tenant}-apim-rotation-metadata` secret, shared with the scheduled
+ * `jobs/apim-key-rotation` job. The portal adds `rotated_by`.
+ */
+export type ApimRotationMetadata = {
+  last_rotated_slot: ApimKeySlot | 'none';
+  last_rotation_at: string;
+  next_rotation_at: string;
+  rotation_number: number;
+  /** The slot left untouched by the last rotation, which clients should be using. */
+  safe_slot: ApimKeySlot;
+  rotated_by?: string;
+};
+
+export type ApimKeyRegeneration = ApimEnvCredentials & {
+  regenerated_slot: ApimKeySlot;
+};
+
 export interface RawApimTenantInfoModel {
   name: string;
   model_name?: string;
@@ -194,3 +616,98 @@ export interface ApimTenantInfoResponse {
   models: ApimTenantInfoModel[];
   services: Record<string, ApimTenantInfoService>;
 }
+
+export type PlaygroundOperation = 'chat' | 'embeddings';
+
+export type PlaygroundMessage = {
+  role: 'system' | 'user' | 'assistant';
+  content: string;
+};
+
+export type PlaygroundRequest = {
+  env: HubEnv;
+  /** A deployment from the tenant-info models, without the tenant prefix. */
+  deployment: string;
+  operation: PlaygroundOperation;
+  /** Chat messages; empty for embeddings. */
+  messages: PlaygroundMessage[];
+  /** Embeddings input; empty for chat. */
+  input: string;
+  max_tokens: number;
+  temperature: number;
+  stream: boolean;
+};
+
+export type PlaygroundUsage = {
+  prompt_tokens: number;
+  completion_tokens: number | null;
+  total_tokens: number;
+};
+
+/**
+ * One line of the playground's NDJSON response: the upstream status and headers
+ * first, then the body as it arrives, then a summary (or an error).
+ */
+export type PlaygroundEvent =
+  | { type: 'response'; status: number; url: string; headers: Record<string, string> }
+  | { type: 'chunk'; data: string }
+  | { type: 'done'; duration_ms: number; usage: PlaygroundUsage | null }
+  | { type: 'error'; message: string };
+
+export type UsageRange = '24h' | '7d' | '30d';
+
+/** One deployment's usage in one time bucket, as the upstream usage API reports it. */
+export type UsageSample = {
+  /** Start of the bucket. */
+  timestamp: string;
+  deployment: string;
+  prompt_tokens: number;
+  completion_tokens: number;
+  total_tokens: number;
+  requests: number;
+  /** Requests the gateway rejected with 429. */
+  throttled_requests: number;
+  /** Busiest minute in the bucket, when the upstream tracks it. */
+  peak_tokens_per_minute?: number;
+};
+
+export type UsageBucket = {
+  start: string;
+  total_tokens: number;
+  requests: number;
+  throttled_requests: number;
+  /** Tokens per minute averaged over the bucket. */
+  average_tpm: number;
+  /** Busiest minute, or the average when the upstream does not report it. */
+  peak_tpm: number;
+};
+
+export type UsageTotals = {
+  prompt_tokens: number;
+  completion_tokens: number;
+  total_tokens: number;
+  requests: number;
+  throttled_requests: number;
+};
+
+export type DeploymentUsage = {
+  deployment: string;
+  /** TPM of the approved configuration in this environment; `null` if not configured. */
+  capacity_tpm: number | null;
+  totals: UsageTotals;
+  peak_tpm: number;
+  /** `peak_tpm` as a fraction of `capacity_tpm`. */
+  peak_utilization: number | null;
+  buckets: UsageBucket[];
+};
+
+export type TenantUsageReport = {
+  tenant_name: string;
+  env: HubEnv;
+  range: UsageRange;
+  bucket_minutes: number;
+  from: string;
+  to: string;
+  totals: UsageTotals;
+  deployments: DeploymentUsage[];
+};
@@ -0,0 +1,206 @@
+import { createServer } from 'node:http';
+import type { IncomingMessage } from 'node:http';
+
+import { afterEach, expect, test } from 'vitest';
+import request from 'supertest';
+import type { Response } from 'supertest';
+
+import { InMemoryKeyStore } from '../src/services/hub-key-store';
+import type { PlaygroundEvent } from '../src/types';
+import { createTestApp } from './helpers/test-app';
+
+const TENANT_PAYLOAD = {
+  project_name: 'alpha-demo',
+  display_name: 'Alpha Demo',
+  ministry: 'CITZ',
+  department: 'Digital Office',
+  admin_users: ['dev.user@gov.bc.ca'],
+};
+
+const cleanups: Array<() => void> = [];
+
+afterEach(() => {
+  while (cleanups.length) cleanups.pop()?.();
+  delete process.env.PORTAL_APIM_GATEWAY_URL_DEV;
+});
+
+type GatewayCall = { url: string; apiKey: string; body: Record<string, unknown> };
+
+/**
+ * Starts a fake APIM gateway that answers chat requests as JSON, or as server-sent
+ * events in several writes when the request asks to stream.
+ *
+ * @returns The gateway base URL and the calls it received.
+ */
+async function startGateway(): Promise<{ url: string; calls: GatewayCall[] }> {
+  const calls: GatewayCall[] = [];
+  const server = createServer((req: IncomingMessage, res) => {
+    let raw = '';
+    req.on('data', (chunk) => (raw += chunk));
+    req.on('end', () => {
+      const body = JSON.parse(raw) as Record<string, unknown>;
+      calls.push({ url: req.url ?? '', apiKey: String(req.headers['api-key']), body });
+      if (!body.stream) {
+        res.writeHead(200, {
+          'Content-Type': 'application/json',
+          'Set-Cookie': 'affinity=abc',
+          'x-ratelimit-remaining-tokens': '9990',
+        });
+        res.end(
+          JSON.stringify({
+            choices: [{ message: { role: 'assistant', content: 'Hello!' } }],
+            usage: { prompt_tokens: 8, completion_tokens: 2, total_tokens: 10 },
+          }),
+        );
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write('data: {"choices":[{"delta":{"content":"Hel"}}],"usage":null}\n\n');
+      setTimeout(() => {
+        res.write('data: {"choices":[{"delta":{"content":"lo"}}],"usage":null}\n\n');
+        res.write(
+          'data: {"choices":[],"usage":{"prompt_tokens":8,"completion_tokens":2,"total_tokens":10}}\n\n',
+        );
+        res.end('data: [DONE]\n\n');
+      }, 20);
+    });
+  });
+  await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+  cleanups.push(() => server.close());
+  const address = server.address() as { port: number };
+  return { url: `http://127.0.0.1:${address.port}`, calls };
+}
+
+/**
+ * Collects an NDJSON response body as text.
+ *
+ * @param res - The raw response, a Node.js message stream.
+ * @param callback - Receives the collected body.
+ */
+function collectText(res: unknown, callback: (err: Error | null, body: string) => void) {
+  const stream = res as IncomingMessage;
+  let text = '';
+  stream.setEncoding('utf8');
+  stream.on('data', (chunk: string) => (text += chunk));
+  stream.on('end', () => callback(null, text));
+}
+
+/**
+ * Parses the playground's NDJSON response into events.
+ *
+ * @param response - The supertest response with a text body.
+ * @returns The events in order.
+ */
+function events(response: Response): PlaygroundEvent[] {
+  return (response.body as string)
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => JSON.parse(line) as PlaygroundEvent);
+}
+
+test('playground proxies chat through the gateway with the key added server-side', async () => {
+  const gateway = await startGateway();
+  process.env.PORTAL_APIM_GATEWAY_URL_DEV = gateway.url;
+  const app = await createTestApp({
+    hubKeyStores: {
+      dev: new InMemoryKeyStore({
+        'alpha-demo-apim-primary-key': 'primary-secret',
+        'alpha-demo-apim-secondary-key': 'secondary-secret',
+      }),
+    },
+  });
+
+  try {
+    const agent = request.agent(app.getHttpServer());
+    await agent.post('/api/tenants').send(TENANT_PAYLOAD).expect(201);
+    const send = (body: Record<string, unknown>) =>
+      agent.post('/api/tenants/alpha-demo/playground').send(body).buffer(true).parse(collectText);
+
+    const chat = {
+      env: 'dev',
+      deployment: 'gpt-4o',
+      operation: 'chat',
+      messages: [
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'Say hello' },
+      ],
+      max_tokens: 50,
+    };
+    await send(chat).expect(409);
+    await agent.post('/api/admin/approve/alpha-demo/v1').send({}).expect(201);
+    await send({ ...chat, deployment: '../admin' }).expect(422);
+    await send({ ...chat, env: 'qa' }).expect(422);
+    await send({ ...chat, env: 'test' }).expect(503);
+
+    const plain = await send(chat).expect(200);
+    expect(plain.headers['content-type']).toContain('application/x-ndjson');
+    expect(plain.body).not.toContain('primary-secret');
+    const [response, ...rest] = events(plain);
+    expect(response).toMatchObject({
+      type: 'response',
+      status: 200,
+      url: `${gateway.url}/alpha-demo/openai/deployments/gpt-4o/chat/completions?api-version=2024-10-21`,
+      headers: { 'x-ratelimit-remaining-tokens': '9990' },
+    });
+    expect(response.type === 'response' && response.headers).not.toHaveProperty('set-cookie');
+    expect(rest.at(-1)).toMatchObject({
+      type: 'done',
+      usage: { prompt_tokens: 8, completion_tokens: 2, total_tokens: 10 },
+    });
+    expect(gateway.calls[0]).toMatchObject({
+      url: '/alpha-demo/openai/deployments/gpt-4o/chat/completions?api-version=2024-10-21',
+      apiKey: 'primary-secret',
+      body: { max_tokens: 50, temperature: 0.7 },
+    });
+
+    const streamed = await send({ ...chat, deployment: 'gpt-5-mini', stream: true }).expect(200);
+    const chunks = events(streamed).filter((event) => event.type === 'chunk');
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.map((event) => event.type === 'chunk' && event.data).join('')).toContain(
+      'data: [DONE]',
+    );
+    expect(events(streamed).at(-1)).toMatchObject({ type: 'done', usage: { total_tokens: 10 } });
+    expect(gateway.calls[1].body).toEqual({
+      messages: chat.messages,
+      max_completion_tokens: 50,
+      stream: true,
+      stream_options: { include_usage: true },
+    });
+
+    const timeline = await agent.get('/api/tenants/alpha-demo/audit').expect(200);
+    expect(
+      (timeline.body.items as Array<{ action: string; summary: string }>)
+        .filter((event) => event.action === 'playground_request')
+        .map((event) => event.summary),
+    ).toEqual([
+      'Sent a dev chat request to gpt-5-mini (HTTP 200)',
+      'Sent a dev chat request to gpt-4o (HTTP 200)',
+    ]);
+  } finally {
+    await app.close();
+  }
+});
+
+test('playground reports when the environment has no APIM key', async () => {
+  const app = await createTestApp();
+  try {
+    const agent = request.agent(app.getHttpServer());
+    await agent.post('/api/tenants').send(TENANT_PAYLOAD).expect(201);
+    await agent.post('/api/admin/approve/alpha-demo/v1').send({}).expect(201);
+    await agent
+      .post('/api/tenants/alpha-demo/playground')
+      .send({ env: 'dev', deployment: 'text-embedding-3-small', operation: 'embeddings' })
+      .expect(422);
+    await agent
+      .post('/api/tenants/alpha-demo/playground')
+      .send({
+        env: 'dev',
+        deployment: 'text-embedding-3-small',
+        operation: 'embeddings',
+        input: 'hi',
+      })
+      .expect(503);
+  } finally {
+    await app.close();
+  }
+});
@@ -0,0 +1,337 @@
+import { afterEach, expect, test } from 'vitest';
+import request from 'supertest';
+
+import { getSettings, resetSettingsCache } from '../src/config/settings';
+import {
+  approveStage,
+  buildStageQueues,
+  closeStage,
+  currentStage,
+  isOverdue,
+  startApproval,
+} from '../src/services/approval-workflow';
+import { TENANT_STORE, type TenantStore } from '../src/storage/tenant-store';
+import type { ApprovalStageConfig, TenantRecord } from '../src/types';
+import { createTestApp } from './helpers/test-app';
+
+const ALL_REVIEWER_ROLES = 'portal-admin,portal-security-reviewer,portal-finance';
+
+const TENANT_PAYLOAD = {
+  project_name: 'alpha-demo',
+  display_name: 'Alpha Demo',
+  ministry: 'CITZ',
+  department: 'Digital Office',
+  model_families: ['gpt-4.1'],
+  capacity_tier: 'standard',
+};
+
+const STAGES: ApprovalStageConfig[] = [
+  {
+    id: 'security',
+    label: 'Security',
+    role: 'sec',
+    required_approvals: 2,
+    sla_hours: 24,
+    when: 'always',
+  },
+  {
+    id: 'finance',
+    label: 'Finance',
+    role: 'fin',
+    required_approvals: 1,
+    sla_hours: 48,
+    when: 'elevated',
+  },
+];
+
+const NOW = new Date('2026-05-01T12:00:00Z');
+
+function approved(formData: Record<string, unknown>): TenantRecord {
+  return {
+    PartitionKey: 'alpha-demo',
+    RowKey: 'v1',
+    DisplayName: 'Alpha Demo',
+    Ministry: 'CITZ',
+    FormData: formData,
+    Status: 'approved',
+    SubmittedBy: 'dev.user@gov.bc.ca',
+    CreatedAt: '2026-04-01T00:00:00Z',
+  };
+}
+
+afterEach(() => {
+  delete process.env.PORTAL_APPROVAL_STAGES;
+  resetSettingsCache();
+});
+
+test('only elevated tiers and prod capacity increases need the pipeline', () => {
+  const standard = { model_families: ['gpt-4.1'], capacity_tier: 'standard' };
+  expect(startApproval(STAGES, standard, null, NOW)).toBeNull();
+  expect(startApproval(STAGES, standard, approved(standard), NOW)).toBeNull();
+
+  const elevated = startApproval(STAGES, { ...standard, capacity_tier: 'elevated' }, null, NOW);
+  expect(elevated?.reason).toContain('Elevated');
+  expect(elevated?.stages.map((stage) => [stage.id, stage.status])).toEqual([
+    ['security', 'pending'],
+    ['finance', 'waiting'],
+  ]);
+  expect(elevated?.stages[0]).toMatchObject({
+    started_at: '2026-05-01T12:00:00.000Z',
+    due_by: '2026-05-02T12:00:00.000Z',
+  });
+
+  const raised = startApproval(
+    STAGES,
+    { ...standard, model_families: ['gpt-4.1', 'gpt-4o'] },
+    approved(standard),
+    NOW,
+  );
+  expect(raised?.reason).toBe('Raises prod model capacity from 3300 to 5100 over v1');
+  expect(raised?.stages.map((stage) => stage.id)).toEqual(['security']);
+});
+
+test('stages complete after their required approvals and open the next stage', () => {
+  const workflow = startApproval(STAGES, { capacity_tier: 'elevated' }, null, NOW);
+  if (!workflow) throw new Error('expected a workflow');
+
+  const first = approveStage(workflow, 'a@gov.bc.ca', '', NOW);
+  expect(first.complete).toBe(false);
+  expect(currentStage(first.workflow)?.approvals).toHaveLength(1);
+  expect(workflow.stages[0].approvals).toHaveLength(0);
+
+  const later = new Date('2026-05-03T00:00:00Z');
+  expect(isOverdue(currentStage(first.workflow)!, later)).toBe(true);
+  const second = approveStage(first.workflow, 'b@gov.bc.ca', 'ok', later);
+  expect(second.workflow.stages[0]).toMatchObject({
+    status: 'approved',
+    completed_at: later.toISOString(),
+  });
+  expect(currentStage(second.workflow)).toMatchObject({
+    id: 'finance',
+    due_by: '2026-05-05T00:00:00.000Z',
+  });
+
+  const final = approveStage(second.workflow, 'c@gov.bc.ca', '', later);
+  expect(final.complete).toBe(true);
+  expect(currentStage(final.workflow)).toBeUndefined();
+  expect(() => approveStage(final.workflow, 'd@gov.bc.ca', '', later)).toThrow();
+
+  const closed = closeStage(second.workflow, 'changes_requested', later);
+  expect(closed.stages.map((stage) => stage.status)).toEqual(['approved', 'changes_requested']);
+  expect(currentStage(closed)).toBeUndefined();
+});
+
+test('stage queues group pending versions and flag overdue items', () => {
+  const workflow = startApproval(STAGES, { capacity_tier: 'elevated' }, null, NOW);
+  const pending: TenantRecord[] = [
+    { ...approved({}), RowKey: 'v2', Status: 'submitted', Approval: workflow ?? undefined },
+    { ...approved({}), PartitionKey: 'plain', Status: 'submitted' },
+  ];
+
+  const queues = buildStageQueues(STAGES, pending, new Date('2026-05-03T00:00:00Z'));
+  expect(queues.map((queue) => [queue.id, queue.items.length])).toEqual([
+    ['security', 1],
+    ['finance', 0],
+  ]);
+  expect(queues[0].items[0]).toMatchObject({
+    tenant_name: 'alpha-demo',
+    version: 'v2',
+    overdue: true,
+    approvals: 0,
+    required_approvals: 2,
+  });
+});
+
+test('approval stages are read from PORTAL_APPROVAL_STAGES', () => {
+  process.env.PORTAL_APPROVAL_STAGES = JSON.stringify([
+    { id: 'security', role: 'sec', sla_hours: 8 },
+  ]);
+  resetSettingsCache();
+  expect(getSettings().approvalStages).toEqual([
+    {
+      id: 'security',
+      label: 'security',
+      role: 'sec',
+      required_approvals: 1,
+      sla_hours: 8,
+      when: 'always',
+    },
+  ]);
+
+  process.env.PORTAL_APPROVAL_STAGES = JSON.stringify([{ id: 'security', role: 'sec' }]);
+  resetSettingsCache();
+  expect(() => getSettings()).toThrow('sla_hours');
+});
+
+test('an elevated request passes security, platform, and finance before it is approved', async () => {
+  const app = await createTestApp({ mockUserRoles: ALL_REVIEWER_ROLES });
+
+  try {
+    const agent = request.agent(app.getHttpServer());
+    const created = await agent
+      .post('/api/tenants')
+      .send({ ...TENANT_PAYLOAD, capacity_tier: 'elevated' })
+      .expect(201);
+    expect(currentStage(created.body.tenant.Approval)?.id).toBe('security');
+
+    const dashboard = await agent.get('/api/admin/dashboard').expect(200);
+    expect(
+      dashboard.body.stages.map((queue: { id: string; items: unknown[] }) => [
+        queue.id,
+        queue.items.length,
+      ]),
+    ).toEqual([
+      ['security', 1],
+      ['platform', 0],
+      ['finance', 0],
+    ]);
+    expect(dashboard.body.stages[0].items[0]).toMatchObject({ version: 'v1', overdue: false });
+
+    const security = await agent.post('/api/admin/approve/alpha-demo/v1').send({}).expect(201);
+    expect(security.body).toMatchObject({ status: 'submitted', pull_request: null });
+    await agent.post('/api/admin/approve/alpha-demo/v1').send({}).expect(201);
+    const finance = await agent
+      .post('/api/admin/approve/alpha-demo/v1')
+      .send({ review_notes: 'Budget confirmed' })
+      .expect(201);
+    expect(finance.body.status).toBe('approved');
+    expect(finance.body.approval.stages.map((stage: { status: string }) => stage.status)).toEqual([
+      'approved',
+      'approved',
+      'approved',
+    ]);
+
+    await agent.post('/api/admin/approve/alpha-demo/v1').send({}).expect(409);
+    const audit = await agent.get('/api/admin/audit?action=approve').expect(200);
+    expect(audit.body.items.map((event: { summary: string }) => event.summary)).toEqual([
+      'Approved v1 (Finance sign-off): Budget confirmed',
+      'Approved v1 (Platform review)',
+      'Approved v1 (Ministry security review)',
+    ]);
+  } finally {
+    await app.close();
+  }
+});
+
+test('stage roles gate decisions and one reviewer counts once per stage', async () => {
+  process.env.PORTAL_APPROVAL_STAGES = JSON.stringify([
+    { id: 'security', role: 'portal-security-reviewer', required_approvals: 2, sla_hours: 72 },
+  ]);
+  const app = await createTestApp();
+
+  try {
+    const agent = request.agent(app.getHttpServer());
+    const session = await agent.get('/api/session').expect(200);
+    expect(session.body).toMatchObject({ isAdmin: true, isReviewer: true });
+
+    await agent
+      .post('/api/tenants')
+      .send({ ...TENANT_PAYLOAD, capacity_tier: 'elevated' })
+      .expect(201);
+    const denied = await agent.post('/api/admin/approve/alpha-demo/v1').send({}).expect(403);
+    expect(denied.body.message).toContain('portal-security-reviewer');
+    await agent.post('/api/admin/reject/alpha-demo/v1').send({}).expect(403);
+  } finally {
+    await app.close();
+  }
+
+  const reviewerApp = await createTestApp({ mockUserRoles: 'portal-security-reviewer' });
+  try {
+    const agent = request.agent(reviewerApp.getHttpServer());
+    const session = await agent.get('/api/session').expect(200);
+    expect(session.body).toMatchObject({ isAdmin: false, isReviewer: true });
+    await agent.get('/api/admin/audit').expect(403);
+
+    await agent.post('/api/tenants').send(TENANT_PAYLOAD).expect(201);
+    await agent.post('/api/admin/approve/alpha-demo/v1').send({}).expect(403);
+
+    await agent
+      .put('/api/tenants/alpha-demo')
+      .send({ ...TENANT_PAYLOAD, capacity_tier: 'elevated' })
+      .expect(200);
+    await agent.post('/api/admin/approve/alpha-demo/v2').send({}).expect(201);
+    const again = await agent.post('/api/admin/approve/alpha-demo/v2').send({}).expect(409);
+    expect(again.body.message).toContain('already approved');
+  } finally {
+    await reviewerApp.close();
+  }
+});
+
+test('requesting changes returns the version to its submitter for a new revision', async () => {
+  const app = await createTestApp({ mockUserRoles: ALL_REVIEWER_ROLES });
+
+  try {
+    const agent = request.agent(app.getHttpServer());
+    await agent
+      .post('/api/tenants')
+      .send({ ...TENANT_PAYLOAD, capacity_tier: 'elevated' })
+      .expect(201);
+    await agent.post('/api/admin/approve/alpha-demo/v1').send({}).expect(201);
+
+    const result = await agent
+      .post('/api/admin/request-changes/alpha-demo/v1')
+      .send({ review_notes: 'Justify the elevated tier' })
+      .expect(201);
+    expect(result.body).toEqual({ status: 'changes_requested' });
+
+    const detail = await agent.get('/api/tenants/alpha-demo').expect(200);
+    expect(detail.body.tenant).toMatchObject({
+      Status: 'changes_requested',
+      ReviewNotes: 'Justify the elevated tier',
+    });
+    expect(
+      detail.body.tenant.Approval.stages.map((stage: { status: string }) => stage.status),
+    ).toEqual(['approved', 'changes_requested', 'waiting']);
+    await agent.post('/api/admin/request-changes/alpha-demo/v1').send({}).expect(409);
+    await agent.post('/api/admin/approve/alpha-demo/v1').send({}).expect(409);
+
+    const audit = await agent.get('/api/admin/audit?action=request_changes').expect(200);
+    expect(audit.body.items[0]).toMatchObject({
+      summary: 'Requested changes to v1 (Platform review): Justify the elevated tier',
+      from_status: 'submitted',
+      to_status: 'changes_requested',
+    });
+
+    const revised = await agent.put('/api/tenants/alpha-demo').send(TENANT_PAYLOAD).expect(200);
+    expect(revised.body.tenant).toMatchObject({ RowKey: 'v2', Status: 'submitted' });
+    expect(revised.body.tenant.Approval).toBeUndefined();
+    await agent.post('/api/admin/approve/alpha-demo/v2').send({}).expect(201);
+  } finally {
+    await app.close();
+  }
+});
+
+test('decisions need a submitted version and never overwrite a concurrent sign-off', async () => {
+  process.env.PORTAL_APPROVAL_STAGES = JSON.stringify([
+    { id: 'security', role: 'portal-admin', required_approvals: 2, sla_hours: 72 },
+  ]);
+  const app = await createTestApp();
+
+  try {
+    const agent = request.agent(app.getHttpServer());
+    const missing = await agent.post('/api/admin/approve/alpha-demo/v9').send({}).expect(404);
+    expect(missing.body.message).toBe('Request not found');
+    await agent.post('/api/admin/reject/alpha-demo/v9').send({}).expect(404);
+
+    await agent
+      .post('/api/tenants')
+      .send({ ...TENANT_PAYLOAD, capacity_tier: 'elevated' })
+      .expect(201);
+    const store = app.get<TenantStore>(TENANT_STORE);
+    const read = (await store.getVersion('alpha-demo', 'v1'))?.Approval;
+    if (!read) throw new Error('expected an approval workflow');
+    const other = approveStage(read, 'other.reviewer@gov.bc.ca', '').workflow;
+    expect(await store.updateApproval('alpha-demo', 'v1', other, read)).toBe(true);
+    const lost = approveStage(read, 'dev.user@gov.bc.ca', '').workflow;
+    expect(await store.updateApproval('alpha-demo', 'v1', lost, read)).toBe(false);
+    expect((await store.getVersion('alpha-demo', 'v1'))?.Approval).toEqual(other);
+
+    const approvedNow = await agent.post('/api/admin/approve/alpha-demo/v1').send({}).expect(201);
+    expect(approvedNow.body.status).toBe('approved');
+    const again = await agent.post('/api/admin/reject/alpha-demo/v1').send({}).expect(409);
+    expect(again.body.message).toBe('Request is not awaiting review');
+    await agent.post('/api/admin/approve/alpha-demo/v1').send({}).expect(409);
+  } finally {
+    await app.close();
+  }
+});
@@ -0,0 +1,96 @@
+import { beforeEach, expect, test, vi } from 'vitest';
+import request from 'supertest';
+
+import { HubKeyVaultService } from '../src/services/hub-keyvault.service';
+import { AuditStoreService } from '../src/storage/audit-store.service';
+import { createTestApp } from './helpers/test-app';
+
+const TENANT_PAYLOAD = {
+  project_name: 'alpha-demo',
+  display_name: 'Alpha Demo',
+  ministry: 'CITZ',
+  department: 'Digital Office',
+};
+
+beforeEach(() => {
+  process.env.PORTAL_TABLE_STORAGE_CONNECTION_STRING = '';
+  process.env.PORTAL_TABLE_STORAGE_ACCOUNT_URL = '';
+  AuditStoreService.resetInMemoryStore();
+});
+
+test('audit store appends events and filters them newest first', async () => {
+  const store = new AuditStoreService();
+  await store.record({ tenantName: 'a', action: 'create', actor: 'x@gov.bc.ca', summary: 'one' });
+  await store.record({ tenantName: 'b', action: 'create', actor: 'y@gov.bc.ca', summary: 'two' });
+  const last = await store.record({
+    tenantName: 'a',
+    version: 'v1',
+    action: 'approve',
+    actor: 'y@gov.bc.ca',
+    summary: 'three',
+    fromStatus: 'submitted',
+    toStatus: 'approved',
+  });
+
+  expect(last).toMatchObject({ version: 'v1', from_status: 'submitted', env: null });
+  expect((await store.list()).map((event) => event.summary)[0]).toBe('three');
+  expect((await store.list({ tenantName: 'a' })).map((event) => event.summary)).toEqual([
+    'three',
+    'one',
+  ]);
+  expect((await store.list({ actor: 'y@gov.bc.ca', action: 'create' }))[0].summary).toBe('two');
+  expect(await store.list({ since: new Date(Date.now() + 60_000).toISOString() })).toEqual([]);
+  expect(await store.list({ limit: 1 })).toHaveLength(1);
+});
+
+test('request lifecycle and credential reveals are recorded with status changes', async () => {
+  const app = await createTestApp();
+  vi.spyOn(app.get(HubKeyVaultService), 'getTenantApimKeys').mockResolvedValue({
+    tenant_name: 'alpha-demo',
+    env: 'dev',
+    primary_key: 'primary',
+    secondary_key: 'secondary',
+    rotation: null,
+  });
+
+  try {
+    const agent = request.agent(app.getHttpServer());
+    await agent.post('/api/tenants').send(TENANT_PAYLOAD).expect(201);
+    await agent.post('/api/admin/reject/alpha-demo/v1').send({ review_notes: 'Add AI Search' });
+    await agent
+      .put('/api/tenants/alpha-demo')
+      .send({ ...TENANT_PAYLOAD, ai_search_enabled: true })
+      .expect(200);
+    await agent.post('/api/admin/approve/alpha-demo/v2').send({}).expect(201);
+    await agent.get('/api/tenants/alpha-demo/credentials?env=dev').expect(200);
+
+    const timeline = await agent.get('/api/tenants/alpha-demo/audit').expect(200);
+    const events = timeline.body.items as Array<Record<string, unknown>>;
+    expect(events.map((event) => event.action)).toEqual([
+      'credentials_view',
+      'approve',
+      'edit',
+      'reject',
+      'create',
+    ]);
+    expect(events.every((event) => event.actor === 'dev.user@gov.bc.ca')).toBe(true);
+    expect(events[3]).toMatchObject({
+      version: 'v1',
+      from_status: 'submitted',
+      to_status: 'rejected',
+      summary: 'Rejected v1: Add AI Search',
+    });
+    expect(events[2].summary).toBe('Submitted v2: AI Search: Enabled');
+    expect(events[2].from_status).toBe('rejected');
+    expect(events[0]).toMatchObject({ env: 'dev', summary: 'Revealed dev APIM keys' });
+
+    const filtered = await agent.get('/api/admin/audit?action=approve&tenant=alpha-demo');
+    expect(filtered.body.items).toHaveLength(1);
+    expect(filtered.body.items[0].version).toBe('v2');
+
+    await agent.get('/api/admin/audit?action=delete').expect(400);
+    await agent.get('/api/admin/audit?since=yesterday').expect(400);
+  } finally {
+    await app.close();
+  }
+});
@@ -0,0 +1,106 @@
+import { expect, test } from 'vitest';
+import request from 'supertest';
+
+import { estimateTenantCost } from '../src/services/cost-estimator';
+import type { CostEstimateInput } from '../src/types';
+import { createTestApp } from './helpers/test-app';
+
+const INPUT: CostEstimateInput = {
+  openai_enabled: true,
+  ai_search_enabled: true,
+  cosmos_db_enabled: false,
+  document_intelligence_enabled: false,
+  model_families: ['gpt-5'],
+  capacity_tier: 'standard',
+};
+
+test('deployments report the tfvars capacity as TPM in every environment', () => {
+  const estimate = estimateTenantCost(INPUT);
+  expect(estimate.deployments).toEqual([
+    {
+      name: 'gpt-5-mini',
+      model_name: 'gpt-5-mini',
+      scale_type: 'GlobalStandard',
+      capacity: 100,
+      tpm: { dev: 100_000, test: 100_000, prod: 100_000 },
+    },
+    {
+      name: 'gpt-5-nano',
+      model_name: 'gpt-5-nano',
+      scale_type: 'GlobalStandard',
+      capacity: 1500,
+      tpm: { dev: 1_500_000, test: 1_500_000, prod: 1_500_000 },
+    },
+  ]);
+
+  const elevated = estimateTenantCost({ ...INPUT, capacity_tier: 'elevated' });
+  expect(elevated.deployments.map((deployment) => deployment.tpm.prod)).toEqual([
+    200_000, 3_000_000,
+  ]);
+});
+
+test('monthly costs follow the rate card per service and environment', () => {
+  const estimate = estimateTenantCost(INPUT);
+  const byService = Object.fromEntries(
+    estimate.services.map((service) => [service.service, service]),
+  );
+
+  expect(byService.openai.monthly).toEqual({
+    dev: { low: 2.41, high: 24.09 },
+    test: { low: 4.82, high: 48.18 },
+    prod: { low: 24.09, high: 240.9 },
+  });
+  expect(byService.ai_search.total).toEqual({ low: 221.19, high: 221.19 });
+  expect(byService.cosmos_db).toMatchObject({ enabled: false, total: { low: 0, high: 0 } });
+  expect(estimate.monthly.prod).toEqual({ low: 97.82, high: 314.63 });
+  expect(estimate.total).toEqual({ low: 252.51, high: 534.36 });
+
+  const documents = estimateTenantCost({
+    ...INPUT,
+    openai_enabled: false,
+    ai_search_enabled: false,
+    cosmos_db_enabled: true,
+    document_intelligence_enabled: true,
+  });
+  expect(documents.deployments).toEqual([]);
+  expect(documents.services.find((service) => service.service === 'openai')?.enabled).toBe(false);
+  expect(documents.monthly.prod).toEqual({ low: 33.61, high: 264.65 });
+  expect(documents.monthly.dev).toEqual({ low: 24.61, high: 84.65 });
+});
+
+test('the estimate endpoint accepts partial forms and the review page includes it', async () => {
+  const app = await createTestApp();
+
+  try {
+    const agent = request.agent(app.getHttpServer());
+    const preview = await agent
+      .post('/api/cost-estimate')
+      .send({ model_families: ['gpt-5'], ai_search_enabled: true })
+      .expect(200);
+    expect(preview.body).toMatchObject({
+      currency: 'USD',
+      capacity_tier: 'standard',
+      total: { low: 252.51, high: 534.36 },
+    });
+    await agent
+      .post('/api/cost-estimate')
+      .send({ model_families: ['gpt-9'] })
+      .expect(422);
+    await agent.post('/api/cost-estimate').send({ capacity_tier: 'huge' }).expect(422);
+
+    await agent
+      .post('/api/tenants')
+      .send({
+        project_name: 'alpha-demo',
+        display_name: 'Alpha Demo',
+        ministry: 'CITZ',
+        model_families: ['gpt-5'],
+        ai_search_enabled: true,
+      })
+      .expect(201);
+    const review = await agent.get('/api/admin/review/alpha-demo/v1').expect(200);
+    expect(review.body.estimate).toEqual(preview.body);
+  } finally {
+    await app.close();
+  }
+});
@@ -0,0 +1,208 @@
+import { expect, test } from 'vitest';
+import request from 'supertest';
+
+import type { ApimKeyClient } from '../src/services/apim-key-client';
+import { InMemoryKeyStore } from '../src/services/hub-key-store';
+import { TENANT_STORE } from '../src/storage/tenant-store';
+import type { TenantStore } from '../src/storage/tenant-store';
+import { createTestApp } from './helpers/test-app';
+
+const TENANT_PAYLOAD = {
+  project_name: 'alpha-demo',
+  display_name: 'Alpha Demo',
+  ministry: 'CITZ',
+  department: 'Digital Office',
+};
+
+test('decommissioning one environment is reviewed and kept through later edits', async () => {
+  const app = await createTestApp();
+
+  try {
+    const agent = request.agent(app.getHttpServer());
+    await agent.post('/api/tenants').send(TENANT_PAYLOAD).expect(201);
+    await agent
+      .post('/api/tenants/alpha-demo/decommission')
+      .send({ environments: ['prod'] })
+      .expect(409);
+    await agent.post('/api/admin/approve/alpha-demo/v1').send({}).expect(201);
+    await agent.post('/api/tenants/alpha-demo/decommission').send({}).expect(422);
+    await agent
+      .post('/api/tenants/alpha-demo/decommission')
+      .send({ environments: ['staging'] })
+      .expect(422);
+
+    const decommissioned = await agent
+      .post('/api/tenants/alpha-demo/decommission')
+      .send({ environments: ['prod'] })
+      .expect(201);
+    expect(decommissioned.body.version).toBe('v2');
+    const tenant = decommissioned.body.tenant;
+    expect(tenant).toMatchObject({
+      Status: 'submitted',
+      FormData: { display_name: 'Alpha Demo', disabled_environments: ['prod'] },
+    });
+    expect(tenant.GeneratedTfvars.prod).toMatch(/enabled {6}= false/);
+    expect(tenant.GeneratedTfvars.test).toMatch(/enabled {6}= true/);
+
+    const pending = await agent.get('/api/admin/dashboard').expect(200);
+    expect(pending.body.pending.map((item: { RowKey: string }) => item.RowKey)).toEqual(['v2']);
+    const diff = await agent.get('/api/admin/diff/alpha-demo/v1/v2').expect(200);
+    expect(diff.body.fields).toEqual([
+      expect.objectContaining({
+        label: 'Decommissioned environments',
+        summary: 'Added prod',
+      }),
+    ]);
+
+    await agent.post('/api/admin/approve/alpha-demo/v2').send({}).expect(201);
+    await agent
+      .post('/api/tenants/alpha-demo/decommission')
+      .send({ environments: ['prod'] })
+      .expect(422);
+    const edited = await agent
+      .put('/api/tenants/alpha-demo')
+      .send({ ...TENANT_PAYLOAD, disabled_environments: [], ai_search_enabled: true })
+      .expect(200);
+    expect(edited.body.tenant.FormData.disabled_environments).toEqual(['prod']);
+    expect(edited.body.tenant.Archived).toBeUndefined();
+
+    const timeline = await agent.get('/api/tenants/alpha-demo/audit').expect(200);
+    expect(timeline.body.items).toContainEqual(
+      expect.objectContaining({
+        action: 'decommission',
+        summary: 'Submitted v2: decommission prod',
+      }),
+    );
+  } finally {
+    await app.close();
+  }
+});
+
+test('approving a decommission of every environment archives the tenant', async () => {
+  const app = await createTestApp();
+
+  try {
+    const agent = request.agent(app.getHttpServer());
+    await agent.post('/api/tenants').send(TENANT_PAYLOAD).expect(201);
+    await agent.post('/api/admin/approve/alpha-demo/v1').send({}).expect(201);
+    await agent
+      .post('/api/tenants/alpha-demo/decommission')
+      .send({ environments: ['dev', 'test', 'prod'] })
+      .expect(201);
+    expect((await agent.get('/api/tenants').expect(200)).body.items).toHaveLength(1);
+
+    await agent.post('/api/admin/approve/alpha-demo/v2').send({}).expect(201);
+
+    expect((await agent.get('/api/tenants').expect(200)).body.items).toEqual([]);
+    const dashboard = await agent.get('/api/admin/dashboard').expect(200);
+    expect(dashboard.body.all_tenants).toEqual([
+      expect.objectContaining({ PartitionKey: 'alpha-demo', RowKey: 'v2', Archived: true }),
+    ]);
+    await agent.put('/api/tenants/alpha-demo').send(TENANT_PAYLOAD).expect(409);
+    await agent
+      .post('/api/tenants/alpha-demo/decommission')
+      .send({ environments: ['prod'] })
+      .expect(409);
+
+    await agent.post('/api/tenants').send(TENANT_PAYLOAD).expect(409);
+    const archived = await agent.get('/api/tenants/alpha-demo').expect(200);
+    expect(archived.body.tenant).toMatchObject({ RowKey: 'v2', Archived: true });
+    expect(archived.body.versions).toHaveLength(2);
+
+    const store = app.get<TenantStore>(TENANT_STORE);
+    await store.rebuildIndexes();
+    expect(await store.listAccessibleByUser('dev.user@gov.bc.ca')).toEqual([]);
+    expect((await store.getCurrent('alpha-demo'))?.Archived).toBe(true);
+
+    await store.createRequest('alpha-demo', 'Alpha Demo', TENANT_PAYLOAD, {}, 'dev.user@gov.bc.ca');
+    expect(await store.getCurrent('alpha-demo')).toMatchObject({ RowKey: 'v3', Archived: true });
+    expect(await store.listAccessibleByUser('dev.user@gov.bc.ca')).toEqual([]);
+  } finally {
+    await app.close();
+  }
+});
+
+test('submitting a new tenant under an existing project name is rejected', async () => {
+  const app = await createTestApp({ mockUserRoles: 'portal-user' });
+
+  try {
+    const store = app.get<TenantStore>(TENANT_STORE);
+    await store.createRequest('alpha-demo', 'Alpha Demo', {}, {}, 'someone.else@gov.bc.ca');
+
+    const agent = request.agent(app.getHttpServer());
+    await agent.post('/api/tenants').send(TENANT_PAYLOAD).expect(409);
+    expect(await store.listVersions('alpha-demo')).toHaveLength(1);
+  } finally {
+    await app.close();
+  }
+});
+
+test('decommissioned environments and archived tenants refuse APIM credentials', async () => {
+  const keyVault = () =>
+    new InMemoryKeyStore({
+      'alpha-demo-apim-primary-key': 'primary-0',
+      'alpha-demo-apim-secondary-key': 'secondary-0',
+    });
+  const apim: ApimKeyClient = {
+    regenerateKey: async () => ({ primary_key: 'primary-0', secondary_key: 'secondary-1' }),
+  };
+  const app = await createTestApp({
+    hubKeyStores: { dev: keyVault(), prod: keyVault() },
+    apimKeyClients: { dev: apim, prod: apim },
+  });
+
+  try {
+    const agent = request.agent(app.getHttpServer());
+    const view = (env: string) => agent.get(`/api/tenants/alpha-demo/credentials?env=${env}`);
+    const regenerate = (env: string) =>
+      agent.post('/api/tenants/alpha-demo/credentials/regenerate').send({ env });
+
+    await agent.post('/api/tenants').send(TENANT_PAYLOAD).expect(201);
+    await agent.post('/api/admin/approve/alpha-demo/v1').send({}).expect(201);
+    await view('prod').expect(200);
+    await agent
+      .post('/api/tenants/alpha-demo/decommission')
+      .send({ environments: ['prod'] })
+      .expect(201);
+    await agent.post('/api/admin/approve/alpha-demo/v2').send({}).expect(201);
+
+    const refused = await view('prod').expect(409);
+    expect(refused.body.message).toBe('The prod environment is decommissioned');
+    await regenerate('prod').expect(409);
+    await view('dev').expect(200);
+
+    await agent
+      .post('/api/tenants/alpha-demo/decommission')
+      .send({ environments: ['dev', 'test'] })
+      .expect(201);
+    await agent.post('/api/admin/approve/alpha-demo/v3').send({}).expect(201);
+
+    const archived = await view('dev').expect(409);
+    expect(archived.body.message).toBe('Tenant is decommissioned');
+    await regenerate('dev').expect(409);
+  } finally {
+    await app.close();
+  }
+});
+
+test('only the submitter or a portal admin may decommission a tenant', async () => {
+  const app = await createTestApp({ mockUserRoles: 'portal-user' });
+
+  try {
+    const store = app.get<TenantStore>(TENANT_STORE);
+    await store.createRequest('other-team', 'Other Team', {}, {}, 'someone.else@gov.bc.ca');
+    await store.updateStatus('other-team', 'v1', 'approved', 'admin@gov.bc.ca');
+
+    const agent = request.agent(app.getHttpServer());
+    await agent
+      .post('/api/tenants/other-team/decommission')
+      .send({ environments: ['prod'] })
+      .expect(403);
+    await agent
+      .post('/api/tenants/missing-team/decommission')
+      .send({ environments: ['prod'] })
+      .expect(404);
+  } finally {
+    await app.close();
+  }
+});
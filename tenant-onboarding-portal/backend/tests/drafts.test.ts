@@ -0,0 +1,119 @@
+import { afterEach, expect, test, vi } from 'vitest';
+import request from 'supertest';
+
+import { TENANT_STORE } from '../src/storage/tenant-store';
+import type { TenantStore } from '../src/storage/tenant-store';
+import { createTestApp } from './helpers/test-app';
+
+const TENANT_PAYLOAD = {
+  project_name: 'alpha-demo',
+  display_name: 'Alpha Demo',
+  ministry: 'CITZ',
+  department: 'Digital Office',
+  admin_users: ['dev.user@gov.bc.ca'],
+};
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+test('drafts autosave outside the versions and are removed on submit', async () => {
+  const app = await createTestApp({ mockUserRoles: 'portal-user' });
+
+  try {
+    const agent = request.agent(app.getHttpServer());
+    await agent.put('/api/tenants/Alpha_Demo/draft').send({}).expect(422);
+    await agent.put('/api/tenants/alpha-demo/draft').send([]).expect(422);
+    await agent.get('/api/tenants/alpha-demo/draft').expect(404);
+
+    await agent
+      .put('/api/tenants/alpha-demo/draft')
+      .send({ display_name: 'Alpha', model_families: ['not-a-family'] })
+      .expect(200);
+    const saved = await agent
+      .put('/api/tenants/alpha-demo/draft')
+      .send({ project_name: 'ignored', display_name: 'Alpha Demo', ministry: 'CITZ' })
+      .expect(200);
+    expect(saved.body.draft).toMatchObject({
+      PartitionKey: 'alpha-demo',
+      RowKey: 'draft',
+      Status: 'draft',
+      DisplayName: 'Alpha Demo',
+      SubmittedBy: 'dev.user@gov.bc.ca',
+      FormData: { project_name: 'alpha-demo', display_name: 'Alpha Demo', ministry: 'CITZ' },
+    });
+    expect(Date.parse(saved.body.draft.ExpiresAt) - Date.parse(saved.body.draft.UpdatedAt)).toBe(
+      14 * 86_400_000,
+    );
+
+    const drafts = await agent.get('/api/drafts').expect(200);
+    expect(drafts.body.items.map((draft: { PartitionKey: string }) => draft.PartitionKey)).toEqual([
+      'alpha-demo',
+    ]);
+    expect((await agent.get('/api/tenants').expect(200)).body.items).toEqual([]);
+    await agent.get('/api/tenants/alpha-demo').expect(404);
+
+    await agent.post('/api/tenants').send(TENANT_PAYLOAD).expect(201);
+    await agent.get('/api/tenants/alpha-demo/draft').expect(404);
+    expect((await agent.get('/api/drafts').expect(200)).body.items).toEqual([]);
+  } finally {
+    await app.close();
+  }
+});
+
+test('drafts are private to their author, expire, and stay out of the admin queue', async () => {
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(new Date('2026-05-01T09:00:00Z'));
+  const app = await createTestApp();
+
+  try {
+    const store = app.get<TenantStore>(TENANT_STORE);
+    await store.createRequest('other-team', 'Other Team', {}, {}, 'someone.else@gov.bc.ca');
+    await store.saveDraft('beta-demo', 'Beta', {}, 'someone.else@gov.bc.ca');
+
+    const agent = request.agent(app.getHttpServer());
+    await agent.put('/api/tenants/alpha-demo/draft').send(TENANT_PAYLOAD).expect(200);
+    // Portal admins may draft a new version of any tenant, as they may submit one.
+    await agent.put('/api/tenants/other-team/draft').send({ display_name: 'X' }).expect(200);
+    await agent.get('/api/tenants/beta-demo/draft').expect(404);
+
+    const dashboard = await agent.get('/api/admin/dashboard').expect(200);
+    expect(
+      dashboard.body.pending.map((item: { PartitionKey: string }) => item.PartitionKey),
+    ).toEqual(['other-team']);
+    expect(dashboard.body.all_tenants).toHaveLength(1);
+
+    vi.setSystemTime(new Date('2026-05-14T09:00:00Z'));
+    await agent.put('/api/tenants/alpha-demo/draft').send(TENANT_PAYLOAD).expect(200);
+    vi.setSystemTime(new Date('2026-05-16T09:00:00Z'));
+    const drafts = await agent.get('/api/drafts').expect(200);
+    expect(drafts.body.items).toHaveLength(1);
+    expect(drafts.body.items[0]).toMatchObject({
+      PartitionKey: 'alpha-demo',
+      CreatedAt: '2026-05-01T09:00:00.000Z',
+      ExpiresAt: '2026-05-28T09:00:00.000Z',
+    });
+    expect(await store.getDraft('other-team', 'dev.user@gov.bc.ca')).toBeNull();
+
+    await agent.delete('/api/tenants/alpha-demo/draft').expect(204);
+    await agent.get('/api/tenants/alpha-demo/draft').expect(404);
+  } finally {
+    await app.close();
+  }
+});
+
+test('users other than the submitter cannot draft an existing tenant', async () => {
+  const app = await createTestApp({ mockUserRoles: 'portal-user' });
+
+  try {
+    await app
+      .get<TenantStore>(TENANT_STORE)
+      .createRequest('other-team', 'Other Team', {}, {}, 'someone.else@gov.bc.ca');
+    await request(app.getHttpServer())
+      .put('/api/tenants/other-team/draft')
+      .send({ display_name: 'Mine now' })
+      .expect(403);
+  } finally {
+    await app.close();
+  }
+});
@@ -70,4 +70,109 @@ test('admin can create, revise, and approve a tenant request', async ({ page })
   await page.goto(`/tenants/${tenantName}`);
   await expect(page).toHaveURL(new RegExp(`/tenants/${tenantName}$`));
   await expect(page.locator('.status-badge--approved').first()).toBeVisible();
+  await expect(page.getByRole('heading', { name: 'Activity' })).toBeVisible();
+  await expect(page.locator('.timeline__item--approve')).toContainText(reviewNote);
+  await expect(page.locator('.timeline__item--edit')).toContainText('Department or branch');
+});
+
+test('admin review shows changes against the last approved version', async ({ page }) => {
+  const suffix = uniqueTenantSuffix();
+  const tenantName = `playwright-tenant-${suffix}`;
+  const updatedDepartment = `Delivery ${suffix}`;
+
+  await page.goto('/tenants/new');
+  await page.getByLabel('Project name').fill(tenantName);
+  await page.getByLabel('Display name').fill(`Playwright Diff ${suffix}`);
+  await page.getByLabel('Department or branch').fill('Platform Engineering');
+  await page.getByPlaceholder('name@gov.bc.ca').first().fill('owner@gov.bc.ca');
+  await page.getByRole('button', { name: 'Submit request' }).click();
+  await expect(page).toHaveURL(new RegExp(`/tenants/${tenantName}$`));
+
+  await page.goto(`/admin/review/${tenantName}/v1`);
+  await expect(page.getByText('This is the first version of the request')).toBeVisible();
+  await page.getByRole('button', { name: 'Approve' }).click();
+  await expect(page.getByRole('heading', { name: 'Review queue' })).toBeVisible();
+
+  await page.goto(`/tenants/${tenantName}/edit`);
+  await page.getByLabel('Department or branch').fill(updatedDepartment);
+  await page.getByRole('button', { name: 'Create updated version' }).click();
+  await expect(page).toHaveURL(new RegExp(`/tenants/${tenantName}$`));
+
+  await page.goto(`/admin/review/${tenantName}/v2`);
+  await expect(page.getByLabel('Compare against')).toHaveValue('v1');
+  await expect(
+    page.locator('.field-changes__item', { hasText: 'Department or branch' }),
+  ).toContainText(`Changed from Platform Engineering to ${updatedDepartment}`);
+  await expect(
+    page.locator('.diff-table__row--changed', { hasText: updatedDepartment }).first(),
+  ).toBeVisible();
+});
+
+test('elevated requests pass each approval stage before they are approved', async ({ page }) => {
+  const suffix = uniqueTenantSuffix();
+  const tenantName = `playwright-tenant-${suffix}`;
+  const displayName = `Playwright Stages ${suffix}`;
+
+  await page.goto('/tenants/new');
+  await page.getByLabel('Project name').fill(tenantName);
+  await page.getByLabel('Display name').fill(displayName);
+  await page.getByLabel('Department or branch').fill('Platform Engineering');
+  await page.getByLabel('Capacity tier').selectOption('elevated');
+  await page.getByPlaceholder('name@gov.bc.ca').first().fill('owner@gov.bc.ca');
+  await page.getByRole('button', { name: 'Submit request' }).click();
+  await expect(page).toHaveURL(new RegExp(`/tenants/${tenantName}$`));
+
+  await page.goto('/admin/dashboard');
+  const securityQueue = page.locator('.panel', {
+    has: page.getByRole('heading', { name: 'Ministry security review' }),
+  });
+  await securityQueue
+    .locator('tr', { hasText: displayName })
+    .getByRole('link', { name: 'Review' })
+    .click();
+
+  await expect(page.getByRole('heading', { name: 'Approval stages' })).toBeVisible();
+  for (const stage of ['Ministry security review', 'Platform review', 'Finance sign-off']) {
+    await page.goto(`/admin/review/${tenantName}/v1`);
+    await page.getByRole('button', { name: `Approve ${stage}` }).click();
+    await expect(page.getByRole('heading', { name: 'Review queue' })).toBeVisible();
+  }
+
+  await page.goto(`/tenants/${tenantName}`);
+  await expect(page.locator('.status-badge--approved').first()).toBeVisible();
+  await expect(page.locator('.timeline__item--approve')).toHaveCount(3);
+});
+
+test('the request form previews quota and cost as the capacity tier changes', async ({ page }) => {
+  await page.goto('/tenants/new');
+
+  const panel = page.locator('.cost-estimate');
+  await expect(panel.getByRole('heading', { name: 'Quota and cost estimate' })).toBeVisible();
+  const firstDeployment = panel.locator('tbody tr').first();
+  await expect(firstDeployment).toContainText(/\d{1,3}(,\d{3})+/);
+  const standardRow = await firstDeployment.innerText();
+  const standardTotal = await panel.locator('.cost-estimate__total').innerText();
+
+  await page.getByLabel('Capacity tier').selectOption('elevated');
+  await expect(firstDeployment).not.toHaveText(standardRow);
+  await expect(panel.locator('.cost-estimate__total')).not.toHaveText(standardTotal);
+  await expect(panel).not.toHaveClass(/cost-estimate--stale/);
+  await expect(panel.getByText(/rate card \d{4}\.\d{2}/)).toBeVisible();
+});
+
+test('users can turn request notifications off and back on', async ({ page }) => {
+  await page.goto('/tenants');
+
+  const toggle = page.getByRole('button', { name: /Notifications (on|off)/ });
+  await expect(toggle).toHaveAttribute('aria-pressed', 'true');
+  await toggle.click();
+  await expect(page.getByRole('button', { name: 'Notifications off' })).toHaveAttribute(
+    'aria-pressed',
+    'false',
+  );
+
+  await page.reload();
+  await expect(page.getByRole('button', { name: 'Notifications off' })).toBeVisible();
+  await page.getByRole('button', { name: 'Notifications off' }).click();
+  await expect(page.getByRole('button', { name: 'Notifications on' })).toBeVisible();
 });
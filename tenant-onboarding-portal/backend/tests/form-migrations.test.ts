@@ -0,0 +1,136 @@
+import { expect, test } from 'vitest';
+import request from 'supertest';
+
+import { compareFormVersions, migrateFormData } from '../src/models/form-migrations';
+import { FORM_VERSION } from '../src/models/form-schema';
+import { TENANT_STORE } from '../src/storage/tenant-store';
+import type { TenantStore } from '../src/storage/tenant-store';
+import { createTestApp } from './helpers/test-app';
+
+const CURRENT_FORM = {
+  project_name: 'alpha-demo',
+  display_name: 'Alpha Demo',
+  ministry: 'CITZ',
+  department: 'Digital Office',
+  openai_enabled: true,
+  ai_search_enabled: false,
+  document_intelligence_enabled: false,
+  speech_services_enabled: false,
+  cosmos_db_enabled: false,
+  storage_account_enabled: true,
+  key_vault_enabled: false,
+  model_families: ['gpt-4.1'],
+  capacity_tier: 'standard',
+  pii_redaction_enabled: true,
+  logging_enabled: true,
+  custom_rai_filters_enabled: false,
+  admin_users: ['alice@gov.bc.ca'],
+  write_users: [],
+  read_users: [],
+  form_version: FORM_VERSION,
+};
+
+/** A record stored before form versioning, with the old field names and a retired family. */
+const LEGACY_FORM: Record<string, unknown> = {
+  project_name: 'legacy-demo',
+  display_name: 'Legacy Demo',
+  ministry: 'CITZ',
+  department: '',
+  openai_enabled: true,
+  ai_search_enabled: false,
+  document_intelligence_enabled: false,
+  speech_services_enabled: false,
+  cosmos_db_enabled: false,
+  storage_account_enabled: true,
+  model_families: ['gpt-35-turbo', 'gpt-4o'],
+  capacity_tier: 'premium',
+  pii_redaction_enabled: true,
+  usage_logging_enabled: false,
+  custom_rai_filters_enabled: false,
+  admin_emails: ['carol@gov.bc.ca'],
+  write_users: [],
+  read_users: [],
+};
+
+test('form versions order numerically with unversioned records first', () => {
+  expect(compareFormVersions('', '2026.03.1')).toBeLessThan(0);
+  expect(compareFormVersions('2026.03.1', '2026.10.1')).toBeLessThan(0);
+  expect(compareFormVersions('2026.10.1', '2026.9.2')).toBeGreaterThan(0);
+  expect(compareFormVersions('2026.03.1', '2026.03.1')).toBe(0);
+});
+
+test('older form data is upgraded to the current form version', () => {
+  expect(migrateFormData(CURRENT_FORM)).toBeNull();
+
+  const migration = migrateFormData(LEGACY_FORM);
+  expect(migration).toMatchObject({ from_version: '', to_version: FORM_VERSION });
+  expect(migration?.form_data).toMatchObject({
+    admin_users: ['carol@gov.bc.ca'],
+    logging_enabled: false,
+    model_families: ['gpt-4o'],
+    capacity_tier: 'standard',
+    key_vault_enabled: false,
+    form_version: FORM_VERSION,
+  });
+  expect(migration?.form_data).not.toHaveProperty('admin_emails');
+  expect(migration?.form_data).not.toHaveProperty('usage_logging_enabled');
+  expect(migration?.changes.map((change) => change.field)).toEqual([
+    'admin_users',
+    'logging_enabled',
+    'model_families',
+    'capacity_tier',
+    'key_vault_enabled',
+  ]);
+  expect(LEGACY_FORM).toHaveProperty('admin_emails');
+});
+
+test('tenant detail offers the migrated form and admins can dry-run every tenant', async () => {
+  const app = await createTestApp();
+  try {
+    const agent = request.agent(app.getHttpServer());
+    await agent.post('/api/tenants').send(CURRENT_FORM).expect(201);
+    const store = app.get<TenantStore>(TENANT_STORE);
+    const legacyVersion = await store.createRequest(
+      'legacy-demo',
+      'Legacy Demo',
+      LEGACY_FORM,
+      {},
+      'carol@gov.bc.ca',
+    );
+    await store.createRequest(
+      'retired-demo',
+      'Retired Demo',
+      { ...LEGACY_FORM, project_name: 'retired-demo', model_families: ['gpt-35-turbo'] },
+      {},
+      'carol@gov.bc.ca',
+    );
+
+    const current = await agent.get('/api/tenants/alpha-demo').expect(200);
+    expect(current.body.form_migration).toBeNull();
+
+    const legacy = await agent.get('/api/tenants/legacy-demo').expect(200);
+    expect(legacy.body.tenant.FormData).toHaveProperty('admin_emails');
+    expect(legacy.body.form_migration).toMatchObject({
+      from_version: '',
+      to_version: FORM_VERSION,
+      form_data: { admin_users: ['carol@gov.bc.ca'], model_families: ['gpt-4o'] },
+    });
+
+    const review = await agent.get(`/api/admin/review/legacy-demo/${legacyVersion}`).expect(200);
+    expect(review.body.estimate.capacity_tier).toBe('standard');
+
+    const plan = await agent.get('/api/admin/form-migrations').expect(200);
+    expect(plan.body.form_version).toBe(FORM_VERSION);
+    expect(plan.body.items).toMatchObject([
+      { tenant_name: 'alpha-demo', form_version: FORM_VERSION, status: 'current', changes: [] },
+      { tenant_name: 'legacy-demo', form_version: '', status: 'migrates' },
+      {
+        tenant_name: 'retired-demo',
+        status: 'fails',
+        error: 'Select only model families published by the portal form schema',
+      },
+    ]);
+  } finally {
+    await app.close();
+  }
+});
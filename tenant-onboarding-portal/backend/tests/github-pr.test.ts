@@ -0,0 +1,301 @@
+import { execFileSync } from 'node:child_process';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { createServer } from 'node:http';
+import type { AddressInfo } from 'node:net';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { afterEach, expect, test } from 'vitest';
+import request from 'supertest';
+
+import {
+  GitHubApiPullRequestClient,
+  LocalGitPullRequestClient,
+} from '../src/services/pull-request-client';
+import type { PullRequestClient, PullRequestInput } from '../src/services/pull-request-client';
+import { createTestApp } from './helpers/test-app';
+
+const cleanups: Array<() => void> = [];
+
+afterEach(() => {
+  while (cleanups.length > 0) cleanups.pop()?.();
+});
+
+const TENANT_PAYLOAD = {
+  project_name: 'alpha-demo',
+  display_name: 'Alpha Demo',
+  ministry: 'CITZ',
+  department: 'Digital Office',
+};
+
+function prInput(overrides: Partial<PullRequestInput> = {}): PullRequestInput {
+  return {
+    branch: 'tenant-onboarding/alpha-demo-v1',
+    baseBranch: 'main',
+    title: 'feat(tenants): onboard alpha-demo (v1)',
+    body: 'Onboard tenant alpha-demo.',
+    labels: ['tenant-onboarding'],
+    commitMessage: 'feat(tenants): onboard alpha-demo (v1)',
+    files: {
+      'infra-ai-hub/params/dev/tenants/alpha-demo/tenant.tfvars': 'tenant_name = "alpha-demo"\n',
+    },
+    ...overrides,
+  };
+}
+
+function git(cwd: string, ...args: string[]): string {
+  return execFileSync('git', args, { cwd, encoding: 'utf8' }).trim();
+}
+
+/** A bare repository with one commit on `main`, removed after the test. */
+function createBareRepo(): string {
+  const root = mkdtempSync(join(tmpdir(), 'tenant-pr-test-'));
+  cleanups.push(() => rmSync(root, { recursive: true, force: true }));
+  const bare = join(root, 'remote.git');
+  const seed = join(root, 'seed');
+  git(root, 'init', '--quiet', '--bare', '--initial-branch=main', bare);
+  git(root, 'clone', '--quiet', bare, seed);
+  git(seed, 'checkout', '--quiet', '-b', 'main');
+  git(
+    seed,
+    '-c',
+    'user.name=t',
+    '-c',
+    'user.email=t@example.com',
+    'commit',
+    '-q',
+    '--allow-empty',
+    '-m',
+    'init',
+  );
+  git(seed, 'push', '--quiet', 'origin', 'main');
+  return bare;
+}
+
+test('local git client pushes the tfvars to a branch and is safe to retry', async () => {
+  const bare = createBareRepo();
+  const client = new LocalGitPullRequestClient(bare);
+
+  const first = await client.openPullRequest(prInput());
+  expect(first.state).toBe('open');
+  expect(first.url).toMatch(/^file:\/\/.*remote\.git#tenant-onboarding\/alpha-demo-v1$/);
+
+  const content = git(
+    bare,
+    'show',
+    'tenant-onboarding/alpha-demo-v1:infra-ai-hub/params/dev/tenants/alpha-demo/tenant.tfvars',
+  );
+  expect(content).toBe('tenant_name = "alpha-demo"');
+  const message = git(bare, 'log', '-1', '--format=%B', 'tenant-onboarding/alpha-demo-v1');
+  expect(message).toContain('feat(tenants): onboard alpha-demo (v1)');
+  expect(message).toContain('Labels: tenant-onboarding');
+
+  await client.openPullRequest(prInput());
+  expect(git(bare, 'rev-list', '--count', 'tenant-onboarding/alpha-demo-v1')).toBe('2');
+});
+
+test('GitHub API client creates branch, commit, labelled PR against a fake API', async () => {
+  const calls: string[] = [];
+  const refs: Record<string, string> = { main: 'sha-main' };
+  const server = createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => (raw += chunk));
+    req.on('end', () => {
+      const path = (req.url ?? '').replace('/repos/bcgov/ai-hub-tracking', '');
+      calls.push(`${req.method} ${path.split('?')[0]}`);
+      const body = raw ? JSON.parse(raw) : {};
+      const send = (status: number, payload: unknown) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+      expect(req.headers.authorization).toBe('Bearer test-token');
+
+      const refMatch = /^\/git\/ref\/heads\/(.+)$/.exec(path);
+      if (req.method === 'GET' && refMatch) {
+        const sha = refs[refMatch[1]];
+        return sha ? send(200, { object: { sha } }) : send(404, { message: 'Not Found' });
+      }
+      if (req.method === 'POST' && path === '/git/refs') {
+        refs[body.ref.replace('refs/heads/', '')] = body.sha;
+        return send(201, {});
+      }
+      if (req.method === 'GET' && path.startsWith('/git/commits/')) {
+        return send(200, { sha: path.split('/').pop(), tree: { sha: 'tree-base' } });
+      }
+      if (req.method === 'POST' && path === '/git/trees') {
+        expect(body.base_tree).toBe('tree-base');
+        expect(body.tree[0].path).toBe('infra-ai-hub/params/dev/tenants/alpha-demo/tenant.tfvars');
+        return send(201, { sha: 'tree-new' });
+      }
+      if (req.method === 'POST' && path === '/git/commits') {
+        return send(201, { sha: 'sha-commit', tree: { sha: body.tree } });
+      }
+      if (req.method === 'PATCH' && path.startsWith('/git/refs/heads/')) {
+        refs[path.replace('/git/refs/heads/', '')] = body.sha;
+        return send(200, {});
+      }
+      if (req.method === 'GET' && path.startsWith('/pulls')) return send(200, []);
+      if (req.method === 'POST' && path === '/pulls') {
+        expect(body.head).toBe('tenant-onboarding/alpha-demo-v1');
+        return send(201, { number: 42, html_url: 'https://github.test/pull/42' });
+      }
+      if (req.method === 'POST' && path === '/issues/42/labels') {
+        expect(body.labels).toEqual(['tenant-onboarding']);
+        return send(200, []);
+      }
+      return send(500, { message: `unexpected ${req.method} ${path}` });
+    });
+  });
+  await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+  cleanups.push(() => server.close());
+  const { port } = server.address() as AddressInfo;
+
+  const client = new GitHubApiPullRequestClient(
+    `http://127.0.0.1:${port}`,
+    'bcgov/ai-hub-tracking',
+    'test-token',
+  );
+  const result = await client.openPullRequest(prInput());
+
+  expect(result).toEqual({
+    url: 'https://github.test/pull/42',
+    number: 42,
+    state: 'open',
+    branch: 'tenant-onboarding/alpha-demo-v1',
+  });
+  expect(refs['tenant-onboarding/alpha-demo-v1']).toBe('sha-commit');
+  expect(calls).toEqual([
+    'GET /git/ref/heads/tenant-onboarding/alpha-demo-v1',
+    'GET /git/ref/heads/main',
+    'POST /git/refs',
+    'GET /git/commits/sha-main',
+    'POST /git/trees',
+    'POST /git/commits',
+    'PATCH /git/refs/heads/tenant-onboarding/alpha-demo-v1',
+    'GET /pulls',
+    'POST /pulls',
+    'POST /issues/42/labels',
+  ]);
+});
+
+test('approval opens a pull request with every environment and records it', async () => {
+  const inputs: PullRequestInput[] = [];
+  const client: PullRequestClient = {
+    openPullRequest: async (input) => {
+      inputs.push(input);
+      return { url: 'https://github.test/pull/7', number: 7, state: 'open', branch: input.branch };
+    },
+  };
+  const app = await createTestApp({ pullRequestClient: client });
+
+  try {
+    const agent = request.agent(app.getHttpServer());
+    await agent.post('/api/tenants').send(TENANT_PAYLOAD).expect(201);
+
+    const approve = await agent
+      .post('/api/admin/approve/alpha-demo/v1')
+      .send({ review_notes: 'Looks good' });
+    expect(approve.status).toBe(201);
+    expect(approve.body.status).toBe('approved');
+    expect(approve.body.pull_request.url).toBe('https://github.test/pull/7');
+
+    expect(inputs).toHaveLength(1);
+    expect(Object.keys(inputs[0].files)).toEqual([
+      'infra-ai-hub/params/dev/tenants/alpha-demo/tenant.tfvars',
+      'infra-ai-hub/params/test/tenants/alpha-demo/tenant.tfvars',
+      'infra-ai-hub/params/prod/tenants/alpha-demo/tenant.tfvars',
+    ]);
+    expect(inputs[0].title).toBe('feat(tenants): onboard alpha-demo (v1)');
+    expect(inputs[0].body).toContain('| Review notes | Looks good |');
+
+    const detail = await agent.get('/api/tenants/alpha-demo');
+    expect(detail.body.tenant.PullRequestUrl).toBe('https://github.test/pull/7');
+    expect(detail.body.tenant.PullRequestState).toBe('open');
+
+    // Already open: a retry returns it without opening another.
+    const retry = await agent.post('/api/admin/pull-request/alpha-demo/v1');
+    expect(retry.body.pull_request.number).toBe(7);
+    expect(inputs).toHaveLength(1);
+  } finally {
+    await app.close();
+  }
+});
+
+test('a failed pull request keeps the approval and can be retried', async () => {
+  let fail = true;
+  const client: PullRequestClient = {
+    openPullRequest: async (input) => {
+      if (fail) throw new Error('GitHub API POST /pulls failed with 502');
+      return { url: 'https://github.test/pull/8', number: 8, state: 'open', branch: input.branch };
+    },
+  };
+  const app = await createTestApp({ pullRequestClient: client });
+
+  try {
+    const agent = request.agent(app.getHttpServer());
+    await agent.post('/api/tenants').send(TENANT_PAYLOAD).expect(201);
+
+    const approve = await agent.post('/api/admin/approve/alpha-demo/v1').send({});
+    expect(approve.body.status).toBe('approved');
+    expect(approve.body.pull_request.state).toBe('failed');
+
+    const detail = await agent.get('/api/tenants/alpha-demo');
+    expect(detail.body.tenant.Status).toBe('approved');
+    expect(detail.body.tenant.PullRequestError).toContain('502');
+
+    fail = false;
+    const retry = await agent.post('/api/admin/pull-request/alpha-demo/v1');
+    expect(retry.status).toBe(201);
+    expect(retry.body.pull_request.url).toBe('https://github.test/pull/8');
+  } finally {
+    await app.close();
+  }
+});
+
+test('only the newest approved version can retry its pull request', async () => {
+  const inputs: PullRequestInput[] = [];
+  const client: PullRequestClient = {
+    openPullRequest: async (input) => {
+      inputs.push(input);
+      throw new Error('GitHub API POST /pulls failed with 502');
+    },
+  };
+  const app = await createTestApp({ pullRequestClient: client });
+
+  try {
+    const agent = request.agent(app.getHttpServer());
+    await agent.post('/api/tenants').send(TENANT_PAYLOAD).expect(201);
+    await agent.post('/api/admin/approve/alpha-demo/v1').send({}).expect(201);
+    await agent
+      .put('/api/tenants/alpha-demo')
+      .send({ ...TENANT_PAYLOAD, display_name: 'Alpha Demo Renamed' })
+      .expect(200);
+    await agent.post('/api/admin/approve/alpha-demo/v2').send({}).expect(201);
+    expect(inputs).toHaveLength(2);
+
+    const stale = await agent.post('/api/admin/pull-request/alpha-demo/v1').expect(409);
+    expect(stale.body.message).toContain('v2');
+    expect(inputs).toHaveLength(2);
+    await agent.post('/api/admin/pull-request/alpha-demo/v2').expect(201);
+    expect(inputs).toHaveLength(3);
+  } finally {
+    await app.close();
+  }
+});
+
+test('pull request retry is unavailable when automation is disabled', async () => {
+  const app = await createTestApp();
+
+  try {
+    const agent = request.agent(app.getHttpServer());
+    await agent.post('/api/tenants').send(TENANT_PAYLOAD).expect(201);
+
+    const approve = await agent.post('/api/admin/approve/alpha-demo/v1').send({});
+    expect(approve.body).toEqual({ status: 'approved', pull_request: null });
+
+    const retry = await agent.post('/api/admin/pull-request/alpha-demo/v1');
+    expect(retry.status).toBe(503);
+  } finally {
+    await app.close();
+  }
+});
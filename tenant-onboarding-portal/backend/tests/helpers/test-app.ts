@@ -5,31 +5,64 @@ import type { INestApplication } from '@nestjs/common';
 
 import { AppModule } from '../../src/app.module';
 import { resetSettingsCache } from '../../src/config/settings';
+import { APIM_KEY_CLIENTS } from '../../src/services/apim-key-client';
+import type { ApimKeyClient } from '../../src/services/apim-key-client';
+import { HUB_KEY_STORES } from '../../src/services/hub-key-store';
+import type { HubKeyStore } from '../../src/services/hub-key-store';
+import { NOTIFICATION_TRANSPORTS } from '../../src/services/notification-transport';
+import type { NotificationTransport } from '../../src/services/notification-transport';
+import { PULL_REQUEST_CLIENT } from '../../src/services/pull-request-client';
+import type { PullRequestClient } from '../../src/services/pull-request-client';
+import { USAGE_CLIENTS } from '../../src/services/usage-client';
+import type { UsageClient } from '../../src/services/usage-client';
+import { AuditStoreService } from '../../src/storage/audit-store.service';
 import { SessionStoreService } from '../../src/storage/session-store.service';
 import { TenantStoreService } from '../../src/storage/tenant-store.service';
+import type { HubEnv } from '../../src/types';
 
 type TestAppOptions = {
   authMode?: 'mock' | 'oidc';
+  pullRequestClient?: PullRequestClient | null;
+  storageBackend?: 'table' | 'sqlite';
+  mockUserRoles?: string;
+  notificationTransports?: NotificationTransport[];
+  hubKeyStores?: Partial<Record<HubEnv, HubKeyStore>>;
+  apimKeyClients?: Partial<Record<HubEnv, ApimKeyClient>>;
+  usageClients?: Partial<Record<HubEnv, UsageClient>>;
 };
 
 export async function createTestApp(options: TestAppOptions = {}): Promise<INestApplication> {
   process.env.PORTAL_AUTH_MODE = options.authMode ?? 'mock';
   process.env.PORTAL_TABLE_STORAGE_CONNECTION_STRING = '';
   process.env.PORTAL_TABLE_STORAGE_ACCOUNT_URL = '';
+  process.env.PORTAL_STORAGE_BACKEND = options.storageBackend ?? 'table';
+  process.env.PORTAL_SQLITE_PATH = ':memory:';
   process.env.PORTAL_OIDC_DISCOVERY_URL =
     process.env.PORTAL_AUTH_MODE === 'oidc'
       ? 'https://example.invalid/realms/standard/.well-known/openid-configuration'
       : '';
   process.env.PORTAL_OIDC_CLIENT_ID = 'tenant-onboarding-portal';
   process.env.PORTAL_OIDC_CLIENT_SECRET = 'test-secret';
-  process.env.PORTAL_MOCK_USER_ROLES = 'portal-admin';
+  process.env.PORTAL_MOCK_USER_ROLES = options.mockUserRoles ?? 'portal-admin';
   resetSettingsCache();
   SessionStoreService.resetInMemoryStore();
   TenantStoreService.resetInMemoryStore();
+  AuditStoreService.resetInMemoryStore();
 
   const moduleRef = await Test.createTestingModule({
     imports: [AppModule],
-  }).compile();
+  })
+    .overrideProvider(PULL_REQUEST_CLIENT)
+    .useValue(options.pullRequestClient ?? null)
+    .overrideProvider(NOTIFICATION_TRANSPORTS)
+    .useValue(options.notificationTransports ?? [])
+    .overrideProvider(HUB_KEY_STORES)
+    .useValue({ dev: null, test: null, prod: null, ...options.hubKeyStores })
+    .overrideProvider(APIM_KEY_CLIENTS)
+    .useValue({ dev: null, test: null, prod: null, ...options.apimKeyClients })
+    .overrideProvider(USAGE_CLIENTS)
+    .useValue({ dev: null, test: null, prod: null, ...options.usageClients })
+    .compile();
 
   const app = moduleRef.createNestApplication();
   await app.init();
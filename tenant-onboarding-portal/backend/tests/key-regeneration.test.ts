@@ -0,0 +1,202 @@
+import { afterEach, expect, test, vi } from 'vitest';
+import request from 'supertest';
+
+import type { ApimKeyClient } from '../src/services/apim-key-client';
+import { InMemoryKeyStore } from '../src/services/hub-key-store';
+import {
+  HubKeyVaultService,
+  KeyRegenerationCooldownError,
+} from '../src/services/hub-keyvault.service';
+import { TENANT_STORE } from '../src/storage/tenant-store';
+import type { TenantStore } from '../src/storage/tenant-store';
+import type { ApimKeySlot } from '../src/types';
+import { createTestApp } from './helpers/test-app';
+
+const TENANT_PAYLOAD = {
+  project_name: 'alpha-demo',
+  display_name: 'Alpha Demo',
+  ministry: 'CITZ',
+  department: 'Digital Office',
+  admin_users: ['dev.user@gov.bc.ca'],
+};
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+/**
+ * A fake APIM instance holding one subscription's keys, numbering each regenerated key.
+ *
+ * @returns The fake client and the slots it regenerated.
+ */
+function fakeApim(): { client: ApimKeyClient; regenerated: ApimKeySlot[] } {
+  const keys = { primary: 'primary-0', secondary: 'secondary-0' };
+  const regenerated: ApimKeySlot[] = [];
+  return {
+    regenerated,
+    client: {
+      regenerateKey: async (tenantName, slot) => {
+        regenerated.push(slot);
+        keys[slot] = `${slot}-${regenerated.length}`;
+        return { primary_key: keys.primary, secondary_key: keys.secondary };
+      },
+    },
+  };
+}
+
+/**
+ * Creates a Key Vault fake seeded the way Terraform leaves a rotation-enabled tenant.
+ *
+ * @returns The in-memory key store.
+ */
+function seededKeyVault(): InMemoryKeyStore {
+  return new InMemoryKeyStore({
+    'alpha-demo-apim-primary-key': 'primary-0',
+    'alpha-demo-apim-secondary-key': 'secondary-0',
+    'alpha-demo-apim-rotation-metadata': JSON.stringify({
+      last_rotated_slot: 'none',
+      last_rotation_at: 'never',
+      next_rotation_at: 'pending',
+      rotation_number: 0,
+      safe_slot: 'primary',
+    }),
+  });
+}
+
+test('admins regenerate the inactive key, alternating slots after each cooldown', async () => {
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(new Date('2026-05-01T09:00:00Z'));
+  const keyVault = seededKeyVault();
+  const apim = fakeApim();
+  const app = await createTestApp({
+    hubKeyStores: { dev: keyVault },
+    apimKeyClients: { dev: apim.client },
+  });
+
+  try {
+    const agent = request.agent(app.getHttpServer());
+    await agent.post('/api/tenants').send(TENANT_PAYLOAD).expect(201);
+    const regenerate = (env: string) =>
+      agent.post('/api/tenants/alpha-demo/credentials/regenerate').send({ env });
+
+    await regenerate('dev').expect(409);
+    await agent.post('/api/admin/approve/alpha-demo/v1').send({}).expect(201);
+    await regenerate('qa').expect(400);
+    await regenerate('test').expect(503);
+
+    const first = await regenerate('dev').expect(200);
+    expect(first.headers['cache-control']).toBe('no-store');
+    expect(first.body).toMatchObject({
+      regenerated_slot: 'secondary',
+      primary_key: 'primary-0',
+      secondary_key: 'secondary-1',
+      rotation: {
+        last_rotated_slot: 'secondary',
+        last_rotation_at: '2026-05-01T09:00:00Z',
+        next_rotation_at: 'pending',
+        rotation_number: 1,
+        safe_slot: 'primary',
+        rotated_by: 'dev.user@gov.bc.ca',
+      },
+    });
+    expect(keyVault.secrets.get('alpha-demo-apim-secondary-key')).toMatchObject({
+      value: 'secondary-1',
+      tags: { rotated: 'secondary', 'rotation-number': '1', 'rotated-by': 'dev.user@gov.bc.ca' },
+    });
+
+    const tooSoon = await regenerate('dev').expect(429);
+    expect(tooSoon.headers['retry-after']).toBe('3600');
+    expect(tooSoon.body.message).toContain('2026-05-01T10:00:00.000Z');
+
+    vi.setSystemTime(new Date('2026-05-01T10:00:00Z'));
+    const second = await regenerate('dev').expect(200);
+    expect(second.body).toMatchObject({
+      regenerated_slot: 'primary',
+      primary_key: 'primary-2',
+      secondary_key: 'secondary-1',
+      rotation: { rotation_number: 2, safe_slot: 'secondary' },
+    });
+    expect(apim.regenerated).toEqual(['secondary', 'primary']);
+
+    const credentials = await agent.get('/api/tenants/alpha-demo/credentials?env=dev').expect(200);
+    expect(credentials.body).toMatchObject({
+      primary_key: 'primary-2',
+      rotation: { last_rotated_slot: 'primary' },
+    });
+
+    const timeline = await agent.get('/api/tenants/alpha-demo/audit').expect(200);
+    expect(
+      (timeline.body.items as Array<{ action: string; summary: string }>)
+        .filter((event) => event.action === 'credentials_regenerate')
+        .map((event) => event.summary),
+    ).toEqual(['Regenerated the dev APIM primary key', 'Regenerated the dev APIM secondary key']);
+  } finally {
+    await app.close();
+  }
+});
+
+test('only tenant admins may regenerate keys', async () => {
+  const apim = fakeApim();
+  const app = await createTestApp({
+    mockUserRoles: 'portal-user',
+    hubKeyStores: { dev: seededKeyVault() },
+    apimKeyClients: { dev: apim.client },
+  });
+
+  try {
+    const store = app.get<TenantStore>(TENANT_STORE);
+    for (const [tenantName, admins] of [
+      ['alpha-demo', ['dev.user@gov.bc.ca']],
+      ['beta-demo', ['someone.else@gov.bc.ca']],
+    ] as const) {
+      const version = await store.createRequest(
+        tenantName,
+        tenantName,
+        { ...TENANT_PAYLOAD, project_name: tenantName, admin_users: admins },
+        {},
+        'dev.user@gov.bc.ca',
+      );
+      await store.updateStatus(tenantName, version, 'approved', 'admin@gov.bc.ca');
+    }
+
+    const agent = request.agent(app.getHttpServer());
+    await agent
+      .post('/api/tenants/beta-demo/credentials/regenerate')
+      .send({ env: 'dev' })
+      .expect(403);
+    await agent
+      .post('/api/tenants/alpha-demo/credentials/regenerate')
+      .send({ env: 'dev' })
+      .expect(200);
+    expect(apim.regenerated).toEqual(['secondary']);
+  } finally {
+    await app.close();
+  }
+});
+
+test('concurrent regenerations for the same tenant and environment rotate once', async () => {
+  const keyVault = seededKeyVault();
+  const apim = fakeApim();
+  const app = await createTestApp({
+    hubKeyStores: { dev: keyVault },
+    apimKeyClients: { dev: apim.client },
+  });
+
+  try {
+    const hubKeyVault = app.get(HubKeyVaultService);
+    const [first, second] = await Promise.allSettled([
+      hubKeyVault.regenerateTenantApimKey('alpha-demo', 'dev', 'dev.user@gov.bc.ca'),
+      hubKeyVault.regenerateTenantApimKey('alpha-demo', 'dev', 'someone.else@gov.bc.ca'),
+    ]);
+
+    expect(first).toMatchObject({ status: 'fulfilled', value: { regenerated_slot: 'secondary' } });
+    expect(second).toMatchObject({ status: 'rejected' });
+    expect((second as PromiseRejectedResult).reason).toBeInstanceOf(KeyRegenerationCooldownError);
+    expect(apim.regenerated).toEqual(['secondary']);
+    expect(
+      JSON.parse(keyVault.secrets.get('alpha-demo-apim-rotation-metadata')!.value),
+    ).toMatchObject({ rotation_number: 1, rotated_by: 'dev.user@gov.bc.ca' });
+  } finally {
+    await app.close();
+  }
+});
@@ -0,0 +1,254 @@
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { createServer as createHttpServer } from 'node:http';
+import { createServer } from 'node:net';
+import type { AddressInfo } from 'node:net';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { afterEach, expect, test } from 'vitest';
+import request from 'supertest';
+
+import { getSettings, resetSettingsCache } from '../src/config/settings';
+import { renderNotification } from '../src/services/notification-templates';
+import {
+  FileNotificationTransport,
+  SmtpNotificationTransport,
+  TeamsWebhookTransport,
+  createNotificationTransports,
+} from '../src/services/notification-transport';
+import type {
+  NotificationMessage,
+  NotificationTransport,
+} from '../src/services/notification-transport';
+import type { TenantRecord } from '../src/types';
+import { createTestApp } from './helpers/test-app';
+
+const cleanups: Array<() => void> = [];
+
+afterEach(() => {
+  while (cleanups.length > 0) cleanups.pop()?.();
+  delete process.env.PORTAL_NOTIFY_TRANSPORTS;
+  delete process.env.PORTAL_NOTIFY_ADMIN_EMAILS;
+  delete process.env.PORTAL_PUBLIC_URL;
+  resetSettingsCache();
+});
+
+const TENANT_PAYLOAD = {
+  project_name: 'alpha-demo',
+  display_name: 'Alpha Demo',
+  ministry: 'CITZ',
+  department: 'Digital Office',
+};
+
+const RECORD: TenantRecord = {
+  PartitionKey: 'alpha-demo',
+  RowKey: 'v2',
+  DisplayName: 'Alpha Demo',
+  Ministry: 'CITZ',
+  Status: 'changes_requested',
+  SubmittedBy: 'dev.user@gov.bc.ca',
+  ReviewedBy: 'admin@gov.bc.ca',
+  ReviewNotes: 'Add a second tenant admin.',
+  CreatedAt: '2026-05-01T00:00:00Z',
+};
+
+const MESSAGE: NotificationMessage = {
+  event: 'approved',
+  tenantName: 'alpha-demo',
+  version: 'v1',
+  to: ['dev.user@gov.bc.ca', 'lead@gov.bc.ca'],
+  subject: 'Approved: Alpha Demo (alpha-demo v1) – ✓',
+  text: 'Your request was approved.\n.\nOpen the request: https://portal/tenants/alpha-demo',
+  link: 'https://portal/tenants/alpha-demo',
+};
+
+function tempFile(name: string): string {
+  const directory = mkdtempSync(join(tmpdir(), 'portal-notify-'));
+  cleanups.push(() => rmSync(directory, { recursive: true, force: true }));
+  return join(directory, name);
+}
+
+function readLines(path: string): NotificationMessage[] {
+  try {
+    return readFileSync(path, 'utf8')
+      .trim()
+      .split('\n')
+      .filter(Boolean)
+      .map((line) => JSON.parse(line) as NotificationMessage);
+  } catch {
+    return [];
+  }
+}
+
+/** A minimal SMTP server that accepts one message and records the conversation. */
+async function startSmtpServer(): Promise<{ port: number; commands: string[]; data: string[] }> {
+  const commands: string[] = [];
+  const data: string[] = [];
+  const server = createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    socket.write('220 fake.smtp ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      for (let end = buffer.indexOf('\r\n'); end >= 0; end = buffer.indexOf('\r\n')) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            socket.write('250 queued\r\n');
+          } else {
+            data.push(line);
+          }
+          continue;
+        }
+        commands.push(line);
+        if (line.startsWith('EHLO')) socket.write('250-fake.smtp\r\n250 AUTH PLAIN\r\n');
+        else if (line.startsWith('AUTH')) socket.write('235 ok\r\n');
+        else if (line === 'DATA') {
+          inData = true;
+          socket.write('354 go ahead\r\n');
+        } else if (line === 'QUIT') socket.end('221 bye\r\n');
+        else socket.write('250 ok\r\n');
+      }
+    });
+  });
+  await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+  cleanups.push(() => server.close());
+  return { port: (server.address() as AddressInfo).port, commands, data };
+}
+
+test('decision messages quote the review notes and link to the tenant', () => {
+  const message = renderNotification('changes_requested', RECORD, 'https://portal', [
+    'dev.user@gov.bc.ca',
+  ]);
+  expect(message.subject).toBe('Changes requested: Alpha Demo (alpha-demo v2)');
+  expect(message.link).toBe('https://portal/tenants/alpha-demo');
+  expect(message.text).toContain('was sent back for changes by admin@gov.bc.ca');
+  expect(message.text).toContain('Review notes:\nAdd a second tenant admin.');
+  expect(message.text).toContain('Edit the request to submit a new version');
+
+  const submitted = renderNotification('submitted', { ...RECORD, RowKey: 'v1' }, 'https://p', []);
+  expect(submitted.subject).toBe('New tenant request: Alpha Demo (alpha-demo v1)');
+  expect(submitted.link).toBe('https://p/admin/review/alpha-demo/v1');
+});
+
+test('the SMTP transport authenticates and sends a base64 body to every recipient', async () => {
+  const smtp = await startSmtpServer();
+  const transport = new SmtpNotificationTransport({
+    host: '127.0.0.1',
+    port: smtp.port,
+    secure: false,
+    user: 'portal',
+    password: 'secret',
+    from: 'portal@gov.bc.ca',
+  });
+
+  await transport.send(MESSAGE);
+  await transport.send({ ...MESSAGE, to: [] });
+
+  expect(smtp.commands.filter((line) => !line.startsWith('EHLO'))).toEqual([
+    `AUTH PLAIN ${Buffer.from('\0portal\0secret').toString('base64')}`,
+    'MAIL FROM:<portal@gov.bc.ca>',
+    'RCPT TO:<dev.user@gov.bc.ca>',
+    'RCPT TO:<lead@gov.bc.ca>',
+    'DATA',
+    'QUIT',
+  ]);
+  const blank = smtp.data.indexOf('');
+  expect(smtp.data).toContain('To: dev.user@gov.bc.ca, lead@gov.bc.ca');
+  expect(smtp.data.find((line) => line.startsWith('Subject:'))).toMatch(/=\?UTF-8\?B\?/);
+  const body = Buffer.from(smtp.data.slice(blank + 1).join(''), 'base64').toString('utf8');
+  expect(body).toBe(MESSAGE.text.replace(/\n/g, '\r\n'));
+});
+
+test('the Teams transport posts a card that opens the portal', async () => {
+  const bodies: unknown[] = [];
+  let status = 200;
+  const server = createHttpServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => (raw += chunk));
+    req.on('end', () => {
+      bodies.push(JSON.parse(raw));
+      res.writeHead(status).end('1');
+    });
+  });
+  await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+  cleanups.push(() => server.close());
+  const { port } = server.address() as AddressInfo;
+  const transport = new TeamsWebhookTransport(`http://127.0.0.1:${port}/webhook`);
+
+  await transport.send({ ...MESSAGE, to: [] });
+  expect(bodies[0]).toMatchObject({
+    '@type': 'MessageCard',
+    title: MESSAGE.subject,
+    potentialAction: [{ targets: [{ uri: MESSAGE.link }] }],
+  });
+
+  status = 400;
+  await expect(transport.send(MESSAGE)).rejects.toThrow('400');
+});
+
+test('transports are selected by PORTAL_NOTIFY_TRANSPORTS', () => {
+  process.env.PORTAL_NOTIFY_TRANSPORTS = 'file, FILE';
+  resetSettingsCache();
+  expect(createNotificationTransports(getSettings()).map((transport) => transport.name)).toEqual([
+    'file',
+  ]);
+
+  process.env.PORTAL_NOTIFY_TRANSPORTS = 'smtp';
+  resetSettingsCache();
+  expect(() => createNotificationTransports(getSettings())).toThrow('PORTAL_SMTP_HOST');
+
+  process.env.PORTAL_NOTIFY_TRANSPORTS = 'pager';
+  resetSettingsCache();
+  expect(() => getSettings()).toThrow("unknown transport 'pager'");
+});
+
+test('lifecycle events notify admins and submitters who have not opted out', async () => {
+  process.env.PORTAL_NOTIFY_ADMIN_EMAILS = 'Admin@gov.bc.ca, review@gov.bc.ca';
+  process.env.PORTAL_PUBLIC_URL = 'https://portal.example/';
+  const path = tempFile('notifications.jsonl');
+  const broken: NotificationTransport = {
+    name: 'broken',
+    send: () => Promise.reject(new Error('relay down')),
+  };
+  const app = await createTestApp({
+    notificationTransports: [new FileNotificationTransport(path), broken],
+  });
+
+  try {
+    const agent = request.agent(app.getHttpServer());
+    await agent.post('/api/tenants').send(TENANT_PAYLOAD).expect(201);
+    await agent
+      .post('/api/admin/approve/alpha-demo/v1')
+      .send({ review_notes: 'Welcome aboard' })
+      .expect(201);
+
+    const [submitted, approved] = readLines(path);
+    expect(submitted).toMatchObject({
+      event: 'submitted',
+      to: ['admin@gov.bc.ca', 'review@gov.bc.ca'],
+      link: 'https://portal.example/admin/review/alpha-demo/v1',
+    });
+    expect(approved).toMatchObject({ event: 'approved', to: ['dev.user@gov.bc.ca'] });
+    expect(approved.text).toContain('Welcome aboard');
+
+    expect((await agent.get('/api/session').expect(200)).body.notificationsOptOut).toBe(false);
+    await agent.put('/api/session/preferences').send({ notificationsOptOut: 'yes' }).expect(400);
+    await agent
+      .put('/api/session/preferences')
+      .send({ notificationsOptOut: true })
+      .expect(200, { notificationsOptOut: true });
+    expect((await agent.get('/api/session').expect(200)).body.notificationsOptOut).toBe(true);
+
+    await agent.put('/api/tenants/alpha-demo').send(TENANT_PAYLOAD).expect(200);
+    await agent.post('/api/admin/reject/alpha-demo/v2').send({}).expect(201);
+    expect(readLines(path).slice(2)).toMatchObject([
+      { event: 'submitted', version: 'v2', subject: expect.stringContaining('Updated') },
+      { event: 'rejected', version: 'v2', to: [] },
+    ]);
+  } finally {
+    await app.close();
+  }
+});
@@ -0,0 +1,326 @@
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { afterEach, beforeEach, describe, expect, test } from 'vitest';
+import request from 'supertest';
+
+import { openSqliteDriver } from '../src/storage/sql-driver';
+import type { SqlDriver, SqlValue } from '../src/storage/sql-driver';
+import { SqlTenantStore } from '../src/storage/sql-tenant-store';
+import { copyTenantRecords } from '../src/storage/tenant-store';
+import { TenantStoreService } from '../src/storage/tenant-store.service';
+import { createTestApp } from './helpers/test-app';
+
+/**
+ * node:sqlite ships with the Node 24 runtime the portal targets; older local Nodes skip.
+ */
+function sqliteAvailable(): boolean {
+  try {
+    return Boolean(process.getBuiltinModule?.('node:sqlite'));
+  } catch {
+    return false;
+  }
+}
+
+const hasSqlite = sqliteAvailable();
+
+let store: SqlTenantStore;
+
+beforeEach(async () => {
+  process.env.PORTAL_TABLE_STORAGE_CONNECTION_STRING = '';
+  process.env.PORTAL_TABLE_STORAGE_ACCOUNT_URL = '';
+  TenantStoreService.resetInMemoryStore();
+  if (hasSqlite) {
+    store = new SqlTenantStore(await openSqliteDriver(':memory:'));
+  }
+});
+
+afterEach(async () => {
+  await store?.close();
+});
+
+describe.skipIf(!hasSqlite)('SQL tenant store on SQLite', () => {
+  test('versions increment and the newest is current', async () => {
+    await store.createRequest('proj', 'Project', { ministry: 'CITZ' }, { dev: 'a' }, 'a@gov.bc.ca');
+    for (let index = 2; index <= 10; index += 1) {
+      await store.createRequest('proj', `Project ${index}`, {}, {}, 'a@gov.bc.ca');
+    }
+
+    const current = await store.getCurrent('proj');
+    expect(current).toMatchObject({
+      RowKey: 'v10',
+      DisplayName: 'Project 10',
+      Status: 'submitted',
+    });
+    const versions = await store.listVersions('proj');
+    expect(versions.map((record) => record.RowKey).slice(0, 2)).toEqual(['v10', 'v9']);
+    expect(versions.at(-1)).toMatchObject({
+      Ministry: 'CITZ',
+      FormData: { ministry: 'CITZ' },
+      GeneratedTfvars: { dev: 'a' },
+    });
+    expect(await store.getVersion('proj', 'v11')).toBeNull();
+  });
+
+  test('user, status, and access lookups are queries over the stored versions', async () => {
+    await store.createRequest(
+      'tenant-a',
+      'Tenant A',
+      { admin_users: ['Charlie@GOV.BC.CA'] },
+      {},
+      'Alice@gov.bc.ca',
+    );
+    await store.createRequest('tenant-b', 'Tenant B', {}, {}, 'bob@gov.bc.ca');
+    await store.updateStatus('tenant-a', 'v1', 'approved', 'admin@gov.bc.ca', 'Looks good');
+
+    expect((await store.listByUser('alice@gov.bc.ca')).map((r) => r.PartitionKey)).toEqual([
+      'tenant-a',
+    ]);
+    expect((await store.listByStatus('submitted')).map((r) => r.PartitionKey)).toEqual([
+      'tenant-b',
+    ]);
+    expect((await store.listByStatus('approved'))[0]).toMatchObject({
+      ReviewedBy: 'admin@gov.bc.ca',
+      ReviewNotes: 'Looks good',
+    });
+    expect(await store.listAccessibleByUser('charlie@gov.bc.ca')).toHaveLength(1);
+
+    await store.createRequest(
+      'tenant-a',
+      'Tenant A v2',
+      { admin_users: [] },
+      {},
+      'alice@gov.bc.ca',
+    );
+
+    expect(await store.listAccessibleByUser('charlie@gov.bc.ca')).toHaveLength(0);
+    expect(await store.listAccessibleByUser('ALICE@gov.bc.ca')).toHaveLength(1);
+    expect((await store.listAllCurrent()).map((r) => `${r.PartitionKey}:${r.RowKey}`)).toEqual([
+      'tenant-a:v2',
+      'tenant-b:v1',
+    ]);
+  });
+
+  test('pull request fields keep the last known number', async () => {
+    await store.createRequest('tenant-a', 'Tenant A', {}, {}, 'alice@gov.bc.ca');
+    const pullRequest = { url: 'https://example/pr/7', state: 'open' as const, branch: 'b' };
+    await store.updatePullRequest('tenant-a', 'v1', { ...pullRequest, number: 7 });
+    await store.updatePullRequest('tenant-a', 'v1', { ...pullRequest, number: null });
+
+    expect(await store.getVersion('tenant-a', 'v1')).toMatchObject({
+      PullRequestUrl: 'https://example/pr/7',
+      PullRequestNumber: 7,
+      PullRequestState: 'open',
+      PullRequestError: '',
+    });
+  });
+
+  test('drafts are kept per user apart from the versions', async () => {
+    const first = await store.saveDraft('tenant-a', 'A', { ministry: 'CITZ' }, 'Alice@gov.bc.ca');
+    await store.saveDraft('tenant-a', 'A2', { ministry: 'AGRI' }, 'alice@gov.bc.ca');
+    await store.saveDraft('tenant-b', 'B', {}, 'bob@gov.bc.ca');
+
+    expect(await store.listDrafts('ALICE@gov.bc.ca')).toEqual([
+      expect.objectContaining({
+        PartitionKey: 'tenant-a',
+        RowKey: 'draft',
+        Status: 'draft',
+        DisplayName: 'A2',
+        Ministry: 'AGRI',
+        FormData: { ministry: 'AGRI' },
+        SubmittedBy: 'alice@gov.bc.ca',
+        CreatedAt: first.CreatedAt,
+      }),
+    ]);
+    expect(await store.getCurrent('tenant-a')).toBeNull();
+    expect(await store.listAllRecords()).toEqual([]);
+
+    await store.deleteDraft('tenant-a', 'alice@gov.bc.ca');
+    expect(await store.getDraft('tenant-a', 'alice@gov.bc.ca')).toBeNull();
+    expect(await store.getDraft('tenant-b', 'bob@gov.bc.ca')).not.toBeNull();
+  });
+
+  test('archived tenants stay listed for admins, survive a rebuild and a new version', async () => {
+    const formData = { admin_users: ['charlie@gov.bc.ca'] };
+    await store.createRequest('tenant-a', 'Tenant A', formData, {}, 'alice@gov.bc.ca');
+    await store.createRequest(
+      'tenant-a',
+      'Tenant A',
+      { ...formData, disabled_environments: ['dev', 'test', 'prod'] },
+      {},
+      'alice@gov.bc.ca',
+    );
+    await store.updateStatus('tenant-a', 'v2', 'approved', 'admin@gov.bc.ca');
+    await store.archiveTenant('tenant-a');
+
+    expect(await store.listAccessibleByUser('charlie@gov.bc.ca')).toEqual([]);
+    expect(await store.listAllCurrent()).toEqual([
+      expect.objectContaining({ RowKey: 'v2', Archived: true }),
+    ]);
+
+    await store.rebuildIndexes();
+    expect((await store.getCurrent('tenant-a'))?.Archived).toBe(true);
+    await store.createRequest('tenant-a', 'Tenant A', formData, {}, 'alice@gov.bc.ca');
+    expect(await store.getCurrent('tenant-a')).toMatchObject({ RowKey: 'v3', Archived: true });
+    expect(await store.listAccessibleByUser('alice@gov.bc.ca')).toEqual([]);
+  });
+
+  test('approval workflows persist, and older databases gain the column on open', async () => {
+    const directory = await mkdtemp(join(tmpdir(), 'portal-sqlite-'));
+    try {
+      const path = join(directory, 'portal.sqlite');
+      const driver = await openSqliteDriver(path);
+      const first = new SqlTenantStore(driver);
+      await first.createRequest('tenant-a', 'Tenant A', {}, {}, 'alice@gov.bc.ca');
+      expect((await first.getVersion('tenant-a', 'v1'))?.Approval).toBeUndefined();
+      // Roll the file back to the schema before the approval column existed.
+      await driver.execute('ALTER TABLE tenant_requests DROP COLUMN approval');
+      await driver.execute('DELETE FROM schema_migrations WHERE version > 1');
+      await first.close();
+
+      const upgraded = new SqlTenantStore(await openSqliteDriver(path));
+      const approval = { reason: 'Elevated', stages: [] };
+      expect(await upgraded.updateApproval('tenant-a', 'v1', approval)).toBe(true);
+      expect((await upgraded.getCurrent('tenant-a'))?.Approval).toEqual(approval);
+      const stale = { reason: 'Stale', stages: [] };
+      expect(await upgraded.updateApproval('tenant-a', 'v1', approval, stale)).toBe(false);
+      const next = { reason: 'Next', stages: [] };
+      expect(await upgraded.updateApproval('tenant-a', 'v1', next, approval)).toBe(true);
+      expect((await upgraded.getCurrent('tenant-a'))?.Approval).toEqual(next);
+      await upgraded.close();
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('a submission that lost the race for a version number retries instead of overwriting', async () => {
+    const driver = await openSqliteDriver(':memory:');
+    let staleReads = 0;
+    // While `staleReads` is positive, the next version is numbered as if the tenant had
+    // none, as a concurrent Postgres transaction could read it.
+    const racing: SqlDriver = {
+      dialect: driver.dialect,
+      query: (sql, params) => driver.query(sql, params),
+      execute: (sql, params) => driver.execute(sql, params),
+      close: () => driver.close(),
+      transaction: (work) =>
+        driver.transaction((tx) =>
+          work({
+            query: async <T>(sql: string, params?: SqlValue[]) =>
+              sql.includes('MAX(version_number)') && staleReads-- > 0
+                ? ([{ latest: null }] as T[])
+                : tx.query<T>(sql, params),
+            execute: (sql, params) => tx.execute(sql, params),
+          }),
+        ),
+    };
+    const racingStore = new SqlTenantStore(racing);
+    try {
+      await racingStore.createRequest('proj', 'First', {}, {}, 'a@gov.bc.ca');
+      staleReads = 1;
+      expect(await racingStore.createRequest('proj', 'Second', {}, {}, 'b@gov.bc.ca')).toBe('v2');
+      expect((await racingStore.getVersion('proj', 'v1'))?.DisplayName).toBe('First');
+      expect((await racingStore.getCurrent('proj'))?.DisplayName).toBe('Second');
+    } finally {
+      await racingStore.close();
+    }
+  });
+
+  test('a SQLite file keeps requests across reopening', async () => {
+    const directory = await mkdtemp(join(tmpdir(), 'portal-sqlite-'));
+    try {
+      const path = join(directory, 'nested', 'portal.sqlite');
+      const first = new SqlTenantStore(await openSqliteDriver(path));
+      await first.createRequest('tenant-a', 'Tenant A', {}, {}, 'alice@gov.bc.ca');
+      await first.close();
+
+      const reopened = new SqlTenantStore(await openSqliteDriver(path));
+      expect((await reopened.getCurrent('tenant-a'))?.DisplayName).toBe('Tenant A');
+      expect(await reopened.createRequest('tenant-a', 'Tenant A', {}, {}, 'a@gov.bc.ca')).toBe(
+        'v2',
+      );
+      await reopened.close();
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('migration copies every version between backends and rebuilds indexes', async () => {
+    const table = new TenantStoreService();
+    await table.createRequest(
+      'tenant-a',
+      'Tenant A',
+      { admin_users: ['charlie@gov.bc.ca'] },
+      { dev: 'x' },
+      'alice@gov.bc.ca',
+    );
+    await table.updateStatus('tenant-a', 'v1', 'approved', 'admin@gov.bc.ca');
+    await table.updatePullRequest('tenant-a', 'v1', {
+      url: 'https://example/pr/1',
+      number: 1,
+      state: 'open',
+      branch: 'tenant/tenant-a',
+    });
+    await table.createRequest('tenant-a', 'Tenant A v2', {}, {}, 'alice@gov.bc.ca');
+    await table.createRequest('tenant-b', 'Tenant B', {}, {}, 'bob@gov.bc.ca');
+
+    expect(await copyTenantRecords(table, store)).toEqual({ tenants: 2, records: 3 });
+    const migrated = await store.listAllRecords();
+    // Table records also carry the raw partitionKey/rowKey aliases.
+    expect(await table.listAllRecords()).toMatchObject(migrated);
+    expect((await store.getCurrent('tenant-a'))?.RowKey).toBe('v2');
+    expect(await store.listByStatus('approved')).toHaveLength(1);
+
+    TenantStoreService.resetInMemoryStore();
+    const restored = new TenantStoreService();
+    await copyTenantRecords(store, restored);
+    expect(await restored.listAllRecords()).toMatchObject(migrated);
+    expect((await restored.listByUser('alice@gov.bc.ca')).map((r) => r.RowKey).sort()).toEqual([
+      'v1',
+      'v2',
+    ]);
+    expect(await restored.listByStatus('submitted')).toHaveLength(2);
+    expect(await restored.listAccessibleByUser('charlie@gov.bc.ca')).toHaveLength(0);
+    expect(await restored.listAccessibleByUser('bob@gov.bc.ca')).toHaveLength(1);
+  });
+
+  test('the API runs end to end on the SQLite backend', async () => {
+    const app = await createTestApp({ storageBackend: 'sqlite' });
+    try {
+      const agent = request.agent(app.getHttpServer());
+      await agent
+        .post('/api/tenants')
+        .send({
+          project_name: 'alpha-demo',
+          display_name: 'Alpha Demo',
+          ministry: 'CITZ',
+          department: 'Digital Office',
+        })
+        .expect(201);
+      await agent.post('/api/admin/approve/alpha-demo/v1').send({}).expect(201);
+
+      const tenants = await agent.get('/api/tenants').expect(200);
+      expect(tenants.body.items).toHaveLength(1);
+      expect(tenants.body.items[0]).toMatchObject({
+        PartitionKey: 'alpha-demo',
+        Status: 'approved',
+      });
+      expect(await new TenantStoreService().listAllRecords()).toEqual([]);
+    } finally {
+      await app.close();
+    }
+  });
+});
+
+test('the in-memory Table store rebuilds stale indexes from its requests', async () => {
+  const table = new TenantStoreService();
+  await table.createRequest('tenant-a', 'Tenant A', {}, {}, 'alice@gov.bc.ca');
+  await table.createRequest('tenant-b', 'Tenant B', {}, {}, 'bob@gov.bc.ca');
+  const [record] = await table.listVersions('tenant-a');
+  await table.importRecords([{ ...record, Status: 'approved', SubmittedBy: 'carol@gov.bc.ca' }]);
+
+  expect(await table.listByStatus('submitted')).toHaveLength(1);
+  expect(await table.listByUser('alice@gov.bc.ca')).toHaveLength(0);
+  expect((await table.listAccessibleByUser('carol@gov.bc.ca'))[0]?.Status).toBe('approved');
+});
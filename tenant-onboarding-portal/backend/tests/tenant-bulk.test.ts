@@ -0,0 +1,294 @@
+import { join } from 'node:path';
+
+import { expect, test } from 'vitest';
+import request from 'supertest';
+
+import {
+  exportTenants,
+  importTenantTfvars,
+  readTenantTfvarsDir,
+} from '../src/services/tenant-bulk';
+import { diffTfvars } from '../src/services/tfvars-drift';
+import { generateAllEnvTfvars } from '../src/services/tfvars-generator';
+import { TfvarsParseError, parseTenantTfvars, parseTfvars } from '../src/services/tfvars-parser';
+import type { TenantStore } from '../src/storage/tenant-store';
+import { TENANT_STORE } from '../src/storage/tenant-store';
+import type { TenantFormData, TenantRecord } from '../src/types';
+import { createTestApp } from './helpers/test-app';
+
+const INFRA_PARAMS_DIR = join(__dirname, '..', '..', '..', 'infra-ai-hub', 'params');
+
+function sampleForm(overrides: Partial<TenantFormData> = {}): TenantFormData {
+  return {
+    project_name: 'legacy-search',
+    display_name: 'Legacy "Search" $ervice',
+    ministry: 'CITZ',
+    department: 'Corporate Online Services',
+    openai_enabled: true,
+    ai_search_enabled: true,
+    document_intelligence_enabled: false,
+    speech_services_enabled: true,
+    cosmos_db_enabled: true,
+    storage_account_enabled: false,
+    key_vault_enabled: true,
+    model_families: ['embeddings', 'gpt-4.1'],
+    capacity_tier: 'elevated',
+    pii_redaction_enabled: false,
+    logging_enabled: true,
+    custom_rai_filters_enabled: true,
+    admin_users: ['alice@gov.bc.ca'],
+    write_users: ['bob@gov.bc.ca', 'carol@gov.bc.ca'],
+    read_users: [],
+    ...overrides,
+  };
+}
+
+const FORMS: TenantFormData[] = [
+  sampleForm(),
+  sampleForm({ project_name: 'reduced-gpt5', model_families: ['gpt-5'], capacity_tier: 'reduced' }),
+  sampleForm({
+    project_name: 'docs-only',
+    department: '',
+    openai_enabled: false,
+    document_intelligence_enabled: true,
+    model_families: [],
+    capacity_tier: 'standard',
+    admin_users: [],
+    write_users: [],
+  }),
+];
+
+test('importing generated tfvars and generating again reproduces the files', () => {
+  for (const form of FORMS) {
+    const files = generateAllEnvTfvars(form);
+    const parsed = parseTenantTfvars(files);
+    expect(parsed).toEqual({ ...form, form_version: expect.any(String) });
+    expect(generateAllEnvTfvars(parsed)).toEqual(files);
+    expect(parseTenantTfvars({ test: files.test })).toEqual(parsed);
+  }
+});
+
+test('tfvars the portal cannot read are rejected with the reason', () => {
+  expect(parseTfvars('a = { b = [1, "x\\"y", true], c = "d" } # note')).toEqual({
+    a: { b: [1, 'x"y', true], c: 'd' },
+  });
+  expect(() => parseTfvars('tenant = {\n  name = var.name\n}')).toThrow(
+    "Line 2: Unsupported expression 'var.name'",
+  );
+
+  const files = generateAllEnvTfvars(sampleForm());
+  expect(() => parseTenantTfvars({})).toThrow(TfvarsParseError);
+  expect(() =>
+    parseTenantTfvars({ dev: files.dev, test: files.test.replace('"CITZ"', '"AF"') }),
+  ).toThrow('dev.tfvars and test.tfvars disagree on ministry');
+  expect(() =>
+    parseTenantTfvars({
+      dev: files.dev.replace(
+        'content_filter = { base_policy_name = "Microsoft.DefaultV2", filters = [] }',
+        'content_filter = { base_policy_name = "Microsoft.DefaultV2", filters = [{ name = "hate", severity_threshold = "Extreme", source = "Prompt" }] }',
+      ),
+    }),
+  ).toThrow('legacy-search: Content filter severity_threshold must be one of: Low, Medium, High');
+  expect(() =>
+    parseTenantTfvars({ dev: files.dev.replace('alice@gov.bc.ca', 'alice@example.com') }),
+  ).toThrow('legacy-search: Admin user email must be @gov.bc.ca');
+});
+
+test('deployments outside a complete model family or capacity tier are kept', () => {
+  const files = generateAllEnvTfvars(sampleForm());
+  const prod = files.prod.replace(
+    /(name {11}= "gpt-4\.1-nano"(?:\n.*){3}\n {8}capacity {7}= )3000/,
+    (_, prefix: string) => `${prefix}7`,
+  );
+  const edited = parseTenantTfvars({
+    dev: files.dev,
+    test: files.test.replace(
+      'name           = "gpt-4.1-mini"\n        model_name     = "gpt-4.1-mini"',
+      'name           = "custom-mini"\n        model_name     = "custom-mini"',
+    ),
+    prod,
+  });
+
+  expect(edited.model_families).toEqual(['embeddings']);
+  expect(edited.capacity_tier).toBe('elevated');
+  expect(
+    edited.custom_model_deployments?.map(({ name, capacity }) => ({ name, capacity })),
+  ).toEqual([
+    { name: 'gpt-4.1', capacity: 600 },
+    { name: 'gpt-4.1-mini', capacity: 3000 },
+    { name: 'gpt-4.1-nano', capacity: 7 },
+    { name: 'custom-mini', capacity: 3000 },
+  ]);
+  // Every environment now deploys what any environment had, prod's settings winning.
+  const regenerated = generateAllEnvTfvars(edited);
+  const prodChanges = diffTfvars(prod, regenerated.prod);
+  expect(prodChanges.length).toBeGreaterThan(0);
+  for (const change of prodChanges) {
+    expect(change).toMatchObject({ kind: 'added' });
+    expect(change.path).toMatch(/^tenant\.openai\.model_deployments\[custom-mini\]/);
+  }
+  expect(parseTenantTfvars(regenerated)).toEqual(edited);
+});
+
+test('the tenants committed to infra-ai-hub import without losing deployments', async () => {
+  const sources = await readTenantTfvarsDir(INFRA_PARAMS_DIR);
+  expect(sources.length).toBeGreaterThan(0);
+
+  for (const { source, files } of sources) {
+    const form = parseTenantTfvars(files);
+    const generated = generateAllEnvTfvars(form);
+    expect(parseTenantTfvars(generated), source).toEqual(form);
+    for (const [env, content] of Object.entries(files)) {
+      const lost = diffTfvars(content, generated[env as keyof typeof generated]).filter(
+        (change) =>
+          change.path.startsWith('tenant.openai.model_deployments') && change.kind !== 'added',
+      );
+      expect(lost, `${source} ${env}`).toEqual([]);
+    }
+  }
+
+  // bc-archeology-portal was generated by the portal, so it comes back unchanged.
+  const app = await createTestApp();
+  try {
+    const results = await importTenantTfvars(app.get<TenantStore>(TENANT_STORE), null, sources, {
+      importedBy: 'import@gov.bc.ca',
+      dryRun: true,
+    });
+    expect(results.every((result) => result.status === 'would_import')).toBe(true);
+    expect(results.find((result) => result.source === 'bc-archeology-portal')?.differs).toEqual([]);
+  } finally {
+    await app.close();
+  }
+});
+
+test('portal edits keep imported custom deployments and cannot add their own', async () => {
+  const app = await createTestApp();
+
+  try {
+    const agent = request.agent(app.getHttpServer());
+    const files = generateAllEnvTfvars(sampleForm());
+    const withCustom = (content: string) =>
+      content.replace(
+        'name           = "gpt-4.1-mini"\n        model_name     = "gpt-4.1-mini"',
+        'name           = "custom-mini"\n        model_name     = "custom-mini"',
+      );
+    await agent
+      .post('/api/admin/import')
+      .send({ tenants: [{ dev: withCustom(files.dev), prod: withCustom(files.prod) }] })
+      .expect(201);
+    const imported = await agent.get('/api/tenants/legacy-search').expect(200);
+    const kept = imported.body.tenant.FormData.custom_model_deployments;
+    expect(kept.map((deployment: { name: string }) => deployment.name)).toContain('custom-mini');
+
+    const smuggled = [
+      {
+        name: 'gpt-5.1',
+        model_name: 'gpt-5.1',
+        model_version: '2025-11-13',
+        scale_type: 'GlobalProvisionedManaged',
+        capacity: 500,
+      },
+    ];
+    const edit = await agent
+      .put('/api/tenants/legacy-search')
+      .send({ ...sampleForm({ department: 'Edited' }), custom_model_deployments: smuggled })
+      .expect(200);
+    expect(edit.body.tenant.FormData.custom_model_deployments).toEqual(kept);
+    expect(edit.body.tenant.GeneratedTfvars.prod).toContain('"custom-mini"');
+
+    const created = await agent
+      .post('/api/tenants')
+      .send({ ...sampleForm({ project_name: 'fresh-tenant' }), custom_model_deployments: smuggled })
+      .expect(201);
+    expect(created.body.tenant.FormData).not.toHaveProperty('custom_model_deployments');
+    expect(created.body.tenant.GeneratedTfvars.prod).not.toContain('GlobalProvisionedManaged');
+  } finally {
+    await app.close();
+  }
+});
+
+test('exports quote CSV fields and neutralize spreadsheet formulas', () => {
+  const record: TenantRecord = {
+    PartitionKey: 'legacy-search',
+    RowKey: 'v3',
+    DisplayName: '=HYPERLINK("x")',
+    Ministry: 'CITZ',
+    FormData: sampleForm() as unknown as Record<string, unknown>,
+    Status: 'approved',
+    SubmittedBy: 'alice@gov.bc.ca',
+    CreatedAt: '2026-01-01T00:00:00Z',
+  };
+
+  const [header, row] = exportTenants([record], 'csv').split('\r\n');
+  expect(header.split(',')).toContain('model_families');
+  expect(row).toBe(
+    'legacy-search,"\'=HYPERLINK(""x"")",CITZ,Corporate Online Services,v3,approved,' +
+      'alice@gov.bc.ca,,2026-01-01T00:00:00Z,,openai;ai_search;speech_services;cosmos_db;key_vault,' +
+      'embeddings;gpt-4.1,elevated,alice@gov.bc.ca,bob@gov.bc.ca;carol@gov.bc.ca,,',
+  );
+  expect(JSON.parse(exportTenants([record], 'json'))).toMatchObject([
+    { tenant_name: 'legacy-search', version: 'v3', capacity_tier: 'elevated' },
+  ]);
+});
+
+test('admins import tfvars as approved tenants and export the registry', async () => {
+  const app = await createTestApp();
+
+  try {
+    const agent = request.agent(app.getHttpServer());
+    const [legacy, gpt5] = FORMS.map(generateAllEnvTfvars);
+    const tenants = [
+      { source: 'params/legacy-search', ...legacy },
+      { prod: gpt5.prod },
+      { dev: 'tenant = {' },
+    ];
+
+    await agent.post('/api/admin/import').send({ tenants: [] }).expect(400);
+    await agent
+      .post('/api/admin/import')
+      .send({ tenants: [{ dev: 42 }] })
+      .expect(400);
+
+    const dryRun = await agent
+      .post('/api/admin/import')
+      .send({ tenants, dry_run: true })
+      .expect(201);
+    expect(dryRun.body.items).toMatchObject([
+      { source: 'params/legacy-search', status: 'would_import', differs: [] },
+      { source: 'tenants[1]', tenant_name: 'reduced-gpt5', status: 'would_import' },
+      { source: 'tenants[2]', tenant_name: null, status: 'failed' },
+    ]);
+    await agent.get('/api/tenants/legacy-search').expect(404);
+
+    const imported = await agent.post('/api/admin/import').send({ tenants }).expect(201);
+    expect(imported.body.items.map((item: { status: string }) => item.status)).toEqual([
+      'imported',
+      'imported',
+      'failed',
+    ]);
+    const detail = await agent.get('/api/tenants/legacy-search').expect(200);
+    expect(detail.body.tenant).toMatchObject({ RowKey: 'v1', Status: 'approved' });
+    expect(detail.body.tenant.GeneratedTfvars).toEqual(legacy);
+    const audit = await agent.get('/api/admin/audit?action=import').expect(200);
+    expect(audit.body.items).toHaveLength(2);
+
+    const again = await agent
+      .post('/api/admin/import')
+      .send({ tenants: tenants.slice(0, 1) })
+      .expect(201);
+    expect(again.body.items[0]).toMatchObject({ status: 'skipped' });
+
+    const csv = await agent.get('/api/admin/export?format=csv').expect(200);
+    expect(csv.headers['content-type']).toContain('text/csv');
+    expect(csv.headers['content-disposition']).toMatch(/filename="tenants-.*\.csv"/);
+    expect(csv.text.trim().split('\r\n')).toHaveLength(3);
+    const json = await agent.get('/api/admin/export').expect(200);
+    expect(JSON.parse(json.text).map((row: { tenant_name: string }) => row.tenant_name)).toEqual([
+      'legacy-search',
+      'reduced-gpt5',
+    ]);
+    await agent.get('/api/admin/export?format=xml').expect(400);
+  } finally {
+    await app.close();
+  }
+});
@@ -0,0 +1,163 @@
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { afterEach, expect, test } from 'vitest';
+import request from 'supertest';
+
+import { resetSettingsCache } from '../src/config/settings';
+import { diffTfvars } from '../src/services/tfvars-drift';
+import { generateAllEnvTfvars } from '../src/services/tfvars-generator';
+import type { TenantFormData } from '../src/types';
+import { createTestApp } from './helpers/test-app';
+
+const cleanups: Array<() => void> = [];
+
+afterEach(() => {
+  while (cleanups.length > 0) cleanups.pop()?.();
+  delete process.env.PORTAL_TFVARS_DIR;
+  resetSettingsCache();
+});
+
+const FORM: TenantFormData = {
+  project_name: 'alpha-demo',
+  display_name: 'Alpha Demo',
+  ministry: 'CITZ',
+  department: 'Digital Office',
+  openai_enabled: true,
+  ai_search_enabled: false,
+  document_intelligence_enabled: false,
+  speech_services_enabled: false,
+  cosmos_db_enabled: false,
+  storage_account_enabled: true,
+  key_vault_enabled: false,
+  model_families: ['gpt-4.1'],
+  capacity_tier: 'standard',
+  pii_redaction_enabled: true,
+  logging_enabled: true,
+  custom_rai_filters_enabled: false,
+  admin_users: ['alice@gov.bc.ca', 'bob@gov.bc.ca'],
+  write_users: [],
+  read_users: [],
+};
+
+function writeTfvars(paramsDir: string, env: string, tenantName: string, content: string): void {
+  const directory = join(paramsDir, env, 'tenants', tenantName);
+  mkdirSync(directory, { recursive: true });
+  writeFileSync(join(directory, 'tenant.tfvars'), content);
+}
+
+test('drift compares attributes, not text', () => {
+  const generated = generateAllEnvTfvars(FORM).test;
+  const reformatted = generated
+    .replace(/^ *#.*\n/gm, '')
+    .replace(/ {2,}=/g, ' =')
+    .replace('"alice@gov.bc.ca",\n        "bob@gov.bc.ca"', '"bob@gov.bc.ca", "alice@gov.bc.ca"');
+  expect(reformatted).not.toBe(generated);
+  expect(diffTfvars(generated, reformatted)).toEqual([]);
+
+  const edited = generated
+    .replace(/ {6}\{\n {8}name {11}= "gpt-4.1-nano"\n(?:.*\n){5} {6}\},\n/, '')
+    .replace('    retention_days = 30', '    retention_days = 60')
+    .replace('  apim_diagnostics = {', '  owner = "platform"\n  apim_diagnostics = {');
+  expect(diffTfvars(generated, edited)).toEqual([
+    {
+      path: 'tenant.log_analytics.retention_days',
+      kind: 'changed',
+      expected: 30,
+      actual: 60,
+    },
+    {
+      path: 'tenant.openai.model_deployments[gpt-4.1-nano].capacity',
+      kind: 'removed',
+      expected: expect.any(Number),
+    },
+    {
+      path: 'tenant.openai.model_deployments[gpt-4.1-nano].content_filter.base_policy_name',
+      kind: 'removed',
+      expected: 'Microsoft.DefaultV2',
+    },
+    {
+      path: 'tenant.openai.model_deployments[gpt-4.1-nano].content_filter.filters',
+      kind: 'removed',
+      expected: [],
+    },
+    {
+      path: 'tenant.openai.model_deployments[gpt-4.1-nano].model_name',
+      kind: 'removed',
+      expected: 'gpt-4.1-nano',
+    },
+    {
+      path: 'tenant.openai.model_deployments[gpt-4.1-nano].model_version',
+      kind: 'removed',
+      expected: expect.any(String),
+    },
+    {
+      path: 'tenant.openai.model_deployments[gpt-4.1-nano].name',
+      kind: 'removed',
+      expected: 'gpt-4.1-nano',
+    },
+    {
+      path: 'tenant.openai.model_deployments[gpt-4.1-nano].scale_type',
+      kind: 'removed',
+      expected: 'GlobalStandard',
+    },
+    { path: 'tenant.owner', kind: 'added', actual: 'platform' },
+  ]);
+});
+
+test('admins see which approved tenants drifted from the committed tfvars', async () => {
+  const paramsDir = mkdtempSync(join(tmpdir(), 'portal-drift-'));
+  cleanups.push(() => rmSync(paramsDir, { recursive: true, force: true }));
+
+  let app = await createTestApp();
+  try {
+    await request(app.getHttpServer()).get('/api/admin/drift').expect(503);
+  } finally {
+    await app.close();
+  }
+
+  process.env.PORTAL_TFVARS_DIR = paramsDir;
+  app = await createTestApp();
+  try {
+    const agent = request.agent(app.getHttpServer());
+    await agent.get('/api/admin/drift').expect(503);
+
+    await agent.post('/api/tenants').send(FORM).expect(201);
+    await agent.post('/api/admin/approve/alpha-demo/v1').send({}).expect(201);
+    await agent
+      .post('/api/tenants')
+      .send({ ...FORM, project_name: 'beta-demo' })
+      .expect(201);
+    const generated = generateAllEnvTfvars({ ...FORM, form_version: '' });
+    writeTfvars(paramsDir, 'dev', 'alpha-demo', generated.dev);
+    writeTfvars(paramsDir, 'test', 'alpha-demo', generated.test.replace('"CITZ"', '"AF"'));
+    writeTfvars(paramsDir, 'prod', 'beta-demo', generated.prod);
+    writeTfvars(paramsDir, 'prod', 'legacy-only', 'tenant = {}\n');
+
+    const report = await agent.get('/api/admin/drift').expect(200);
+    expect(report.body).toMatchObject({
+      tenants: [
+        {
+          tenant_name: 'alpha-demo',
+          version: 'v1',
+          drifted: true,
+          envs: [
+            { env: 'dev', status: 'in_sync', changes: [] },
+            {
+              env: 'test',
+              status: 'drifted',
+              changes: [
+                { path: 'tenant.tags.ministry', kind: 'changed', expected: 'CITZ', actual: 'AF' },
+              ],
+            },
+            { env: 'prod', status: 'missing' },
+          ],
+        },
+      ],
+      untracked: ['beta-demo', 'legacy-only'],
+    });
+  } finally {
+    await app.close();
+  }
+});
@@ -39,3 +39,11 @@ test('environment tags and tenant name are emitted', () => {
   expect(result.test).toMatch(/environment = "test"/);
   expect(result.prod).toMatch(/environment = "prod"/);
 });
+
+test('decommissioned environments are disabled with removal instructions', () => {
+  const result = generateAllEnvTfvars({ ...sampleForm(), disabled_environments: ['prod'] });
+  expect(result.prod).toMatch(/^ {2}enabled {6}= false$/m);
+  expect(result.prod).toContain('# DECOMMISSIONED');
+  expect(result.dev).toMatch(/^ {2}enabled {6}= true$/m);
+  expect(result.dev).not.toContain('DECOMMISSIONED');
+});
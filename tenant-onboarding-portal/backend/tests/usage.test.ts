@@ -0,0 +1,198 @@
+import { afterEach, expect, test } from 'vitest';
+import request from 'supertest';
+
+import { InMemoryKeyStore } from '../src/services/hub-key-store';
+import { HttpUsageClient } from '../src/services/usage-client';
+import { buildUsageReport } from '../src/services/usage-report';
+import { createUsageStubServer } from '../src/services/usage-stub-server';
+import type { UsageSample } from '../src/types';
+import { createTestApp } from './helpers/test-app';
+
+const TENANT_PAYLOAD = {
+  project_name: 'alpha-demo',
+  display_name: 'Alpha Demo',
+  ministry: 'CITZ',
+  department: 'Digital Office',
+  model_families: ['gpt-4.1'],
+  admin_users: ['dev.user@gov.bc.ca'],
+};
+
+const cleanups: Array<() => void> = [];
+
+afterEach(() => {
+  while (cleanups.length) cleanups.pop()?.();
+});
+
+/**
+ * Builds one upstream sample with the given counts.
+ *
+ * @param timestamp - The bucket start.
+ * @param deployment - The deployment name as the upstream reports it.
+ * @param totalTokens - Tokens used in the bucket.
+ * @param extra - Other fields to override.
+ * @returns The sample.
+ */
+function sample(
+  timestamp: string,
+  deployment: string,
+  totalTokens: number,
+  extra: Partial<UsageSample> = {},
+): UsageSample {
+  return {
+    timestamp,
+    deployment,
+    prompt_tokens: totalTokens / 2,
+    completion_tokens: totalTokens / 2,
+    total_tokens: totalTokens,
+    requests: 10,
+    throttled_requests: 0,
+    ...extra,
+  };
+}
+
+test('usage is bucketed per deployment and compared with the configured TPM', () => {
+  const report = buildUsageReport({
+    tenantName: 'alpha-demo',
+    env: 'dev',
+    range: '24h',
+    now: new Date('2026-05-02T09:30:00Z'),
+    capacities: { 'gpt-4.1': 300_000, 'gpt-4.1-mini': 1_500_000 },
+    samples: [
+      sample('2026-05-02T09:00:00Z', 'alpha-demo-gpt-4.1', 600_000, { throttled_requests: 3 }),
+      sample('2026-05-02T09:00:00Z', 'gpt-4.1', 60_000, { peak_tokens_per_minute: 150_000 }),
+      sample('2026-05-01T10:00:00Z', 'gpt-4.1', 1_200_000),
+      sample('2026-05-01T09:00:00Z', 'gpt-4.1', 999_999),
+      sample('2026-05-02T08:00:00Z', 'gpt-4o', 120_000),
+    ],
+  });
+
+  expect(report).toMatchObject({
+    from: '2026-05-01T10:00:00.000Z',
+    to: '2026-05-02T10:00:00.000Z',
+    bucket_minutes: 60,
+    totals: { total_tokens: 1_980_000, throttled_requests: 3 },
+  });
+  expect(report.deployments.map((entry) => entry.deployment)).toEqual([
+    'gpt-4.1',
+    'gpt-4.1-mini',
+    'gpt-4o',
+  ]);
+
+  const [gpt41, mini, unconfigured] = report.deployments;
+  expect(gpt41.buckets).toHaveLength(24);
+  expect(gpt41.buckets[23]).toEqual({
+    start: '2026-05-02T09:00:00.000Z',
+    total_tokens: 660_000,
+    requests: 20,
+    throttled_requests: 3,
+    average_tpm: 11_000,
+    peak_tpm: 150_000,
+  });
+  expect(gpt41.buckets[0]).toMatchObject({ average_tpm: 20_000, peak_tpm: 20_000 });
+  expect(gpt41).toMatchObject({ capacity_tpm: 300_000, peak_tpm: 150_000, peak_utilization: 0.5 });
+  expect(mini).toMatchObject({ peak_tpm: 0, peak_utilization: 0, totals: { requests: 0 } });
+  expect(unconfigured).toMatchObject({ capacity_tpm: null, peak_utilization: null });
+});
+
+test('the usage endpoint reads a stub usage API with the tenant key', async () => {
+  const queries: Array<{ tenantName: string; bucketMinutes: number }> = [];
+  const stub = createUsageStubServer({
+    samples: (query) => {
+      queries.push({ tenantName: query.tenantName, bucketMinutes: query.bucketMinutes });
+      return [sample(query.from.toISOString(), 'gpt-4.1', 1_440_000, { throttled_requests: 2 })];
+    },
+  });
+  await new Promise<void>((resolve) => stub.listen(0, '127.0.0.1', resolve));
+  cleanups.push(() => stub.close());
+  const { port } = stub.address() as { port: number };
+
+  const keys = {
+    'alpha-demo-apim-primary-key': 'primary-secret',
+    'alpha-demo-apim-secondary-key': 'secondary-secret',
+  };
+  const app = await createTestApp({
+    hubKeyStores: { dev: new InMemoryKeyStore(keys), test: new InMemoryKeyStore(keys) },
+    usageClients: {
+      dev: new HttpUsageClient(`http://127.0.0.1:${port}`),
+      test: new HttpUsageClient('http://127.0.0.1:9'),
+    },
+  });
+
+  try {
+    const agent = request.agent(app.getHttpServer());
+    await agent.post('/api/tenants').send(TENANT_PAYLOAD).expect(201);
+    await agent.get('/api/tenants/alpha-demo/usage?env=dev').expect(409);
+    await agent.post('/api/admin/approve/alpha-demo/v1').send({}).expect(201);
+    await agent.get('/api/tenants/alpha-demo/usage?env=qa').expect(400);
+    await agent.get('/api/tenants/alpha-demo/usage?env=dev&range=1y').expect(400);
+    await agent.get('/api/tenants/alpha-demo/usage?env=prod').expect(503);
+    await agent.get('/api/tenants/alpha-demo/usage?env=test').expect(502);
+
+    const estimate = await agent.post('/api/cost-estimate').send(TENANT_PAYLOAD).expect(200);
+    const capacity = (
+      estimate.body.deployments as Array<{ name: string; tpm: { dev: number } }>
+    ).find((deployment) => deployment.name === 'gpt-4.1')?.tpm.dev;
+
+    const usage = await agent.get('/api/tenants/alpha-demo/usage?env=dev&range=7d').expect(200);
+    expect(queries).toEqual([{ tenantName: 'alpha-demo', bucketMinutes: 360 }]);
+    expect(usage.body).toMatchObject({ range: '7d', bucket_minutes: 360 });
+    const gpt41 = (usage.body.deployments as Array<Record<string, unknown>>).find(
+      (entry) => entry.deployment === 'gpt-4.1',
+    );
+    expect(gpt41).toMatchObject({
+      capacity_tpm: capacity,
+      peak_tpm: 4_000,
+      totals: { total_tokens: 1_440_000, throttled_requests: 2 },
+    });
+    expect(gpt41?.buckets).toHaveLength(28);
+  } finally {
+    await app.close();
+  }
+});
+
+test('decommissioned environments and archived tenants refuse usage', async () => {
+  const stub = createUsageStubServer({ samples: () => [] });
+  await new Promise<void>((resolve) => stub.listen(0, '127.0.0.1', resolve));
+  cleanups.push(() => stub.close());
+  const { port } = stub.address() as { port: number };
+
+  const keys = () =>
+    new InMemoryKeyStore({
+      'alpha-demo-apim-primary-key': 'primary-secret',
+      'alpha-demo-apim-secondary-key': 'secondary-secret',
+    });
+  const usageClient = new HttpUsageClient(`http://127.0.0.1:${port}`);
+  const app = await createTestApp({
+    hubKeyStores: { dev: keys(), prod: keys() },
+    usageClients: { dev: usageClient, prod: usageClient },
+  });
+
+  try {
+    const agent = request.agent(app.getHttpServer());
+    const usage = (env: string) => agent.get(`/api/tenants/alpha-demo/usage?env=${env}`);
+
+    await agent.post('/api/tenants').send(TENANT_PAYLOAD).expect(201);
+    await agent.post('/api/admin/approve/alpha-demo/v1').send({}).expect(201);
+    await usage('prod').expect(200);
+    await agent
+      .post('/api/tenants/alpha-demo/decommission')
+      .send({ environments: ['prod'] })
+      .expect(201);
+    await agent.post('/api/admin/approve/alpha-demo/v2').send({}).expect(201);
+
+    const refused = await usage('prod').expect(409);
+    expect(refused.body.message).toBe('The prod environment is decommissioned');
+    await usage('dev').expect(200);
+
+    await agent
+      .post('/api/tenants/alpha-demo/decommission')
+      .send({ environments: ['dev', 'test'] })
+      .expect(201);
+    await agent.post('/api/admin/approve/alpha-demo/v3').send({}).expect(201);
+
+    const archived = await usage('dev').expect(409);
+    expect(archived.body.message).toBe('Tenant is decommissioned');
+  } finally {
+    await app.close();
+  }
+});
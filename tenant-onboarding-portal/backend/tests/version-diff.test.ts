@@ -0,0 +1,129 @@
+import { expect, test } from 'vitest';
+import request from 'supertest';
+
+import { diffFormData, diffLines, lastApprovedBefore } from '../src/services/version-diff';
+import type { TenantRecord } from '../src/types';
+import { createTestApp } from './helpers/test-app';
+
+const TENANT_PAYLOAD = {
+  project_name: 'alpha-demo',
+  display_name: 'Alpha Demo',
+  ministry: 'CITZ',
+  department: 'Digital Office',
+  model_families: ['gpt-4.1'],
+  capacity_tier: 'standard',
+};
+
+function record(version: string, status: string): TenantRecord {
+  return {
+    PartitionKey: 'alpha-demo',
+    RowKey: version,
+    DisplayName: 'Alpha Demo',
+    Ministry: 'CITZ',
+    Status: status,
+    SubmittedBy: 'dev.user@gov.bc.ca',
+    CreatedAt: '2026-01-01T00:00:00Z',
+  };
+}
+
+test('field diff summarizes models added and a raised capacity tier', () => {
+  const changes = diffFormData(
+    { model_families: ['gpt-4.1'], capacity_tier: 'standard', ai_search_enabled: false },
+    {
+      model_families: ['gpt-4.1', 'gpt-4o'],
+      capacity_tier: 'elevated',
+      ai_search_enabled: true,
+    },
+  );
+
+  expect(changes.map((change) => change.field)).toEqual([
+    'ai_search_enabled',
+    'model_families',
+    'capacity_tier',
+  ]);
+  expect(changes[0].summary).toBe('Enabled');
+  expect(changes[2].summary).toBe('Raised from Standard (1% quota) to Elevated (2x quota)');
+  expect(changes[1]).toMatchObject({
+    label: 'Model families',
+    added: ['gpt-4o'],
+    removed: [],
+    summary: 'Added GPT-4o Series',
+  });
+});
+
+test('field diff ignores blank user rows and reports removed users', () => {
+  const changes = diffFormData(
+    { admin_users: ['a@gov.bc.ca', 'b@gov.bc.ca'], read_users: [''] },
+    { admin_users: ['a@gov.bc.ca'], read_users: [] },
+  );
+
+  expect(changes).toHaveLength(1);
+  expect(changes[0]).toMatchObject({
+    field: 'admin_users',
+    label: 'Admin users',
+    summary: 'Removed b@gov.bc.ca',
+  });
+});
+
+test('line diff pairs edited lines and keeps line numbers per side', () => {
+  const diff = diffLines('a\nb\nc\n', 'a\nB\nc\nd\n');
+
+  expect(diff.rows.map((row) => row.kind)).toEqual(['same', 'changed', 'same', 'added']);
+  expect(diff.rows[1]).toEqual({
+    kind: 'changed',
+    left: { number: 2, text: 'b' },
+    right: { number: 2, text: 'B' },
+  });
+  expect(diff.rows[3].right).toEqual({ number: 4, text: 'd' });
+  expect(diff).toMatchObject({ added: 2, removed: 1 });
+});
+
+test('last approved version skips newer and unapproved versions', () => {
+  const versions = [
+    record('v10', 'submitted'),
+    record('v9', 'rejected'),
+    record('v2', 'approved'),
+    record('v1', 'approved'),
+  ];
+
+  expect(lastApprovedBefore(versions, 'v10')).toBe('v2');
+  expect(lastApprovedBefore(versions, 'v2')).toBe('v1');
+  expect(lastApprovedBefore(versions, 'v1')).toBeNull();
+});
+
+test('admin diff endpoint compares an edit against the last approved version', async () => {
+  const app = await createTestApp();
+
+  try {
+    const agent = request.agent(app.getHttpServer());
+    await agent.post('/api/tenants').send(TENANT_PAYLOAD).expect(201);
+    await agent.post('/api/admin/approve/alpha-demo/v1').send({}).expect(201);
+    await agent
+      .put('/api/tenants/alpha-demo')
+      .send({ ...TENANT_PAYLOAD, model_families: ['gpt-4.1', 'gpt-4o'], capacity_tier: 'elevated' })
+      .expect(200);
+
+    const review = await agent.get('/api/admin/review/alpha-demo/v2').expect(200);
+    expect(review.body.last_approved_version).toBe('v1');
+    expect(review.body.versions).toEqual([
+      { version: 'v2', status: 'submitted' },
+      { version: 'v1', status: 'approved' },
+    ]);
+
+    const diff = await agent.get('/api/admin/diff/alpha-demo/v1/v2').expect(200);
+    expect(diff.body.from).toEqual({ version: 'v1', status: 'approved' });
+    expect(diff.body.fields.map((change: { field: string }) => change.field)).toEqual([
+      'model_families',
+      'capacity_tier',
+    ]);
+    expect(Object.keys(diff.body.tfvars)).toEqual(['dev', 'test', 'prod']);
+    const devRows = diff.body.tfvars.dev.rows as Array<{ kind: string; right: { text: string } }>;
+    expect(devRows.some((row) => row.kind !== 'same' && row.right?.text.includes('gpt-4o'))).toBe(
+      true,
+    );
+
+    await agent.get('/api/admin/diff/alpha-demo/v1/v9').expect(404);
+  } finally {
+    await app.close();
+  }
+});
@@ -3,14 +3,27 @@ import axios from 'axios';
 import type {
   AdminDashboardResponse,
   AdminReviewResponse,
+  ApimKeyRegenerationResponse,
   ApimTenantInfoResponse,
+  ApprovalWorkflow,
+  AuditListResponse,
+  CostEstimate,
+  CostEstimateInput,
+  DriftReport,
   FormSchema,
   HubEnv,
+  PlaygroundEvent,
+  PlaygroundRequest,
   SessionResponse,
   TenantCredentialsResponse,
   TenantDetailResponse,
+  TenantDraft,
   TenantFormPayload,
   TenantListResponse,
+  TenantPullRequest,
+  TenantUsageReport,
+  UsageRange,
+  VersionDiffResponse,
 } from './types';
 
 export class ApiError extends Error {
@@ -57,12 +70,60 @@ async function requestJson<T>(request: Promise<{ data: T }>): Promise<T> {
   }
 }
 
+/**
+ * Sends a playground request and hands each NDJSON event to `onEvent` as it arrives.
+ * Uses `fetch` because Axios cannot read a response stream in the browser.
+ * @param tenantName - The tenant whose APIM gateway is called.
+ * @param body - The playground request.
+ * @param onEvent - Called with each event in order.
+ * @returns Promise that resolves once the response has been read.
+ * @throws {ApiError} When the portal rejects the request before calling the gateway.
+ */
+async function streamPlayground(
+  tenantName: string,
+  body: PlaygroundRequest,
+  onEvent: (event: PlaygroundEvent) => void,
+): Promise<void> {
+  const response = await fetch(`/api/tenants/${tenantName}/playground`, {
+    method: 'POST',
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  if (!response.ok || !response.body) {
+    const detail = (await response.json().catch(() => null)) as { message?: unknown } | null;
+    throw new ApiError(
+      response.status,
+      typeof detail?.message === 'string' ? detail.message : response.statusText,
+    );
+  }
+
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffered = '';
+  for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+    buffered += chunk.value;
+    const lines = buffered.split('\n');
+    buffered = lines.pop() ?? '';
+    for (const line of lines) {
+      if (line) onEvent(JSON.parse(line) as PlaygroundEvent);
+    }
+  }
+}
+
 export const api = {
   session: () => requestJson<SessionResponse>(client.get('/session')),
+  updatePreferences: (notificationsOptOut: boolean) =>
+    requestJson<{ notificationsOptOut: boolean }>(
+      client.put('/session/preferences', { notificationsOptOut }),
+    ),
   formSchema: () => requestJson<FormSchema>(client.get('/form-schema')),
+  estimateCost: (input: CostEstimateInput) =>
+    requestJson<CostEstimate>(client.post('/cost-estimate', input)),
   listTenants: () => requestJson<TenantListResponse>(client.get('/tenants')),
   getTenant: (tenantName: string) =>
     requestJson<TenantDetailResponse>(client.get(`/tenants/${tenantName}`)),
+  getTenantAudit: (tenantName: string) =>
+    requestJson<AuditListResponse>(client.get(`/tenants/${tenantName}/audit`)),
   createTenant: (payload: TenantFormPayload) =>
     requestJson<{ tenant: TenantDetailResponse['tenant']; version: string }>(
       client.post('/tenants', payload),
@@ -71,11 +132,29 @@ export const api = {
     requestJson<{ tenant: TenantDetailResponse['tenant']; version: string }>(
       client.put(`/tenants/${tenantName}`, payload),
     ),
+  decommissionTenant: (tenantName: string, environments: HubEnv[]) =>
+    requestJson<{ tenant: TenantDetailResponse['tenant']; version: string }>(
+      client.post(`/tenants/${tenantName}/decommission`, { environments }),
+    ),
+  listDrafts: () => requestJson<{ items: TenantDraft[] }>(client.get('/drafts')),
+  getDraft: (tenantName: string) =>
+    requestJson<{ draft: TenantDraft }>(client.get(`/tenants/${tenantName}/draft`)),
+  saveDraft: (tenantName: string, payload: TenantFormPayload) =>
+    requestJson<{ draft: TenantDraft }>(client.put(`/tenants/${tenantName}/draft`, payload)),
+  deleteDraft: (tenantName: string) =>
+    requestJson<void>(client.delete(`/tenants/${tenantName}/draft`)),
   adminDashboard: () => requestJson<AdminDashboardResponse>(client.get('/admin/dashboard')),
+  adminDrift: () => requestJson<DriftReport>(client.get('/admin/drift')),
   adminReview: (tenantName: string, version: string) =>
     requestJson<AdminReviewResponse>(client.get(`/admin/review/${tenantName}/${version}`)),
+  adminDiff: (tenantName: string, from: string, to: string) =>
+    requestJson<VersionDiffResponse>(client.get(`/admin/diff/${tenantName}/${from}/${to}`)),
   approveRequest: (tenantName: string, version: string, reviewNotes: string) =>
-    requestJson<{ status: string }>(
+    requestJson<{
+      status: string;
+      pull_request: TenantPullRequest | null;
+      approval?: ApprovalWorkflow;
+    }>(
       client.post(`/admin/approve/${tenantName}/${version}`, {
         review_notes: reviewNotes,
       }),
@@ -86,12 +165,31 @@ export const api = {
         review_notes: reviewNotes,
       }),
     ),
+  requestChanges: (tenantName: string, version: string, reviewNotes: string) =>
+    requestJson<{ status: string }>(
+      client.post(`/admin/request-changes/${tenantName}/${version}`, {
+        review_notes: reviewNotes,
+      }),
+    ),
+  retryPullRequest: (tenantName: string, version: string) =>
+    requestJson<{ pull_request: TenantPullRequest | null }>(
+      client.post(`/admin/pull-request/${tenantName}/${version}`),
+    ),
   getCredentials: (tenantName: string, env: HubEnv) =>
     requestJson<TenantCredentialsResponse>(
       client.get(`/tenants/${tenantName}/credentials`, { params: { env } }),
     ),
+  regenerateCredentials: (tenantName: string, env: HubEnv) =>
+    requestJson<ApimKeyRegenerationResponse>(
+      client.post(`/tenants/${tenantName}/credentials/regenerate`, { env }),
+    ),
   getApimTenantInfo: (tenantName: string, env: HubEnv) =>
     requestJson<ApimTenantInfoResponse>(
       client.get(`/tenants/${tenantName}/tenant-info`, { params: { env } }),
     ),
+  getTenantUsage: (tenantName: string, env: HubEnv, range: UsageRange) =>
+    requestJson<TenantUsageReport>(
+      client.get(`/tenants/${tenantName}/usage`, { params: { env, range } }),
+    ),
+  streamPlayground,
 };
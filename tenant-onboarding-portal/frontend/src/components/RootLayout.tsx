@@ -7,19 +7,32 @@ import { InlineMessage } from './ui';
 
 /**
  * Application shell that assembles the header, navigation bar, main content area, and footer.
- * Renders navigation links conditionally based on the user's authentication and admin status.
+ * Renders navigation links conditionally based on the user's authentication and reviewer status,
+ * and a toggle for the user's email notification preference.
  * Displays a global error banner when the auth store reports an error.
  * @returns The full page layout wrapping the router outlet.
  */
 export function RootLayout() {
-  const { error, isAuthenticated, isAdmin, isLoading, login, logout, user } = useAuthStore(
+  const {
+    error,
+    isAuthenticated,
+    isReviewer,
+    isLoading,
+    login,
+    logout,
+    notificationsOptOut,
+    setNotificationsOptOut,
+    user,
+  } = useAuthStore(
     useShallow((state) => ({
       error: state.error,
       isAuthenticated: state.isAuthenticated,
-      isAdmin: state.isAdmin,
+      isReviewer: state.isReviewer,
       isLoading: state.isLoading,
       login: state.login,
       logout: state.logout,
+      notificationsOptOut: state.notificationsOptOut,
+      setNotificationsOptOut: state.setNotificationsOptOut,
       user: state.user,
     })),
   );
@@ -48,6 +61,20 @@ export function RootLayout() {
                 <i aria-hidden="true" className="bi bi-person-circle"></i>
                 <span>{user?.name ?? user?.email}</span>
               </div>
+              <button
+                aria-pressed={!notificationsOptOut}
+                className="app-session__action app-session__action--toggle"
+                disabled={isLoading}
+                onClick={() => void setNotificationsOptOut(!notificationsOptOut)}
+                title="Email me when my requests are reviewed"
+                type="button"
+              >
+                <i
+                  aria-hidden="true"
+                  className={`bi ${notificationsOptOut ? 'bi-bell-slash' : 'bi-bell'}`}
+                ></i>
+                <span>{notificationsOptOut ? 'Notifications off' : 'Notifications on'}</span>
+              </button>
               <button
                 className="app-session__action"
                 disabled={isLoading}
@@ -91,7 +118,7 @@ export function RootLayout() {
                   <i aria-hidden="true" className="bi bi-plus-circle"></i>
                   <span>New Request</span>
                 </button>
-                {isAdmin ? (
+                {isReviewer ? (
                   <button
                     className={`app-nav__button ${isOnAdminQueue ? 'app-nav__button--active' : ''}`}
                     onClick={() => void navigate({ to: '/admin/dashboard' })}
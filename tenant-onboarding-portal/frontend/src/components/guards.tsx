@@ -46,3 +46,33 @@ export function AdminRoute({ children }: { children: ReactNode }) {
 
   return children;
 }
+
+/**
+ * Renders its children when the user may review requests: a portal admin or the holder of
+ * an approval stage role. Redirects unauthenticated users to the landing page and shows an
+ * access-denied message to everyone else.
+ * @param children - Reviewer-only child nodes to render when access is granted.
+ * @returns The child content, a `<Navigate>` redirect, or an access-denied message.
+ */
+export function ReviewerRoute({ children }: { children: ReactNode }) {
+  const { isReviewer, isAuthenticated } = useAuthStore(
+    useShallow((state) => ({
+      isReviewer: state.isReviewer,
+      isAuthenticated: state.isAuthenticated,
+    })),
+  );
+
+  if (!isAuthenticated) {
+    return <Navigate to="/" />;
+  }
+  if (!isReviewer) {
+    return (
+      <FullPageMessage
+        description="Your token is valid, but it does not include the portal admin role or an approval stage role."
+        title="Reviewer access required"
+      />
+    );
+  }
+
+  return children;
+}
@@ -2,9 +2,25 @@ import { startTransition, useCallback, useEffect, useRef, useState } from 'react
 import type { ReactNode } from 'react';
 
 import type { FormSchema } from '../types';
-import type { HubEnv, TenantCredentialsResponse, ApimTenantInfoResponse } from '../types';
+import type {
+  ApimKeySlot,
+  CostEstimate,
+  DeploymentUsage,
+  HubEnv,
+  PlaygroundEvent,
+  PlaygroundOperation,
+  PlaygroundRequest,
+  PlaygroundUsage,
+  TenantCredentialsResponse,
+  TenantUsageReport,
+  UsageRange,
+  ApimTenantInfoResponse,
+} from '../types';
 import { api } from '../api';
-import { getInputClassName } from '../utils/formatters';
+import { formatCostRange, getErrorMessage, getInputClassName } from '../utils/formatters';
+import { assistantText, buildPlaygroundSnippets } from '../utils/playground';
+import type { PlaygroundSnippets } from '../utils/playground';
+import { formatTokens, usageChart } from '../utils/usage';
 
 type FieldInfo = FormSchema['field_info'][keyof FormSchema['field_info']];
 
@@ -294,6 +310,23 @@ interface EnvCredState {
   error: string | null;
 }
 
+interface EnvRegenState {
+  confirming: boolean;
+  pending: boolean;
+  error: string | null;
+  notice: string | null;
+}
+
+/**
+ * Picks the key a regeneration will replace, mirroring the backend: the secondary key,
+ * unless the last rotation already replaced it.
+ * @param rotation - The tenant's rotation metadata, when any.
+ * @returns The slot that the next regeneration replaces.
+ */
+function nextRegeneratedSlot(rotation: Record<string, unknown> | null): ApimKeySlot {
+  return rotation?.last_rotated_slot === 'secondary' ? 'primary' : 'secondary';
+}
+
 interface EnvInfoState {
   data: ApimTenantInfoResponse | null;
   loading: boolean;
@@ -303,7 +336,8 @@ interface EnvInfoState {
 
 /**
  * Renders a credentials panel for an approved tenant, showing APIM primary/secondary
- * keys per environment with copy-to-clipboard support, rotation metadata, and tenant-info.
+ * keys per environment with copy-to-clipboard support, rotation metadata, key
+ * regeneration behind a confirmation step, and tenant-info.
  * @param root0 - Component props.
  * @param root0.tenantName - The tenant partition key used to fetch credentials and tenant info.
  * @returns JSX element containing the credentials panel.
@@ -320,6 +354,11 @@ export function CredentialsPanel({ tenantName }: { tenantName: string }) {
     test: { data: null, loading: false, error: null, expanded: false },
     prod: { data: null, loading: false, error: null, expanded: false },
   });
+  const [regenState, setRegenState] = useState<Record<HubEnv, EnvRegenState>>({
+    dev: { confirming: false, pending: false, error: null, notice: null },
+    test: { confirming: false, pending: false, error: null, notice: null },
+    prod: { confirming: false, pending: false, error: null, notice: null },
+  });
   const [copied, setCopied] = useState<Record<string, boolean>>({});
   const fetchedEnvs = useRef<Set<HubEnv>>(new Set());
 
@@ -365,6 +404,39 @@ export function CredentialsPanel({ tenantName }: { tenantName: string }) {
     });
   }, []);
 
+  const updateRegen = useCallback((env: HubEnv, next: Partial<EnvRegenState>) => {
+    setRegenState((prev) => ({ ...prev, [env]: { ...prev[env], ...next } }));
+  }, []);
+
+  const regenerateKey = useCallback(
+    async (env: HubEnv) => {
+      updateRegen(env, { pending: true, error: null, notice: null });
+      try {
+        const { regenerated_slot: slot, ...data } = await api.regenerateCredentials(
+          tenantName,
+          env,
+        );
+        setCredState((prev) => ({ ...prev, [env]: { data, loading: false, error: null } }));
+        updateRegen(env, {
+          confirming: false,
+          pending: false,
+          notice: `The ${slot} key was regenerated. Copy it and move your clients onto it before the other key is rotated.`,
+        });
+      } catch (err: unknown) {
+        const status = (err as { status?: number }).status;
+        let msg = 'Failed to regenerate the key';
+        if (status === 403) msg = 'Only tenant admins can regenerate keys';
+        else if (status === 429)
+          msg = 'Keys were rotated recently; wait for the cooldown to pass and try again';
+        else if (status === 503)
+          msg = 'Key regeneration is not available for this environment (not configured)';
+        else if (status === 409) msg = 'Tenant is not yet approved';
+        updateRegen(env, { confirming: false, pending: false, error: msg });
+      }
+    },
+    [tenantName, updateRegen],
+  );
+
   const toggleInfo = useCallback(
     async (env: HubEnv) => {
       const current = infoState[env];
@@ -400,6 +472,7 @@ export function CredentialsPanel({ tenantName }: { tenantName: string }) {
 
   const cred = credState[activeEnv];
   const info = infoState[activeEnv];
+  const regen = regenState[activeEnv];
 
   return (
     <section className="panel stack-md">
@@ -460,6 +533,58 @@ export function CredentialsPanel({ tenantName }: { tenantName: string }) {
               </details>
             )}
 
+            {regen.notice && <p className="inline-message inline-message--info">{regen.notice}</p>}
+            {regen.error && <p className="inline-message inline-message--error">{regen.error}</p>}
+            {regen.confirming ? (
+              <div
+                aria-labelledby={`regenerate-${activeEnv}-title`}
+                className="key-regenerate-dialog stack-sm"
+                role="alertdialog"
+              >
+                <h4 id={`regenerate-${activeEnv}-title`}>
+                  Regenerate the {activeEnv} {nextRegeneratedSlot(cred.data.rotation)} key?
+                </h4>
+                <p>
+                  Clients still using the {nextRegeneratedSlot(cred.data.rotation)} key will stop
+                  working as soon as it is replaced. Make sure they use the other key first.
+                </p>
+                <div className="key-regenerate-dialog__actions">
+                  <button
+                    className="button button--secondary button--sm"
+                    disabled={regen.pending}
+                    type="button"
+                    onClick={() => {
+                      updateRegen(activeEnv, { confirming: false });
+                    }}
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    className="button button--danger button--sm"
+                    disabled={regen.pending}
+                    type="button"
+                    onClick={() => {
+                      void regenerateKey(activeEnv);
+                    }}
+                  >
+                    {regen.pending ? 'Regenerating…' : 'Regenerate key'}
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div>
+                <button
+                  className="button button--secondary button--sm"
+                  type="button"
+                  onClick={() => {
+                    updateRegen(activeEnv, { confirming: true, error: null, notice: null });
+                  }}
+                >
+                  Regenerate {nextRegeneratedSlot(cred.data.rotation)} key
+                </button>
+              </div>
+            )}
+
             <div className="tenant-info-toggle">
               <button
                 className="button button--secondary button--sm"
@@ -534,3 +659,813 @@ export function CredentialsPanel({ tenantName }: { tenantName: string }) {
     </section>
   );
 }
+
+interface PlaygroundInfoState {
+  env: HubEnv;
+  data: ApimTenantInfoResponse | null;
+  error: string | null;
+}
+
+interface PlaygroundResult {
+  status: number | null;
+  url: string;
+  headers: Record<string, string>;
+  body: string;
+  usage: PlaygroundUsage | null;
+  durationMs: number | null;
+  error: string | null;
+}
+
+const EMPTY_PLAYGROUND_RESULT: PlaygroundResult = {
+  status: null,
+  url: '',
+  headers: {},
+  body: '',
+  usage: null,
+  durationMs: null,
+  error: null,
+};
+
+const SNIPPET_LANGUAGES: Array<{ key: keyof PlaygroundSnippets; label: string }> = [
+  { key: 'curl', label: 'curl' },
+  { key: 'python', label: 'Python' },
+  { key: 'javascript', label: 'JavaScript' },
+];
+
+/**
+ * Applies one playground stream event to the result shown on screen.
+ * @param result - The result so far.
+ * @param event - The event received from the backend.
+ * @returns The updated result.
+ */
+function applyPlaygroundEvent(result: PlaygroundResult, event: PlaygroundEvent): PlaygroundResult {
+  switch (event.type) {
+    case 'response':
+      return { ...result, status: event.status, url: event.url, headers: event.headers };
+    case 'chunk':
+      return { ...result, body: result.body + event.data };
+    case 'done':
+      return { ...result, usage: event.usage, durationMs: event.duration_ms };
+    case 'error':
+      return { ...result, error: event.message };
+  }
+}
+
+/**
+ * Guesses the operation a deployment supports from its name.
+ * @param deployment - The deployment name.
+ * @returns `embeddings` for embedding models, otherwise `chat`.
+ */
+function defaultOperation(deployment: string): PlaygroundOperation {
+  return deployment.includes('embedding') ? 'embeddings' : 'chat';
+}
+
+/**
+ * Renders a "try it" playground for an approved tenant. Users pick an environment and
+ * one of the deployments listed by tenant info, send a chat or embeddings request
+ * through the portal (which adds the APIM key server-side), and watch the response,
+ * headers, and token usage stream in. Copyable snippets mirror the request.
+ * @param root0 - Component props.
+ * @param root0.tenantName - The tenant partition key used for tenant info and requests.
+ * @returns The playground panel JSX.
+ */
+export function ApiPlaygroundPanel({ tenantName }: { tenantName: string }) {
+  const [open, setOpen] = useState(false);
+  const [env, setEnv] = useState<HubEnv>('dev');
+  const [info, setInfo] = useState<PlaygroundInfoState | null>(null);
+  const [deployment, setDeployment] = useState('');
+  const [operation, setOperation] = useState<PlaygroundOperation>('chat');
+  const [systemPrompt, setSystemPrompt] = useState('');
+  const [message, setMessage] = useState('Say hello in one sentence.');
+  const [input, setInput] = useState('The quick brown fox jumps over the lazy dog.');
+  const [maxTokens, setMaxTokens] = useState(256);
+  const [temperature, setTemperature] = useState(0.7);
+  const [stream, setStream] = useState(true);
+  const [sending, setSending] = useState(false);
+  const [result, setResult] = useState<PlaygroundResult | null>(null);
+  const [language, setLanguage] = useState<keyof PlaygroundSnippets>('curl');
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    let cancelled = false;
+    api
+      .getApimTenantInfo(tenantName, env)
+      .then((data) => {
+        if (cancelled) return;
+        const first = data.models[0]?.deployment ?? '';
+        startTransition(() => {
+          setInfo({ env, data, error: null });
+          setDeployment(first);
+          setOperation(defaultOperation(first));
+        });
+      })
+      .catch((err: unknown) => {
+        if (cancelled) return;
+        const status = (err as { status?: number }).status;
+        let msg = 'Failed to load the deployments from APIM';
+        if (status === 503) msg = 'APIM not configured for this environment';
+        startTransition(() => {
+          setInfo({ env, data: null, error: msg });
+        });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [env, open, tenantName]);
+
+  const request: PlaygroundRequest = {
+    env,
+    deployment,
+    operation,
+    messages: [
+      ...(systemPrompt.trim() ? [{ role: 'system' as const, content: systemPrompt }] : []),
+      { role: 'user', content: message },
+    ],
+    input,
+    max_tokens: maxTokens,
+    temperature,
+    stream: operation === 'chat' && stream,
+  };
+  const current = info?.env === env ? info : null;
+  const snippets =
+    current?.data && deployment
+      ? buildPlaygroundSnippets(
+          current.data.base_url || `https://<apim-gateway>/${tenantName}`,
+          request,
+        )
+      : null;
+
+  const send = async () => {
+    setSending(true);
+    setResult(EMPTY_PLAYGROUND_RESULT);
+    try {
+      await api.streamPlayground(tenantName, request, (event) => {
+        setResult((prev) => applyPlaygroundEvent(prev ?? EMPTY_PLAYGROUND_RESULT, event));
+      });
+    } catch (err: unknown) {
+      setResult((prev) => ({ ...(prev ?? EMPTY_PLAYGROUND_RESULT), error: getErrorMessage(err) }));
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const reply = result && operation === 'chat' ? assistantText(result.body) : '';
+
+  return (
+    <section className="panel stack-md">
+      <h3>API playground</h3>
+      <p className="muted">
+        Requests go through the portal, which adds your APIM key, so the key never reaches the
+        browser. Each request counts against the tenant&apos;s quota.
+      </p>
+      {!open && (
+        <div>
+          <button
+            className="button button--secondary button--sm"
+            onClick={() => setOpen(true)}
+            type="button"
+          >
+            Open playground
+          </button>
+        </div>
+      )}
+      {open && (
+        <div className="tab-bar" role="tablist">
+          {HUB_ENVS.map((hubEnv) => (
+            <button
+              className={`tab-button${env === hubEnv ? ' tab-button--active' : ''}`}
+              key={hubEnv}
+              onClick={() => {
+                setEnv(hubEnv);
+                setResult(null);
+              }}
+              role="tab"
+              aria-selected={env === hubEnv}
+              type="button"
+            >
+              {hubEnv.charAt(0).toUpperCase() + hubEnv.slice(1)}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {open && !current && <p className="muted">Loading deployments&hellip;</p>}
+      {current?.error && <p className="inline-message inline-message--error">{current.error}</p>}
+      {current?.data && current.data.models.length === 0 && (
+        <p className="muted">This environment has no model deployments.</p>
+      )}
+      {current?.data && current.data.models.length > 0 && (
+        <div className="stack-md" role="tabpanel">
+          <div className="form-grid">
+            <label className="field">
+              <span className="field__label">Deployment</span>
+              <select
+                className="text-input"
+                onChange={(event) => {
+                  setDeployment(event.target.value);
+                  setOperation(defaultOperation(event.target.value));
+                }}
+                value={deployment}
+              >
+                {current.data.models.map((model) => (
+                  <option key={model.deployment} value={model.deployment}>
+                    {model.deployment}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="field">
+              <span className="field__label">Operation</span>
+              <select
+                className="text-input"
+                onChange={(event) => setOperation(event.target.value as PlaygroundOperation)}
+                value={operation}
+              >
+                <option value="chat">Chat completions</option>
+                <option value="embeddings">Embeddings</option>
+              </select>
+            </label>
+          </div>
+
+          {operation === 'chat' ? (
+            <>
+              <label className="field">
+                <span className="field__label">System prompt (optional)</span>
+                <textarea
+                  className="textarea-input"
+                  onChange={(event) => setSystemPrompt(event.target.value)}
+                  rows={2}
+                  value={systemPrompt}
+                />
+              </label>
+              <label className="field">
+                <span className="field__label">User message</span>
+                <textarea
+                  className="textarea-input"
+                  onChange={(event) => setMessage(event.target.value)}
+                  rows={4}
+                  value={message}
+                />
+              </label>
+              <div className="playground-options">
+                <label className="field">
+                  <span className="field__label">Max tokens</span>
+                  <input
+                    className="text-input"
+                    max={4096}
+                    min={1}
+                    onChange={(event) => setMaxTokens(Number(event.target.value))}
+                    type="number"
+                    value={maxTokens}
+                  />
+                </label>
+                <label className="field">
+                  <span className="field__label">Temperature</span>
+                  <input
+                    className="text-input"
+                    max={2}
+                    min={0}
+                    onChange={(event) => setTemperature(Number(event.target.value))}
+                    step={0.1}
+                    type="number"
+                    value={temperature}
+                  />
+                </label>
+                <label className="playground-options__check">
+                  <input
+                    checked={stream}
+                    onChange={(event) => setStream(event.target.checked)}
+                    type="checkbox"
+                  />
+                  Stream the response
+                </label>
+              </div>
+            </>
+          ) : (
+            <label className="field">
+              <span className="field__label">Input text</span>
+              <textarea
+                className="textarea-input"
+                onChange={(event) => setInput(event.target.value)}
+                rows={4}
+                value={input}
+              />
+            </label>
+          )}
+
+          <div className="button-row">
+            <button
+              className="button button--primary"
+              disabled={sending || !deployment}
+              onClick={() => void send()}
+              type="button"
+            >
+              {sending ? 'Sending…' : 'Send request'}
+            </button>
+          </div>
+
+          {result && (
+            <div className="playground-result stack-sm">
+              {result.error && (
+                <p className="inline-message inline-message--error">{result.error}</p>
+              )}
+              {result.status !== null && (
+                <p className="playground-result__status">
+                  <span
+                    className={`status-badge status-badge--${result.status < 400 ? 'approved' : 'rejected'}`}
+                  >
+                    HTTP {result.status}
+                  </span>
+                  {result.durationMs !== null && <span>{result.durationMs} ms</span>}
+                  {result.usage && (
+                    <span>
+                      {result.usage.prompt_tokens} prompt
+                      {result.usage.completion_tokens !== null &&
+                        ` + ${result.usage.completion_tokens} completion`}{' '}
+                      = {result.usage.total_tokens} tokens
+                    </span>
+                  )}
+                </p>
+              )}
+              {reply && <pre className="playground-output">{reply}</pre>}
+              {result.body && (
+                <details className="rotation-metadata" open={!reply}>
+                  <summary>Raw response</summary>
+                  <pre>{result.body}</pre>
+                </details>
+              )}
+              {Object.keys(result.headers).length > 0 && (
+                <details className="rotation-metadata">
+                  <summary>Response headers</summary>
+                  <table className="data-table">
+                    <tbody>
+                      {Object.entries(result.headers).map(([name, value]) => (
+                        <tr key={name}>
+                          <td>{name}</td>
+                          <td>{value}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </details>
+              )}
+            </div>
+          )}
+
+          {snippets && (
+            <div className="stack-sm">
+              <h4>Code snippets</h4>
+              <p className="muted">Set AI_HUB_API_KEY to a key from the credentials panel.</p>
+              <div className="tab-bar" role="tablist">
+                {SNIPPET_LANGUAGES.map(({ key, label }) => (
+                  <button
+                    className={`tab-button${language === key ? ' tab-button--active' : ''}`}
+                    key={key}
+                    onClick={() => setLanguage(key)}
+                    role="tab"
+                    aria-selected={language === key}
+                    type="button"
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <pre className="playground-snippet">{snippets[language]}</pre>
+              <div>
+                <button
+                  className="button button--secondary button--sm"
+                  onClick={() => {
+                    void navigator.clipboard.writeText(snippets[language]).then(() => {
+                      setCopied(true);
+                      setTimeout(() => setCopied(false), 2000);
+                    });
+                  }}
+                  type="button"
+                >
+                  {copied ? '✓ Copied' : 'Copy snippet'}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
+
+const USAGE_RANGES: Array<{ value: UsageRange; label: string }> = [
+  { value: '24h', label: 'Last 24 hours' },
+  { value: '7d', label: 'Last 7 days' },
+  { value: '30d', label: 'Last 30 days' },
+];
+
+interface UsageState {
+  key: string;
+  data: TenantUsageReport | null;
+  error: string | null;
+}
+
+/**
+ * Draws one deployment's token consumption per bucket against its configured capacity.
+ * Buckets with throttled (429) requests are marked under the bar.
+ * @param root0 - Component props.
+ * @param root0.usage - The deployment's usage.
+ * @returns The chart SVG.
+ */
+function UsageChartSvg({ usage }: { usage: DeploymentUsage }) {
+  const chart = usageChart(usage, 600, 120);
+  return (
+    <svg
+      aria-label={`Tokens per minute for ${usage.deployment}`}
+      className="usage-chart"
+      preserveAspectRatio="none"
+      role="img"
+      viewBox={`0 0 ${chart.width} ${chart.height + 6}`}
+    >
+      {chart.bars.map((bar) => (
+        <g key={bar.x}>
+          <title>{bar.label}</title>
+          <rect
+            className="usage-chart__average"
+            height={chart.height - bar.averageY}
+            width={bar.width}
+            x={bar.x}
+            y={bar.averageY}
+          />
+          <rect
+            className="usage-chart__peak"
+            height={1.5}
+            width={bar.width}
+            x={bar.x}
+            y={bar.peakY}
+          />
+          {bar.throttled && (
+            <rect
+              className="usage-chart__throttled"
+              height={4}
+              width={bar.width}
+              x={bar.x}
+              y={chart.height + 2}
+            />
+          )}
+        </g>
+      ))}
+      {chart.capacityY !== null && (
+        <line
+          className="usage-chart__capacity"
+          x1={0}
+          x2={chart.width}
+          y1={chart.capacityY}
+          y2={chart.capacityY}
+        />
+      )}
+    </svg>
+  );
+}
+
+/**
+ * Renders the usage and quota dashboard for an approved tenant: per environment and
+ * range, each deployment's token consumption over time against the tokens-per-minute
+ * capacity in its approved configuration, with the number of throttled (429) requests.
+ * @param root0 - Component props.
+ * @param root0.tenantName - The tenant partition key used to fetch usage.
+ * @returns The usage panel JSX.
+ */
+export function UsagePanel({ tenantName }: { tenantName: string }) {
+  const [env, setEnv] = useState<HubEnv>('dev');
+  const [range, setRange] = useState<UsageRange>('24h');
+  const [state, setState] = useState<UsageState | null>(null);
+  const [reload, setReload] = useState(0);
+  const key = `${env}:${range}:${reload}`;
+
+  useEffect(() => {
+    let cancelled = false;
+    api
+      .getTenantUsage(tenantName, env, range)
+      .then((data) => {
+        if (cancelled) return;
+        startTransition(() => {
+          setState({ key, data, error: null });
+        });
+      })
+      .catch((err: unknown) => {
+        if (cancelled) return;
+        const status = (err as { status?: number }).status;
+        let msg = 'Failed to load usage';
+        if (status === 403) msg = 'You do not have permission to view usage for this tenant';
+        else if (status === 503) msg = 'Usage is not available for this environment';
+        else if (status === 502) msg = 'The usage API did not return usage; try again later';
+        startTransition(() => {
+          setState({ key, data: null, error: msg });
+        });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [env, key, range, tenantName]);
+
+  const current = state?.key === key ? state : null;
+  const report = current?.data ?? null;
+
+  return (
+    <section className="panel stack-md">
+      <div className="usage-header">
+        <h3>Usage and quota</h3>
+        <select
+          aria-label="Range"
+          className="text-input usage-header__range"
+          onChange={(event) => setRange(event.target.value as UsageRange)}
+          value={range}
+        >
+          {USAGE_RANGES.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="tab-bar" role="tablist">
+        {HUB_ENVS.map((hubEnv) => (
+          <button
+            className={`tab-button${env === hubEnv ? ' tab-button--active' : ''}`}
+            key={hubEnv}
+            onClick={() => setEnv(hubEnv)}
+            role="tab"
+            aria-selected={env === hubEnv}
+            type="button"
+          >
+            {hubEnv.charAt(0).toUpperCase() + hubEnv.slice(1)}
+          </button>
+        ))}
+      </div>
+
+      {!current && <p className="muted">Loading usage&hellip;</p>}
+      {current?.error && (
+        <div className="stack-sm">
+          <p className="inline-message inline-message--error">{current.error}</p>
+          <div>
+            <button
+              className="button button--secondary button--sm"
+              onClick={() => setReload((count) => count + 1)}
+              type="button"
+            >
+              Retry
+            </button>
+          </div>
+        </div>
+      )}
+      {report && (
+        <div className="stack-md" role="tabpanel">
+          <p className="muted">
+            {formatTokens(report.totals.total_tokens)} tokens across{' '}
+            {report.totals.requests.toLocaleString()} requests,{' '}
+            {report.totals.throttled_requests.toLocaleString()} throttled (429). Bars show the
+            average tokens per minute in each {report.bucket_minutes / 60}-hour bucket, ticks the
+            busiest minute, and the dashed line the configured capacity.
+          </p>
+          {report.deployments.length === 0 && (
+            <p className="muted">No deployments are configured for this environment.</p>
+          )}
+          {report.deployments.map((usage) => (
+            <div className="usage-deployment stack-sm" key={usage.deployment}>
+              <div className="usage-deployment__header">
+                <h4>{usage.deployment}</h4>
+                <span
+                  className={`usage-deployment__utilization${
+                    (usage.peak_utilization ?? 0) >= 0.9
+                      ? ' usage-deployment__utilization--high'
+                      : ''
+                  }`}
+                >
+                  {usage.peak_utilization === null
+                    ? `Peak ${formatTokens(usage.peak_tpm)} TPM (not in the approved configuration)`
+                    : `Peak ${formatTokens(usage.peak_tpm)} of ${formatTokens(
+                        usage.capacity_tpm ?? 0,
+                      )} TPM (${Math.round(usage.peak_utilization * 100)}%)`}
+                </span>
+              </div>
+              <UsageChartSvg usage={usage} />
+              <dl className="usage-stats">
+                <div>
+                  <dt>Tokens</dt>
+                  <dd>{formatTokens(usage.totals.total_tokens)}</dd>
+                </div>
+                <div>
+                  <dt>Requests</dt>
+                  <dd>{usage.totals.requests.toLocaleString()}</dd>
+                </div>
+                <div>
+                  <dt>Throttled (429)</dt>
+                  <dd>{usage.totals.throttled_requests.toLocaleString()}</dd>
+                </div>
+              </dl>
+            </div>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+}
+
+/**
+ * Lets the submitter or an admin request that a tenant be switched off in some or all
+ * environments. The request becomes a new version that goes through review; selecting
+ * every remaining environment archives the tenant once approved.
+ * @param root0 - Component props.
+ * @param root0.tenantName - The tenant to decommission.
+ * @param root0.decommissioned - Environments already decommissioned.
+ * @param root0.onRequested - Called after the request is submitted, to reload the tenant.
+ * @returns The decommission panel.
+ */
+export function DecommissionPanel({
+  tenantName,
+  decommissioned,
+  onRequested,
+}: {
+  tenantName: string;
+  decommissioned: HubEnv[];
+  onRequested: () => void;
+}) {
+  const [selected, setSelected] = useState<HubEnv[]>([]);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const remaining = HUB_ENVS.filter((env) => !decommissioned.includes(env));
+  const archives = selected.length > 0 && selected.length === remaining.length;
+
+  const submit = async () => {
+    setIsSaving(true);
+    setError('');
+    try {
+      await api.decommissionTenant(tenantName, selected);
+      setSelected([]);
+      onRequested();
+    } catch (err) {
+      setError(getErrorMessage(err));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <section className="panel stack-md">
+      <h3>Decommission</h3>
+      <p className="muted">
+        Switch the tenant off in environments it no longer needs. The request is reviewed like any
+        other version; once approved, its tfvars set enabled = false there and the next Terraform
+        apply removes those resources.
+      </p>
+      <div className="decommission-envs">
+        {HUB_ENVS.map((env) => (
+          <label className="decommission-envs__option" key={env}>
+            <input
+              checked={decommissioned.includes(env) || selected.includes(env)}
+              disabled={decommissioned.includes(env) || isSaving}
+              onChange={(event) =>
+                setSelected((current) =>
+                  event.target.checked
+                    ? HUB_ENVS.filter((item) => item === env || current.includes(item))
+                    : current.filter((item) => item !== env),
+                )
+              }
+              type="checkbox"
+            />
+            {env.toUpperCase()}
+            {decommissioned.includes(env) ? ' (decommissioned)' : ''}
+          </label>
+        ))}
+      </div>
+      {archives ? (
+        <InlineMessage
+          tone="info"
+          message="This decommissions every environment. Once approved, the tenant is archived: it leaves its users' dashboards and can no longer be edited."
+        />
+      ) : null}
+      {error ? <InlineMessage tone="error" message={error} /> : null}
+      <div className="button-row">
+        <button
+          className="button button--secondary"
+          disabled={selected.length === 0 || isSaving}
+          onClick={() => void submit()}
+          type="button"
+        >
+          {isSaving ? 'Submitting...' : 'Request decommissioning'}
+        </button>
+      </div>
+    </section>
+  );
+}
+
+/**
+ * Shows what a request would deploy and roughly cost: the tokens-per-minute of each
+ * OpenAI deployment per environment, and a monthly cost range per service from the
+ * backend rate card. Used by the tenant form preview and the admin review page.
+ * @param root0 - Component props.
+ * @param root0.estimate - The estimate to show, or `null` while it loads.
+ * @param root0.isStale - Whether the form changed since `estimate` was computed.
+ * @returns The estimate panel JSX.
+ */
+export function CostEstimatePanel({
+  estimate,
+  isStale = false,
+}: {
+  estimate: CostEstimate | null;
+  isStale?: boolean;
+}) {
+  if (!estimate) {
+    return (
+      <section className="panel stack-md cost-estimate">
+        <h3>Quota and cost estimate</h3>
+        <p className="muted">Calculating estimate…</p>
+      </section>
+    );
+  }
+
+  const tpm = new Intl.NumberFormat('en-CA');
+  return (
+    <section
+      aria-busy={isStale}
+      className={`panel stack-md cost-estimate ${isStale ? 'cost-estimate--stale' : ''}`}
+    >
+      <div className="cost-estimate__header">
+        <h3>Quota and cost estimate</h3>
+        <span className="cost-estimate__total">
+          {formatCostRange(estimate.total, estimate.currency)} / month
+        </span>
+      </div>
+
+      {estimate.deployments.length > 0 ? (
+        <div className="table-wrap">
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Deployment</th>
+                {HUB_ENVS.map((env) => (
+                  <th key={env}>{env} TPM</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {estimate.deployments.map((deployment) => (
+                <tr key={deployment.name}>
+                  <td>
+                    <div className="table-cell-stack">
+                      <span>{deployment.name}</span>
+                      <span className="table-cell-meta">
+                        {deployment.scale_type}, capacity {deployment.capacity}
+                      </span>
+                    </div>
+                  </td>
+                  {HUB_ENVS.map((env) => (
+                    <td key={env}>{tpm.format(deployment.tpm[env])}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="muted">No OpenAI deployments requested.</p>
+      )}
+
+      <div className="table-wrap">
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Service</th>
+              {HUB_ENVS.map((env) => (
+                <th key={env}>{env}</th>
+              ))}
+              <th>Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            {estimate.services.map((service) => (
+              <tr
+                className={service.enabled ? undefined : 'cost-estimate__row--off'}
+                key={service.service}
+              >
+                <td>
+                  <div className="table-cell-stack">
+                    <span>{service.label}</span>
+                    <span className="table-cell-meta">
+                      {service.enabled ? service.basis : 'Not requested'}
+                    </span>
+                  </div>
+                </td>
+                {HUB_ENVS.map((env) => (
+                  <td key={env}>{formatCostRange(service.monthly[env], estimate.currency)}</td>
+                ))}
+                <td>{formatCostRange(service.total, estimate.currency)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="muted cost-estimate__note">
+        Monthly estimates from rate card {estimate.rate_card_version}. Actual charges depend on
+        usage; storage, networking, and shared hub costs are not included.
+      </p>
+    </section>
+  );
+}
@@ -2,35 +2,69 @@ import { useEffect, useState } from 'react';
 import { Link, getRouteApi, useNavigate } from '@tanstack/react-router';
 
 import { api } from '../api';
-import { AdminRoute } from '../components/guards';
-import { InlineMessage, Panel, SummaryRow } from '../components/ui';
-import type { AdminDashboardResponse, TenantRecord } from '../types';
-import { formatDate, getErrorMessage } from '../utils/formatters';
+import { ReviewerRoute } from '../components/guards';
+import { CostEstimatePanel, InlineMessage, Panel, SummaryRow } from '../components/ui';
+import type {
+  AdminDashboardResponse,
+  AdminReviewResponse,
+  ApprovalQueue,
+  ApprovalStage,
+  ApprovalWorkflow,
+  CostEstimate,
+  DriftReport,
+  TenantDrift,
+  TenantRecord,
+  TfvarsDiff,
+  TfvarsDiffRow,
+  VersionDiffResponse,
+} from '../types';
+import { formatDate, formatStatus, getErrorMessage } from '../utils/formatters';
 
 const adminReviewApi = getRouteApi('/admin/review/$tenantName/$version');
 
+/** Unchanged lines kept around each change before the rest of a run is collapsed. */
+const DIFF_CONTEXT_LINES = 3;
+
 /**
  * Route-level entry component for the admin dashboard.
- * Wraps the dashboard content in an `AdminRoute` guard.
+ * Wraps the dashboard content in a `ReviewerRoute` guard.
  * @returns The protected admin dashboard wrapped in a role-based route boundary.
  */
 export function AdminDashboardPage() {
   return (
-    <AdminRoute>
+    <ReviewerRoute>
       <AdminDashboardContent />
-    </AdminRoute>
+    </ReviewerRoute>
   );
 }
 
 /**
  * Fetches and renders the admin review queue alongside the current tenant registry.
- * Displays pending submission statistics, a reviewable list of pending items, and a full tenant overview table.
+ * Displays pending submission statistics, one queue per approval stage with overdue items
+ * flagged, a reviewable list of pending items, and a full tenant overview table in which
+ * tenants whose committed tfvars drifted from their approved version carry a badge.
  * @returns The admin dashboard JSX, or an inline error message if loading fails.
  */
 function AdminDashboardContent() {
   const [data, setData] = useState<AdminDashboardResponse | null>(null);
   const [error, setError] = useState('');
   const [isLoading, setIsLoading] = useState(true);
+  const [drift, setDrift] = useState<DriftReport | null>(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    // Drift detection is optional (503 without a tfvars directory), so failures only
+    // hide the badges instead of failing the dashboard.
+    api
+      .adminDrift()
+      .then((report) => {
+        if (!controller.signal.aborted) {
+          setDrift(report);
+        }
+      })
+      .catch(() => undefined);
+    return () => controller.abort();
+  }, []);
 
   useEffect(() => {
     const controller = new AbortController();
@@ -62,6 +96,12 @@ function AdminDashboardContent() {
     return <InlineMessage tone="error" message={error || 'Unable to load admin dashboard.'} />;
   }
 
+  const driftByTenant = new Map(
+    (drift?.tenants ?? [])
+      .filter((entry) => entry.drifted)
+      .map((entry) => [entry.tenant_name, entry]),
+  );
+
   return (
     <div className="stack-lg">
       <section className="page-header">
@@ -80,12 +120,35 @@ function AdminDashboardContent() {
           <span>Pending reviews</span>
           <strong>{data.pending.length}</strong>
         </div>
+        <div className="stat-card">
+          <span>Overdue stage reviews</span>
+          <strong>
+            {data.stages.reduce(
+              (total, queue) => total + queue.items.filter((item) => item.overdue).length,
+              0,
+            )}
+          </strong>
+        </div>
         <div className="stat-card">
           <span>Current tenants</span>
           <strong>{data.all_tenants.length}</strong>
         </div>
+        {drift ? (
+          <div className="stat-card">
+            <span>Drifted from tfvars</span>
+            <strong>{driftByTenant.size}</strong>
+          </div>
+        ) : null}
       </section>
 
+      {data.stages.length > 0 ? (
+        <section className="stage-queues">
+          {data.stages.map((queue) => (
+            <StageQueue key={queue.id} queue={queue} />
+          ))}
+        </section>
+      ) : null}
+
       <section className="panel stack-md">
         <h3>Pending submissions</h3>
         {data.pending.length === 0 ? (
@@ -147,8 +210,12 @@ function AdminDashboardContent() {
                   <td>{item.DisplayName}</td>
                   <td>
                     <span className={`status-badge status-badge--${item.Status}`}>
-                      {item.Status}
+                      {formatStatus(item.Status)}
                     </span>
+                    {item.Archived ? (
+                      <span className="status-badge status-badge--archived">Archived</span>
+                    ) : null}
+                    <DriftBadge drift={driftByTenant.get(item.PartitionKey)} />
                   </td>
                   <td>{formatDate(item.UpdatedAt ?? item.CreatedAt)}</td>
                   <td>
@@ -170,28 +237,65 @@ function AdminDashboardContent() {
   );
 }
 
+/**
+ * Flags a tenant whose committed tfvars no longer match its approved version.
+ * The tooltip names each affected environment and how many attributes differ.
+ * @param root0 - Component props.
+ * @param root0.drift - The tenant's drift entry, when it has drifted.
+ * @returns The drift badge, or nothing when the tenant is in sync.
+ */
+function DriftBadge({ drift }: { drift?: TenantDrift }) {
+  if (!drift) {
+    return null;
+  }
+
+  const details = drift.envs
+    .filter((entry) => entry.status !== 'in_sync')
+    .map((entry) =>
+      entry.status === 'drifted'
+        ? `${entry.env}: ${entry.changes.length} attribute${entry.changes.length === 1 ? '' : 's'} differ`
+        : `${entry.env}: ${formatStatus(entry.status)}`,
+    );
+  if (drift.pull_request_state === 'open') {
+    details.push(`pull request for ${drift.version} not merged yet`);
+  }
+
+  return (
+    <span
+      className="status-badge status-badge--drift"
+      title={`Committed tfvars differ from ${drift.version} – ${details.join('; ')}`}
+    >
+      Drifted
+    </span>
+  );
+}
+
 /**
  * Route-level entry component for the admin review page.
- * Wraps the review content in an `AdminRoute` guard.
+ * Wraps the review content in a `ReviewerRoute` guard.
  * @returns The protected review page wrapped in a role-based route boundary.
  */
 export function AdminReviewPage() {
   return (
-    <AdminRoute>
+    <ReviewerRoute>
       <AdminReviewContent />
-    </AdminRoute>
+    </ReviewerRoute>
   );
 }
 
 /**
  * Fetches a specific tenant version for admin review and handles approve or reject decisions.
- * Renders submission metadata, generated tfvars per environment, and a notes textarea with action buttons.
+ * Renders submission metadata, a notes textarea with action buttons, the changes against the
+ * last approved version, and generated tfvars per environment.
  * @returns The review page JSX, or an inline error message if loading fails.
  */
 function AdminReviewContent() {
   const { tenantName, version } = adminReviewApi.useParams();
   const navigate = useNavigate();
   const [tenant, setTenant] = useState<TenantRecord | null>(null);
+  const [versions, setVersions] = useState<AdminReviewResponse['versions']>([]);
+  const [estimate, setEstimate] = useState<CostEstimate | null>(null);
+  const [compareTo, setCompareTo] = useState('');
   const [notes, setNotes] = useState('');
   const [error, setError] = useState('');
   const [isLoading, setIsLoading] = useState(true);
@@ -205,6 +309,14 @@ function AdminReviewContent() {
         if (!controller.signal.aborted) {
           setTenant(response.tenant_request);
           setNotes(response.tenant_request.ReviewNotes ?? '');
+          setVersions(response.versions);
+          setEstimate(response.estimate);
+          // Default to what is deployed today; fall back to the previous version.
+          const previous = response.versions.find(
+            (entry) =>
+              entry.version !== version && versionNumber(entry.version) < versionNumber(version),
+          );
+          setCompareTo(response.last_approved_version ?? previous?.version ?? '');
         }
       } catch (err) {
         if (!controller.signal.aborted) {
@@ -220,12 +332,14 @@ function AdminReviewContent() {
     return () => controller.abort();
   }, [tenantName, version]);
 
-  const handleDecision = async (action: 'approve' | 'reject') => {
+  const handleDecision = async (action: 'approve' | 'reject' | 'request_changes') => {
     setIsSaving(true);
     setError('');
     try {
       if (action === 'approve') {
         await api.approveRequest(tenantName, version, notes);
+      } else if (action === 'request_changes') {
+        await api.requestChanges(tenantName, version, notes);
       } else {
         await api.rejectRequest(tenantName, version, notes);
       }
@@ -237,6 +351,20 @@ function AdminReviewContent() {
     }
   };
 
+  const handleRetryPullRequest = async () => {
+    setIsSaving(true);
+    setError('');
+    try {
+      await api.retryPullRequest(tenantName, version);
+      const response = await api.adminReview(tenantName, version);
+      setTenant(response.tenant_request);
+    } catch (err) {
+      setError(getErrorMessage(err));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
   if (isLoading) {
     return <Panel title="Loading review" />;
   }
@@ -245,6 +373,8 @@ function AdminReviewContent() {
     return <InlineMessage tone="error" message={error || 'Unable to load review record.'} />;
   }
 
+  const pendingStage = tenant.Approval?.stages.find((stage) => stage.status === 'pending');
+
   return (
     <div className="stack-lg">
       <section className="page-header">
@@ -267,11 +397,41 @@ function AdminReviewContent() {
           <SummaryRow
             label="Status"
             value={
-              <span className={`status-badge status-badge--${tenant.Status}`}>{tenant.Status}</span>
+              <span className={`status-badge status-badge--${tenant.Status}`}>
+                {formatStatus(tenant.Status)}
+              </span>
             }
           />
           <SummaryRow label="Created" value={formatDate(tenant.CreatedAt)} />
           <SummaryRow label="Ministry" value={tenant.Ministry} />
+          {tenant.PullRequestState === 'open' ? (
+            <SummaryRow
+              label="Pull request"
+              value={
+                <a href={tenant.PullRequestUrl} rel="noreferrer" target="_blank">
+                  {tenant.PullRequestNumber
+                    ? `#${tenant.PullRequestNumber}`
+                    : tenant.PullRequestBranch}
+                </a>
+              }
+            />
+          ) : null}
+          {tenant.PullRequestState === 'failed' ? (
+            <>
+              <InlineMessage
+                tone="error"
+                message={`Pull request failed: ${tenant.PullRequestError || 'unknown error'}`}
+              />
+              <button
+                className="button button--secondary"
+                disabled={isSaving}
+                onClick={() => void handleRetryPullRequest()}
+                type="button"
+              >
+                Retry pull request
+              </button>
+            </>
+          ) : null}
         </div>
         <div className="panel stack-md">
           <h3>Review notes</h3>
@@ -291,18 +451,64 @@ function AdminReviewContent() {
             >
               Reject
             </button>
+            <button
+              className="button button--secondary"
+              disabled={isSaving || tenant.Status !== 'submitted'}
+              onClick={() => void handleDecision('request_changes')}
+              type="button"
+            >
+              Request changes
+            </button>
             <button
               className="button button--primary"
               disabled={isSaving}
               onClick={() => void handleDecision('approve')}
               type="button"
             >
-              Approve
+              {pendingStage ? `Approve ${pendingStage.label}` : 'Approve'}
             </button>
           </div>
         </div>
       </section>
 
+      {tenant.Approval ? <ApprovalProgress workflow={tenant.Approval} /> : null}
+
+      <CostEstimatePanel estimate={estimate} />
+
+      <section className="panel stack-md">
+        <div className="diff-toolbar">
+          <h3>Changes</h3>
+          {versions.length > 1 ? (
+            <label className="diff-toolbar__picker">
+              <span className="muted">Compare against</span>
+              <select
+                className="text-input"
+                onChange={(event) => setCompareTo(event.target.value)}
+                value={compareTo}
+              >
+                {compareTo ? null : <option value="">Choose a version</option>}
+                {versions
+                  .filter((entry) => entry.version !== version)
+                  .map((entry) => (
+                    <option key={entry.version} value={entry.version}>
+                      {entry.version} ({entry.status})
+                    </option>
+                  ))}
+              </select>
+            </label>
+          ) : null}
+        </div>
+        {compareTo ? (
+          <VersionDiffView key={compareTo} from={compareTo} tenantName={tenantName} to={version} />
+        ) : (
+          <p className="muted">
+            {versions.length > 1
+              ? 'Choose a version to compare against.'
+              : 'This is the first version of the request; there is nothing to compare.'}
+          </p>
+        )}
+      </section>
+
       <section className="panel stack-md">
         <h3>Generated tfvars</h3>
         {Object.entries(tenant.GeneratedTfvars ?? {}).map(([environment, content]) => (
@@ -315,3 +521,303 @@ function AdminReviewContent() {
     </div>
   );
 }
+
+/**
+ * One approval stage's review queue: the versions waiting on it, soonest due first, with
+ * overdue items flagged.
+ * @param queue - The stage and its waiting versions.
+ * @returns The queue panel JSX.
+ */
+function StageQueue({ queue }: { queue: ApprovalQueue }) {
+  return (
+    <div className="panel stack-md">
+      <div className="stage-queue__header">
+        <h3>{queue.label}</h3>
+        <span className="muted">{queue.role}</span>
+      </div>
+      {queue.items.length === 0 ? (
+        <p className="muted">Nothing waiting on this stage.</p>
+      ) : (
+        <div className="table-wrap">
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Tenant</th>
+                <th>Version</th>
+                <th>Approvals</th>
+                <th>Due by</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {queue.items.map((item) => (
+                <tr
+                  key={`${item.tenant_name}-${item.version}`}
+                  className={item.overdue ? 'stage-queue__row--overdue' : undefined}
+                >
+                  <td>{item.display_name}</td>
+                  <td>{item.version}</td>
+                  <td>
+                    {item.approvals} of {item.required_approvals}
+                  </td>
+                  <td>
+                    {item.due_by ? formatDate(item.due_by) : 'No SLA'}
+                    {item.overdue ? <span className="overdue-flag">Overdue</span> : null}
+                  </td>
+                  <td>
+                    <Link
+                      className="text-link"
+                      params={{ tenantName: item.tenant_name, version: item.version }}
+                      to="/admin/review/$tenantName/$version"
+                    >
+                      Review
+                    </Link>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Shows where a version is in its multi-stage approval: why it needs the pipeline and, per
+ * stage, its status, required role, sign-offs, and due-by time.
+ * @param workflow - The version's approval workflow.
+ * @returns The approval progress panel JSX.
+ */
+function ApprovalProgress({ workflow }: { workflow: ApprovalWorkflow }) {
+  return (
+    <section className="panel stack-md">
+      <h3>Approval stages</h3>
+      <p className="muted">{workflow.reason}</p>
+      <ol className="approval-stages">
+        {workflow.stages.map((stage) => (
+          <li key={stage.id} className={`approval-stage approval-stage--${stage.status}`}>
+            <div className="approval-stage__header">
+              <strong>{stage.label}</strong>
+              <span className={`status-badge status-badge--${stage.status}`}>
+                {formatStatus(stage.status)}
+              </span>
+              {stageIsOverdue(stage) ? <span className="overdue-flag">Overdue</span> : null}
+            </div>
+            <span className="approval-stage__meta">
+              {stage.role} · {stage.approvals.length} of {stage.required_approvals} approvals
+              {stage.due_by ? ` · due ${formatDate(stage.due_by)}` : ''}
+            </span>
+            {stage.approvals.map((signoff) => (
+              <span key={signoff.by} className="approval-stage__meta">
+                Approved by {signoff.by} on {formatDate(signoff.at)}
+                {signoff.notes ? `: ${signoff.notes}` : ''}
+              </span>
+            ))}
+          </li>
+        ))}
+      </ol>
+    </section>
+  );
+}
+
+/**
+ * Whether a pending stage is past its due-by time.
+ * @param stage - The approval stage to check.
+ * @returns `true` when the stage is pending and overdue.
+ */
+function stageIsOverdue(stage: ApprovalStage): boolean {
+  return stage.status === 'pending' && !!stage.due_by && Date.parse(stage.due_by) < Date.now();
+}
+
+/**
+ * Numeric part of a version key so `v10` sorts after `v9`.
+ * @param version - Version key such as `'v3'`.
+ * @returns The version number, or `0` when the key is not in `vN` form.
+ */
+function versionNumber(version: string): number {
+  return Number.parseInt(version.replace(/^v/, ''), 10) || 0;
+}
+
+/**
+ * Loads and renders the diff between two versions of a tenant request: a list of
+ * changed form fields and a side-by-side tfvars diff per environment. Keyed by the
+ * baseline at the call site so switching versions starts from a fresh load.
+ * @param tenantName - Tenant whose versions are compared.
+ * @param from - Baseline version, usually the last approved one.
+ * @param to - Version under review.
+ * @returns The diff JSX, a loading panel, or an inline error message.
+ */
+function VersionDiffView({
+  tenantName,
+  from,
+  to,
+}: {
+  tenantName: string;
+  from: string;
+  to: string;
+}) {
+  const [diff, setDiff] = useState<VersionDiffResponse | null>(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const load = async () => {
+      try {
+        const response = await api.adminDiff(tenantName, from, to);
+        if (!controller.signal.aborted) {
+          setDiff(response);
+        }
+      } catch (err) {
+        if (!controller.signal.aborted) {
+          setError(getErrorMessage(err));
+        }
+      }
+    };
+    void load();
+    return () => controller.abort();
+  }, [tenantName, from, to]);
+
+  if (error) {
+    return <InlineMessage tone="error" message={error} />;
+  }
+
+  if (!diff) {
+    return <p className="muted">Loading changes…</p>;
+  }
+
+  return (
+    <div className="stack-md">
+      {diff.fields.length === 0 ? (
+        <p className="muted">
+          No form fields changed between {from} and {to}.
+        </p>
+      ) : (
+        <ul className="field-changes">
+          {diff.fields.map((change) => (
+            <li key={change.field} className="field-changes__item">
+              <span className="field-changes__label">{change.label}</span>
+              <span>{change.summary}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+      {Object.entries(diff.tfvars).map(([environment, tfvars]) => (
+        <TfvarsDiffTable
+          key={environment}
+          environment={environment}
+          from={from}
+          tfvars={tfvars}
+          to={to}
+        />
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Renders one environment's tfvars diff as a side-by-side table. Long runs of
+ * unchanged lines are collapsed to a few lines of context until expanded.
+ * @param environment - Environment name shown in the header.
+ * @param from - Baseline version label for the left column.
+ * @param to - Reviewed version label for the right column.
+ * @param tfvars - Diff rows and added/removed counts for the file.
+ * @returns A code-block styled diff table.
+ */
+function TfvarsDiffTable({
+  environment,
+  from,
+  to,
+  tfvars,
+}: {
+  environment: string;
+  from: string;
+  to: string;
+  tfvars: TfvarsDiff;
+}) {
+  const [expanded, setExpanded] = useState(false);
+  const unchanged = tfvars.added === 0 && tfvars.removed === 0;
+  const visible = expanded ? tfvars.rows : collapseRows(tfvars.rows);
+
+  return (
+    <div className="code-block-wrap">
+      <div className="code-block__header diff-table__header">
+        <span>{environment}.tfvars</span>
+        <span className="diff-table__counts">
+          {unchanged ? 'No changes' : `+${tfvars.added} −${tfvars.removed}`}
+        </span>
+        {unchanged ? null : (
+          <button
+            className="button button--ghost diff-table__toggle"
+            onClick={() => setExpanded(!expanded)}
+            type="button"
+          >
+            {expanded ? 'Hide unchanged lines' : 'Show all lines'}
+          </button>
+        )}
+      </div>
+      {unchanged ? null : (
+        <div className="diff-table-wrap">
+          <table className="diff-table">
+            <thead>
+              <tr>
+                <th colSpan={2}>{from}</th>
+                <th colSpan={2}>{to}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.map((row, index) =>
+                typeof row === 'number' ? (
+                  <tr key={`skip-${index}`} className="diff-table__skip">
+                    <td colSpan={4}>
+                      {row} unchanged line{row === 1 ? '' : 's'}
+                    </td>
+                  </tr>
+                ) : (
+                  <tr key={index} className={`diff-table__row diff-table__row--${row.kind}`}>
+                    <td className="diff-table__number">{row.left?.number ?? ''}</td>
+                    <td className="diff-table__text diff-table__text--left">
+                      {row.left?.text ?? ''}
+                    </td>
+                    <td className="diff-table__number">{row.right?.number ?? ''}</td>
+                    <td className="diff-table__text diff-table__text--right">
+                      {row.right?.text ?? ''}
+                    </td>
+                  </tr>
+                ),
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Replaces unchanged lines further than {@link DIFF_CONTEXT_LINES} from any change
+ * with the number of lines hidden.
+ * @param rows - Every diff row of one file.
+ * @returns The rows to render, with numbers standing in for collapsed runs.
+ */
+function collapseRows(rows: TfvarsDiffRow[]): Array<TfvarsDiffRow | number> {
+  const keep = rows.map((row) => row.kind !== 'same');
+  rows.forEach((row, index) => {
+    if (row.kind === 'same') return;
+    const start = Math.max(0, index - DIFF_CONTEXT_LINES);
+    const end = Math.min(rows.length - 1, index + DIFF_CONTEXT_LINES);
+    for (let near = start; near <= end; near += 1) keep[near] = true;
+  });
+
+  const result: Array<TfvarsDiffRow | number> = [];
+  rows.forEach((row, index) => {
+    if (keep[index]) {
+      result.push(row);
+    } else if (typeof result[result.length - 1] === 'number') {
+      result[result.length - 1] = (result[result.length - 1] as number) + 1;
+    } else {
+      result.push(1);
+    }
+  });
+  return result;
+}
@@ -4,8 +4,8 @@ import { Link } from '@tanstack/react-router';
 import { api } from '../api';
 import { ProtectedRoute } from '../components/guards';
 import { EmptyState, InlineMessage, Panel } from '../components/ui';
-import type { TenantRecord } from '../types';
-import { formatDate, getErrorMessage } from '../utils/formatters';
+import type { TenantDraft, TenantRecord } from '../types';
+import { formatDate, formatStatus, getErrorMessage } from '../utils/formatters';
 
 /**
  * Route-level entry component for the tenant dashboard.
@@ -21,12 +21,14 @@ export function TenantDashboardPage() {
 }
 
 /**
- * Fetches and renders the current user's tenant request list.
+ * Fetches and renders the current user's tenant request list, with any unsubmitted
+ * drafts listed above it.
  * Displays a loading indicator, an empty state with a create action, or a sortable data table.
  * @returns The dashboard panel, empty state, or data table JSX depending on load state.
  */
 function TenantDashboardContent() {
   const [items, setItems] = useState<TenantRecord[]>([]);
+  const [drafts, setDrafts] = useState<TenantDraft[]>([]);
   const [error, setError] = useState('');
   const [isLoading, setIsLoading] = useState(true);
 
@@ -34,9 +36,10 @@ function TenantDashboardContent() {
     const controller = new AbortController();
     const load = async () => {
       try {
-        const response = await api.listTenants();
+        const [response, draftResponse] = await Promise.all([api.listTenants(), api.listDrafts()]);
         if (!controller.signal.aborted) {
           setItems(response.items);
+          setDrafts(draftResponse.items);
           setError('');
         }
       } catch (err) {
@@ -57,6 +60,17 @@ function TenantDashboardContent() {
     return <Panel title="Loading requests" />;
   }
 
+  const tenantNames = new Set(items.map((tenant) => tenant.PartitionKey));
+
+  const discardDraft = async (tenantName: string) => {
+    try {
+      await api.deleteDraft(tenantName);
+      setDrafts((current) => current.filter((draft) => draft.PartitionKey !== tenantName));
+    } catch (err) {
+      setError(getErrorMessage(err));
+    }
+  };
+
   return (
     <div className="stack-lg">
       <section className="page-header">
@@ -70,6 +84,66 @@ function TenantDashboardContent() {
         </Link>
       </section>
       {error ? <InlineMessage tone="error" message={error} /> : null}
+      {drafts.length > 0 ? (
+        <section className="panel stack-md">
+          <h3>Drafts</h3>
+          <p className="muted">
+            Drafts are saved as you edit and are deleted if not submitted before they expire.
+          </p>
+          <div className="table-wrap">
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Tenant</th>
+                  <th>Saved</th>
+                  <th>Expires</th>
+                  <th>Action</th>
+                </tr>
+              </thead>
+              <tbody>
+                {drafts.map((draft) => (
+                  <tr key={draft.PartitionKey}>
+                    <td>
+                      <strong>{draft.DisplayName || draft.PartitionKey}</strong>
+                      <div className="cell-subtitle">{draft.PartitionKey}</div>
+                    </td>
+                    <td>{formatDate(draft.UpdatedAt ?? draft.CreatedAt)}</td>
+                    <td>{formatDate(draft.ExpiresAt)}</td>
+                    <td>
+                      <div className="draft-actions">
+                        {tenantNames.has(draft.PartitionKey) ? (
+                          <Link
+                            className="text-link"
+                            params={{ tenantName: draft.PartitionKey }}
+                            to="/tenants/$tenantName/edit"
+                          >
+                            Resume draft
+                          </Link>
+                        ) : (
+                          <Link
+                            className="text-link"
+                            search={{ draft: draft.PartitionKey }}
+                            to="/tenants/new"
+                          >
+                            Resume draft
+                          </Link>
+                        )}
+                        <button
+                          className="button button--ghost button--sm"
+                          onClick={() => void discardDraft(draft.PartitionKey)}
+                          type="button"
+                        >
+                          Discard
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </section>
+      ) : null}
       {items.length === 0 ? (
         <EmptyState
           action={
@@ -103,7 +177,7 @@ function TenantDashboardContent() {
                     <td>{tenant.Ministry}</td>
                     <td>
                       <span className={`status-badge status-badge--${tenant.Status}`}>
-                        {tenant.Status}
+                        {formatStatus(tenant.Status)}
                       </span>
                     </td>
                     <td>{formatDate(tenant.UpdatedAt ?? tenant.CreatedAt)}</td>
@@ -3,13 +3,36 @@ import { Link, getRouteApi } from '@tanstack/react-router';
 
 import { api } from '../api';
 import { ProtectedRoute } from '../components/guards';
-import { CredentialsPanel, InlineMessage, Panel, SummaryRow, TagList } from '../components/ui';
-import type { FormSchema, TenantDetailResponse } from '../types';
+import {
+  ApiPlaygroundPanel,
+  CredentialsPanel,
+  DecommissionPanel,
+  InlineMessage,
+  Panel,
+  SummaryRow,
+  TagList,
+  UsagePanel,
+} from '../components/ui';
+import type { AuditAction, AuditEvent, FormSchema, HubEnv, TenantDetailResponse } from '../types';
 import { normalizeForm } from '../utils/form-helpers';
-import { formatDate, getErrorMessage, stringValue } from '../utils/formatters';
+import { formatDate, formatStatus, getErrorMessage, stringValue } from '../utils/formatters';
 
 const tenantDetailApi = getRouteApi('/tenants/$tenantName');
 
+const AUDIT_ACTION_LABELS: Record<AuditAction, string> = {
+  create: 'Submitted',
+  edit: 'Edited',
+  approve: 'Approved',
+  reject: 'Rejected',
+  request_changes: 'Requested changes',
+  credentials_view: 'Viewed credentials',
+  tenant_info_view: 'Looked up tenant info',
+  credentials_regenerate: 'Regenerated API key',
+  playground_request: 'Used the API playground',
+  import: 'Imported from tfvars',
+  decommission: 'Requested decommissioning',
+};
+
 /**
  * Route-level entry component for the tenant detail view.
  * Wraps the detail content in a `ProtectedRoute` guard.
@@ -25,27 +48,31 @@ export function TenantDetailPage() {
 
 /**
  * Fetches tenant detail and form schema in parallel, then renders a summary grid,
- * API credentials, version history, and collapsible Azure-generated tfvars.
+ * API credentials, version history, the activity timeline, and collapsible Azure-generated tfvars.
  * @returns The detail page JSX, or an inline error message if loading fails.
  */
 function TenantDetailContent() {
   const { tenantName } = tenantDetailApi.useParams();
   const [detail, setDetail] = useState<TenantDetailResponse | null>(null);
   const [schema, setSchema] = useState<FormSchema | null>(null);
+  const [auditEvents, setAuditEvents] = useState<AuditEvent[]>([]);
   const [error, setError] = useState('');
   const [isLoading, setIsLoading] = useState(true);
+  const [reloadCount, setReloadCount] = useState(0);
 
   useEffect(() => {
     const controller = new AbortController();
     const load = async () => {
       try {
-        const [detailResponse, schemaResponse] = await Promise.all([
+        const [detailResponse, schemaResponse, auditResponse] = await Promise.all([
           api.getTenant(tenantName),
           api.formSchema(),
+          api.getTenantAudit(tenantName),
         ]);
         if (!controller.signal.aborted) {
           setDetail(detailResponse);
           setSchema(schemaResponse);
+          setAuditEvents(auditResponse.items);
           setError('');
         }
       } catch (err) {
@@ -60,7 +87,7 @@ function TenantDetailContent() {
     };
     void load();
     return () => controller.abort();
-  }, [tenantName]);
+  }, [reloadCount, tenantName]);
 
   if (isLoading) {
     return <Panel title="Loading tenant" />;
@@ -72,6 +99,11 @@ function TenantDetailContent() {
 
   const formData = normalizeForm(detail.tenant.FormData, schema);
   const generatedTfvars = detail.tenant.GeneratedTfvars ?? {};
+  // Versions are newest first; the last approved one is what is deployed.
+  const approvedVersion = detail.versions.find((version) => version.Status === 'approved');
+  const decommissioned =
+    (approvedVersion?.FormData?.disabled_environments as HubEnv[] | undefined) ?? [];
+  const isArchived = detail.tenant.Archived === true;
 
   return (
     <div className="stack-lg">
@@ -85,13 +117,15 @@ function TenantDetailContent() {
           <Link className="button button--ghost" to="/tenants">
             Back to requests
           </Link>
-          <Link
-            className="button button--primary"
-            params={{ tenantName: detail.tenant.PartitionKey }}
-            to="/tenants/$tenantName/edit"
-          >
-            Create updated version
-          </Link>
+          {isArchived ? null : (
+            <Link
+              className="button button--primary"
+              params={{ tenantName: detail.tenant.PartitionKey }}
+              to="/tenants/$tenantName/edit"
+            >
+              Create updated version
+            </Link>
+          )}
         </div>
       </section>
 
@@ -101,11 +135,19 @@ function TenantDetailContent() {
           <SummaryRow
             label="Status"
             value={
-              <span className={`status-badge status-badge--${detail.tenant.Status}`}>
-                {detail.tenant.Status}
-              </span>
+              isArchived ? (
+                <span className="status-badge status-badge--archived">Archived</span>
+              ) : (
+                <span className={`status-badge status-badge--${detail.tenant.Status}`}>
+                  {formatStatus(detail.tenant.Status)}
+                </span>
+              )
             }
           />
+          <SummaryRow
+            label="Decommissioned"
+            value={decommissioned.map((env) => env.toUpperCase()).join(', ') || 'None'}
+          />
           <SummaryRow label="Ministry" value={detail.tenant.Ministry} />
           <SummaryRow label="Department" value={stringValue(formData.department)} />
           <SummaryRow label="Submitted by" value={detail.tenant.SubmittedBy} />
@@ -157,10 +199,22 @@ function TenantDetailContent() {
         </div>
       </section>
 
-      {detail.tenant.Status === 'approved' && (
-        <CredentialsPanel tenantName={detail.tenant.PartitionKey} />
+      {detail.tenant.Status === 'approved' && !isArchived && (
+        <>
+          <CredentialsPanel tenantName={detail.tenant.PartitionKey} />
+          <ApiPlaygroundPanel tenantName={detail.tenant.PartitionKey} />
+          <UsagePanel tenantName={detail.tenant.PartitionKey} />
+        </>
       )}
 
+      {approvedVersion && !isArchived ? (
+        <DecommissionPanel
+          decommissioned={decommissioned}
+          onRequested={() => setReloadCount((count) => count + 1)}
+          tenantName={detail.tenant.PartitionKey}
+        />
+      ) : null}
+
       <section className="panel stack-md">
         <h3>Version history</h3>
         <div className="table-wrap">
@@ -179,7 +233,7 @@ function TenantDetailContent() {
                   <td>{version.RowKey}</td>
                   <td>
                     <span className={`status-badge status-badge--${version.Status}`}>
-                      {version.Status}
+                      {formatStatus(version.Status)}
                     </span>
                   </td>
                   <td>{formatDate(version.CreatedAt)}</td>
@@ -191,6 +245,36 @@ function TenantDetailContent() {
         </div>
       </section>
 
+      <section className="panel stack-md">
+        <h3>Activity</h3>
+        {auditEvents.length === 0 ? (
+          <p className="muted">No activity has been recorded for this tenant yet.</p>
+        ) : (
+          <ol className="timeline">
+            {auditEvents.map((event) => (
+              <li key={event.id} className={`timeline__item timeline__item--${event.action}`}>
+                <div className="timeline__heading">
+                  <span className="timeline__title">
+                    {AUDIT_ACTION_LABELS[event.action] ?? event.action}
+                    {event.version ? ` ${event.version}` : ''}
+                    {event.env ? ` (${event.env})` : ''}
+                  </span>
+                  {event.to_status ? (
+                    <span className={`status-badge status-badge--${event.to_status}`}>
+                      {formatStatus(event.to_status)}
+                    </span>
+                  ) : null}
+                </div>
+                <p className="timeline__summary">{event.summary}</p>
+                <p className="table-cell-meta">
+                  {event.actor} · {formatDate(event.timestamp)}
+                </p>
+              </li>
+            ))}
+          </ol>
+        )}
+      </section>
+
       <section className="panel stack-md">
         <details className="detail-disclosure">
           <summary className="detail-disclosure__summary">
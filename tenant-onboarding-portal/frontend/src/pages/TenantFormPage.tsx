@@ -2,13 +2,27 @@ import { useEffect, useState } from 'react';
 import type { FormEvent } from 'react';
 import { Link, getRouteApi, useNavigate } from '@tanstack/react-router';
 
-import { api } from '../api';
+import { ApiError, api } from '../api';
 import { ProtectedRoute } from '../components/guards';
-import { EmailListField, Field, InlineMessage, Panel, Toggle } from '../components/ui';
-import type { FormSchema } from '../types';
+import {
+  CostEstimatePanel,
+  EmailListField,
+  Field,
+  InlineMessage,
+  Panel,
+  Toggle,
+} from '../components/ui';
+import type {
+  CostEstimate,
+  CostEstimateInput,
+  FormMigration,
+  FormSchema,
+  TenantDraft,
+} from '../types';
 import {
   type FormValidationErrors,
   type TenantFormState,
+  costEstimateInput,
   hasValidationErrors,
   normalizeForm,
   removeRoleEmail,
@@ -17,19 +31,36 @@ import {
   updateRoleEmail,
   validateTenantForm,
 } from '../utils/form-helpers';
-import { getErrorMessage, getInputClassName } from '../utils/formatters';
+import { formatDate, formatStatus, getErrorMessage, getInputClassName } from '../utils/formatters';
 
+const newTenantApi = getRouteApi('/tenants/new');
 const editTenantApi = getRouteApi('/tenants/$tenantName/edit');
 
+/** Quiet period after the last cost-relevant edit before the estimate is refreshed. */
+const ESTIMATE_DEBOUNCE_MS = 300;
+
+/** Quiet period after the last edit before the form is saved as a draft. */
+const DRAFT_AUTOSAVE_MS = 2000;
+
+interface DraftState {
+  /** The form, serialized, as last saved or loaded; autosave skips forms equal to it. */
+  key: string;
+  /** The tenant name the last draft was saved under, or `''` if none was saved. */
+  name: string;
+  savedAt: string | null;
+  error: string;
+}
+
 /**
  * Route-level entry component for creating a new tenant onboarding request.
  * Wraps the form in a `ProtectedRoute` guard.
  * @returns The create form wrapped in a route authentication boundary.
  */
 export function CreateTenantPage() {
+  const { draft } = newTenantApi.useSearch();
   return (
     <ProtectedRoute>
-      <TenantFormPage mode="create" />
+      <TenantFormPage mode="create" draftName={draft} />
     </ProtectedRoute>
   );
 }
@@ -48,15 +79,85 @@ export function EditTenantPage() {
   );
 }
 
+/**
+ * Tells the editor that the request was stored on an older form version and lists
+ * what upgrading it to the current form changed, so they can review it before submitting.
+ * @param root0 - Component props.
+ * @param root0.migration - The upgrade the backend applied to the stored form data.
+ * @param root0.schema - The current form schema, used for field labels.
+ * @returns The migration notice panel.
+ */
+function FormMigrationNotice({
+  migration,
+  schema,
+}: {
+  migration: FormMigration;
+  schema: FormSchema;
+}) {
+  const fieldLabel = (field: string) =>
+    schema.field_info[field as keyof FormSchema['field_info']]?.label ?? formatStatus(field);
+
+  return (
+    <section className="panel stack-md form-migration">
+      <h3>This request was created on an older form</h3>
+      <p className="section-intro">
+        It was saved on{' '}
+        {migration.from_version
+          ? `form version ${migration.from_version}`
+          : 'a form from before versioning'}{' '}
+        and has been updated to the current form ({migration.to_version}). Review the changes below;
+        they are saved when you submit the updated version.
+      </p>
+      {migration.changes.length > 0 ? (
+        <ul className="form-migration__changes">
+          {migration.changes.map((change) => (
+            <li key={`${change.version}-${change.field}`}>
+              <strong>{fieldLabel(change.field)}</strong>: {change.description}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="muted">No field values changed.</p>
+      )}
+    </section>
+  );
+}
+
+/**
+ * Reads the user's draft of a tenant request.
+ * @param tenantName - The tenant the draft is for.
+ * @returns The draft, or `null` when there is none or it expired.
+ */
+async function loadDraft(tenantName: string): Promise<TenantDraft | null> {
+  try {
+    return (await api.getDraft(tenantName)).draft;
+  } catch (err) {
+    if (err instanceof ApiError && err.status === 404) return null;
+    throw err;
+  }
+}
+
 /**
  * Shared create/edit form for tenant onboarding requests.
  * Loads the form schema (and current tenant data when editing), handles field validation
  * with touch-based progressive disclosure, and submits create or update requests to the API.
- * @param mode - `"create"` for new requests; `"edit"` to update an existing tenant.
- * @param tenantName - The partition key of the tenant being edited. Required when `mode` is `"edit"`.
+ * Changes are autosaved as a draft once the form has a valid project name, and a saved
+ * draft is restored in place of the submitted version when the form is reopened.
+ * @param root0 - Component props.
+ * @param root0.mode - `"create"` for new requests; `"edit"` to update an existing tenant.
+ * @param root0.tenantName - The partition key of the tenant being edited. Required when `mode` is `"edit"`.
+ * @param root0.draftName - The tenant name of a draft to resume when creating a request.
  * @returns The multi-section tenant form JSX, a loading panel, or an inline error message.
  */
-function TenantFormPage({ mode, tenantName }: { mode: 'create' | 'edit'; tenantName?: string }) {
+function TenantFormPage({
+  mode,
+  tenantName,
+  draftName,
+}: {
+  mode: 'create' | 'edit';
+  tenantName?: string;
+  draftName?: string;
+}) {
   const navigate = useNavigate();
   const [schema, setSchema] = useState<FormSchema | null>(null);
   const [form, setForm] = useState<TenantFormState | null>(null);
@@ -65,6 +166,27 @@ function TenantFormPage({ mode, tenantName }: { mode: 'create' | 'edit'; tenantN
   const [touched, setTouched] = useState<Set<string>>(new Set());
   const [isLoading, setIsLoading] = useState(true);
   const [isSaving, setIsSaving] = useState(false);
+  const [estimate, setEstimate] = useState<{ key: string; value: CostEstimate } | null>(null);
+  const [migration, setMigration] = useState<FormMigration | null>(null);
+  const [restoredDraft, setRestoredDraft] = useState<TenantDraft | null>(null);
+  const [draftState, setDraftState] = useState<DraftState>({
+    key: '',
+    name: '',
+    savedAt: null,
+    error: '',
+  });
+  const [reloadCount, setReloadCount] = useState(0);
+  const estimateKey = form ? JSON.stringify(costEstimateInput(form)) : '';
+  const formKey = form ? JSON.stringify(form) : '';
+  const draftTarget =
+    mode === 'edit'
+      ? (tenantName ?? '')
+      : form &&
+          schema &&
+          form.project_name === form.project_name.trim() &&
+          !validateTenantForm(form, schema).project_name
+        ? form.project_name
+        : '';
 
   const markTouched = (field: string) => {
     setTouched((prev) => {
@@ -79,17 +201,39 @@ function TenantFormPage({ mode, tenantName }: { mode: 'create' | 'edit'; tenantN
     const controller = new AbortController();
     const load = async () => {
       try {
-        const [schemaResponse, detailResponse] = await Promise.all([
+        const resumeName = mode === 'edit' ? tenantName : draftName;
+        const [schemaResponse, detailResponse, draft] = await Promise.all([
           api.formSchema(),
           mode === 'edit' && tenantName ? api.getTenant(tenantName) : Promise.resolve(null),
+          resumeName && reloadCount === 0 ? loadDraft(resumeName) : Promise.resolve(null),
         ]);
         if (!controller.signal.aborted) {
           setSchema(schemaResponse);
-          if (detailResponse) {
-            setForm(normalizeForm(detailResponse.tenant.FormData, schemaResponse));
+          let loaded: TenantFormState;
+          if (draft) {
+            setMigration(null);
+            loaded = normalizeForm(
+              { ...schemaResponse.defaults, ...draft.FormData },
+              schemaResponse,
+            );
+          } else if (detailResponse) {
+            const { form_migration: formMigration } = detailResponse;
+            setMigration(formMigration);
+            loaded = normalizeForm(
+              formMigration?.form_data ?? detailResponse.tenant.FormData,
+              schemaResponse,
+            );
           } else {
-            setForm(normalizeForm(schemaResponse.defaults, schemaResponse));
+            loaded = normalizeForm(schemaResponse.defaults, schemaResponse);
           }
+          setForm(loaded);
+          setRestoredDraft(draft);
+          setDraftState({
+            key: JSON.stringify(loaded),
+            name: draft?.PartitionKey ?? '',
+            savedAt: draft?.UpdatedAt ?? null,
+            error: '',
+          });
         }
       } catch (err) {
         if (!controller.signal.aborted) {
@@ -103,10 +247,75 @@ function TenantFormPage({ mode, tenantName }: { mode: 'create' | 'edit'; tenantN
     };
     void load();
     return () => controller.abort();
-  }, [mode, tenantName]);
+  }, [draftName, mode, reloadCount, tenantName]);
+
+  useEffect(() => {
+    if (!formKey || !draftTarget || isSaving || formKey === draftState.key) return;
+    let cancelled = false;
+    const previousName = draftState.name;
+    const timer = window.setTimeout(() => {
+      api
+        .saveDraft(draftTarget, JSON.parse(formKey) as TenantFormState)
+        .then(async (response) => {
+          // A renamed new request leaves its old draft behind; drop it.
+          if (previousName && previousName !== draftTarget) {
+            await api.deleteDraft(previousName).catch(() => undefined);
+          }
+          if (!cancelled) {
+            setDraftState({
+              key: formKey,
+              name: draftTarget,
+              savedAt: response.draft.UpdatedAt ?? response.draft.CreatedAt,
+              error: '',
+            });
+          }
+        })
+        .catch((err: unknown) => {
+          if (!cancelled) setDraftState((prev) => ({ ...prev, error: getErrorMessage(err) }));
+        });
+    }, DRAFT_AUTOSAVE_MS);
+    return () => {
+      cancelled = true;
+      window.clearTimeout(timer);
+    };
+  }, [draftState.key, draftState.name, draftTarget, formKey, isSaving]);
+
+  useEffect(() => {
+    if (!estimateKey) return;
+    let cancelled = false;
+    const timer = window.setTimeout(() => {
+      api
+        .estimateCost(JSON.parse(estimateKey) as CostEstimateInput)
+        .then((value) => {
+          if (!cancelled) setEstimate({ key: estimateKey, value });
+        })
+        .catch(() => {
+          // The preview is advisory; keep showing the last estimate if a refresh fails.
+        });
+    }, ESTIMATE_DEBOUNCE_MS);
+    return () => {
+      cancelled = true;
+      window.clearTimeout(timer);
+    };
+  }, [estimateKey]);
 
   const submitLabel = mode === 'create' ? 'Submit request' : 'Create updated version';
 
+  const discardDraft = async () => {
+    try {
+      if (draftState.name) await api.deleteDraft(draftState.name);
+      setIsLoading(true);
+      setReloadCount((count) => count + 1);
+    } catch (err) {
+      setError(getErrorMessage(err));
+    }
+  };
+
+  let draftStatus = '';
+  if (draftState.error) draftStatus = `Draft not saved: ${draftState.error}`;
+  else if (draftState.savedAt) draftStatus = `Draft saved ${formatDate(draftState.savedAt)}`;
+  else if (!draftTarget) draftStatus = 'Enter a valid project name to autosave a draft';
+
   if (!schema || !form) {
     return <InlineMessage tone="error" message={error || 'Unable to load form schema.'} />;
   }
@@ -165,6 +374,14 @@ function TenantFormPage({ mode, tenantName }: { mode: 'create' | 'edit'; tenantN
           </p>
         </div>
         <div className="button-row">
+          {draftStatus ? (
+            <span
+              aria-live="polite"
+              className={`draft-status${draftState.error ? ' draft-status--error' : ''}`}
+            >
+              {draftStatus}
+            </span>
+          ) : null}
           <Link
             className="button button--ghost"
             params={mode === 'create' ? undefined : { tenantName: tenantName ?? '' }}
@@ -179,6 +396,23 @@ function TenantFormPage({ mode, tenantName }: { mode: 'create' | 'edit'; tenantN
       </section>
 
       {error ? <InlineMessage tone="error" message={error} /> : null}
+      {migration ? <FormMigrationNotice migration={migration} schema={schema} /> : null}
+      {restoredDraft ? (
+        <section className="panel draft-notice">
+          <p>
+            Restored your draft from{' '}
+            {formatDate(restoredDraft.UpdatedAt ?? restoredDraft.CreatedAt)}. Unsubmitted drafts are
+            deleted after {formatDate(restoredDraft.ExpiresAt)}.
+          </p>
+          <button
+            className="button button--secondary button--sm"
+            onClick={() => void discardDraft()}
+            type="button"
+          >
+            {mode === 'edit' ? 'Discard draft and reload the current version' : 'Discard draft'}
+          </button>
+        </section>
+      ) : null}
 
       <section className="panel stack-md">
         <h3>Project identity</h3>
@@ -362,6 +596,11 @@ function TenantFormPage({ mode, tenantName }: { mode: 'create' | 'edit'; tenantN
         </section>
       ) : null}
 
+      <CostEstimatePanel
+        estimate={estimate?.value ?? null}
+        isStale={estimate !== null && estimate.key !== estimateKey}
+      />
+
       <section className="panel stack-md">
         <h3>Gateway policies</h3>
         <p className="section-intro">
@@ -24,6 +24,9 @@ const tenantsRoute = createRoute({
 const newTenantRoute = createRoute({
   getParentRoute: () => rootRoute,
   path: '/tenants/new',
+  validateSearch: (search: Record<string, unknown>): { draft?: string } => ({
+    draft: typeof search.draft === 'string' ? search.draft : undefined,
+  }),
   component: lazyRouteComponent(() => import('./pages/TenantFormPage'), 'CreateTenantPage'),
 });
 
@@ -39,6 +39,8 @@ type AuthState = {
   isInitialized: boolean;
   isAuthenticated: boolean;
   isAdmin: boolean;
+  isReviewer: boolean;
+  notificationsOptOut: boolean;
   isLoading: boolean;
   user: SessionUser | null;
   error: string | null;
@@ -46,17 +48,21 @@ type AuthState = {
   refreshSession: () => Promise<void>;
   login: () => Promise<void>;
   logout: () => Promise<void>;
+  setNotificationsOptOut: (optOut: boolean) => Promise<void>;
 };
 
 /**
  * Returns the default unauthenticated state slice for the auth store.
  * Used to reset authentication fields on logout or session error.
- * @returns Partial auth state with `isAuthenticated`, `isAdmin`, and `user` cleared.
+ * @returns Partial auth state with `isAuthenticated`, `isAdmin`, `isReviewer`,
+ *   `notificationsOptOut`, and `user` cleared.
  */
 function resetAuthState() {
   return {
     isAuthenticated: false,
     isAdmin: false,
+    isReviewer: false,
+    notificationsOptOut: false,
     user: null,
   };
 }
@@ -66,6 +72,8 @@ export const useAuthStore = create<AuthState>((set, get) => ({
   isInitialized: false,
   isAuthenticated: false,
   isAdmin: false,
+  isReviewer: false,
+  notificationsOptOut: false,
   isLoading: false,
   user: null,
   error: null,
@@ -105,6 +113,8 @@ export const useAuthStore = create<AuthState>((set, get) => ({
       set({
         isAuthenticated: session.authenticated,
         isAdmin: session.isAdmin,
+        isReviewer: session.isReviewer,
+        notificationsOptOut: session.notificationsOptOut,
         user: session.user,
       });
 
@@ -160,6 +170,24 @@ export const useAuthStore = create<AuthState>((set, get) => ({
       set({ isLoading: false });
     }
   },
+
+  /**
+   * Saves the user's email notification preference and updates the store with the
+   * value the server stored. Reports failures through `error`.
+   * @param optOut - `true` to stop request lifecycle emails to the user.
+   */
+  setNotificationsOptOut: async (optOut: boolean) => {
+    set({ error: null });
+
+    try {
+      const preferences = await api.updatePreferences(optOut);
+      set({ notificationsOptOut: preferences.notificationsOptOut });
+    } catch (error) {
+      const message =
+        error instanceof Error ? error.message : 'Unable to update notification settings.';
+      set({ error: message });
+    }
+  },
 }));
 
 if (import.meta.hot) {
@@ -9,6 +9,8 @@ export type SessionResponse = {
   authenticated: boolean;
   user: SessionUser | null;
   isAdmin: boolean;
+  isReviewer: boolean;
+  notificationsOptOut: boolean;
 };
 
 export type AuthConfigResponse = {
@@ -104,24 +106,168 @@ export type TenantRecord = {
   ReviewNotes?: string;
   CreatedAt: string;
   UpdatedAt?: string;
+  PullRequestUrl?: string;
+  PullRequestNumber?: number;
+  PullRequestState?: 'open' | 'failed';
+  PullRequestBranch?: string;
+  PullRequestError?: string;
+  Approval?: ApprovalWorkflow;
+  /** Set on a current record once every environment is decommissioned. */
+  Archived?: boolean;
+};
+
+/** An unsubmitted request saved by the form; `Status` and `RowKey` are `draft`. */
+export type TenantDraft = TenantRecord & {
+  ExpiresAt: string;
+};
+
+export type ApprovalStageStatus =
+  'waiting' | 'pending' | 'approved' | 'changes_requested' | 'rejected';
+
+export type ApprovalStage = {
+  id: string;
+  label: string;
+  role: string;
+  required_approvals: number;
+  sla_hours: number;
+  status: ApprovalStageStatus;
+  started_at: string | null;
+  due_by: string | null;
+  completed_at: string | null;
+  approvals: Array<{ by: string; at: string; notes: string }>;
+};
+
+export type ApprovalWorkflow = {
+  reason: string;
+  stages: ApprovalStage[];
+};
+
+export type ApprovalQueueItem = {
+  tenant_name: string;
+  version: string;
+  display_name: string;
+  submitted_by: string;
+  started_at: string | null;
+  due_by: string | null;
+  overdue: boolean;
+  approvals: number;
+  required_approvals: number;
+};
+
+export type ApprovalQueue = {
+  id: string;
+  label: string;
+  role: string;
+  items: ApprovalQueueItem[];
+};
+
+export type TenantPullRequest = {
+  url: string;
+  number: number | null;
+  state: 'open' | 'failed';
+  branch: string;
+  error?: string;
 };
 
 export type TenantListResponse = {
   items: TenantRecord[];
 };
 
+export type AuditAction =
+  | 'create'
+  | 'edit'
+  | 'approve'
+  | 'reject'
+  | 'request_changes'
+  | 'credentials_view'
+  | 'tenant_info_view'
+  | 'credentials_regenerate'
+  | 'playground_request'
+  | 'import'
+  | 'decommission';
+
+export type AuditEvent = {
+  id: string;
+  tenant_name: string;
+  version: string | null;
+  action: AuditAction;
+  actor: string;
+  timestamp: string;
+  summary: string;
+  from_status: string | null;
+  to_status: string | null;
+  env: HubEnv | null;
+};
+
+export type AuditListResponse = {
+  items: AuditEvent[];
+};
+
+export type FormMigrationChange = {
+  version: string;
+  field: string;
+  description: string;
+};
+
+export type FormMigration = {
+  from_version: string;
+  to_version: string;
+  form_data: Record<string, unknown>;
+  changes: FormMigrationChange[];
+};
+
 export type TenantDetailResponse = {
   tenant: TenantRecord;
   versions: TenantRecord[];
+  form_migration: FormMigration | null;
 };
 
 export type AdminDashboardResponse = {
   pending: TenantRecord[];
+  stages: ApprovalQueue[];
   all_tenants: TenantRecord[];
 };
 
 export type AdminReviewResponse = {
   tenant_request: TenantRecord;
+  versions: Array<{ version: string; status: string }>;
+  last_approved_version: string | null;
+  estimate: CostEstimate;
+};
+
+export type FieldChange = {
+  field: string;
+  label: string;
+  before: unknown;
+  after: unknown;
+  added?: string[];
+  removed?: string[];
+  summary: string;
+};
+
+export type TfvarsDiffLine = {
+  number: number;
+  text: string;
+};
+
+export type TfvarsDiffRow = {
+  kind: 'same' | 'added' | 'removed' | 'changed';
+  left: TfvarsDiffLine | null;
+  right: TfvarsDiffLine | null;
+};
+
+export type TfvarsDiff = {
+  added: number;
+  removed: number;
+  rows: TfvarsDiffRow[];
+};
+
+export type VersionDiffResponse = {
+  tenant_name: string;
+  from: { version: string; status: string };
+  to: { version: string; status: string };
+  fields: FieldChange[];
+  tfvars: Partial<Record<HubEnv, TfvarsDiff>>;
 };
 
 export type TenantFormPayload = {
@@ -149,6 +295,78 @@ export type TenantFormPayload = {
 
 export type HubEnv = 'dev' | 'test' | 'prod';
 
+export type CostEstimateInput = Pick<
+  TenantFormPayload,
+  | 'openai_enabled'
+  | 'ai_search_enabled'
+  | 'cosmos_db_enabled'
+  | 'document_intelligence_enabled'
+  | 'model_families'
+  | 'capacity_tier'
+>;
+
+export type CostRange = {
+  low: number;
+  high: number;
+};
+
+export type DeploymentEstimate = {
+  name: string;
+  model_name: string;
+  scale_type: string;
+  capacity: number;
+  tpm: Record<HubEnv, number>;
+};
+
+export type ServiceCostEstimate = {
+  service: 'openai' | 'ai_search' | 'cosmos_db' | 'document_intelligence';
+  label: string;
+  enabled: boolean;
+  basis: string;
+  monthly: Record<HubEnv, CostRange>;
+  total: CostRange;
+};
+
+export type CostEstimate = {
+  currency: string;
+  rate_card_version: string;
+  capacity_tier: string;
+  deployments: DeploymentEstimate[];
+  services: ServiceCostEstimate[];
+  monthly: Record<HubEnv, CostRange>;
+  total: CostRange;
+};
+
+export type EnvDriftStatus = 'in_sync' | 'drifted' | 'missing' | 'unreadable';
+
+export type TfvarsDriftChange = {
+  path: string;
+  kind: 'added' | 'removed' | 'changed';
+  expected?: unknown;
+  actual?: unknown;
+};
+
+export type EnvDrift = {
+  env: HubEnv;
+  status: EnvDriftStatus;
+  changes: TfvarsDriftChange[];
+  error?: string;
+};
+
+export type TenantDrift = {
+  tenant_name: string;
+  version: string;
+  drifted: boolean;
+  pull_request_state: TenantPullRequest['state'] | null;
+  envs: EnvDrift[];
+};
+
+export type DriftReport = {
+  checked_at: string;
+  tenants: TenantDrift[];
+  untracked: string[];
+};
+
 export interface TenantCredentialsResponse {
   tenant_name: string;
   env: HubEnv;
@@ -157,6 +375,12 @@ export interface TenantCredentialsResponse {
   rotation: Record<string, unknown> | null;
 }
 
+export type ApimKeySlot = 'primary' | 'secondary';
+
+export interface ApimKeyRegenerationResponse extends TenantCredentialsResponse {
+  regenerated_slot: ApimKeySlot;
+}
+
 export interface ApimTenantInfoModel {
   name: string;
   deployment: string;
@@ -175,3 +399,72 @@ export interface ApimTenantInfoResponse {
   models: ApimTenantInfoModel[];
   services: Record<string, ApimTenantInfoService>;
 }
+
+export type PlaygroundOperation = 'chat' | 'embeddings';
+
+export type PlaygroundMessage = {
+  role: 'system' | 'user' | 'assistant';
+  content: string;
+};
+
+export type PlaygroundRequest = {
+  env: HubEnv;
+  deployment: string;
+  operation: PlaygroundOperation;
+  messages: PlaygroundMessage[];
+  input: string;
+  max_tokens: number;
+  temperature: number;
+  stream: boolean;
+};
+
+export type PlaygroundUsage = {
+  prompt_tokens: number;
+  completion_tokens: number | null;
+  total_tokens: number;
+};
+
+export type PlaygroundEvent =
+  | { type: 'response'; status: number; url: string; headers: Record<string, string> }
+  | { type: 'chunk'; data: string }
+  | { type: 'done'; duration_ms: number; usage: PlaygroundUsage | null }
+  | { type: 'error'; message: string };
+
+export type UsageRange = '24h' | '7d' | '30d';
+
+export type UsageBucket = {
+  start: string;
+  total_tokens: number;
+  requests: number;
+  throttled_requests: number;
+  average_tpm: number;
+  peak_tpm: number;
+};
+
+export type UsageTotals = {
+  prompt_tokens: number;
+  completion_tokens: number;
+  total_tokens: number;
+  requests: number;
+  throttled_requests: number;
+};
+
+export type DeploymentUsage = {
+  deployment: string;
+  capacity_tpm: number | null;
+  totals: UsageTotals;
+  peak_tpm: number;
+  peak_utilization: number | null;
+  buckets: UsageBucket[];
+};
+
+export type TenantUsageReport = {
+  tenant_name: string;
+  env: HubEnv;
+  range: UsageRange;
+  bucket_minutes: number;
+  from: string;
+  to: string;
+  totals: UsageTotals;
+  deployments: DeploymentUsage[];
+};
@@ -1,4 +1,4 @@
-import type { FormSchema, TenantFormPayload } from '../types';
+import type { CostEstimateInput, FormSchema, TenantFormPayload } from '../types';
 
 export type TenantFormState = TenantFormPayload;
 export type FormValidationErrors = Partial<
@@ -93,6 +93,22 @@ export function sanitizeForm(form: TenantFormState, schema: FormSchema): TenantF
   };
 }
 
+/**
+ * Picks the fields the cost estimate depends on out of the form state.
+ * @param form - Current form state.
+ * @returns The cost estimate request body.
+ */
+export function costEstimateInput(form: TenantFormState): CostEstimateInput {
+  return {
+    openai_enabled: form.openai_enabled,
+    ai_search_enabled: form.ai_search_enabled,
+    cosmos_db_enabled: form.cosmos_db_enabled,
+    document_intelligence_enabled: form.document_intelligence_enabled,
+    model_families: form.model_families,
+    capacity_tier: form.capacity_tier,
+  };
+}
+
 /**
  * Normalizes an unknown value into a valid `TenantFormState`.
  * Applies schema defaults, remaps legacy fields, and filters out-of-range values.
@@ -47,3 +47,25 @@ export function formatDate(value: string) {
 export function stringValue(value: unknown) {
   return typeof value === 'string' && value ? value : 'Not provided';
 }
+
+/**
+ * Turns a status key such as `changes_requested` into badge text.
+ * @param status - Request or approval stage status key.
+ * @returns The status with underscores replaced by spaces.
+ */
+export function formatStatus(status: string) {
+  return status.replace(/_/g, ' ');
+}
+
+/**
+ * Formats a monthly cost range, collapsing it to one amount when both ends match.
+ * @param range - The low and high estimate.
+ * @param currency - ISO currency code of the amounts.
+ * @returns Text such as `US$12.50 – US$125.00`.
+ */
+export function formatCostRange(range: { low: number; high: number }, currency: string) {
+  const format = new Intl.NumberFormat('en-CA', { style: 'currency', currency });
+  return range.low === range.high
+    ? format.format(range.low)
+    : `${format.format(range.low)} – ${format.format(range.high)}`;
+}
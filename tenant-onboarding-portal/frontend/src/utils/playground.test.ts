@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest';
+
+import type { PlaygroundRequest } from '../types';
+import { assistantText, buildPlaygroundSnippets, playgroundCall } from './playground';
+
+const CHAT: PlaygroundRequest = {
+  env: 'dev',
+  deployment: 'gpt-4o',
+  operation: 'chat',
+  messages: [{ role: 'user', content: "What's new?" }],
+  input: '',
+  max_tokens: 50,
+  temperature: 0.7,
+  stream: false,
+};
+
+describe('playground helpers', () => {
+  it('uses max_completion_tokens without temperature for reasoning models', () => {
+    expect(playgroundCall(CHAT).body).toEqual({
+      messages: CHAT.messages,
+      max_tokens: 50,
+      temperature: 0.7,
+    });
+    expect(playgroundCall({ ...CHAT, deployment: 'o4-mini', stream: true })).toEqual({
+      path: '/openai/deployments/o4-mini/chat/completions?api-version=2024-10-21',
+      body: {
+        messages: CHAT.messages,
+        max_completion_tokens: 50,
+        stream: true,
+        stream_options: { include_usage: true },
+      },
+    });
+  });
+
+  it('builds snippets that read the key from the environment', () => {
+    const snippets = buildPlaygroundSnippets('https://gateway.example/alpha-demo/', CHAT);
+    const url =
+      'https://gateway.example/alpha-demo/openai/deployments/gpt-4o/chat/completions?api-version=2024-10-21';
+
+    expect(snippets.curl).toContain(`curl -X POST "${url}"`);
+    expect(snippets.curl).toContain('-H "api-key: $AI_HUB_API_KEY"');
+    expect(snippets.curl).toContain(`"content": "What'\\''s new?"`);
+    expect(snippets.python).toContain('os.environ["AI_HUB_API_KEY"]');
+    expect(snippets.python).not.toContain('true');
+    expect(snippets.javascript).toContain("'api-key': process.env.AI_HUB_API_KEY");
+  });
+
+  it('joins streamed deltas into the assistant reply', () => {
+    const body = [
+      'data: {"choices":[{"delta":{"role":"assistant"}}]}',
+      'data: {"choices":[{"delta":{"content":"Hel"}}]}',
+      'data: {"choices":[{"delta":{"content":"lo"}}]}',
+      'data: {"choices":[],"usage":{"prompt_tokens":3,"total_tokens":5}}',
+      'data: [DONE]',
+    ].join('\n\n');
+
+    expect(assistantText(body)).toBe('Hello');
+    expect(assistantText('{"choices":[{"message":{"content":"Hi there"}}]}')).toBe('Hi there');
+    expect(assistantText('<html>Bad gateway</html>')).toBe('');
+  });
+});
@@ -0,0 +1,153 @@
+import type { PlaygroundRequest } from '../types';
+
+/** Azure OpenAI data-plane version, matching the backend playground. */
+const API_VERSION = '2024-10-21';
+
+/** Reasoning models take `max_completion_tokens` and reject `temperature`. */
+const REASONING_MODEL_PREFIXES = ['gpt-5', 'o1', 'o3', 'o4'];
+
+export type PlaygroundSnippets = {
+  curl: string;
+  python: string;
+  javascript: string;
+};
+
+/**
+ * Builds the gateway path and JSON body of a playground request, the same way the
+ * backend does before it forwards the request.
+ * @param request - The playground request.
+ * @returns The path below the tenant base URL and the request body.
+ */
+export function playgroundCall(request: PlaygroundRequest) {
+  const route = request.operation === 'chat' ? 'chat/completions' : 'embeddings';
+  const path = `/openai/deployments/${request.deployment}/${route}?api-version=${API_VERSION}`;
+  if (request.operation === 'embeddings') {
+    return { path, body: { input: request.input } as Record<string, unknown> };
+  }
+
+  const reasoning = REASONING_MODEL_PREFIXES.some((prefix) =>
+    request.deployment.toLowerCase().startsWith(prefix),
+  );
+  const body: Record<string, unknown> = {
+    messages: request.messages.filter((message) => message.content.trim()),
+  };
+  if (reasoning) {
+    body.max_completion_tokens = request.max_tokens;
+  } else {
+    body.max_tokens = request.max_tokens;
+    body.temperature = request.temperature;
+  }
+  if (request.stream) {
+    body.stream = true;
+    body.stream_options = { include_usage: true };
+  }
+  return { path, body };
+}
+
+/**
+ * Writes a JSON value as a Python literal.
+ * @param value - The JSON value.
+ * @param indent - The indentation of the current line.
+ * @returns Python source for the value.
+ */
+function pythonLiteral(value: unknown, indent = ''): string {
+  if (value === null || value === undefined) return 'None';
+  if (typeof value === 'boolean') return value ? 'True' : 'False';
+  if (typeof value !== 'object') return JSON.stringify(value);
+  const inner = `${indent}    `;
+  const entries = Array.isArray(value)
+    ? value.map((item) => `${inner}${pythonLiteral(item, inner)}`)
+    : Object.entries(value).map(
+        ([key, item]) => `${inner}${JSON.stringify(key)}: ${pythonLiteral(item, inner)}`,
+      );
+  const [open, close] = Array.isArray(value) ? ['[', ']'] : ['{', '}'];
+  return entries.length ? `${open}\n${entries.join(',\n')},\n${indent}${close}` : `${open}${close}`;
+}
+
+/**
+ * Builds copyable curl, Python, and JavaScript versions of a playground request. The
+ * key is read from the `AI_HUB_API_KEY` environment variable and never inlined.
+ * @param baseUrl - The tenant's gateway base URL from tenant info.
+ * @param request - The playground request.
+ * @returns One snippet per language.
+ */
+export function buildPlaygroundSnippets(
+  baseUrl: string,
+  request: PlaygroundRequest,
+): PlaygroundSnippets {
+  const { path, body } = playgroundCall(request);
+  const url = `${baseUrl.replace(/\/+$/, '')}${path}`;
+  const json = JSON.stringify(body, null, 2);
+
+  return {
+    curl: [
+      `curl -X POST "${url}" \\`,
+      '  -H "api-key: $AI_HUB_API_KEY" \\',
+      '  -H "Content-Type: application/json" \\',
+      `  -d '${json.replace(/'/g, "'\\''")}'`,
+    ].join('\n'),
+    python: [
+      'import os',
+      '',
+      'import requests',
+      '',
+      'response = requests.post(',
+      `    "${url}",`,
+      '    headers={"api-key": os.environ["AI_HUB_API_KEY"]},',
+      `    json=${pythonLiteral(body, '    ')},`,
+      ...(request.stream ? ['    stream=True,'] : []),
+      '    timeout=60,',
+      ')',
+      'response.raise_for_status()',
+      ...(request.stream
+        ? ['for line in response.iter_lines(decode_unicode=True):', '    print(line)']
+        : ['print(response.json())']),
+    ].join('\n'),
+    javascript: [
+      `const response = await fetch('${url}', {`,
+      "  method: 'POST',",
+      '  headers: {',
+      "    'api-key': process.env.AI_HUB_API_KEY,",
+      "    'Content-Type': 'application/json',",
+      '  },',
+      `  body: JSON.stringify(${json.replace(/\n/g, '\n  ')}),`,
+      '});',
+      ...(request.stream
+        ? [
+            'for await (const chunk of response.body.pipeThrough(new TextDecoderStream())) {',
+            '  process.stdout.write(chunk);',
+            '}',
+          ]
+        : ['console.log(await response.json());']),
+    ].join('\n'),
+  };
+}
+
+/**
+ * Pulls the assistant's reply out of a chat response: the message of a JSON body, or
+ * the content deltas of a server-sent event stream joined together.
+ * @param body - The raw response body received so far.
+ * @returns The reply text, or an empty string when there is none yet.
+ */
+export function assistantText(body: string) {
+  type Choice = { message?: { content?: string | null }; delta?: { content?: string | null } };
+  const documents = body.trimStart().startsWith('data:')
+    ? body
+        .split('\n')
+        .filter((line) => line.startsWith('data:'))
+        .map((line) => line.slice(5).trim())
+        .filter((data) => data && data !== '[DONE]')
+    : [body];
+
+  let text = '';
+  for (const document of documents) {
+    try {
+      const parsed = JSON.parse(document) as { choices?: Choice[] };
+      const choice = parsed.choices?.[0];
+      text += choice?.message?.content ?? choice?.delta?.content ?? '';
+    } catch {
+      // A partial event or a non-JSON error page has no reply text.
+    }
+  }
+  return text;
+}
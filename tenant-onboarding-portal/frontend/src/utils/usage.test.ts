@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest';
+
+import type { DeploymentUsage } from '../types';
+import { formatTokens, usageChart } from './usage';
+
+const USAGE: DeploymentUsage = {
+  deployment: 'gpt-4.1',
+  capacity_tpm: 1_000,
+  totals: {
+    prompt_tokens: 0,
+    completion_tokens: 0,
+    total_tokens: 0,
+    requests: 0,
+    throttled_requests: 2,
+  },
+  peak_tpm: 500,
+  peak_utilization: 0.5,
+  buckets: [
+    {
+      start: '2026-05-01T00:00:00Z',
+      total_tokens: 0,
+      requests: 0,
+      throttled_requests: 0,
+      average_tpm: 0,
+      peak_tpm: 0,
+    },
+    {
+      start: '2026-05-01T01:00:00Z',
+      total_tokens: 0,
+      requests: 0,
+      throttled_requests: 2,
+      average_tpm: 220,
+      peak_tpm: 550,
+    },
+  ],
+};
+
+describe('usage helpers', () => {
+  it('scales bars against the capacity line', () => {
+    const chart = usageChart(USAGE, 100, 110);
+
+    expect(chart.scaleMax).toBeCloseTo(1_100);
+    expect(chart.capacityY).toBeCloseTo(10);
+    expect(chart.bars.map((bar) => [bar.x, bar.width, bar.throttled])).toEqual([
+      [0.5, 49, false],
+      [50.5, 49, true],
+    ]);
+    expect(chart.bars[0].averageY).toBe(110);
+    expect(chart.bars[1].averageY).toBeCloseTo(88);
+    expect(chart.bars[1].peakY).toBeCloseTo(55);
+  });
+
+  it('scales to the peak when there is no configured capacity', () => {
+    const chart = usageChart({ ...USAGE, capacity_tpm: null, peak_tpm: 2_000 }, 100, 110);
+
+    expect(chart.capacityY).toBeNull();
+    expect(chart.scaleMax).toBeCloseTo(2_200);
+    expect(formatTokens(1_234_000)).toBe('1.2M');
+  });
+});
@@ -0,0 +1,68 @@
+import type { DeploymentUsage } from '../types';
+
+export interface UsageChartBar {
+  x: number;
+  width: number;
+  /** Top of the average-TPM bar. */
+  averageY: number;
+  /** Top of the peak-TPM tick. */
+  peakY: number;
+  throttled: boolean;
+  label: string;
+}
+
+export interface UsageChart {
+  width: number;
+  height: number;
+  bars: UsageChartBar[];
+  /** Height of the capacity line, or `null` when the deployment has no configured TPM. */
+  capacityY: number | null;
+  /** TPM at the top of the chart. */
+  scaleMax: number;
+}
+
+/**
+ * Formats a token count compactly, e.g. `1.2M` or `45K`.
+ * @param value - The count.
+ * @returns The formatted count.
+ */
+export function formatTokens(value: number) {
+  return new Intl.NumberFormat('en-CA', {
+    notation: 'compact',
+    maximumFractionDigits: 1,
+  }).format(value);
+}
+
+/**
+ * Lays out a deployment's buckets as an SVG bar chart: one bar per bucket for the
+ * average TPM, a tick for the peak TPM, and a horizontal line at the configured
+ * capacity. The scale leaves headroom above whichever of the peak or the capacity is
+ * higher, so a deployment running near its limit is visibly close to the line.
+ * @param usage - The deployment's usage.
+ * @param width - Chart width in SVG units.
+ * @param height - Chart height in SVG units.
+ * @returns The chart geometry.
+ */
+export function usageChart(usage: DeploymentUsage, width: number, height: number): UsageChart {
+  const scaleMax = Math.max(usage.peak_tpm, usage.capacity_tpm ?? 0, 1) * 1.1;
+  const y = (tpm: number) => height - (tpm / scaleMax) * height;
+  const slot = width / Math.max(usage.buckets.length, 1);
+  const gap = slot > 4 ? 1 : 0;
+
+  return {
+    width,
+    height,
+    scaleMax,
+    capacityY: usage.capacity_tpm ? y(usage.capacity_tpm) : null,
+    bars: usage.buckets.map((bucket, index) => ({
+      x: index * slot + gap / 2,
+      width: slot - gap,
+      averageY: y(bucket.average_tpm),
+      peakY: y(bucket.peak_tpm),
+      throttled: bucket.throttled_requests > 0,
+      label:
+        `${new Date(bucket.start).toLocaleString()}: ${formatTokens(bucket.average_tpm)} TPM average, ` +
+        `${formatTokens(bucket.peak_tpm)} peak, ${bucket.throttled_requests} throttled`,
+    })),
+  };
+}
@@ -99,6 +99,12 @@ module "portal_storage" {
     portal_sessions = {
       name = "TenantPortalSessions"
     }
+    tenant_audit_events = {
+      name = "TenantAuditEvents"
+    }
+    tenant_drafts = {
+      name = "TenantDrafts"
+    }
   }
 
   tags = var.common_tags
@@ -224,6 +230,8 @@ resource "azurerm_role_assignment" "portal_table_contributor_tables" {
     "TenantStatusIndex",
     "TenantAccessIndex",
     "TenantPortalSessions",
+    "TenantAuditEvents",
+    "TenantDrafts",
   ]) : toset([])
 
   scope                = "${module.portal_storage.resource_id}/tableServices/default/tables/${each.value}"